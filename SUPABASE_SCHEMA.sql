@@ -9,6 +9,18 @@ CREATE TABLE IF NOT EXISTS words (
     definition TEXT NOT NULL,
     example TEXT,
     timestamp TIMESTAMPTZ DEFAULT NOW(),
+
+    -- Sense fields (one row per sense of a word, each scheduled separately)
+    sense_index INTEGER NOT NULL DEFAULT 0,
+    part_of_speech TEXT,
+    examples JSONB DEFAULT '[]'::jsonb,
+
+    -- Organization fields (shared by all senses of a word)
+    tags TEXT[] DEFAULT '{}',
+    deck TEXT,
+
+    -- Trash: set when the word is deleted, purged for good after 30 days
+    deleted_at TIMESTAMPTZ,
     
     -- Spaced repetition fields
     interval INTEGER DEFAULT 0,
@@ -26,9 +38,21 @@ CREATE TABLE IF NOT EXISTS words (
 CREATE INDEX IF NOT EXISTS idx_words_user_id ON words(user_id);
 CREATE INDEX IF NOT EXISTS idx_words_user_word ON words(user_id, word);
 CREATE INDEX IF NOT EXISTS idx_words_next_review ON words(user_id, next_review);
+CREATE INDEX IF NOT EXISTS idx_words_tags ON words USING GIN (tags);
+CREATE INDEX IF NOT EXISTS idx_words_user_deck ON words(user_id, deck);
+
+-- Trigram indexes for searching saved words (ILIKE on word, definition and example)
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+CREATE INDEX IF NOT EXISTS idx_words_word_trgm ON words USING GIN (word gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_words_definition_trgm ON words USING GIN (definition gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_words_example_trgm ON words USING GIN (example gin_trgm_ops);
 
--- Create unique constraint to prevent duplicate words per user
-CREATE UNIQUE INDEX IF NOT EXISTS idx_words_user_word_unique ON words(user_id, LOWER(word));
+-- Create unique constraint to prevent duplicate senses per word and user
+-- (words in the trash do not count, so a deleted word can be saved again)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_words_user_word_sense_unique ON words(user_id, LOWER(word), sense_index) WHERE deleted_at IS NULL;
+
+-- Index for listing and purging the trash
+CREATE INDEX IF NOT EXISTS idx_words_user_deleted ON words(user_id, deleted_at) WHERE deleted_at IS NOT NULL;
 
 -- Function to update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -39,8 +63,10 @@ BEGIN
 END;
 $$ language 'plpgsql';
 
--- Trigger to automatically update updated_at
-CREATE TRIGGER update_words_updated_at BEFORE UPDATE ON words
+-- Trigger to automatically update updated_at (on insert too, so rows pushed
+-- by offline clients get the server time that sync watermarks compare against)
+DROP TRIGGER IF EXISTS update_words_updated_at ON words;
+CREATE TRIGGER update_words_updated_at BEFORE INSERT OR UPDATE ON words
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
 -- Enable Row Level Security (RLS) for multi-user support
@@ -62,3 +88,70 @@ CREATE POLICY "Users can update their own words" ON words
 
 CREATE POLICY "Users can delete their own words" ON words
     FOR DELETE USING (true);
+
+-- Create the review_logs table (one row per review, never overwritten)
+CREATE TABLE IF NOT EXISTS review_logs (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    word_id UUID NOT NULL REFERENCES words(id) ON DELETE CASCADE,
+    session_id TEXT,
+
+    -- Review outcome
+    rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 4),
+    response_time INTEGER,
+    elapsed_days REAL DEFAULT 0,
+    scheduled_days INTEGER DEFAULT 0,
+
+    -- FSRS memory state before and after the review
+    prev_stability REAL,
+    prev_difficulty REAL,
+    new_stability REAL,
+    new_difficulty REAL,
+
+    reviewed_at TIMESTAMPTZ DEFAULT NOW(),
+    -- When the row reached the server (reviews made offline arrive later than reviewed_at)
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes for history, stats and per-word lookups
+CREATE INDEX IF NOT EXISTS idx_review_logs_user_time ON review_logs(user_id, reviewed_at);
+CREATE INDEX IF NOT EXISTS idx_review_logs_word_time ON review_logs(word_id, reviewed_at);
+CREATE INDEX IF NOT EXISTS idx_review_logs_session ON review_logs(session_id);
+CREATE INDEX IF NOT EXISTS idx_review_logs_user_created ON review_logs(user_id, created_at);
+
+-- Index for pulling changed words during offline sync
+CREATE INDEX IF NOT EXISTS idx_words_user_updated ON words(user_id, updated_at);
+
+-- Enable Row Level Security (RLS) for review logs
+ALTER TABLE review_logs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own review logs" ON review_logs
+    FOR SELECT USING (true);
+
+CREATE POLICY "Users can insert their own review logs" ON review_logs
+    FOR INSERT WITH CHECK (true);
+
+CREATE POLICY "Users can delete their own review logs" ON review_logs
+    FOR DELETE USING (true);
+
+-- Create the fsrs_parameters table (one row per user with optimized FSRS weights)
+CREATE TABLE IF NOT EXISTS fsrs_parameters (
+    user_id TEXT PRIMARY KEY,
+    weights JSONB NOT NULL,
+    request_retention REAL DEFAULT 0.9,
+    review_count INTEGER DEFAULT 0,
+    evaluation JSONB,
+    optimized_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Enable Row Level Security (RLS) for FSRS parameters
+ALTER TABLE fsrs_parameters ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own FSRS parameters" ON fsrs_parameters
+    FOR SELECT USING (true);
+
+CREATE POLICY "Users can insert their own FSRS parameters" ON fsrs_parameters
+    FOR INSERT WITH CHECK (true);
+
+CREATE POLICY "Users can update their own FSRS parameters" ON fsrs_parameters
+    FOR UPDATE USING (true);
@@ -0,0 +1,261 @@
+/**
+ * AI Providers Module
+ * Handles the chat-completion backends used for definitions, examples and grading
+ *
+ * A provider is an object with a `complete({ prompt, temperature, maxTokens, jsonSchema })`
+ * method that resolves to the model's reply text. When `jsonSchema` is given the
+ * provider asks the backend for JSON output (JSON mode, or the schema itself
+ * where the backend supports it). Failed requests throw
+ * `Error('API error: <status> - <message>')`, which api.js turns into
+ * user-facing messages.
+ */
+
+import { MISTRAL_API_KEY, MISTRAL_API_URL } from './config.js';
+import { getSetting, setSetting } from './settings.js';
+
+export const AI_PROVIDERS = {
+    MISTRAL: 'mistral',
+    OPENAI: 'openai',  // Any endpoint that speaks the OpenAI chat completions API
+    OLLAMA: 'ollama'   // Local Ollama server
+};
+
+// Defaults for each provider; the settings screen overrides them per provider
+export const PROVIDER_DEFAULTS = {
+    [AI_PROVIDERS.MISTRAL]: {
+        label: 'Mistral',
+        url: MISTRAL_API_URL,
+        apiKey: MISTRAL_API_KEY,
+        model: 'mistral-large-latest'
+    },
+    [AI_PROVIDERS.OPENAI]: {
+        label: 'OpenAI-compatible',
+        url: 'https://api.openai.com/v1/chat/completions',
+        apiKey: '',
+        model: 'gpt-4o-mini'
+    },
+    [AI_PROVIDERS.OLLAMA]: {
+        label: 'Local (Ollama)',
+        url: 'http://localhost:11434',
+        apiKey: '',
+        model: 'llama3.1'
+    }
+};
+
+// Provider set from code (tests); takes precedence over the settings
+let providerOverride = null;
+
+/**
+ * Create a provider for an OpenAI-compatible chat completions endpoint
+ * (OpenAI, Mistral, OpenRouter, LM Studio, llama.cpp server, ...)
+ * @param {Object} config - Provider configuration
+ * @param {string} config.url - Full chat completions URL
+ * @param {string} config.apiKey - API key (omitted from the request when empty)
+ * @param {string} config.model - Model name
+ * @param {string} config.name - Provider ID reported by the provider
+ * @returns {Object} Provider
+ */
+export function createOpenAICompatibleProvider({ url, apiKey = '', model, name = AI_PROVIDERS.OPENAI }) {
+    return {
+        name,
+        model,
+        async complete({ prompt, temperature = 0.7, maxTokens = 200, jsonSchema = null }) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (apiKey) {
+                headers['Authorization'] = `Bearer ${apiKey}`;
+            }
+
+            const body = {
+                model,
+                messages: [{ role: 'user', content: prompt }],
+                temperature,
+                max_tokens: maxTokens
+            };
+
+            // JSON mode is widely supported; strict schemas are not, so the prompt carries the shape
+            if (jsonSchema) {
+                body.response_format = { type: 'json_object' };
+            }
+
+            const response = await fetch(url, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(body)
+            });
+
+            if (!response.ok) {
+                throw await createResponseError(response);
+            }
+
+            const data = await response.json();
+            return data.choices[0].message.content;
+        }
+    };
+}
+
+/**
+ * Create a Mistral provider (an OpenAI-compatible endpoint with Mistral defaults)
+ * @param {Object} config - Overrides for url, apiKey and model
+ * @returns {Object} Provider
+ */
+export function createMistralProvider(config = {}) {
+    const defaults = PROVIDER_DEFAULTS[AI_PROVIDERS.MISTRAL];
+
+    return createOpenAICompatibleProvider({
+        url: config.url || defaults.url,
+        apiKey: config.apiKey || defaults.apiKey,
+        model: config.model || defaults.model,
+        name: AI_PROVIDERS.MISTRAL
+    });
+}
+
+/**
+ * Create a provider for a local Ollama server (native /api/chat endpoint)
+ * @param {Object} config - Provider configuration
+ * @param {string} config.url - Server base URL (e.g. http://localhost:11434)
+ * @param {string} config.model - Installed model name
+ * @returns {Object} Provider
+ */
+export function createOllamaProvider({ url, model }) {
+    const endpoint = `${url.replace(/\/+$/, '')}/api/chat`;
+
+    return {
+        name: AI_PROVIDERS.OLLAMA,
+        model,
+        async complete({ prompt, temperature = 0.7, maxTokens = 200, jsonSchema = null }) {
+            const body = {
+                model,
+                messages: [{ role: 'user', content: prompt }],
+                stream: false,
+                options: {
+                    temperature,
+                    num_predict: maxTokens
+                }
+            };
+
+            // Ollama constrains the output to the given schema
+            if (jsonSchema) {
+                body.format = jsonSchema;
+            }
+
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+
+            if (!response.ok) {
+                throw await createResponseError(response);
+            }
+
+            const data = await response.json();
+            return data.message.content;
+        }
+    };
+}
+
+/**
+ * Create a deterministic provider for tests and offline demos
+ * @param {string|Function} reply - Fixed reply, or a function of the prompt returning the reply
+ * @returns {Object} Provider that also records every prompt in `calls`
+ */
+export function createFakeProvider(reply) {
+    const calls = [];
+
+    return {
+        name: 'fake',
+        model: 'fake',
+        calls,
+        async complete(request) {
+            calls.push(request);
+            return typeof reply === 'function' ? reply(request.prompt) : reply;
+        }
+    };
+}
+
+/**
+ * Get the saved configuration of a provider, with defaults filled in
+ * @param {string} providerId - Provider ID (one of AI_PROVIDERS)
+ * @returns {Object} { url, apiKey, model }
+ */
+export function getProviderConfig(providerId) {
+    const defaults = PROVIDER_DEFAULTS[providerId] || PROVIDER_DEFAULTS[AI_PROVIDERS.MISTRAL];
+    const saved = (getSetting('aiProviderConfig') || {})[providerId] || {};
+
+    return {
+        url: saved.url || defaults.url,
+        apiKey: saved.apiKey || defaults.apiKey,
+        model: saved.model || defaults.model
+    };
+}
+
+/**
+ * Save the configuration of a provider (empty values fall back to the defaults)
+ * @param {string} providerId - Provider ID (one of AI_PROVIDERS)
+ * @param {Object} config - { url, apiKey, model }
+ */
+export function saveProviderConfig(providerId, config) {
+    const allConfig = { ...(getSetting('aiProviderConfig') || {}) };
+    allConfig[providerId] = {
+        url: (config.url || '').trim(),
+        apiKey: (config.apiKey || '').trim(),
+        model: (config.model || '').trim()
+    };
+    setSetting('aiProviderConfig', allConfig);
+}
+
+/**
+ * Build a provider from its ID and configuration
+ * @param {string} providerId - Provider ID (one of AI_PROVIDERS)
+ * @param {Object} config - { url, apiKey, model }
+ * @returns {Object} Provider
+ */
+export function createProvider(providerId, config) {
+    switch (providerId) {
+        case AI_PROVIDERS.OPENAI:
+            return createOpenAICompatibleProvider(config);
+        case AI_PROVIDERS.OLLAMA:
+            return createOllamaProvider(config);
+        default:
+            return createMistralProvider(config);
+    }
+}
+
+/**
+ * Get the provider to use for AI requests
+ * @returns {Object} The provider set with setAIProvider, or the one chosen in settings
+ */
+export function getAIProvider() {
+    if (providerOverride) {
+        return providerOverride;
+    }
+
+    const providerId = getSetting('aiProvider');
+    return createProvider(providerId, getProviderConfig(providerId));
+}
+
+/**
+ * Use a specific provider for all AI requests (e.g. a fake provider in tests)
+ * @param {Object|null} provider - Provider, or null to go back to the one chosen in settings
+ */
+export function setAIProvider(provider) {
+    providerOverride = provider;
+}
+
+/**
+ * Build an error from a failed HTTP response
+ * @param {Response} response - Fetch response
+ * @returns {Promise<Error>} Error in the 'API error: <status> - <message>' format
+ */
+async function createResponseError(response) {
+    let message = 'Unknown error';
+
+    try {
+        const errorData = await response.json();
+        // Mistral returns { message }, OpenAI { error: { message } }, Ollama { error }
+        message = errorData.message || errorData.error?.message || errorData.error || message;
+    } catch (error) {
+        // Body was not JSON; keep the generic message
+    }
+
+    return new Error(`API error: ${response.status} - ${message}`);
+}
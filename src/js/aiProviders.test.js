@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// Mock storage module used by api.js
+vi.mock('./storage/index.js', () => ({
+    getWordIfExists: vi.fn(() => Promise.resolve(null))
+}));
+
+import {
+    AI_PROVIDERS,
+    createOpenAICompatibleProvider,
+    createOllamaProvider,
+    createFakeProvider,
+    getAIProvider,
+    setAIProvider,
+    saveProviderConfig,
+    getProviderConfig
+} from './aiProviders.js';
+import { getWordDefinition, gradeProductionAnswer } from './api.js';
+import { setSetting } from './settings.js';
+
+function mockFetchResponse(body, ok = true, status = 200) {
+    global.fetch.mockResolvedValueOnce({ ok, status, json: async () => body });
+}
+
+describe('AI Providers', () => {
+    beforeEach(() => {
+        global.fetch = vi.fn();
+        localStorage.clear();
+    });
+
+    afterEach(() => {
+        setAIProvider(null);
+    });
+
+    describe('OpenAI-compatible provider', () => {
+        it('should send a chat completion request and return the reply', async () => {
+            mockFetchResponse({ choices: [{ message: { content: 'Hello' } }] });
+            const provider = createOpenAICompatibleProvider({
+                url: 'https://example.com/v1/chat/completions',
+                apiKey: 'secret',
+                model: 'test-model'
+            });
+
+            const reply = await provider.complete({ prompt: 'Hi', temperature: 0.2, maxTokens: 50 });
+
+            expect(reply).toBe('Hello');
+            const [url, options] = global.fetch.mock.calls[0];
+            expect(url).toBe('https://example.com/v1/chat/completions');
+            expect(options.headers['Authorization']).toBe('Bearer secret');
+            expect(JSON.parse(options.body)).toEqual({
+                model: 'test-model',
+                messages: [{ role: 'user', content: 'Hi' }],
+                temperature: 0.2,
+                max_tokens: 50
+            });
+        });
+
+        it('should read OpenAI-style error messages', async () => {
+            mockFetchResponse({ error: { message: 'Invalid key' } }, false, 401);
+            const provider = createOpenAICompatibleProvider({ url: 'https://example.com', model: 'm' });
+
+            await expect(provider.complete({ prompt: 'Hi' })).rejects.toThrow('API error: 401 - Invalid key');
+        });
+    });
+
+    describe('Ollama provider', () => {
+        it('should call the native chat endpoint without streaming', async () => {
+            mockFetchResponse({ message: { role: 'assistant', content: 'Local reply' } });
+            const provider = createOllamaProvider({ url: 'http://localhost:11434/', model: 'llama3.1' });
+
+            const reply = await provider.complete({ prompt: 'Hi', temperature: 0.3, maxTokens: 20 });
+
+            expect(reply).toBe('Local reply');
+            const [url, options] = global.fetch.mock.calls[0];
+            expect(url).toBe('http://localhost:11434/api/chat');
+            expect(options.headers['Authorization']).toBeUndefined();
+            const body = JSON.parse(options.body);
+            expect(body.stream).toBe(false);
+            expect(body.options).toEqual({ temperature: 0.3, num_predict: 20 });
+        });
+
+        it('should pass the JSON schema as the output format', async () => {
+            mockFetchResponse({ message: { role: 'assistant', content: '{}' } });
+            const provider = createOllamaProvider({ url: 'http://localhost:11434', model: 'llama3.1' });
+            const schema = { type: 'object' };
+
+            await provider.complete({ prompt: 'Hi', jsonSchema: schema });
+
+            expect(JSON.parse(global.fetch.mock.calls[0][1].body).format).toEqual(schema);
+        });
+    });
+
+    describe('Provider selection', () => {
+        it('should use Mistral by default', () => {
+            expect(getAIProvider().name).toBe(AI_PROVIDERS.MISTRAL);
+            expect(getAIProvider().model).toBe('mistral-large-latest');
+        });
+
+        it('should build the provider chosen in settings with its saved config', () => {
+            setSetting('aiProvider', AI_PROVIDERS.OLLAMA);
+            saveProviderConfig(AI_PROVIDERS.OLLAMA, { url: 'http://gpu-box:11434', model: 'qwen2.5' });
+
+            const provider = getAIProvider();
+
+            expect(provider.name).toBe(AI_PROVIDERS.OLLAMA);
+            expect(provider.model).toBe('qwen2.5');
+            expect(getProviderConfig(AI_PROVIDERS.OLLAMA).url).toBe('http://gpu-box:11434');
+        });
+
+        it('should fall back to defaults for empty config values', () => {
+            saveProviderConfig(AI_PROVIDERS.OPENAI, { url: '', model: ' ', apiKey: '' });
+            expect(getProviderConfig(AI_PROVIDERS.OPENAI).model).toBe('gpt-4o-mini');
+        });
+    });
+
+    describe('Fake provider', () => {
+        it('should drive the API functions deterministically', async () => {
+            const fake = createFakeProvider(prompt => prompt.includes('Score')
+                ? 'Score: 72\nFeedback: Good.'
+                : JSON.stringify({
+                    word: 'brave',
+                    valid: true,
+                    partOfSpeech: 'adjective',
+                    senses: [{ definition: 'Showing courage', examples: ['She was brave in the storm.'] }]
+                }));
+            setAIProvider(fake);
+
+            const definition = await getWordDefinition('brave');
+            const grade = await gradeProductionAnswer('brave', 'Showing courage', 'not scared');
+
+            expect(definition).toMatchObject({
+                word: 'brave',
+                definition: 'Showing courage',
+                example: 'She was brave in the storm.',
+                partOfSpeech: 'adjective',
+                fromSupabase: false
+            });
+            expect(grade).toEqual({ score: 72, feedback: 'Good.' });
+            expect(fake.calls).toHaveLength(2);
+            expect(global.fetch).not.toHaveBeenCalled();
+        });
+    });
+});
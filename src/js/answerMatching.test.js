@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import {
+    matchAnswer,
+    damerauLevenshtein,
+    normalizeAnswer,
+    isInflectedForm,
+    getOutcomeRating,
+    diffLetters,
+    renderAnswerFeedback,
+    MATCH_OUTCOMES
+} from './exercise/answerMatching.js';
+import { FSRS_RATING, fsrsInstance } from './fsrs.js';
+
+describe('Answer Matching', () => {
+    describe('Distance and normalization', () => {
+        it('should count an adjacent swap as one edit', () => {
+            expect(damerauLevenshtein('recieve', 'receive')).toBe(1);
+            expect(damerauLevenshtein('kitten', 'sitting')).toBe(3);
+        });
+
+        it('should ignore case, whitespace and diacritics', () => {
+            expect(normalizeAnswer('  Café ')).toBe('cafe');
+            expect(matchAnswer('naive', 'naïve').outcome).toBe(MATCH_OUTCOMES.EXACT);
+        });
+    });
+
+    describe('Outcomes', () => {
+        it('should accept one typo in a medium word', () => {
+            expect(matchAnswer('curage', 'courage').outcome).toBe(MATCH_OUTCOMES.TYPO);
+        });
+
+        it('should scale the typo allowance with word length', () => {
+            expect(matchAnswer('cat', 'car').outcome).toBe(MATCH_OUTCOMES.WRONG);
+            expect(matchAnswer('serendiptiy', 'serendipity').outcome).toBe(MATCH_OUTCOMES.TYPO);
+            expect(matchAnswer('serandiptiy', 'serendipity').outcome).toBe(MATCH_OUTCOMES.TYPO);
+            expect(matchAnswer('sarandiptiy', 'serendipity').outcome).toBe(MATCH_OUTCOMES.WRONG);
+        });
+
+        it('should detect regular and irregular inflected forms', () => {
+            expect(matchAnswer('ran', 'run').outcome).toBe(MATCH_OUTCOMES.WRONG_FORM);
+            expect(matchAnswer('stopped', 'stop').outcome).toBe(MATCH_OUTCOMES.WRONG_FORM);
+            expect(matchAnswer('happier', 'happy').outcome).toBe(MATCH_OUTCOMES.WRONG_FORM);
+            expect(isInflectedForm('studies', 'studying')).toBe(true);
+            expect(isInflectedForm('care', 'car')).toBe(false);
+        });
+
+        it('should map outcomes to FSRS ratings', () => {
+            expect(getOutcomeRating(MATCH_OUTCOMES.EXACT)).toBeNull();
+            expect(getOutcomeRating(MATCH_OUTCOMES.TYPO)).toBe(FSRS_RATING.GOOD);
+            expect(getOutcomeRating(MATCH_OUTCOMES.WRONG_FORM)).toBe(FSRS_RATING.HARD);
+            expect(getOutcomeRating(MATCH_OUTCOMES.WRONG)).toBe(FSRS_RATING.AGAIN);
+        });
+
+        it('should never rate a slow typo above the same slow answer typed exactly', () => {
+            const slow = 8000;
+            const exactRating = getOutcomeRating(MATCH_OUTCOMES.EXACT, slow) ?? fsrsInstance.determineRating(true, slow);
+
+            expect(exactRating).toBe(FSRS_RATING.HARD);
+            expect(getOutcomeRating(MATCH_OUTCOMES.TYPO, slow)).toBe(FSRS_RATING.HARD);
+            expect(getOutcomeRating(MATCH_OUTCOMES.TYPO, 1000)).toBe(FSRS_RATING.GOOD);
+        });
+    });
+
+    describe('Letter diff', () => {
+        it('should align missing, extra and swapped letters', () => {
+            expect(diffLetters('curage', 'courage').filter(op => op.type === 'del'))
+                .toEqual([{ type: 'del', expected: 'o', actual: '' }]);
+            expect(diffLetters('applle', 'apple').filter(op => op.type === 'ins')).toHaveLength(1);
+            expect(diffLetters('recieve', 'receive').filter(op => op.type === 'swap'))
+                .toEqual([{ type: 'swap', expected: 'ei', actual: 'ie' }]);
+        });
+
+        it('should render no feedback for exact answers and escape typed text', () => {
+            expect(renderAnswerFeedback(matchAnswer('apple', 'apple'), 'apple')).toBe('');
+
+            const html = renderAnswerFeedback(matchAnswer('<b>', 'bold'), 'bold');
+            expect(html).toContain('&lt;');
+            expect(html).not.toContain('<b>');
+        });
+    });
+});
@@ -1,5 +1,13 @@
-import { MISTRAL_API_KEY, MISTRAL_API_URL } from './config.js';
+import { getAIProvider } from './aiProviders.js';
 import { getWordIfExists } from './storage/index.js';
+import {
+    WORD_ENTRY_SCHEMA,
+    LOOKUP_ERROR_CODES,
+    LookupError,
+    parseJsonReply,
+    validateWordEntry,
+    toWordData
+} from './wordEntry.js';
 
 // Rate limiting configuration
 const RATE_LIMIT_DELAY = 1000; // 1 second between requests
@@ -22,128 +30,164 @@ function containsWord(example, targetWord) {
     return regex.test(example);
 }
 
-export async function getWordDefinition(word, retryCount = 0) {
-    if (!word.trim()) {
-        return null;
+// Build the lookup prompt shared by definitions and example regeneration
+function buildWordEntryPrompt(word, { regenerate = false, strict = false } = {}) {
+    const retryNote = strict
+        ? `CRITICAL FIX NEEDED: The previous examples did not contain the exact word "${word}". Check the spelling of every example.\n\n`
+        : '';
+    const regenerateNote = regenerate
+        ? `- This is a regeneration: write fresh examples, different from the most common textbook sentences\n`
+        : '';
+
+    return `${retryNote}Describe the word "${word}" for a language learner.
+
+Reply with a single JSON object and nothing else, in this shape:
+{
+  "word": "${word}",
+  "valid": true,
+  "ipa": "IPA transcription between slashes",
+  "partOfSpeech": "main part of speech (noun, verb, adjective, ...)",
+  "register": "formal | neutral | informal | slang | technical | literary | archaic",
+  "senses": [
+    {
+      "partOfSpeech": "part of speech of this sense",
+      "definition": "brief, clear definition (1-2 sentences)",
+      "register": "register of this sense",
+      "examples": ["example sentence", "another example sentence"]
     }
+  ]
+}
 
-    // Check Supabase first (only on first call, not retries)
-    if (retryCount === 0) {
-        const existingWord = await getWordIfExists(word);
-        if (existingWord) {
-            return { ...existingWord, fromSupabase: true };
+REQUIREMENTS:
+- List the most common sense first; give at most 3 senses
+- Give 2 or 3 examples per sense
+- DO NOT use the word "${word}" or any variation of it in the definitions
+- Keep each definition clear enough that someone could guess the word from it
+- Every example MUST use the EXACT word "${word}" (not plural, not past tense, not any variation)
+- Examples must be grammatically correct and natural
+${regenerateNote}
+If "${word}" is not a valid word, reply with {"word": "${word}", "valid": false, "reason": "short explanation"}.`;
+}
+
+// Ask the model to fix a reply that was not valid JSON or did not match the schema
+function buildRepairPrompt(content, problems) {
+    return `The following reply should be a JSON object describing a word, but it has problems:
+${problems.map(problem => `- ${problem}`).join('\n')}
+
+Reply:
+${content}
+
+Return only the corrected JSON object, with the fields "word", "valid", "ipa", "partOfSpeech", "register" and "senses" (each sense with "partOfSpeech", "definition", "register" and "examples"). Do not add any other text.`;
+}
+
+// Parse and validate a lookup reply, with one repair request if it is malformed
+async function readWordEntry(content) {
+    let problems;
+
+    try {
+        const entry = parseJsonReply(content);
+        problems = validateWordEntry(entry);
+        if (problems.length === 0) {
+            return entry;
+        }
+    } catch (error) {
+        if (!(error instanceof LookupError)) {
+            throw error;
         }
+        problems = ['the reply is not valid JSON'];
     }
 
-    // For AI generation, try up to 3 times to get a valid example
+    console.log(`🛠️ Repairing malformed AI reply: ${problems.join('; ')}`);
+
+    const repaired = await getAIProvider().complete({
+        prompt: buildRepairPrompt(content, problems),
+        temperature: 0,
+        maxTokens: 800,
+        jsonSchema: WORD_ENTRY_SCHEMA
+    });
+
+    const entry = parseJsonReply(repaired);
+    const remainingProblems = validateWordEntry(entry);
+
+    if (remainingProblems.length > 0) {
+        throw new LookupError(
+            LOOKUP_ERROR_CODES.INVALID_SCHEMA,
+            `The AI reply did not match the expected format: ${remainingProblems.join('; ')}`,
+            { problems: remainingProblems, raw: repaired }
+        );
+    }
+
+    return entry;
+}
+
+// Look up a word with the AI and check that its main example contains the word
+async function requestWordEntry(word, { regenerate = false, retryCount = 0 } = {}) {
+    const label = regenerate ? 'Regeneration' : 'AI generation';
+
+    // Try up to 3 times to get a valid example
     let attempts = 0;
     const maxAttempts = 3;
 
     while (attempts < maxAttempts) {
         attempts++;
-        console.log(`🤖 AI generation attempt ${attempts}/${maxAttempts} for "${word}"`);
+        console.log(`🤖 ${label} attempt ${attempts}/${maxAttempts} for "${word}"`);
 
         try {
-            const response = await fetch(MISTRAL_API_URL, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${MISTRAL_API_KEY}`
-                },
-                body: JSON.stringify({
-                    model: 'mistral-large-latest',
-                    messages: [{
-                        role: 'user',
-                        content: attempts === 1
-                            ? `For the word "${word}":
-1. Provide a brief, clear definition (1-2 sentences).
-2. Provide one simple example sentence using the word. Don't give me any additional information.
-
-CRITICAL REQUIREMENTS:
-- DO NOT use the word "${word}" or any variation of it in the definition itself
-- The definition should describe the meaning WITHOUT mentioning the word
-- The example sentence MUST use the EXACT word "${word}" (not plural, not past tense, not any variation)
-- The example sentence must be grammatically correct and natural
-- Keep the definition clear enough that someone could guess the word from it
-
-EXAMPLES:
-- For word "run": "She decided to run in the park every morning."
-- For word "happy": "The child was happy with his new toy."
-- For word "book": "I enjoy reading a book before bed."
+            const content = await getAIProvider().complete({
+                prompt: buildWordEntryPrompt(word, { regenerate, strict: attempts > 1 }),
+                temperature: attempts > 1 ? 0.3 : 0.7, // Lower temperature on retries for consistency
+                maxTokens: 800,
+                jsonSchema: WORD_ENTRY_SCHEMA
+            });
 
-Format your response as:
-Definition: [definition here - WITHOUT using the word "${word}"]
-Example: [example sentence using EXACTLY "${word}"]
+            const entry = await readWordEntry(content);
 
-If it's not a valid word, say so briefly.`
-                            : `CRITICAL FIX NEEDED: The previous example did not contain the exact word "${word}". Try again:
+            if (!entry.valid) {
+                throw new LookupError(
+                    LOOKUP_ERROR_CODES.NOT_A_WORD,
+                    `"${word}" does not look like a valid word${entry.reason ? `: ${entry.reason}` : '.'}`
+                );
+            }
 
-For the word "${word}":
-1. Provide a brief, clear definition (1-2 sentences).
-2. Provide one simple example sentence using the word. Don't give me any additional information.
+            const wordData = toWordData(entry, word, containsWord);
 
-FORCED REQUIREMENTS:
-- The example sentence MUST contain the EXACT word "${word}" (check spelling!)
-- Do NOT use plurals, past tense, or other variations
-- Example must be natural and grammatically correct
+            // Validate the generated example
+            if (containsWord(wordData.example, word)) {
+                console.log(`✅ Valid example generated on attempt ${attempts}: "${wordData.example}"`);
+                return { ...wordData, fromSupabase: false };
+            }
 
-Format your response as:
-Definition: [definition here - WITHOUT using the word "${word}"]
-Example: [example sentence using EXACTLY "${word}"]`
-                    }],
-                    temperature: attempts > 1 ? 0.3 : 0.7, // Lower temperature on retries for consistency
-                    max_tokens: 200
-                })
-            });
+            console.log(`⚠️ Invalid example (attempt ${attempts}): "${wordData.example}"`);
 
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(`API error: ${response.status} - ${errorData.message || 'Unknown error'}`);
+            if (attempts < maxAttempts) {
+                console.log(`🔄 Retrying with stricter prompt for "${word}"...`);
+                // Brief pause before retry
+                await delay(300);
+                continue;
             }
 
-            const data = await response.json();
-            const content = data.choices[0].message.content;
-
-            // Parse definition and example
-            let definition = content;
-            let example = '';
+            console.log(`❌ Failed to generate valid example after ${maxAttempts} attempts`);
+            // Return the last attempt anyway, but mark it as potentially invalid
+            return { ...wordData, fromSupabase: false, potentiallyInvalid: true };
 
-            if (content.includes('Definition:') && content.includes('Example:')) {
-                const parts = content.split('Example:');
-                definition = parts[0].replace('Definition:', '').trim();
-                example = parts[1].trim();
-            }
+        } catch (error) {
+            console.error(`Error on ${label.toLowerCase()} attempt ${attempts} for "${word}":`, error);
 
-            // Validate the generated example
-            const isValidExample = containsWord(example, word);
-
-            if (isValidExample) {
-                console.log(`✅ Valid AI example generated on attempt ${attempts}: "${example}"`);
-                return { word, definition, example, fromSupabase: false };
-            } else {
-                console.log(`⚠️ Invalid AI example (attempt ${attempts}): "${example}"`);
-
-                if (attempts < maxAttempts) {
-                    console.log(`🔄 Retrying with stricter prompt for "${word}"...`);
-                    // Brief pause before retry
-                    await delay(300);
-                    continue;
-                } else {
-                    console.log(`❌ Failed to generate valid example after ${maxAttempts} attempts`);
-                    // Return the last attempt anyway, but mark it as potentially invalid
-                    return { word, definition, example, fromSupabase: false, potentiallyInvalid: true };
+            if (error instanceof LookupError) {
+                // Asking again will not turn a non-word into a word
+                if (error.code === LOOKUP_ERROR_CODES.NOT_A_WORD || attempts >= maxAttempts) {
+                    throw error;
                 }
+                continue;
             }
 
-        } catch (error) {
-            console.error(`Error on attempt ${attempts} for "${word}":`, error);
             let errorMessage = error.message;
 
             // Handle rate limiting with retry
             if ((error.message.includes('429') || error.message.includes('Rate limit')) && retryCount < MAX_RETRIES) {
                 console.log(`Rate limit hit for "${word}". Retrying in ${RETRY_DELAY}ms... (Attempt ${retryCount + 1}/${MAX_RETRIES})`);
                 await delay(RETRY_DELAY * (retryCount + 1)); // Exponential backoff
-                return getWordDefinition(word, retryCount + 1);
+                return requestWordEntry(word, { regenerate, retryCount: retryCount + 1 });
             }
 
             if (error.message.includes('401') || error.message.includes('403')) {
@@ -154,7 +198,7 @@ Example: [example sentence using EXACTLY "${word}"]`
 
             // If this is the last attempt, throw the error
             if (attempts >= maxAttempts) {
-                throw new Error(errorMessage);
+                throw new LookupError(LOOKUP_ERROR_CODES.PROVIDER, errorMessage);
             }
 
             // Otherwise, continue to next attempt
@@ -165,140 +209,90 @@ Example: [example sentence using EXACTLY "${word}"]`
     throw new Error(`Failed to generate definition for "${word}" after ${maxAttempts} attempts`);
 }
 
-export async function regenerateWordExample(word, retryCount = 0) {
+export async function getWordDefinition(word, retryCount = 0) {
     if (!word.trim()) {
         return null;
     }
 
-    // For regeneration, try up to 3 times to get a valid example
-    let attempts = 0;
-    const maxAttempts = 3;
-
-    while (attempts < maxAttempts) {
-        attempts++;
-        console.log(`🔄 Regeneration attempt ${attempts}/${maxAttempts} for "${word}"`);
-
-        try {
-            const response = await fetch(MISTRAL_API_URL, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${MISTRAL_API_KEY}`
-                },
-                body: JSON.stringify({
-                    model: 'mistral-large-latest',
-                    messages: [{
-                        role: 'user',
-                        content: attempts === 1
-                            ? `For the word "${word}":
-1. Provide a brief, clear definition (1-2 sentences).
-2. Provide one simple example sentence using the word. Don't give me any additional information.
-
-CRITICAL REQUIREMENTS FOR REGENERATION:
-- DO NOT use the word "${word}" or any variation of it in the definition itself
-- The definition should describe the meaning WITHOUT mentioning the word
-- The example sentence MUST use the EXACT word "${word}" (not plural, not past tense, not any variation)
-- The example sentence must be grammatically correct and natural
-- This is for regenerating examples - the example MUST contain the exact word "${word}"
-
-FORCED EXAMPLES:
-- For word "run": "She decided to run in the park every morning."
-- For word "happy": "The child was happy with his new toy."
-- For word "book": "I enjoy reading a book before bed."
+    // Check Supabase first (only on first call, not retries)
+    if (retryCount === 0) {
+        const existingWord = await getWordIfExists(word);
+        if (existingWord) {
+            return { ...existingWord, fromSupabase: true };
+        }
+    }
 
-Format your response as:
-Definition: [definition here - WITHOUT using the word "${word}"]
-Example: [example sentence using EXACTLY "${word}"]
+    return requestWordEntry(word, { retryCount });
+}
 
-If it's not a valid word, say so briefly.`
-                            : `CRITICAL FIX NEEDED: The previous regeneration did not contain the exact word "${word}". Try again:
+export async function regenerateWordExample(word, retryCount = 0) {
+    if (!word.trim()) {
+        return null;
+    }
 
-For the word "${word}":
-1. Provide a brief, clear definition (1-2 sentences).
-2. Provide one simple example sentence using the word. Don't give me any additional information.
+    return requestWordEntry(word, { regenerate: true, retryCount });
+}
 
-FORCED REGENERATION REQUIREMENTS:
-- The example sentence MUST contain the EXACT word "${word}" (check spelling!)
-- Do NOT use plurals, past tense, or other variations
-- Example must be natural and grammatically correct
-- This is a regeneration - ensure the example contains "${word}"
+export async function gradeProductionAnswer(word, definition, answer, retryCount = 0) {
+    if (!word.trim() || !answer.trim()) {
+        return null;
+    }
 
-Format your response as:
-Definition: [definition here - WITHOUT using the word "${word}"]
-Example: [example sentence using EXACTLY "${word}"]`
-                    }],
-                    temperature: attempts > 1 ? 0.3 : 0.7, // Lower temperature on retries for consistency
-                    max_tokens: 200
-                })
-            });
+    try {
+        const content = await getAIProvider().complete({
+            prompt: `A language learner was shown the word "${word}" and asked to write its definition or a sentence using it.
 
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(`API error: ${response.status} - ${errorData.message || 'Unknown error'}`);
-            }
+Reference definition: ${definition}
 
-            const data = await response.json();
-            const content = data.choices[0].message.content;
+Learner's answer: ${answer}
 
-            // Parse definition and example
-            let definition = content;
-            let example = '';
+Judge whether the answer shows that the learner understands the meaning of "${word}". Ignore spelling and grammar mistakes that do not change the meaning. A sentence counts as correct if it uses "${word}" naturally with the right meaning.
 
-            if (content.includes('Definition:') && content.includes('Example:')) {
-                const parts = content.split('Example:');
-                definition = parts[0].replace('Definition:', '').trim();
-                example = parts[1].trim();
-            }
+Score from 0 to 100:
+- 0-39: wrong meaning or no real attempt
+- 40-64: partly right, important parts missing or confused
+- 65-89: correct meaning
+- 90-100: precise and complete
 
-            // Validate the generated example
-            const isValidExample = containsWord(example, word);
-
-            if (isValidExample) {
-                console.log(`✅ Valid regeneration generated on attempt ${attempts}: "${example}"`);
-                return { word, definition, example, fromSupabase: false };
-            } else {
-                console.log(`⚠️ Invalid regeneration (attempt ${attempts}): "${example}"`);
-
-                if (attempts < maxAttempts) {
-                    console.log(`🔄 Retrying regeneration with stricter prompt for "${word}"...`);
-                    // Brief pause before retry
-                    await delay(300);
-                    continue;
-                } else {
-                    console.log(`❌ Failed to regenerate valid example after ${maxAttempts} attempts`);
-                    // Return the last attempt anyway, but mark it as potentially invalid
-                    return { word, definition, example, fromSupabase: false, potentiallyInvalid: true };
-                }
-            }
+Format your response as:
+Score: [number]
+Feedback: [one or two short sentences addressed to the learner; if the answer is not fully correct, give the correction]`,
+            temperature: 0.2,
+            maxTokens: 150
+        });
+
+        // Parse score and feedback
+        const scoreMatch = content.match(/Score:\s*(\d+)/i);
+        if (!scoreMatch) {
+            throw new Error('Could not read a score from the grading response');
+        }
 
-        } catch (error) {
-            console.error(`Error on regeneration attempt ${attempts} for "${word}":`, error);
-            let errorMessage = error.message;
+        const score = Math.min(100, Math.max(0, parseInt(scoreMatch[1], 10)));
+        const feedback = content.includes('Feedback:')
+            ? content.split(/Feedback:/i)[1].trim()
+            : '';
 
-            // Handle rate limiting with retry
-            if ((error.message.includes('429') || error.message.includes('Rate limit')) && retryCount < MAX_RETRIES) {
-                console.log(`Rate limit hit for regeneration of "${word}". Retrying in ${RETRY_DELAY}ms... (Attempt ${retryCount + 1}/${MAX_RETRIES})`);
-                await delay(RETRY_DELAY * (retryCount + 1)); // Exponential backoff
-                return regenerateWordExample(word, retryCount + 1);
-            }
+        return { score, feedback };
 
-            if (error.message.includes('401') || error.message.includes('403')) {
-                errorMessage = 'API authentication failed. Please check your API key.';
-            } else if (error.message.includes('429') || error.message.includes('quota')) {
-                errorMessage = 'API quota exceeded. Please wait or upgrade your plan.';
-            }
+    } catch (error) {
+        console.error(`Error grading answer for "${word}":`, error);
+        let errorMessage = error.message;
 
-            // If this is the last attempt, throw the error
-            if (attempts >= maxAttempts) {
-                throw new Error(errorMessage);
-            }
+        // Handle rate limiting with retry
+        if ((error.message.includes('429') || error.message.includes('Rate limit')) && retryCount < MAX_RETRIES) {
+            console.log(`Rate limit hit while grading "${word}". Retrying in ${RETRY_DELAY}ms... (Attempt ${retryCount + 1}/${MAX_RETRIES})`);
+            await delay(RETRY_DELAY * (retryCount + 1)); // Exponential backoff
+            return gradeProductionAnswer(word, definition, answer, retryCount + 1);
+        }
 
-            // Otherwise, continue to next attempt
+        if (error.message.includes('401') || error.message.includes('403')) {
+            errorMessage = 'API authentication failed. Please check your API key.';
+        } else if (error.message.includes('429') || error.message.includes('quota')) {
+            errorMessage = 'API quota exceeded. Please wait or upgrade your plan.';
         }
-    }
 
-    // This should never be reached, but just in case
-    throw new Error(`Failed to regenerate example for "${word}" after ${maxAttempts} attempts`);
+        throw new Error(errorMessage);
+    }
 }
 
 export async function getBatchWordDefinitions(words, progressCallback = null, onWordCompleteCallback = null) {
@@ -341,6 +335,7 @@ export async function getBatchWordDefinitions(words, progressCallback = null, on
                 const errorResult = { 
                     word, 
                     error: error.message, 
+                    errorCode: error.code || null,
                     success: false 
                 };
                 results.push(errorResult);
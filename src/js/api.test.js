@@ -1,5 +1,5 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { getWordDefinition } from './api.js';
+import { getWordDefinition, gradeProductionAnswer } from './api.js';
 
 // Mock storage module before importing api
 vi.mock('./storage/index.js', () => ({
@@ -8,6 +8,40 @@ vi.mock('./storage/index.js', () => ({
 
 import { getWordIfExists } from './storage/index.js';
 
+// Chat completion response whose reply is the given text (objects are sent as JSON)
+function mockReply(content) {
+    return {
+        ok: true,
+        json: async () => ({
+            choices: [{
+                message: { content: typeof content === 'string' ? content : JSON.stringify(content) }
+            }]
+        })
+    };
+}
+
+const helloEntry = {
+    word: 'hello',
+    valid: true,
+    ipa: '/həˈloʊ/',
+    partOfSpeech: 'interjection',
+    register: 'neutral',
+    senses: [
+        {
+            partOfSpeech: 'interjection',
+            definition: 'A greeting',
+            register: 'neutral',
+            examples: ['Hello, world!', 'She said hello to everyone.']
+        },
+        {
+            partOfSpeech: 'noun',
+            definition: 'An utterance of greeting',
+            register: 'informal',
+            examples: ['He gave a cheerful hello.']
+        }
+    ]
+};
+
 describe('API Functions', () => {
     beforeEach(() => {
         // Reset fetch mock before each test
@@ -50,51 +84,67 @@ describe('API Functions', () => {
         });
 
         it('should fetch definition from API', async () => {
-            const mockResponse = {
-                choices: [{
-                    message: {
-                        content: 'Definition: A greeting\nExample: Hello, world!'
-                    }
-                }]
-            };
-
-            global.fetch.mockResolvedValueOnce({
-                ok: true,
-                json: async () => mockResponse
-            });
+            global.fetch.mockResolvedValueOnce(mockReply(helloEntry));
 
             const result = await getWordDefinition('hello');
 
-            expect(result).toEqual({
+            expect(result).toMatchObject({
                 word: 'hello',
                 definition: 'A greeting',
                 example: 'Hello, world!',
+                examples: ['Hello, world!', 'She said hello to everyone.'],
+                partOfSpeech: 'interjection',
+                ipa: '/həˈloʊ/',
+                register: 'neutral',
                 fromSupabase: false
             });
+            expect(result.senses).toHaveLength(2);
+            expect(result.senses[1]).toMatchObject({ partOfSpeech: 'noun', register: 'informal' });
             expect(getWordIfExists).toHaveBeenCalledWith('hello');
             expect(global.fetch).toHaveBeenCalledTimes(1);
         });
 
-        it('should handle API response without proper format', async () => {
-            const mockResponse = {
-                choices: [{
-                    message: {
-                        content: 'Just a simple definition without format'
-                    }
-                }]
-            };
+        it('should repair JSON wrapped in code fences with trailing commas', async () => {
+            const json = JSON.stringify(helloEntry, null, 2).replace(/"\n(\s*)\]/, '",\n$1]');
+            global.fetch.mockResolvedValueOnce(mockReply('Here you go:\n```json\n' + json + '\n```'));
 
-            global.fetch.mockResolvedValueOnce({
-                ok: true,
-                json: async () => mockResponse
+            const result = await getWordDefinition('hello');
+
+            expect(result.definition).toBe('A greeting');
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+        });
+
+        it('should ask the model to repair a reply that does not match the schema', async () => {
+            const { senses, ...withoutSenses } = helloEntry;
+            global.fetch
+                .mockResolvedValueOnce(mockReply(withoutSenses))
+                .mockResolvedValueOnce(mockReply(helloEntry));
+
+            const result = await getWordDefinition('hello');
+
+            expect(result.definition).toBe('A greeting');
+            expect(global.fetch).toHaveBeenCalledTimes(2);
+            const repairPrompt = JSON.parse(global.fetch.mock.calls[1][1].body).messages[0].content;
+            expect(repairPrompt).toContain('reply.senses is missing');
+        });
+
+        it('should throw an invalid_json error when the reply cannot be read', async () => {
+            global.fetch.mockResolvedValue(mockReply('Definition: A test\nExample: This is a test.'));
+
+            await expect(getWordDefinition('test')).rejects.toMatchObject({
+                name: 'LookupError',
+                code: 'invalid_json'
             });
+        });
 
-            const result = await getWordDefinition('test');
+        it('should throw a not_a_word error without retrying', async () => {
+            global.fetch.mockResolvedValueOnce(mockReply({ word: 'xqzt', valid: false, reason: 'not an English word' }));
 
-            expect(result.word).toBe('test');
-            expect(result.definition).toBe('Just a simple definition without format');
-            expect(result.example).toBe('');
-            expect(result.fromSupabase).toBe(false);
+            await expect(getWordDefinition('xqzt')).rejects.toMatchObject({
+                code: 'not_a_word',
+                message: '"xqzt" does not look like a valid word: not an English word'
+            });
+            expect(global.fetch).toHaveBeenCalledTimes(1);
         });
 
         it('should handle API errors with status 401', async () => {
@@ -135,16 +185,7 @@ describe('API Functions', () => {
         });
 
         it('should send correct API request format', async () => {
-            const mockResponse = {
-                choices: [{
-                    message: { content: 'Definition: test\nExample: test' }
-                }]
-            };
-
-            global.fetch.mockResolvedValueOnce({
-                ok: true,
-                json: async () => mockResponse
-            });
+            global.fetch.mockResolvedValueOnce(mockReply(helloEntry));
 
             await getWordDefinition('hello');
 
@@ -160,6 +201,44 @@ describe('API Functions', () => {
             expect(body.model).toBe('mistral-large-latest');
             expect(body.messages[0].role).toBe('user');
             expect(body.messages[0].content).toContain('hello');
+            expect(body.response_format).toEqual({ type: 'json_object' });
+        });
+    });
+
+    describe('gradeProductionAnswer', () => {
+        it('should return null for an empty answer', async () => {
+            const result = await gradeProductionAnswer('brave', 'Courageous', '   ');
+            expect(result).toBeNull();
+            expect(global.fetch).not.toHaveBeenCalled();
+        });
+
+        it('should parse the score and feedback', async () => {
+            global.fetch.mockResolvedValueOnce({
+                ok: true,
+                json: async () => ({
+                    choices: [{
+                        message: { content: 'Score: 85\nFeedback: Correct meaning, but a little vague.' }
+                    }]
+                })
+            });
+
+            const result = await gradeProductionAnswer('brave', 'Courageous', 'not afraid');
+
+            expect(result).toEqual({ score: 85, feedback: 'Correct meaning, but a little vague.' });
+            const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+            expect(body.messages[0].content).toContain('brave');
+            expect(body.messages[0].content).toContain('not afraid');
+        });
+
+        it('should throw when the response has no score', async () => {
+            global.fetch.mockResolvedValueOnce({
+                ok: true,
+                json: async () => ({
+                    choices: [{ message: { content: 'Looks fine to me.' } }]
+                })
+            });
+
+            await expect(gradeProductionAnswer('brave', 'Courageous', 'bold')).rejects.toThrow('score');
         });
     });
 });
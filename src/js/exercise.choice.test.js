@@ -0,0 +1,115 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// Mock storage and UI modules used by the quiz
+vi.mock('./storage/index.js', () => ({
+    updateWordReviewFSRS: vi.fn(),
+    deleteWord: vi.fn(),
+    getSavedWords: vi.fn(),
+    getWordsDueForReview: vi.fn()
+}));
+
+vi.mock('./ui/index.js', () => ({
+    showEditModal: vi.fn(),
+    displaySavedWords: vi.fn(),
+    offerUndoDelete: vi.fn(),
+    showWordDetail: vi.fn()
+}));
+
+import { selectDistractors, getPartOfSpeech, buildChoiceOptions } from './exercise/multipleChoice.js';
+import { initializeQuiz, showQuestion, chooseOption, isAwaitingChoice, getExerciseWords } from './exercise/quiz.js';
+import { EXERCISE_MODES } from './exercise/session.js';
+import { setSetting } from './settings.js';
+import { FSRS_RATING } from './fsrs.js';
+import { updateWordReviewFSRS } from './storage/index.js';
+
+const collection = [
+    { word: 'happiness', definition: 'Joy', example: 'Pure happiness.', difficulty: 5 },
+    { word: 'kindness', definition: 'Being kind', example: 'Show kindness.', difficulty: 5 },
+    { word: 'sadness', definition: 'Sorrow', example: 'Deep sadness.', difficulty: 6 },
+    { word: 'quickly', definition: 'Fast', example: 'Run quickly.', difficulty: 2 },
+    { word: 'run', definition: 'Move fast', example: 'I run daily.', difficulty: 3 },
+    { word: 'runs', definition: 'Moves fast', example: 'She runs.', difficulty: 3 }
+];
+
+describe('Multiple Choice', () => {
+    describe('Distractors', () => {
+        it('should guess the part of speech from common suffixes', () => {
+            expect(getPartOfSpeech({ word: 'kindness' })).toBe('noun');
+            expect(getPartOfSpeech({ word: 'quickly' })).toBe('adverb');
+            expect(getPartOfSpeech({ word: 'cat', partOfSpeech: 'Noun' })).toBe('noun');
+        });
+
+        it('should prefer words with similar length and part of speech', () => {
+            const distractors = selectDistractors(collection[0], collection, 2);
+            expect(distractors.map(d => d.word).sort()).toEqual(['kindness', 'sadness']);
+        });
+
+        it('should never offer the answer or its inflections as a distractor', () => {
+            const distractors = selectDistractors(collection[4], collection, 5);
+            const words = distractors.map(d => d.word);
+            expect(words).not.toContain('run');
+            expect(words).not.toContain('runs');
+        });
+
+        it('should include the target among the options', () => {
+            const options = buildChoiceOptions(collection[0], collection);
+            expect(options).toHaveLength(4);
+            expect(options).toContain(collection[0]);
+        });
+    });
+
+    describe('Quiz flow', () => {
+        beforeEach(() => {
+            vi.clearAllMocks();
+            localStorage.clear();
+            setSetting('gradingMode', 'auto');
+            document.body.innerHTML = `
+                <div id="wordDueInfo"></div>
+                <div id="exampleSentence"></div>
+                <div id="definitionDisplay"></div>
+                <input id="answerInput" />
+                <div id="choiceOptions" style="display: none;"></div>
+                <div id="answerFeedback"></div>
+                <div id="gradeButtons" style="display: none;"></div>
+                <button id="nextQuestion"></button>
+                <div id="exerciseCardActions"></div>
+            `;
+
+            initializeQuiz(collection.slice(0, 3).map(w => ({ ...w })), {
+                mode: EXERCISE_MODES.CHOICE,
+                distractorPool: collection
+            });
+            showQuestion();
+        });
+
+        it('should show four options instead of the text input', () => {
+            expect(document.querySelectorAll('#choiceOptions .choice-btn')).toHaveLength(4);
+            expect(document.getElementById('answerInput').style.display).toBe('none');
+            expect(isAwaitingChoice()).toBe(true);
+        });
+
+        it('should schedule a correct choice with the usual rating', () => {
+            const buttons = [...document.querySelectorAll('.choice-btn')];
+            const correctIndex = buttons.findIndex(b => b.textContent.includes('happiness'));
+
+            expect(chooseOption(correctIndex)).toBe(true);
+            expect(updateWordReviewFSRS).toHaveBeenCalledWith(
+                'happiness', true, expect.any(Number), expect.objectContaining({ rating: null })
+            );
+            expect(isAwaitingChoice()).toBe(false);
+        });
+
+        it('should rate a wrong choice Again and requeue the word', () => {
+            const buttons = [...document.querySelectorAll('.choice-btn')];
+            const wrongIndex = buttons.findIndex(b => !b.textContent.includes('happiness'));
+
+            chooseOption(wrongIndex);
+
+            expect(updateWordReviewFSRS).toHaveBeenCalledWith(
+                'happiness', false, expect.any(Number), expect.objectContaining({ rating: FSRS_RATING.AGAIN })
+            );
+            expect(document.querySelector('.choice-btn.correct')).toBeTruthy();
+            expect(getExerciseWords().filter(w => w.word === 'happiness')).toHaveLength(2);
+        });
+    });
+});
@@ -0,0 +1,204 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// Mock storage and UI modules used by the quiz
+vi.mock('./storage/index.js', () => ({
+    updateWordReviewFSRS: vi.fn(),
+    deleteWord: vi.fn(),
+    getSavedWords: vi.fn()
+}));
+
+vi.mock('./ui/index.js', () => ({
+    showEditModal: vi.fn(),
+    displaySavedWords: vi.fn(),
+    offerUndoDelete: vi.fn(),
+    showWordDetail: vi.fn()
+}));
+
+import { formatInterval, getRatingForKey, predictReviews } from './exercise/grading.js';
+import {
+    initializeQuiz,
+    showQuestion,
+    checkAnswer,
+    gradeAnswer,
+    isAwaitingGrade,
+    getSuggestedRating,
+    getExerciseWords,
+    handleShowWordDetails
+} from './exercise/quiz.js';
+import { isCacheValid, updateCache } from './exercise/session.js';
+import { setSetting } from './settings.js';
+import { FSRS_RATING, fsrsInstance } from './fsrs.js';
+import { updateWordReviewFSRS, getSavedWords } from './storage/index.js';
+import { showWordDetail } from './ui/index.js';
+
+const words = [
+    { word: 'apple', definition: 'A fruit', example: 'I ate an apple.', reps: 0, stability: 0, difficulty: 5 },
+    { word: 'brave', definition: 'Courageous', example: 'She was brave.', reps: 0, stability: 0, difficulty: 5 },
+    { word: 'calm', definition: 'Peaceful', example: 'Stay calm.', reps: 0, stability: 0, difficulty: 5 }
+];
+
+describe('Exercise Grading', () => {
+    describe('Grading helpers', () => {
+        it('should map keys 1-4 to Again/Hard/Good/Easy', () => {
+            expect(getRatingForKey('1')).toBe(FSRS_RATING.AGAIN);
+            expect(getRatingForKey('4')).toBe(FSRS_RATING.EASY);
+            expect(getRatingForKey('5')).toBeNull();
+        });
+
+        it('should format intervals compactly', () => {
+            expect(formatInterval(0)).toBe('<1d');
+            expect(formatInterval(3)).toBe('3d');
+            expect(formatInterval(90)).toBe('3mo');
+            expect(formatInterval(547)).toBe('1.5y');
+        });
+
+        it('should predict longer intervals for better grades', () => {
+            const now = new Date('2024-01-10T00:00:00Z');
+            const word = { stability: 5, difficulty: 5, reps: 3, lapses: 0, last_review: new Date('2024-01-05T00:00:00Z') };
+
+            const predictions = predictReviews(word, now);
+
+            expect(predictions[FSRS_RATING.HARD].scheduled_days).toBeLessThan(predictions[FSRS_RATING.GOOD].scheduled_days);
+            expect(predictions[FSRS_RATING.GOOD].scheduled_days).toBeLessThan(predictions[FSRS_RATING.EASY].scheduled_days);
+        });
+    });
+
+    describe('Quiz flow', () => {
+        beforeEach(() => {
+            vi.clearAllMocks();
+            localStorage.clear();
+            document.body.innerHTML = `
+                <div class="question-card-minimal"></div>
+                <div id="wordDueInfo"></div>
+                <div id="exampleSentence"></div>
+                <div id="definitionDisplay"></div>
+                <input id="answerInput" />
+                <p class="press-enter-hint"></p>
+                <div id="answerFeedback"></div>
+                <div id="gradeButtons" style="display: none;"></div>
+                <button id="nextQuestion"></button>
+                <div id="exerciseCardActions"></div>
+            `;
+
+            initializeQuiz(words.map(w => ({ ...w })));
+            showQuestion();
+        });
+
+        it('should show grade buttons and wait for a self-grade', async () => {
+            document.getElementById('answerInput').value = 'apple';
+            await checkAnswer();
+
+            expect(isAwaitingGrade()).toBe(true);
+            expect(getSuggestedRating()).toBe(FSRS_RATING.GOOD);
+            expect(document.querySelectorAll('#gradeButtons .grade-btn')).toHaveLength(4);
+            expect(updateWordReviewFSRS).not.toHaveBeenCalled();
+        });
+
+        it('should record the chosen grade and requeue words graded Again', async () => {
+            document.getElementById('answerInput').value = 'apple';
+            await checkAnswer();
+
+            gradeAnswer(FSRS_RATING.AGAIN);
+
+            expect(updateWordReviewFSRS).toHaveBeenCalledWith(
+                'apple', false, expect.any(Number), expect.objectContaining({ rating: FSRS_RATING.AGAIN })
+            );
+            expect(isAwaitingGrade()).toBe(false);
+            expect(getExerciseWords().filter(w => w.word === 'apple')).toHaveLength(2);
+        });
+
+        it('should drop the cached exercise data once a grade is saved', async () => {
+            updateCache({ savedWords: words, dueWords: [] });
+            document.getElementById('answerInput').value = 'apple';
+            await checkAnswer();
+
+            expect(isCacheValid()).toBeTruthy();
+            gradeAnswer(FSRS_RATING.GOOD);
+            expect(isCacheValid()).toBeFalsy();
+        });
+
+        it('should pass grade clicks to the callback', async () => {
+            const onGrade = vi.fn();
+            document.getElementById('answerInput').value = 'wrong';
+            await checkAnswer(onGrade);
+
+            expect(getSuggestedRating()).toBe(FSRS_RATING.AGAIN);
+            document.querySelector('.grade-btn.hard').click();
+            expect(onGrade).toHaveBeenCalledWith(FSRS_RATING.HARD);
+        });
+
+        it('should treat a typo as a near miss with a letter diff', async () => {
+            document.getElementById('answerInput').value = 'appel';
+            await checkAnswer();
+
+            expect(getSuggestedRating()).toBe(FSRS_RATING.GOOD);
+            expect(document.getElementById('answerInput').classList.contains('close-input')).toBe(true);
+            expect(document.querySelector('#answerFeedback .diff-wrong')).toBeTruthy();
+        });
+
+        it('should not rate a slow typo above a slow exact answer', async () => {
+            setSetting('gradingMode', 'auto');
+            vi.useFakeTimers({ toFake: ['Date'] });
+            const start = new Date('2024-01-10T00:00:00Z');
+
+            const answerSlowly = async (answer) => {
+                vi.setSystemTime(start);
+                showQuestion();
+                vi.setSystemTime(start.getTime() + 8000);
+                document.getElementById('answerInput').value = answer;
+                await checkAnswer();
+            };
+
+            await answerSlowly('apple');
+            await answerSlowly('brvae');
+            vi.useRealTimers();
+
+            const [exact, typo] = updateWordReviewFSRS.mock.calls;
+            expect(exact[2]).toBe(8000);
+            expect(exact[3].rating).toBeNull();
+            expect(fsrsInstance.determineRating(true, exact[2])).toBe(FSRS_RATING.HARD);
+            expect(typo[3].rating).toBe(FSRS_RATING.HARD);
+        });
+
+        it('should rate automatically when self-grading is turned off', async () => {
+            setSetting('gradingMode', 'auto');
+            document.getElementById('answerInput').value = 'apple';
+            await checkAnswer();
+
+            expect(isAwaitingGrade()).toBe(false);
+            expect(updateWordReviewFSRS).toHaveBeenCalledWith('apple', true, expect.any(Number), expect.any(Object));
+        });
+
+        it('should show the details of a word with its new review', async () => {
+            setSetting('gradingMode', 'auto');
+            let storeReview;
+            updateWordReviewFSRS.mockReturnValueOnce(new Promise(resolve => { storeReview = resolve; }));
+            const reviewed = { ...words[0], reps: 1, stability: 3.2 };
+            getSavedWords.mockResolvedValueOnce([reviewed, words[1], words[2]]);
+
+            document.getElementById('answerInput').value = 'apple';
+            await checkAnswer();
+            const shown = handleShowWordDetails();
+
+            expect(showWordDetail).not.toHaveBeenCalled();
+            storeReview(true);
+            await shown;
+            expect(showWordDetail).toHaveBeenCalledWith(reviewed);
+        });
+
+        it('should show imported words and examples as text', async () => {
+            initializeQuiz([{ ...words[0], word: 'C++', example: 'I code in C++ <img src="x" onerror="alert(1)">' }]);
+            showQuestion();
+
+            const example = document.getElementById('exampleSentence');
+            expect(example.querySelector('img')).toBeNull();
+            expect(example.textContent).toBe('"I code in ___________ <img src="x" onerror="alert(1)">"');
+
+            document.getElementById('answerInput').value = 'C++';
+            await checkAnswer();
+
+            expect(example.querySelector('img')).toBeNull();
+            expect(example.querySelector('.highlight-word').textContent).toBe('C++');
+        });
+    });
+});
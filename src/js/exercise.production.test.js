@@ -0,0 +1,104 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// Mock storage, UI and API modules used by the quiz
+vi.mock('./storage/index.js', () => ({
+    updateWordReviewFSRS: vi.fn(),
+    deleteWord: vi.fn(),
+    getSavedWords: vi.fn()
+}));
+
+vi.mock('./ui/index.js', () => ({
+    showEditModal: vi.fn(),
+    displaySavedWords: vi.fn(),
+    offerUndoDelete: vi.fn(),
+    showWordDetail: vi.fn()
+}));
+
+vi.mock('./api.js', () => ({
+    gradeProductionAnswer: vi.fn()
+}));
+
+import { scoreToRating } from './exercise/production.js';
+import { initializeQuiz, showQuestion, checkAnswer, isAwaitingGrade, getSuggestedRating, isCheckingAnswer } from './exercise/quiz.js';
+import { EXERCISE_MODES } from './exercise/session.js';
+import { setSetting } from './settings.js';
+import { FSRS_RATING } from './fsrs.js';
+import { updateWordReviewFSRS } from './storage/index.js';
+import { gradeProductionAnswer } from './api.js';
+
+const words = [
+    { word: 'brave', definition: 'Courageous', example: 'She was brave.', difficulty: 5 },
+    { word: 'calm', definition: 'Peaceful', example: 'Stay calm.', difficulty: 5 }
+];
+
+describe('Production Mode', () => {
+    it('should map AI scores to ratings', () => {
+        expect(scoreToRating(95)).toBe(FSRS_RATING.EASY);
+        expect(scoreToRating(70)).toBe(FSRS_RATING.GOOD);
+        expect(scoreToRating(50)).toBe(FSRS_RATING.HARD);
+        expect(scoreToRating(10)).toBe(FSRS_RATING.AGAIN);
+    });
+
+    describe('Quiz flow', () => {
+        beforeEach(() => {
+            vi.clearAllMocks();
+            localStorage.clear();
+            setSetting('gradingMode', 'auto');
+            document.body.innerHTML = `
+                <div id="wordDueInfo"></div>
+                <div id="exampleSentence"></div>
+                <div id="definitionDisplay"></div>
+                <input id="answerInput" />
+                <div id="answerFeedback"></div>
+                <div id="gradeButtons" style="display: none;"></div>
+                <button id="nextQuestion"></button>
+                <div id="exerciseCardActions"></div>
+            `;
+
+            initializeQuiz(words.map(w => ({ ...w })), { mode: EXERCISE_MODES.PRODUCTION });
+            showQuestion();
+        });
+
+        it('should show the word instead of the definition', () => {
+            expect(document.getElementById('exampleSentence').textContent).toBe('brave');
+            expect(document.getElementById('definitionDisplay').textContent).not.toContain('Courageous');
+        });
+
+        it('should show markup in a word as text', () => {
+            initializeQuiz([{ ...words[0], word: '<img src=x onerror=alert(1)>' }], { mode: EXERCISE_MODES.PRODUCTION });
+            showQuestion();
+
+            const shown = document.querySelector('#exampleSentence .production-word');
+            expect(shown.textContent).toBe('<img src=x onerror=alert(1)>');
+            expect(shown.querySelector('img')).toBeNull();
+        });
+
+        it('should schedule the word with the rating from the AI score', async () => {
+            vi.mocked(gradeProductionAnswer).mockResolvedValueOnce({ score: 50, feedback: 'Partly right.' });
+            document.getElementById('answerInput').value = 'calm and quiet';
+
+            const pending = checkAnswer();
+            expect(isCheckingAnswer()).toBe(true);
+            await pending;
+
+            expect(gradeProductionAnswer).toHaveBeenCalledWith('brave', 'Courageous', 'calm and quiet');
+            expect(updateWordReviewFSRS).toHaveBeenCalledWith(
+                'brave', true, expect.any(Number), expect.objectContaining({ rating: FSRS_RATING.HARD })
+            );
+            expect(document.querySelector('#answerFeedback .production-comment').textContent).toBe('Partly right.');
+            expect(isCheckingAnswer()).toBe(false);
+        });
+
+        it('should fall back to self-grading when the AI fails', async () => {
+            vi.mocked(gradeProductionAnswer).mockRejectedValueOnce(new Error('Network error'));
+            document.getElementById('answerInput').value = 'not afraid';
+
+            await checkAnswer();
+
+            expect(updateWordReviewFSRS).not.toHaveBeenCalled();
+            expect(isAwaitingGrade()).toBe(true);
+            expect(getSuggestedRating()).toBe(FSRS_RATING.GOOD);
+            expect(document.querySelector('#answerFeedback .production-feedback.unavailable')).toBeTruthy();
+        });
+    });
+});
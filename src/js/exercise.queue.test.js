@@ -0,0 +1,174 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// Mock storage used by the queue
+vi.mock('./storage/index.js', () => ({
+    getReviewLogs: vi.fn(() => Promise.resolve([]))
+}));
+
+import {
+    buildStudyQueue,
+    getStudiedToday,
+    getQueueSettings,
+    REVIEW_ORDERS,
+    NEW_WORD_POSITIONS
+} from './exercise/queue.js';
+import { setSetting } from './settings.js';
+import { getReviewLogs } from './storage/index.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date('2024-06-15T12:00:00Z');
+
+/**
+ * Build a learned word
+ * @param {string} word - Word text
+ * @param {number} dueInDays - Days until its next review (negative if overdue)
+ * @param {number} stability - Stability in days
+ * @returns {Object} Word
+ */
+function reviewWord(word, dueInDays, stability = 10) {
+    return {
+        id: word,
+        word,
+        reps: 3,
+        stability,
+        last_review: new Date(now.getTime() + (dueInDays - stability) * DAY).toISOString(),
+        nextReview: new Date(now.getTime() + dueInDays * DAY).toISOString()
+    };
+}
+
+/**
+ * Build a word that was never studied
+ * @param {string} word - Word text
+ * @param {number} savedDaysAgo - Days since it was saved
+ * @returns {Object} Word
+ */
+function newWord(word, savedDaysAgo) {
+    return {
+        id: word,
+        word,
+        reps: 0,
+        stability: 0,
+        timestamp: new Date(now.getTime() - savedDaysAgo * DAY).toISOString(),
+        nextReview: now.toISOString()
+    };
+}
+
+const options = {
+    sessionSize: 25,
+    newLimit: 20,
+    reviewLimit: 200,
+    order: REVIEW_ORDERS.OVERDUE,
+    newPosition: NEW_WORD_POSITIONS.AFTER,
+    now
+};
+
+describe('Study Queue', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        localStorage.clear();
+    });
+
+    it('should put the longest overdue reviews first and new words oldest first', () => {
+        const due = [reviewWord('calm', -1), reviewWord('apple', -5), reviewWord('brave', -3)];
+        const fresh = [newWord('dusk', 1), newWord('ember', 9)];
+
+        const queue = buildStudyQueue([...due, ...fresh, reviewWord('later', 4)], [...due, ...fresh], options);
+
+        expect(queue.words.map(w => w.word)).toEqual(['apple', 'brave', 'calm', 'ember', 'dusk']);
+        expect(queue).toEqual(expect.objectContaining({ reviews: 3, newWords: 2, practiceAhead: 0 }));
+    });
+
+    it('should order reviews by lowest retrievability', () => {
+        // Same days overdue, but the less stable word is more likely forgotten
+        const due = [reviewWord('steady', -2, 30), reviewWord('shaky', -2, 2)];
+
+        const queue = buildStudyQueue(due, due, { ...options, order: REVIEW_ORDERS.RETRIEVABILITY });
+
+        expect(queue.words.map(w => w.word)).toEqual(['shaky', 'steady']);
+    });
+
+    it('should cap new words and reviews by what is left of the daily limits', () => {
+        const due = ['a', 'b', 'c', 'd'].map((w, i) => reviewWord(w, -i - 1));
+        const fresh = ['e', 'f', 'g'].map((w, i) => newWord(w, i));
+        const studiedToday = { newIds: new Set(['x']), reviewIds: new Set(['y', 'z']) };
+
+        const queue = buildStudyQueue([...due, ...fresh], [...due, ...fresh], {
+            ...options,
+            newLimit: 3,
+            reviewLimit: 4,
+            studiedToday
+        });
+
+        expect(queue).toEqual(expect.objectContaining({ reviews: 2, newWords: 2, newLeft: 0, reviewsLeft: 0 }));
+    });
+
+    it('should leave out cards already studied today', () => {
+        const due = [reviewWord('again', -1), reviewWord('brave', -2)];
+        const fresh = [newWord('calm', 1), newWord('dusk', 2)];
+        const studiedToday = { newIds: new Set(['dusk']), reviewIds: new Set(['again']) };
+
+        const queue = buildStudyQueue([...due, ...fresh], [...due, ...fresh], { ...options, studiedToday });
+
+        expect(queue.words.map(w => w.word)).toEqual(['brave', 'calm']);
+        expect(queue).toEqual(expect.objectContaining({ reviewsLeft: 198, newLeft: 18 }));
+    });
+
+    it('should keep the session size, reviews first', () => {
+        const due = ['a', 'b', 'c'].map((w, i) => reviewWord(w, -i - 1));
+        const fresh = ['d', 'e'].map((w, i) => newWord(w, i));
+
+        const queue = buildStudyQueue([...due, ...fresh], due, { ...options, sessionSize: 4 });
+
+        expect(queue.words).toHaveLength(4);
+        expect(queue).toEqual(expect.objectContaining({ reviews: 3, newWords: 1 }));
+    });
+
+    it('should spread new words evenly between reviews when mixed', () => {
+        const due = ['r1', 'r2', 'r3', 'r4'].map((w, i) => reviewWord(w, -4 + i));
+        const fresh = ['n1', 'n2'].map((w, i) => newWord(w, 2 - i));
+
+        const mixed = buildStudyQueue([...due, ...fresh], due, { ...options, newPosition: NEW_WORD_POSITIONS.MIX });
+        const before = buildStudyQueue([...due, ...fresh], due, { ...options, newPosition: NEW_WORD_POSITIONS.BEFORE });
+
+        expect(mixed.words.map(w => w.word)).toEqual(['r1', 'n1', 'r2', 'r3', 'n2', 'r4']);
+        expect(before.words.map(w => w.word)).toEqual(['n1', 'n2', 'r1', 'r2', 'r3', 'r4']);
+    });
+
+    it('should practice learned words ahead of schedule when nothing else is left', () => {
+        const learned = [reviewWord('firm', 20, 30), reviewWord('fading', 1, 3)];
+        const fresh = [newWord('new', 1)];
+
+        const queue = buildStudyQueue([...learned, ...fresh], [], { ...options, newLimit: 0 });
+
+        expect(queue.words.map(w => w.word)).toEqual(['fading', 'firm']);
+        expect(queue.practiceAhead).toBe(2);
+
+        const limited = buildStudyQueue([...learned, ...fresh], [], { ...options, newLimit: 0, reviewLimit: 0 });
+        expect(limited.words).toHaveLength(0);
+    });
+
+    it('should count words first reviewed today as new, and the rest as reviews', async () => {
+        getReviewLogs.mockResolvedValue([
+            { wordId: 'w1', prevStability: 0 },
+            { wordId: 'w1', prevStability: 2.3 },
+            { wordId: 'w2', prevStability: 8 },
+            { wordId: 'w2', prevStability: 1 }
+        ]);
+
+        const { newIds, reviewIds } = await getStudiedToday(now);
+
+        expect([...newIds]).toEqual(['w1']);
+        expect([...reviewIds]).toEqual(['w2']);
+        expect(new Date(getReviewLogs.mock.calls[0][0].since).getHours()).toBe(0);
+    });
+
+    it('should read the limits and order from the settings, falling back to defaults', () => {
+        expect(getQueueSettings()).toEqual({ newLimit: 20, reviewLimit: 200, order: 'overdue', newPosition: 'mix' });
+
+        setSetting('dailyNewLimit', 5);
+        setSetting('reviewOrder', 'random');
+        setSetting('newWordPosition', 'sideways');
+
+        expect(getQueueSettings()).toEqual({ newLimit: 5, reviewLimit: 200, order: 'random', newPosition: 'mix' });
+    });
+});
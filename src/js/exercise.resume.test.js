@@ -0,0 +1,224 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// Mock storage and UI modules used by the quiz
+vi.mock('./storage/index.js', () => ({
+    updateWordReviewFSRS: vi.fn(() => Promise.resolve(true)),
+    revertWordReview: vi.fn(),
+    deleteWord: vi.fn(),
+    getSavedWords: vi.fn(),
+    getWordsDueForReview: vi.fn()
+}));
+
+vi.mock('./ui/index.js', () => ({
+    showEditModal: vi.fn(),
+    displaySavedWords: vi.fn(),
+    offerUndoDelete: vi.fn(),
+    showWordDetail: vi.fn()
+}));
+
+import { initExercise } from './exercise/index.js';
+import {
+    initializeQuiz,
+    resumeQuiz,
+    showQuestion,
+    checkAnswer,
+    gradeAnswer,
+    nextQuestion,
+    getExerciseWords,
+    getQuizState
+} from './exercise/quiz.js';
+import { getActiveSession, saveActiveSession, updateCache } from './exercise/session.js';
+import { setSetting } from './settings.js';
+import { FSRS_RATING } from './fsrs.js';
+
+const words = [
+    { id: 'w1', word: 'apple', definition: 'A fruit', example: 'I ate an apple.' },
+    { id: 'w2', word: 'brave', definition: 'Courageous', example: 'She was brave.' },
+    { id: 'w3', word: 'calm', definition: 'Peaceful', example: 'Stay calm.' }
+];
+
+const quizHtml = `
+    <div id="exerciseQuiz" style="display: none;">
+        <div class="question-card-minimal"></div>
+        <div id="wordDueInfo"></div>
+        <div id="exampleSentence"></div>
+        <div id="definitionDisplay"></div>
+        <input id="answerInput" />
+        <p class="press-enter-hint"></p>
+        <div id="answerFeedback"></div>
+        <div id="gradeButtons" style="display: none;"></div>
+        <button id="nextQuestion"></button>
+        <div id="exerciseCardActions"></div>
+        <button id="exerciseEditBtn"></button>
+        <button id="exerciseDeleteBtn"></button>
+    </div>
+    <div id="exerciseResults" style="display: none;">
+        <span id="finalScore"></span>
+        <button id="restartExercise"></button>
+    </div>
+`;
+
+/**
+ * Type an answer to the current question and check it
+ * @param {string} text - Typed answer
+ */
+async function answer(text) {
+    document.getElementById('answerInput').value = text;
+    await checkAnswer();
+}
+
+describe('Resumable Exercise Sessions', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        localStorage.clear();
+        setSetting('gradingMode', 'auto');
+        document.body.innerHTML = quizHtml;
+    });
+
+    it('should save the session as each question is shown', async () => {
+        initializeQuiz(words.map(w => ({ ...w })));
+        showQuestion();
+        await answer('wrong');
+        nextQuestion();
+
+        const session = getActiveSession();
+        expect(session.currentQuestionIndex).toBe(1);
+        expect(session.totalAttempts).toBe(1);
+        expect(session.wordIds).toHaveLength(4);
+        expect(session.wordIds.filter(id => id === 'w1')).toHaveLength(2);
+    });
+
+    it('should save past an answer once its review is written, but not while it waits for a grade', async () => {
+        initializeQuiz(words.map(w => ({ ...w })));
+        showQuestion();
+        await answer('apple');
+
+        // A reload before Next must not review the card again
+        expect(getActiveSession()).toEqual(expect.objectContaining({ currentQuestionIndex: 1, correctAnswers: 1 }));
+
+        setSetting('gradingMode', 'manual');
+        nextQuestion();
+        await answer('brave');
+
+        expect(getActiveSession().currentQuestionIndex).toBe(1);
+        gradeAnswer(FSRS_RATING.GOOD);
+        expect(getActiveSession().currentQuestionIndex).toBe(2);
+    });
+
+    it('should forget the session once it is finished', async () => {
+        initializeQuiz(words.map(w => ({ ...w })));
+        showQuestion();
+
+        for (const word of ['apple', 'brave', 'calm']) {
+            await answer(word);
+            nextQuestion();
+        }
+
+        expect(getActiveSession()).toBeNull();
+    });
+
+    it('should resume where the session stopped, leaving out deleted words', () => {
+        saveActiveSession({
+            sessionId: 'session-1',
+            mode: 'choice',
+            wordIds: ['w1', 'gone', 'w2', 'w1', 'w3'],
+            currentQuestionIndex: 2,
+            correctAnswers: 0,
+            totalAttempts: 2,
+            masteredWords: ['brave#0']
+        });
+
+        expect(resumeQuiz(getActiveSession(), words)).toBe(true);
+
+        expect(getExerciseWords().map(w => w.word)).toEqual(['apple', 'brave', 'apple', 'calm']);
+        expect(getQuizState()).toEqual(expect.objectContaining({ currentQuestionIndex: 1, totalAttempts: 2 }));
+        expect(getQuizState().masteredWords.has('brave#0')).toBe(true);
+    });
+
+    it('should not resume when every remaining word was deleted', () => {
+        saveActiveSession({
+            sessionId: 'session-1',
+            mode: 'typing',
+            wordIds: ['w1', 'gone'],
+            currentQuestionIndex: 1,
+            correctAnswers: 1,
+            totalAttempts: 1,
+            masteredWords: ['apple#0']
+        });
+
+        expect(resumeQuiz(getActiveSession(), words)).toBe(false);
+    });
+
+    it('should ignore a saved session that is malformed or too old', () => {
+        localStorage.setItem('lingodash_active_session', '{not json');
+        expect(getActiveSession()).toBeNull();
+
+        localStorage.setItem('lingodash_active_session', JSON.stringify({
+            wordIds: ['w1'],
+            masteredWords: [],
+            currentQuestionIndex: 0,
+            savedAt: Date.now() - 8 * 24 * 60 * 60 * 1000
+        }));
+        expect(getActiveSession()).toBeNull();
+        expect(localStorage.getItem('lingodash_active_session')).toBeNull();
+    });
+
+    it('should offer to resume on the start screen', async () => {
+        saveActiveSession({
+            sessionId: 'session-1',
+            mode: 'typing',
+            wordIds: ['w1', 'w2', 'w3'],
+            currentQuestionIndex: 1,
+            correctAnswers: 1,
+            totalAttempts: 1,
+            masteredWords: ['apple#0']
+        });
+        updateCache({ savedWords: words, dueWords: [] });
+        document.body.innerHTML = `
+            <div id="exerciseContent">
+                <div class="exercise-start">
+                    <p class="exercise-title">Vocabulary Practice</p>
+                    <button id="startExercise"></button>
+                </div>
+            </div>
+            ${quizHtml}
+        `;
+
+        initExercise();
+
+        expect(document.querySelector('.resume-session-info').textContent).toContain('question 2 of 3');
+
+        document.getElementById('resumeExercise').click();
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(document.getElementById('exerciseQuiz').style.display).toBe('block');
+        expect(document.getElementById('definitionDisplay').textContent).toContain('Courageous');
+    });
+
+    it('should discard the saved session', () => {
+        saveActiveSession({
+            sessionId: 'session-1',
+            mode: 'typing',
+            wordIds: ['w1', 'w2', 'w3'],
+            currentQuestionIndex: 1,
+            correctAnswers: 1,
+            totalAttempts: 1,
+            masteredWords: ['apple#0']
+        });
+        document.body.innerHTML = `
+            <div id="exerciseContent">
+                <div class="exercise-start">
+                    <p class="exercise-title">Vocabulary Practice</p>
+                    <button id="startExercise"></button>
+                </div>
+            </div>
+            ${quizHtml}
+        `;
+
+        initExercise();
+        document.getElementById('discardSession').click();
+
+        expect(document.querySelector('.resume-session')).toBeNull();
+        expect(getActiveSession()).toBeNull();
+    });
+});
@@ -8,6 +8,7 @@ vi.mock('./storage/index.js', () => ({
 }));
 
 import * as storage from './storage/index.js';
+import { filterWordsByScope, getScopeOptions, getExerciseScope, setExerciseScope } from './exercise/session.js';
 
 describe('Exercise Functions', () => {
     beforeEach(() => {
@@ -213,4 +214,30 @@ describe('Exercise Functions', () => {
             expect(result[0].word).toBe('word1');
         });
     });
+
+    describe('Practice Scope', () => {
+        const words = [
+            { word: 'calm', tags: ['b1', 'travel'], deck: 'Spanish' },
+            { word: 'brave', tags: ['b1'], deck: '' },
+            { word: 'bank', tags: [], deck: 'Spanish' }
+        ];
+
+        it('should keep only the words of the chosen deck or tag', () => {
+            expect(filterWordsByScope(words, '')).toHaveLength(3);
+            expect(filterWordsByScope(words, 'deck:Spanish').map(w => w.word)).toEqual(['calm', 'bank']);
+            expect(filterWordsByScope(words, 'tag:b1').map(w => w.word)).toEqual(['calm', 'brave']);
+        });
+
+        it('should list the decks and tags in use', () => {
+            expect(getScopeOptions(words)).toEqual({ decks: ['Spanish'], tags: ['b1', 'travel'] });
+        });
+
+        it('should remember the chosen scope', () => {
+            setExerciseScope('tag:travel');
+            expect(getExerciseScope()).toBe('tag:travel');
+
+            setExerciseScope('');
+            expect(getExerciseScope()).toBe('');
+        });
+    });
 });
@@ -0,0 +1,161 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// Mock storage and UI modules used by the quiz
+vi.mock('./storage/index.js', () => ({
+    updateWordReviewFSRS: vi.fn(() => Promise.resolve(true)),
+    revertWordReview: vi.fn(() => Promise.resolve(true)),
+    deleteWord: vi.fn(),
+    getSavedWords: vi.fn()
+}));
+
+vi.mock('./ui/index.js', () => ({
+    showEditModal: vi.fn(),
+    displaySavedWords: vi.fn(),
+    offerUndoDelete: vi.fn(),
+    showWordDetail: vi.fn()
+}));
+
+import {
+    initializeQuiz,
+    showQuestion,
+    checkAnswer,
+    gradeAnswer,
+    nextQuestion,
+    isAwaitingGrade,
+    getExerciseWords,
+    getQuizState,
+    canUndoAnswer,
+    undoLastAnswer
+} from './exercise/quiz.js';
+import { setSetting } from './settings.js';
+import { FSRS_RATING } from './fsrs.js';
+import { updateWordReviewFSRS, revertWordReview } from './storage/index.js';
+
+const words = [
+    { word: 'apple', definition: 'A fruit', example: 'I ate an apple.', reps: 0, stability: 0, difficulty: 5 },
+    { word: 'brave', definition: 'Courageous', example: 'She was brave.', reps: 0, stability: 0, difficulty: 5 },
+    { word: 'calm', definition: 'Peaceful', example: 'Stay calm.', reps: 0, stability: 0, difficulty: 5 }
+];
+
+/**
+ * Type an answer to the current question and check it
+ * @param {string} text - Typed answer
+ */
+async function answer(text) {
+    document.getElementById('answerInput').value = text;
+    await checkAnswer();
+}
+
+describe('Exercise Undo', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        localStorage.clear();
+        setSetting('gradingMode', 'auto');
+        document.body.innerHTML = `
+            <div id="exerciseQuiz" style="display: block;">
+                <div class="question-card-minimal"></div>
+                <div id="wordDueInfo"></div>
+                <div id="exampleSentence"></div>
+                <div id="definitionDisplay"></div>
+                <input id="answerInput" />
+                <p class="press-enter-hint"></p>
+                <div id="answerFeedback"></div>
+                <div id="gradeButtons" style="display: none;"></div>
+                <button id="nextQuestion"></button>
+                <div id="exerciseCardActions"></div>
+            </div>
+            <div id="exerciseResults" style="display: none;">
+                <span id="finalScore"></span>
+            </div>
+            <button id="undoAnswer" style="display: none;"></button>
+        `;
+
+        initializeQuiz(words.map(w => ({ ...w })));
+        showQuestion();
+    });
+
+    it('should have nothing to undo before the first answer', async () => {
+        expect(canUndoAnswer()).toBe(false);
+        expect(await undoLastAnswer()).toBe(false);
+        expect(document.getElementById('undoAnswer').style.display).toBe('none');
+    });
+
+    it('should ask a wrong answer again without its requeued copy and revert its review', async () => {
+        await answer('wrong');
+        expect(getExerciseWords()).toHaveLength(4);
+        expect(document.getElementById('undoAnswer').style.display).toBe('block');
+
+        const { reviewId } = updateWordReviewFSRS.mock.calls[0][3];
+        expect(await undoLastAnswer()).toBe(true);
+
+        expect(getExerciseWords().map(w => w.word)).toEqual(['apple', 'brave', 'calm']);
+        expect(getQuizState()).toEqual(expect.objectContaining({ currentQuestionIndex: 0, totalAttempts: 0 }));
+        expect(document.getElementById('answerInput').disabled).toBe(false);
+        expect(revertWordReview).toHaveBeenCalledWith(reviewId);
+        expect(document.getElementById('undoAnswer').style.display).toBe('none');
+    });
+
+    it('should undo several answers, newest first', async () => {
+        await answer('apple');
+        nextQuestion();
+        await answer('brave');
+        nextQuestion();
+
+        const reviewIds = updateWordReviewFSRS.mock.calls.map(call => call[3].reviewId);
+
+        await undoLastAnswer();
+        expect(getQuizState().currentQuestionIndex).toBe(1);
+        expect(getQuizState().masteredWords.size).toBe(1);
+
+        await undoLastAnswer();
+        expect(getQuizState().currentQuestionIndex).toBe(0);
+        expect(getQuizState().masteredWords.size).toBe(0);
+
+        expect(revertWordReview.mock.calls.map(call => call[0])).toEqual([reviewIds[1], reviewIds[0]]);
+    });
+
+    it('should bring back the questions after the last answer ended the session', async () => {
+        for (const word of ['apple', 'brave', 'calm']) {
+            await answer(word);
+            nextQuestion();
+        }
+        expect(document.getElementById('exerciseResults').style.display).toBe('block');
+
+        await undoLastAnswer();
+
+        expect(document.getElementById('exerciseQuiz').style.display).toBe('block');
+        expect(document.getElementById('exerciseResults').style.display).toBe('none');
+        expect(document.getElementById('definitionDisplay').textContent).toContain('Peaceful');
+    });
+
+    it('should undo a self-graded answer without reverting anything when no grade was given', async () => {
+        setSetting('gradingMode', 'manual');
+        await answer('apple');
+        expect(isAwaitingGrade()).toBe(true);
+
+        await undoLastAnswer();
+
+        expect(isAwaitingGrade()).toBe(false);
+        expect(revertWordReview).not.toHaveBeenCalled();
+    });
+
+    it('should revert the review of a graded answer and restore the word it updated', async () => {
+        setSetting('gradingMode', 'manual');
+        await answer('apple');
+        gradeAnswer(FSRS_RATING.EASY);
+        expect(getExerciseWords()[0].stability).toBeGreaterThan(0);
+
+        await undoLastAnswer();
+
+        expect(getExerciseWords()[0].stability).toBe(0);
+        expect(revertWordReview).toHaveBeenCalledWith(updateWordReviewFSRS.mock.calls[0][3].reviewId);
+    });
+
+    it('should not revert a review that failed to save', async () => {
+        updateWordReviewFSRS.mockResolvedValueOnce(false);
+        await answer('apple');
+
+        expect(await undoLastAnswer()).toBe(true);
+        expect(revertWordReview).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,369 @@
+/**
+ * Exercise Answer Matching Module
+ * Grades typed answers: exact, close typo, wrong inflected form or wrong
+ */
+
+import { FSRS_RATING, fsrsInstance } from '../fsrs.js';
+import { escapeHtml } from '../ui/html.js';
+
+// Possible outcomes of matching an answer
+export const MATCH_OUTCOMES = {
+    EXACT: 'exact',
+    TYPO: 'typo',
+    WRONG_FORM: 'wrong_form',
+    WRONG: 'wrong'
+};
+
+// FSRS rating for each outcome; exact answers are rated by the usual timing/self-grade,
+// and a typo is capped at what the same answer typed exactly would get
+const OUTCOME_RATINGS = {
+    [MATCH_OUTCOMES.EXACT]: null,
+    [MATCH_OUTCOMES.TYPO]: FSRS_RATING.GOOD,
+    [MATCH_OUTCOMES.WRONG_FORM]: FSRS_RATING.HARD,
+    [MATCH_OUTCOMES.WRONG]: FSRS_RATING.AGAIN
+};
+
+// Common irregular English forms (base -> inflected forms)
+const IRREGULAR_FORMS = {
+    be: ['am', 'is', 'are', 'was', 'were', 'been'],
+    begin: ['began', 'begun'],
+    break: ['broke', 'broken'],
+    bring: ['brought'],
+    build: ['built'],
+    buy: ['bought'],
+    catch: ['caught'],
+    choose: ['chose', 'chosen'],
+    come: ['came'],
+    do: ['did', 'done', 'does'],
+    draw: ['drew', 'drawn'],
+    drink: ['drank', 'drunk'],
+    drive: ['drove', 'driven'],
+    eat: ['ate', 'eaten'],
+    fall: ['fell', 'fallen'],
+    feel: ['felt'],
+    fight: ['fought'],
+    find: ['found'],
+    fly: ['flew', 'flown'],
+    forget: ['forgot', 'forgotten'],
+    freeze: ['froze', 'frozen'],
+    get: ['got', 'gotten'],
+    give: ['gave', 'given'],
+    go: ['went', 'gone', 'goes'],
+    grow: ['grew', 'grown'],
+    have: ['has', 'had'],
+    hide: ['hid', 'hidden'],
+    hold: ['held'],
+    keep: ['kept'],
+    know: ['knew', 'known'],
+    lay: ['laid'],
+    leave: ['left'],
+    lend: ['lent'],
+    lie: ['lay', 'lain'],
+    lose: ['lost'],
+    make: ['made'],
+    mean: ['meant'],
+    meet: ['met'],
+    pay: ['paid'],
+    ride: ['rode', 'ridden'],
+    rise: ['rose', 'risen'],
+    run: ['ran'],
+    say: ['said'],
+    see: ['saw', 'seen'],
+    seek: ['sought'],
+    sell: ['sold'],
+    send: ['sent'],
+    shake: ['shook', 'shaken'],
+    sing: ['sang', 'sung'],
+    sit: ['sat'],
+    sleep: ['slept'],
+    speak: ['spoke', 'spoken'],
+    spend: ['spent'],
+    stand: ['stood'],
+    steal: ['stole', 'stolen'],
+    swim: ['swam', 'swum'],
+    take: ['took', 'taken'],
+    teach: ['taught'],
+    tear: ['tore', 'torn'],
+    tell: ['told'],
+    think: ['thought'],
+    throw: ['threw', 'thrown'],
+    understand: ['understood'],
+    wake: ['woke', 'woken'],
+    wear: ['wore', 'worn'],
+    win: ['won'],
+    write: ['wrote', 'written'],
+    child: ['children'],
+    foot: ['feet'],
+    goose: ['geese'],
+    man: ['men'],
+    mouse: ['mice'],
+    person: ['people'],
+    tooth: ['teeth'],
+    woman: ['women'],
+    good: ['better', 'best'],
+    bad: ['worse', 'worst']
+};
+
+// Inflected form -> base forms
+const IRREGULAR_BASES = new Map();
+Object.entries(IRREGULAR_FORMS).forEach(([base, forms]) => {
+    forms.forEach(form => {
+        if (!IRREGULAR_BASES.has(form)) {
+            IRREGULAR_BASES.set(form, []);
+        }
+        IRREGULAR_BASES.get(form).push(base);
+    });
+});
+
+// Shortest stem an inflection suffix may be stripped down to
+const MIN_STEM_LENGTH = 3;
+
+/**
+ * Normalize an answer for comparison: case, surrounding/inner whitespace and diacritics
+ * @param {string} text - Raw answer
+ * @returns {string} Normalized answer
+ */
+export function normalizeAnswer(text) {
+    return (text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .trim()
+        .replace(/\s+/g, ' ');
+}
+
+/**
+ * Damerau-Levenshtein (optimal string alignment) distance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of insertions, deletions, substitutions and adjacent swaps
+ */
+export function damerauLevenshtein(a, b) {
+    return buildDistanceMatrix(a, b)[a.length][b.length];
+}
+
+/**
+ * Largest distance still treated as a typo for a word of the given length
+ * @param {number} length - Length of the correct word
+ * @returns {number} Allowed edit distance
+ */
+export function maxTypoDistance(length) {
+    if (length <= 3) return 0;
+    if (length <= 7) return 1;
+    return 2;
+}
+
+/**
+ * Base forms of an irregular inflected form (went -> go)
+ * @param {string} word - Normalized word
+ * @returns {string[]} Base forms, empty for regular forms
+ */
+export function getIrregularBases(word) {
+    return IRREGULAR_BASES.get(word) || [];
+}
+
+/**
+ * Possible base forms of a word (the word itself, irregular bases and stripped suffixes)
+ * @param {string} word - Normalized word
+ * @returns {Set} Candidate lemmas
+ */
+export function lemmaCandidates(word) {
+    const candidates = new Set([word]);
+    const add = (stem) => {
+        if (stem.length >= MIN_STEM_LENGTH) candidates.add(stem);
+    };
+
+    getIrregularBases(word).forEach(base => candidates.add(base));
+
+    if (word.endsWith('ies') || word.endsWith('ied')) {
+        add(word.slice(0, -3) + 'y');
+    }
+    if (word.endsWith('es')) {
+        add(word.slice(0, -2));
+    }
+    if (word.endsWith('s') && !word.endsWith('ss')) {
+        add(word.slice(0, -1));
+    }
+
+    ['ing', 'ed', 'er', 'est'].forEach(suffix => {
+        if (!word.endsWith(suffix)) return;
+
+        const stem = word.slice(0, -suffix.length);
+        add(stem);
+        add(stem + 'e');
+
+        // Doubled final consonant (stopped -> stop)
+        if (stem.length > 1 && stem[stem.length - 1] === stem[stem.length - 2]) {
+            add(stem.slice(0, -1));
+        }
+
+        // happier -> happy
+        if (stem.endsWith('i')) {
+            add(stem.slice(0, -1) + 'y');
+        }
+    });
+
+    return candidates;
+}
+
+/**
+ * Check whether the answer is a different inflection of the same word
+ * @param {string} answer - Normalized answer
+ * @param {string} target - Normalized correct word
+ * @returns {boolean} True if both share a base form
+ */
+export function isInflectedForm(answer, target) {
+    if (answer === target) return false;
+
+    const targetLemmas = lemmaCandidates(target);
+    return [...lemmaCandidates(answer)].some(lemma => targetLemmas.has(lemma));
+}
+
+/**
+ * Match a typed answer against the correct word
+ * @param {string} answer - Typed answer
+ * @param {string} target - Correct word
+ * @returns {Object} { outcome, distance, diff }
+ */
+export function matchAnswer(answer, target) {
+    const normalizedAnswer = normalizeAnswer(answer);
+    const normalizedTarget = normalizeAnswer(target);
+    const distance = damerauLevenshtein(normalizedAnswer, normalizedTarget);
+
+    let outcome;
+    if (distance === 0) {
+        outcome = MATCH_OUTCOMES.EXACT;
+    } else if (isInflectedForm(normalizedAnswer, normalizedTarget)) {
+        outcome = MATCH_OUTCOMES.WRONG_FORM;
+    } else if (distance <= maxTypoDistance(normalizedTarget.length)) {
+        outcome = MATCH_OUTCOMES.TYPO;
+    } else {
+        outcome = MATCH_OUTCOMES.WRONG;
+    }
+
+    return {
+        outcome,
+        distance,
+        diff: diffLetters(normalizedAnswer, normalizedTarget)
+    };
+}
+
+/**
+ * Get the FSRS rating an outcome maps to
+ * @param {string} outcome - One of MATCH_OUTCOMES
+ * @param {number|null} responseTime - Response time in milliseconds, to cap typos by
+ * @returns {number|null} FSRS rating, or null when the usual rating applies (exact answers)
+ */
+export function getOutcomeRating(outcome, responseTime = null) {
+    if (outcome === MATCH_OUTCOMES.TYPO && responseTime !== null) {
+        return Math.min(fsrsInstance.determineRating(true, responseTime), OUTCOME_RATINGS[outcome]);
+    }
+
+    return OUTCOME_RATINGS[outcome] ?? null;
+}
+
+/**
+ * Letter-by-letter alignment of the answer against the correct word
+ * @param {string} answer - Normalized answer
+ * @param {string} target - Normalized correct word
+ * @returns {Array} Operations of { type: 'same'|'sub'|'ins'|'del'|'swap', expected, actual }
+ */
+export function diffLetters(answer, target) {
+    const d = buildDistanceMatrix(answer, target);
+    const ops = [];
+    let i = answer.length;
+    let j = target.length;
+
+    while (i > 0 || j > 0) {
+        if (i > 0 && j > 0 && answer[i - 1] === target[j - 1] && d[i][j] === d[i - 1][j - 1]) {
+            ops.push({ type: 'same', expected: target[j - 1], actual: answer[i - 1] });
+            i--; j--;
+        } else if (i > 1 && j > 1 && answer[i - 1] === target[j - 2] && answer[i - 2] === target[j - 1] &&
+            d[i][j] === d[i - 2][j - 2] + 1) {
+            ops.push({ type: 'swap', expected: target.slice(j - 2, j), actual: answer.slice(i - 2, i) });
+            i -= 2; j -= 2;
+        } else if (i > 0 && j > 0 && d[i][j] === d[i - 1][j - 1] + 1) {
+            ops.push({ type: 'sub', expected: target[j - 1], actual: answer[i - 1] });
+            i--; j--;
+        } else if (j > 0 && d[i][j] === d[i][j - 1] + 1) {
+            ops.push({ type: 'del', expected: target[j - 1], actual: '' });
+            j--;
+        } else {
+            ops.push({ type: 'ins', expected: '', actual: answer[i - 1] });
+            i--;
+        }
+    }
+
+    return ops.reverse();
+}
+
+/**
+ * Render the feedback shown under the answer for near misses and wrong answers
+ * @param {Object} match - Result of matchAnswer
+ * @param {string} target - Correct word
+ * @returns {string} HTML for #answerFeedback (empty for exact answers)
+ */
+export function renderAnswerFeedback(match, target) {
+    if (match.outcome === MATCH_OUTCOMES.EXACT) {
+        return '';
+    }
+
+    const letters = match.diff.map(op => {
+        switch (op.type) {
+            case 'same':
+                return escapeHtml(op.expected);
+            case 'sub':
+            case 'swap':
+                return `<span class="diff-wrong" title="You typed &quot;${escapeHtml(op.actual)}&quot;">${escapeHtml(op.expected)}</span>`;
+            case 'del':
+                return `<span class="diff-missing">${escapeHtml(op.expected)}</span>`;
+            default:
+                return `<span class="diff-extra">${escapeHtml(op.actual)}</span>`;
+        }
+    }).join('');
+
+    const messages = {
+        [MATCH_OUTCOMES.TYPO]: 'Almost — small typo',
+        [MATCH_OUTCOMES.WRONG_FORM]: `Right word, wrong form — the answer is "${escapeHtml(target)}"`,
+        [MATCH_OUTCOMES.WRONG]: 'Not quite'
+    };
+
+    return `
+        <div class="answer-diff ${match.outcome.replace('_', '-')}">
+            <span class="answer-diff-message">${messages[match.outcome]}</span>
+            <span class="answer-diff-letters">${letters}</span>
+        </div>
+    `;
+}
+
+/**
+ * Fill the optimal string alignment distance matrix
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {Array} (a.length + 1) x (b.length + 1) matrix
+ */
+function buildDistanceMatrix(a, b) {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => {
+        const row = new Array(b.length + 1).fill(0);
+        row[0] = i;
+        return row;
+    });
+    for (let j = 0; j <= b.length; j++) d[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(
+                d[i - 1][j] + 1,
+                d[i][j - 1] + 1,
+                d[i - 1][j - 1] + cost
+            );
+
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+
+    return d;
+}
@@ -0,0 +1,88 @@
+/**
+ * Exercise Grading Module
+ * Handles the Again/Hard/Good/Easy self-grading buttons
+ */
+
+import { fsrsInstance, FSRS_RATING } from '../fsrs.js';
+
+// Grade buttons in display order; the key selects the grade from the keyboard
+export const GRADE_OPTIONS = [
+    { rating: FSRS_RATING.AGAIN, label: 'Again', key: '1', className: 'again' },
+    { rating: FSRS_RATING.HARD, label: 'Hard', key: '2', className: 'hard' },
+    { rating: FSRS_RATING.GOOD, label: 'Good', key: '3', className: 'good' },
+    { rating: FSRS_RATING.EASY, label: 'Easy', key: '4', className: 'easy' }
+];
+
+/**
+ * Get the rating selected by a keyboard key
+ * @param {string} key - Pressed key
+ * @returns {number|null} FSRS rating or null if the key is not a grade key
+ */
+export function getRatingForKey(key) {
+    const option = GRADE_OPTIONS.find(o => o.key === key);
+    return option ? option.rating : null;
+}
+
+/**
+ * Predict the next review for each grade
+ * @param {Object} word - Exercise word with FSRS fields (stability, difficulty, reps, lapses, last_review)
+ * @param {Date} now - Review time
+ * @returns {Object} Map of rating -> calculateNextReview result
+ */
+export function predictReviews(word, now = new Date()) {
+    const predictions = {};
+
+    GRADE_OPTIONS.forEach(({ rating }) => {
+        predictions[rating] = fsrsInstance.calculateNextReview(word, rating, null, now);
+    });
+
+    return predictions;
+}
+
+/**
+ * Format an interval in days for display under a grade button
+ * @param {number} days - Interval in days
+ * @returns {string} Short interval text (e.g. "3d", "2mo", "1.5y")
+ */
+export function formatInterval(days) {
+    if (days < 1) return '<1d';
+    if (days < 30) return `${Math.round(days)}d`;
+    if (days < 365) return `${Math.round(days / 30)}mo`;
+
+    const years = days / 365;
+    return `${years < 10 ? Math.round(years * 10) / 10 : Math.round(years)}y`;
+}
+
+/**
+ * Render the grade buttons with predicted intervals
+ * @param {HTMLElement} container - Element to render into
+ * @param {Object} predictions - Result of predictReviews
+ * @param {number} suggestedRating - Rating highlighted as the default (chosen with Enter)
+ * @param {Function} onGrade - Called with the chosen rating
+ */
+export function renderGradeButtons(container, predictions, suggestedRating, onGrade) {
+    container.innerHTML = GRADE_OPTIONS.map(option => `
+        <button class="grade-btn ${option.className}${option.rating === suggestedRating ? ' suggested' : ''}" data-rating="${option.rating}">
+            <span class="grade-label">${option.label}</span>
+            <span class="grade-interval">${formatInterval(predictions[option.rating].scheduled_days)}</span>
+            <span class="grade-key">${option.key}</span>
+        </button>
+    `).join('');
+    container.style.display = 'flex';
+
+    container.querySelectorAll('.grade-btn').forEach(button => {
+        button.addEventListener('click', () => {
+            onGrade(parseInt(button.dataset.rating, 10));
+        });
+    });
+}
+
+/**
+ * Hide and clear the grade buttons
+ * @param {HTMLElement|null} container - Grade buttons container
+ */
+export function clearGradeButtons(container) {
+    if (!container) return;
+    container.innerHTML = '';
+    container.style.display = 'none';
+}
@@ -5,26 +5,46 @@
 
 import { getSavedWords, getWordsDueForReview } from '../storage/index.js';
 import {
-    prefetchExerciseData,
+    prefetchExerciseData as prefetchSessionData,
     isCacheValid,
     getCachedData,
     updateCache,
     getSessionSize,
     setSessionSize,
-    selectSessionWords
+    getExerciseMode,
+    setExerciseMode,
+    getExerciseScope,
+    setExerciseScope,
+    filterWordsByScope,
+    getScopeOptions,
+    getActiveSession,
+    clearActiveSession,
+    EXERCISE_MODES
 } from './session.js';
+import { buildStudyQueue, getQueueSettings, getStudiedToday } from './queue.js';
 import {
     initializeQuiz,
+    resumeQuiz,
     showQuestion,
     checkAnswer,
     nextQuestion as quizNextQuestion,
     resetQuizState,
     handleDeleteWord,
     handleEditWord,
+    handleShowWordDetails,
     refreshCurrentWord,
     getExerciseWords,
-    setExerciseWords
+    setExerciseWords,
+    isAwaitingGrade,
+    getSuggestedRating,
+    gradeAnswer,
+    isAwaitingChoice,
+    chooseOption,
+    isCheckingAnswer,
+    canUndoAnswer,
+    undoLastAnswer
 } from './quiz.js';
+import { getRatingForKey } from './grading.js';
 import {
     updateExerciseProgress,
     updateProgressCounter,
@@ -32,8 +52,14 @@ import {
     hideProgressCounter
 } from './progress.js';
 
-// Re-export prefetchExerciseData for external use
-export { prefetchExerciseData };
+/**
+ * Pre-fetch exercise data in the background, then offer its decks and tags
+ * on the start screen
+ */
+export async function prefetchExerciseData() {
+    await prefetchSessionData();
+    initExerciseScopeOptions();
+}
 
 /**
  * Initialize the exercise module
@@ -66,6 +92,15 @@ export function initExercise() {
         });
     }
 
+    initExerciseModeOptions();
+    initExerciseScopeOptions();
+    initResumeOption();
+
+    const exerciseScope = document.getElementById('exerciseScope');
+    if (exerciseScope) {
+        exerciseScope.addEventListener('change', () => setExerciseScope(exerciseScope.value));
+    }
+
     // Button event listeners
     document.getElementById('startExercise').addEventListener('click', startExercise);
     document.getElementById('nextQuestion').addEventListener('click', handleNextQuestion);
@@ -76,7 +111,7 @@ export function initExercise() {
         if (e.key === 'Enter') {
             if (!e.target.disabled) {
                 e.stopPropagation();
-                checkAnswer();
+                checkAnswer(handleGrade);
                 updateExerciseProgress();
                 updateProgressCounter();
             }
@@ -89,12 +124,61 @@ export function initExercise() {
             const answerInput = document.getElementById('answerInput');
             const exerciseQuiz = document.getElementById('exerciseQuiz');
 
-            if (answerInput.disabled && exerciseQuiz.style.display === 'block') {
-                handleNextQuestion();
+            if (answerInput.disabled && exerciseQuiz.style.display === 'block' && !isCheckingAnswer()) {
+                if (isAwaitingGrade()) {
+                    handleGrade(getSuggestedRating());
+                } else {
+                    handleNextQuestion();
+                }
             }
         }
     });
 
+    // Number keys 1-4 pick a multiple-choice option, then a self-grade once the answer is revealed
+    // (digits typed into other fields, such as the settings, are left alone)
+    document.addEventListener('keydown', (e) => {
+        const rating = getRatingForKey(e.key);
+        if (rating === null) return;
+
+        const answerInput = document.getElementById('answerInput');
+        const typing = e.target instanceof HTMLElement
+            && e.target.matches('input, textarea, select')
+            && !(e.target === answerInput && answerInput.disabled);
+
+        if (typing || !isExerciseShown()) return;
+
+        if (isAwaitingChoice()) {
+            e.preventDefault();
+            handleChoice(parseInt(e.key, 10) - 1);
+        } else if (isAwaitingGrade()) {
+            e.preventDefault();
+            handleGrade(rating);
+        }
+    });
+
+    // Ctrl+Z undoes the last answer (the answer box keeps its own undo while it has text)
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.shiftKey || e.key.toLowerCase() !== 'z') return;
+
+        const answerInput = document.getElementById('answerInput');
+        const typing = e.target instanceof HTMLElement
+            && e.target.matches('input, textarea, select')
+            && !(e.target === answerInput && (answerInput.disabled || !answerInput.value));
+
+        if (typing || !isExerciseShown() || !canUndoAnswer()) return;
+
+        e.preventDefault();
+        handleUndo();
+    });
+
+    const undoAnswerBtn = document.getElementById('undoAnswer');
+    if (undoAnswerBtn) {
+        undoAnswerBtn.addEventListener('click', handleUndo);
+    }
+
+    // Forgetting curve button handler
+    document.getElementById('exerciseDetailsBtn')?.addEventListener('click', handleShowWordDetails);
+
     // Edit button handler
     document.getElementById('exerciseEditBtn').addEventListener('click', () => {
         handleEditWord(refreshCurrentWord);
@@ -106,42 +190,98 @@ export function initExercise() {
     });
 }
 
+/**
+ * Get the saved and due words, from the cache when it is fresh
+ * @returns {Promise<Object>} { savedWords, dueWords }
+ */
+async function loadExerciseData() {
+    if (isCacheValid()) {
+        return getCachedData();
+    }
+
+    document.getElementById('exerciseContent').innerHTML = '<p class="loading">Loading words...</p>';
+
+    const [savedWords, dueWords] = await Promise.all([
+        getSavedWords(),
+        getWordsDueForReview()
+    ]);
+
+    updateCache({ savedWords, dueWords });
+    return { savedWords, dueWords };
+}
+
 /**
  * Start the exercise
  */
 async function startExercise() {
     const exerciseContent = document.getElementById('exerciseContent');
+    const { savedWords, dueWords } = await loadExerciseData();
 
-    let savedWords, dueWords;
+    // Practice only the chosen deck or tag (other words still serve as distractors)
+    const scope = getExerciseScope();
+    const scopedWords = filterWordsByScope(savedWords, scope);
 
-    if (isCacheValid()) {
-        const cached = getCachedData();
-        savedWords = cached.savedWords;
-        dueWords = cached.dueWords;
-    } else {
-        exerciseContent.innerHTML = '<p class="loading">Loading words...</p>';
-
-        [savedWords, dueWords] = await Promise.all([
-            getSavedWords(),
-            getWordsDueForReview()
-        ]);
-
-        updateCache({ savedWords, dueWords });
+    if (scopedWords.length < 3) {
+        const message = scope
+            ? 'You need at least 3 words in this deck or tag to start the exercise!'
+            : 'You need at least 3 saved words to start the exercise!';
+        exerciseContent.innerHTML = `<p class="error">${message}</p>`;
+        setTimeout(() => {
+            renderExerciseStartScreen();
+        }, 3000);
+        return;
     }
 
-    if (savedWords.length < 3) {
-        exerciseContent.innerHTML = '<p class="error">You need at least 3 saved words to start the exercise!</p>';
+    const { newLimit, reviewLimit, order, newPosition } = getQueueSettings();
+    const queue = buildStudyQueue(scopedWords, filterWordsByScope(dueWords, scope), {
+        sessionSize: getSessionSize(),
+        newLimit,
+        reviewLimit,
+        order,
+        newPosition,
+        studiedToday: await getStudiedToday()
+    });
+
+    if (queue.words.length === 0) {
+        exerciseContent.innerHTML = `<p class="error">You have reached today's limits of ${newLimit} new words and ${reviewLimit} reviews. Come back tomorrow, or raise the limits in Settings.</p>`;
         setTimeout(() => {
             renderExerciseStartScreen();
         }, 3000);
         return;
     }
 
-    const sessionSize = getSessionSize();
-    const selectedWords = selectSessionWords(savedWords, dueWords, sessionSize);
+    initializeQuiz(queue.words, { mode: getExerciseMode(), distractorPool: savedWords });
+    showQuizScreen();
+}
+
+/**
+ * Continue the session that was in progress before the page was reloaded
+ */
+async function resumeExercise() {
+    const session = getActiveSession();
+    if (!session) {
+        renderExerciseStartScreen();
+        return;
+    }
+
+    const { savedWords } = await loadExerciseData();
 
-    initializeQuiz(selectedWords);
+    if (!resumeQuiz(session, savedWords)) {
+        clearActiveSession();
+        document.getElementById('exerciseContent').innerHTML = '<p class="error">The words left in that session have been deleted.</p>';
+        setTimeout(() => {
+            renderExerciseStartScreen();
+        }, 3000);
+        return;
+    }
+
+    showQuizScreen();
+}
 
+/**
+ * Switch from the start screen to the questions and ask the current one
+ */
+function showQuizScreen() {
     document.getElementById('exerciseContent').style.display = 'none';
     document.getElementById('exerciseQuiz').style.display = 'block';
     document.getElementById('exerciseResults').style.display = 'none';
@@ -149,14 +289,57 @@ async function startExercise() {
     updateProgressCounter();
     showProgressCounter();
     updateExerciseProgress();
-    showQuestion(updateProgressCounter);
+    showQuestion(updateProgressCounter, handleChoice);
+}
+
+/**
+ * Record a self-grade and move to the next question
+ * @param {number} rating - FSRS rating (1-4)
+ */
+function handleGrade(rating) {
+    if (!isAwaitingGrade()) return;
+
+    gradeAnswer(rating);
+    updateExerciseProgress();
+    updateProgressCounter();
+    handleNextQuestion();
+}
+
+/**
+ * Answer a multiple-choice question
+ * @param {number} index - Index of the chosen option
+ */
+function handleChoice(index) {
+    if (chooseOption(index, handleGrade)) {
+        updateExerciseProgress();
+        updateProgressCounter();
+    }
+}
+
+/**
+ * Undo the last answer and ask its question again
+ */
+function handleUndo() {
+    undoLastAnswer(updateProgressCounter, handleChoice);
+    updateExerciseProgress();
+}
+
+/**
+ * Check whether a session (questions or results) is on screen
+ * @returns {boolean} True if the exercise tab shows a session
+ */
+function isExerciseShown() {
+    const panel = document.getElementById('exercise-panel');
+    const visible = id => document.getElementById(id)?.style.display === 'block';
+
+    return (!panel || panel.classList.contains('active')) && (visible('exerciseQuiz') || visible('exerciseResults'));
 }
 
 /**
  * Handle moving to the next question
  */
 function handleNextQuestion() {
-    quizNextQuestion(updateProgressCounter);
+    quizNextQuestion(updateProgressCounter, handleChoice);
 }
 
 /**
@@ -181,6 +364,7 @@ function renderExerciseStartScreen() {
     if (!exerciseContent) return;
 
     const savedSize = getSessionSize();
+    const savedMode = getExerciseMode();
 
     exerciseContent.innerHTML = `
         <div class="exercise-start">
@@ -195,8 +379,26 @@ function renderExerciseStartScreen() {
                         <input type="radio" name="sessionSize" value="50" id="sessionSize50" ${savedSize === 50 ? 'checked' : ''}>
                         <span>50</span>
                     </label>
+                    <span class="session-option-divider"></span>
+                    <label class="session-size-option">
+                        <input type="radio" name="exerciseMode" value="typing" id="exerciseModeTyping" ${savedMode === 'typing' ? 'checked' : ''}>
+                        <span>Type</span>
+                    </label>
+                    <label class="session-size-option">
+                        <input type="radio" name="exerciseMode" value="choice" id="exerciseModeChoice" ${savedMode === 'choice' ? 'checked' : ''}>
+                        <span>Choice</span>
+                    </label>
+                    <label class="session-size-option">
+                        <input type="radio" name="exerciseMode" value="production" id="exerciseModeProduction" ${savedMode === 'production' ? 'checked' : ''}>
+                        <span>Write</span>
+                    </label>
                 </div>
             </div>
+            <div class="exercise-scope">
+                <select id="exerciseScope" class="exercise-scope-select" title="Practice one deck or tag">
+                    <option value="">All words</option>
+                </select>
+            </div>
             <button id="startExercise" class="start-btn">Start</button>
         </div>
     `;
@@ -219,5 +421,96 @@ function renderExerciseStartScreen() {
         });
     }
 
+    initExerciseModeOptions();
+    initExerciseScopeOptions();
+
+    const exerciseScope = document.getElementById('exerciseScope');
+    exerciseScope.addEventListener('change', () => setExerciseScope(exerciseScope.value));
+
     document.getElementById('startExercise').addEventListener('click', startExercise);
+    initResumeOption();
+}
+
+/**
+ * Offer to resume an unfinished session on the start screen
+ */
+function initResumeOption() {
+    const exerciseStart = document.querySelector('#exerciseContent .exercise-start');
+    const session = getActiveSession();
+    if (!exerciseStart || !session) return;
+
+    const modeLabels = {
+        [EXERCISE_MODES.TYPING]: 'Type',
+        [EXERCISE_MODES.CHOICE]: 'Choice',
+        [EXERCISE_MODES.PRODUCTION]: 'Write'
+    };
+
+    const resume = document.createElement('div');
+    resume.className = 'resume-session';
+    resume.innerHTML = `
+        <p class="resume-session-info">Unfinished session: question ${session.currentQuestionIndex + 1} of ${session.wordIds.length} (${modeLabels[session.mode] || modeLabels[EXERCISE_MODES.TYPING]})</p>
+        <div class="resume-session-actions">
+            <button id="resumeExercise" class="start-btn">Resume session</button>
+            <button id="discardSession" class="resume-discard-btn">Discard</button>
+        </div>
+    `;
+
+    exerciseStart.querySelector('.exercise-title').after(resume);
+
+    document.getElementById('resumeExercise').addEventListener('click', resumeExercise);
+    document.getElementById('discardSession').addEventListener('click', () => {
+        clearActiveSession();
+        resume.remove();
+    });
+}
+
+/**
+ * Sync the exercise mode radio buttons with the saved preference and listen for changes
+ */
+function initExerciseModeOptions() {
+    const savedMode = getExerciseMode();
+
+    document.querySelectorAll('input[name="exerciseMode"]').forEach(input => {
+        input.checked = input.value === savedMode;
+
+        input.addEventListener('change', () => {
+            if (input.checked) {
+                setExerciseMode(input.value);
+            }
+        });
+    });
+}
+
+/**
+ * Fill the deck/tag selector of the start screen from the cached words
+ * and select the saved choice
+ */
+function initExerciseScopeOptions() {
+    const exerciseScope = document.getElementById('exerciseScope');
+    if (!exerciseScope) return;
+
+    const cached = getCachedData();
+    const { decks, tags } = getScopeOptions(cached ? cached.savedWords : []);
+    const savedScope = getExerciseScope();
+
+    const options = [
+        ...decks.map(deck => ({ value: `deck:${deck}`, label: `Deck: ${deck}` })),
+        ...tags.map(tag => ({ value: `tag:${tag}`, label: `#${tag}` }))
+    ];
+
+    // Keep the saved choice even before the words are loaded
+    if (savedScope && !options.some(option => option.value === savedScope)) {
+        const separator = savedScope.indexOf(':');
+        const name = savedScope.slice(separator + 1);
+        options.push({ value: savedScope, label: savedScope.startsWith('deck:') ? `Deck: ${name}` : `#${name}` });
+    }
+
+    exerciseScope.innerHTML = '<option value="">All words</option>';
+    options.forEach(({ value, label }) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        exerciseScope.appendChild(option);
+    });
+    exerciseScope.value = savedScope;
 }
@@ -0,0 +1,153 @@
+/**
+ * Exercise Multiple Choice Module
+ * Handles distractor selection and the option buttons for multiple-choice questions
+ */
+
+import { normalizeAnswer, isInflectedForm } from './answerMatching.js';
+import { escapeHtml } from '../ui/html.js';
+
+// Suffix heuristics for words saved without a part of speech
+const POS_SUFFIXES = [
+    { pos: 'adverb', suffixes: ['ly'] },
+    { pos: 'noun', suffixes: ['tion', 'sion', 'ness', 'ment', 'ity', 'ism', 'ance', 'ence', 'ship', 'hood'] },
+    { pos: 'adjective', suffixes: ['ous', 'ful', 'ive', 'able', 'ible', 'less', 'ical', 'ic', 'al', 'ish'] },
+    { pos: 'verb', suffixes: ['ize', 'ise', 'ify', 'ate', 'en'] }
+];
+
+/**
+ * Get the part of speech of a word, guessing from its suffix when it is not stored
+ * @param {Object} word - Word object
+ * @returns {string|null} Part of speech or null if unknown
+ */
+export function getPartOfSpeech(word) {
+    if (word.partOfSpeech) {
+        return word.partOfSpeech.toLowerCase();
+    }
+
+    const text = normalizeAnswer(word.word);
+    const match = POS_SUFFIXES.find(({ suffixes }) =>
+        suffixes.some(suffix => text.length > suffix.length + 2 && text.endsWith(suffix))
+    );
+
+    return match ? match.pos : null;
+}
+
+/**
+ * Score how good a distractor a candidate is for the target (higher is better)
+ * @param {Object} target - Word being asked
+ * @param {Object} candidate - Possible distractor
+ * @returns {number} Similarity score
+ */
+export function scoreDistractor(target, candidate) {
+    let score = 0;
+
+    // Similar length
+    const lengthDiff = Math.abs(target.word.length - candidate.word.length);
+    score += Math.max(0, 3 - lengthDiff);
+
+    // Same part of speech
+    const targetPos = getPartOfSpeech(target);
+    if (targetPos && targetPos === getPartOfSpeech(candidate)) {
+        score += 3;
+    }
+
+    // Similar difficulty
+    if (typeof target.difficulty === 'number' && typeof candidate.difficulty === 'number') {
+        score += Math.max(0, 2 - Math.abs(target.difficulty - candidate.difficulty));
+    }
+
+    return score;
+}
+
+/**
+ * Choose distractors for a multiple-choice question
+ * @param {Object} target - Word being asked
+ * @param {Array} pool - Saved words to choose from
+ * @param {number} count - Number of distractors
+ * @returns {Array} Distractor word objects
+ */
+export function selectDistractors(target, pool, count = 3) {
+    const targetText = normalizeAnswer(target.word);
+    const seen = new Set([targetText]);
+
+    // Skip the word itself and its inflections, which would also be correct answers
+    const candidates = pool.filter(candidate => {
+        const text = normalizeAnswer(candidate.word);
+        if (seen.has(text) || isInflectedForm(text, targetText)) {
+            return false;
+        }
+        seen.add(text);
+        return true;
+    });
+
+    // Random tie-breaking keeps the options varied between sessions
+    return candidates
+        .map(candidate => ({ candidate, score: scoreDistractor(target, candidate) + Math.random() }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, count)
+        .map(({ candidate }) => candidate);
+}
+
+/**
+ * Build the shuffled options for a question
+ * @param {Object} target - Word being asked
+ * @param {Array} pool - Saved words to choose distractors from
+ * @param {number} optionCount - Total number of options
+ * @returns {Array} Option word objects, the target included
+ */
+export function buildChoiceOptions(target, pool, optionCount = 4) {
+    const options = [target, ...selectDistractors(target, pool, optionCount - 1)];
+    return options.sort(() => Math.random() - 0.5);
+}
+
+/**
+ * Render the option buttons
+ * @param {HTMLElement} container - Element to render into
+ * @param {Array} options - Option word objects
+ * @param {Function} onChoose - Called with the index of the clicked option
+ */
+export function renderChoiceOptions(container, options, onChoose) {
+    container.innerHTML = options.map((option, index) => `
+        <button class="choice-btn" data-index="${index}">
+            <span class="choice-key">${index + 1}</span>
+            <span class="choice-word">${escapeHtml(option.word)}</span>
+        </button>
+    `).join('');
+    container.style.display = 'grid';
+
+    container.querySelectorAll('.choice-btn').forEach(button => {
+        button.addEventListener('click', () => {
+            onChoose(parseInt(button.dataset.index, 10));
+        });
+    });
+}
+
+/**
+ * Mark the chosen and the correct option after answering
+ * @param {HTMLElement} container - Option buttons container
+ * @param {number} chosenIndex - Index of the chosen option
+ * @param {string} correctWord - The correct word
+ */
+export function markChoiceOptions(container, chosenIndex, correctWord) {
+    container.querySelectorAll('.choice-btn').forEach(button => {
+        const index = parseInt(button.dataset.index, 10);
+        const word = button.querySelector('.choice-word').textContent;
+
+        button.disabled = true;
+        if (word.toLowerCase() === correctWord.toLowerCase()) {
+            button.classList.add('correct');
+        } else if (index === chosenIndex) {
+            button.classList.add('incorrect');
+        }
+    });
+}
+
+/**
+ * Hide and clear the option buttons
+ * @param {HTMLElement|null} container - Option buttons container
+ */
+export function clearChoiceOptions(container) {
+    if (!container) return;
+    container.innerHTML = '';
+    container.style.display = 'none';
+}
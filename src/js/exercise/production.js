@@ -0,0 +1,58 @@
+/**
+ * Exercise Production Module
+ * Handles the word -> definition mode graded by the AI
+ */
+
+import { FSRS_RATING } from '../fsrs.js';
+import { escapeHtml } from '../ui/html.js';
+
+// Lowest AI score (0-100) that earns each rating
+const SCORE_THRESHOLDS = [
+    { minScore: 90, rating: FSRS_RATING.EASY },
+    { minScore: 65, rating: FSRS_RATING.GOOD },
+    { minScore: 40, rating: FSRS_RATING.HARD }
+];
+
+/**
+ * Map an AI grading score to an FSRS rating
+ * @param {number} score - Score from 0 to 100
+ * @returns {number} FSRS rating (1-4)
+ */
+export function scoreToRating(score) {
+    const threshold = SCORE_THRESHOLDS.find(t => score >= t.minScore);
+    return threshold ? threshold.rating : FSRS_RATING.AGAIN;
+}
+
+/**
+ * Render the AI feedback shown inline in the quiz card
+ * @param {Object} grade - Grading result ({ score, feedback })
+ * @param {string} definition - Reference definition of the word
+ * @returns {string} HTML for #answerFeedback
+ */
+export function renderProductionFeedback(grade, definition) {
+    const rating = scoreToRating(grade.score);
+    const level = rating === FSRS_RATING.AGAIN ? 'wrong' : rating === FSRS_RATING.HARD ? 'partial' : 'right';
+
+    return `
+        <div class="production-feedback ${level}">
+            <div class="production-score">${grade.score}/100</div>
+            ${grade.feedback ? `<p class="production-comment">${escapeHtml(grade.feedback)}</p>` : ''}
+            <p class="production-reference"><strong>Definition:</strong> ${escapeHtml(definition)}</p>
+        </div>
+    `;
+}
+
+/**
+ * Render the message shown when the AI could not grade the answer
+ * @param {string} message - Error message
+ * @param {string} definition - Reference definition of the word
+ * @returns {string} HTML for #answerFeedback
+ */
+export function renderProductionError(message, definition) {
+    return `
+        <div class="production-feedback unavailable">
+            <p class="production-comment">Could not grade automatically (${escapeHtml(message)}). Compare with the definition and grade yourself.</p>
+            <p class="production-reference"><strong>Definition:</strong> ${escapeHtml(definition)}</p>
+        </div>
+    `;
+}
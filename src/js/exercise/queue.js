@@ -0,0 +1,238 @@
+/**
+ * Exercise Queue Module
+ * Builds the study queue of a session: due reviews and new words within the
+ * daily limits, in the chosen order
+ *
+ * What was studied today comes from the review log, so the limits hold
+ * across sessions and devices, and undone answers no longer count.
+ */
+
+import { getReviewLogs } from '../storage/index.js';
+import { fsrsInstance, FSRSUtils } from '../fsrs.js';
+import { getSetting } from '../settings.js';
+import { getCardKey } from './session.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Order of the due reviews
+export const REVIEW_ORDERS = {
+    OVERDUE: 'overdue',               // Longest overdue first
+    RETRIEVABILITY: 'retrievability', // Most likely forgotten first
+    RANDOM: 'random'
+};
+
+// Where new words go in the queue
+export const NEW_WORD_POSITIONS = {
+    MIX: 'mix',       // Spread evenly between the reviews
+    BEFORE: 'before', // All new words first
+    AFTER: 'after'    // All new words after the reviews
+};
+
+/**
+ * Get the daily limits and ordering from the settings
+ * @returns {Object} { newLimit, reviewLimit, order, newPosition }
+ */
+export function getQueueSettings() {
+    const limit = (key, fallback) => {
+        const value = parseInt(getSetting(key), 10);
+        return Number.isInteger(value) && value >= 0 ? value : fallback;
+    };
+    const order = getSetting('reviewOrder');
+    const newPosition = getSetting('newWordPosition');
+
+    return {
+        newLimit: limit('dailyNewLimit', 20),
+        reviewLimit: limit('dailyReviewLimit', 200),
+        order: Object.values(REVIEW_ORDERS).includes(order) ? order : REVIEW_ORDERS.OVERDUE,
+        newPosition: Object.values(NEW_WORD_POSITIONS).includes(newPosition) ? newPosition : NEW_WORD_POSITIONS.MIX
+    };
+}
+
+/**
+ * Find the words studied today (since local midnight)
+ * A word whose first review was today counts as a new word, not a review.
+ * @param {Date} now - Current date (defaults to now)
+ * @returns {Promise<Object>} { newIds, reviewIds } sets of word IDs
+ */
+export async function getStudiedToday(now = new Date()) {
+    const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const logs = await getReviewLogs({ since: startOfDay.toISOString() });
+
+    const newIds = new Set();
+    const reviewIds = new Set();
+
+    logs.forEach(log => {
+        if (log.prevStability > 0) {
+            reviewIds.add(log.wordId);
+        } else {
+            newIds.add(log.wordId);
+        }
+    });
+    newIds.forEach(id => reviewIds.delete(id));
+
+    return { newIds, reviewIds };
+}
+
+/**
+ * Build the study queue of a session
+ * Due reviews come first in priority, then new words fill the session up to
+ * the daily new-word limit. Cards already studied today are left out. When
+ * nothing is due and no new word is left for today, learned words are
+ * practiced ahead of schedule, least well remembered first (they count as
+ * reviews).
+ * @param {Array} savedWords - All saved words (of the chosen deck or tag)
+ * @param {Array} dueWords - Words due for review
+ * @param {Object} options - Queue options
+ * @param {number} options.sessionSize - Maximum session size
+ * @param {number} options.newLimit - New words allowed per day
+ * @param {number} options.reviewLimit - Reviews allowed per day
+ * @param {string} options.order - One of REVIEW_ORDERS
+ * @param {string} options.newPosition - One of NEW_WORD_POSITIONS
+ * @param {Object} options.studiedToday - { newIds, reviewIds } from getStudiedToday
+ * @param {Date} options.now - Current date (defaults to now)
+ * @returns {Object} { words, reviews, newWords, practiceAhead, newLeft, reviewsLeft }
+ */
+export function buildStudyQueue(savedWords, dueWords, {
+    sessionSize,
+    newLimit,
+    reviewLimit,
+    order = REVIEW_ORDERS.OVERDUE,
+    newPosition = NEW_WORD_POSITIONS.MIX,
+    studiedToday = { newIds: new Set(), reviewIds: new Set() },
+    now = new Date()
+}) {
+    const isNew = word => FSRSUtils.getWordStatus(word) === 'new';
+
+    // Cards studied today are not served again, even if they are still due
+    const studiedIds = new Set([...studiedToday.newIds, ...studiedToday.reviewIds]);
+    const seen = new Set([...savedWords, ...dueWords]
+        .filter(word => studiedIds.has(word.id))
+        .map(getCardKey));
+
+    const unique = word => {
+        const key = getCardKey(word);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    };
+
+    const dueReviews = dueWords.filter(word => !isNew(word)).filter(unique);
+    const newCandidates = savedWords.filter(isNew).filter(unique);
+    const notDue = savedWords.filter(word => !isNew(word)).filter(unique);
+
+    const reviewsLeft = Math.max(0, reviewLimit - studiedToday.reviewIds.size);
+    const newLeft = Math.max(0, newLimit - studiedToday.newIds.size);
+
+    const reviews = orderReviews(dueReviews, order, now).slice(0, Math.min(reviewsLeft, sessionSize));
+    const newWords = orderNewWords(newCandidates, order).slice(0, Math.min(newLeft, sessionSize - reviews.length));
+
+    let practiceAhead = [];
+    if (reviews.length === 0 && newWords.length === 0) {
+        practiceAhead = orderReviews(notDue, REVIEW_ORDERS.RETRIEVABILITY, now).slice(0, Math.min(reviewsLeft, sessionSize));
+    }
+
+    return {
+        words: interleave([...reviews, ...practiceAhead], newWords, newPosition),
+        reviews: reviews.length,
+        newWords: newWords.length,
+        practiceAhead: practiceAhead.length,
+        newLeft: newLeft - newWords.length,
+        reviewsLeft: reviewsLeft - reviews.length - practiceAhead.length
+    };
+}
+
+/**
+ * Order review words
+ * @param {Array} words - Learned words
+ * @param {string} order - One of REVIEW_ORDERS
+ * @param {Date} now - Current date
+ * @returns {Array} Words in review order (a new array)
+ */
+function orderReviews(words, order, now) {
+    if (order === REVIEW_ORDERS.RANDOM) {
+        return shuffle(words);
+    }
+
+    if (order === REVIEW_ORDERS.RETRIEVABILITY) {
+        const recall = new Map(words.map(word => [word, getRetrievability(word, now)]));
+        return [...words].sort((a, b) => recall.get(a) - recall.get(b));
+    }
+
+    const dueTime = word => {
+        const time = new Date(word.nextReview || word.next_review || 0).getTime();
+        return isNaN(time) ? 0 : time;
+    };
+    return [...words].sort((a, b) => dueTime(a) - dueTime(b));
+}
+
+/**
+ * Order new words: oldest saved first, or shuffled for the random order
+ * @param {Array} words - New words
+ * @param {string} order - One of REVIEW_ORDERS
+ * @returns {Array} Words in study order (a new array)
+ */
+function orderNewWords(words, order) {
+    if (order === REVIEW_ORDERS.RANDOM) {
+        return shuffle(words);
+    }
+
+    const savedTime = word => new Date(word.timestamp || 0).getTime() || 0;
+    return [...words].sort((a, b) => savedTime(a) - savedTime(b));
+}
+
+/**
+ * Chance of recalling a word right now
+ * @param {Object} word - Word with stability and last_review
+ * @param {Date} now - Current date
+ * @returns {number} Retrievability (0-1); 0 without a memory state
+ */
+function getRetrievability(word, now) {
+    if (!(word.stability > 0) || !word.last_review) return 0;
+
+    const elapsedDays = (now - new Date(word.last_review)) / DAY_MS;
+    return fsrsInstance.calculateRetentionProbability(word.stability, elapsedDays);
+}
+
+/**
+ * Place new words among the reviews
+ * When mixed, each list is spread over the queue in proportion to its length.
+ * @param {Array} reviews - Review words, in order
+ * @param {Array} newWords - New words, in order
+ * @param {string} position - One of NEW_WORD_POSITIONS
+ * @returns {Array} Queue
+ */
+function interleave(reviews, newWords, position) {
+    if (position === NEW_WORD_POSITIONS.BEFORE) return [...newWords, ...reviews];
+    if (position === NEW_WORD_POSITIONS.AFTER) return [...reviews, ...newWords];
+
+    const queue = [];
+    let r = 0;
+    let n = 0;
+
+    while (r < reviews.length || n < newWords.length) {
+        const reviewSlot = (r + 1) / (reviews.length + 1);
+        const newSlot = (n + 1) / (newWords.length + 1);
+
+        if (n < newWords.length && (r >= reviews.length || newSlot < reviewSlot)) {
+            queue.push(newWords[n++]);
+        } else {
+            queue.push(reviews[r++]);
+        }
+    }
+
+    return queue;
+}
+
+/**
+ * Shuffle words (Fisher-Yates)
+ * @param {Array} words - Words to shuffle
+ * @returns {Array} Shuffled copy
+ */
+function shuffle(words) {
+    const result = [...words];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
@@ -3,9 +3,19 @@
  * Handles quiz flow, answer checking, and word display
  */
 
-import { updateWordReviewFSRS, deleteWord } from '../storage/index.js';
-import { showEditModal, displaySavedWords } from '../ui/index.js';
+import { updateWordReviewFSRS, revertWordReview, deleteWord } from '../storage/index.js';
+import { showEditModal, displaySavedWords, offerUndoDelete, showWordDetail } from '../ui/index.js';
 import { getSavedWords } from '../storage/index.js';
+import { FSRS_RATING } from '../fsrs.js';
+import { getSetting, GRADING_MODES } from '../settings.js';
+import { GRADE_OPTIONS, predictReviews, renderGradeButtons, clearGradeButtons } from './grading.js';
+import { matchAnswer, getOutcomeRating, renderAnswerFeedback, MATCH_OUTCOMES } from './answerMatching.js';
+import { buildChoiceOptions, renderChoiceOptions, markChoiceOptions, clearChoiceOptions } from './multipleChoice.js';
+import { scoreToRating, renderProductionFeedback, renderProductionError } from './production.js';
+import { EXERCISE_MODES, getCardKey, saveActiveSession, clearActiveSession, invalidateCache } from './session.js';
+import { gradeProductionAnswer } from '../api.js';
+import { escapeHtml } from '../ui/html.js';
+import { escapeRegex } from '../ui/validation.js';
 
 // Quiz state
 let exerciseWords = [];
@@ -14,6 +24,37 @@ let correctAnswers = 0;
 let masteredWords = new Set();
 let totalAttempts = 0;
 let questionStartTime = null;
+let sessionId = null;
+
+// Answer waiting for a self-grade (manual grading mode)
+let pendingGrade = null;
+
+// Multiple-choice mode
+let exerciseMode = EXERCISE_MODES.TYPING;
+let distractorPool = [];
+let choiceOptions = [];
+
+// Production mode: true while the AI grades an answer
+let checkingAnswer = false;
+
+// Quiz state before each answer, most recent last, for undo
+const UNDO_LIMIT = 20;
+let answerHistory = [];
+
+// Reverts run one after another, so undoing two reviews of a word ends at the older state
+let revertQueue = Promise.resolve();
+
+/**
+ * Create a unique identifier for an exercise session or a review
+ * @param {string} prefix - Prefix used when crypto.randomUUID is unavailable
+ * @returns {string} Unique ID
+ */
+function createId(prefix = 'session') {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return `${prefix}_` + Date.now().toString(36) + Math.random().toString(36).substring(2, 10);
+}
 
 /**
  * Get current exercise words array
@@ -53,26 +94,101 @@ export function resetQuizState() {
     masteredWords.clear();
     totalAttempts = 0;
     exerciseWords = [];
+    sessionId = null;
+    pendingGrade = null;
+    exerciseMode = EXERCISE_MODES.TYPING;
+    distractorPool = [];
+    choiceOptions = [];
+    checkingAnswer = false;
+    answerHistory = [];
+    updateUndoButton();
+    clearActiveSession();
 }
 
 /**
  * Initialize quiz with words
  * @param {Array} words - Words for the session
+ * @param {Object} options - Session options
+ * @param {string} options.mode - Exercise mode ('typing' or 'choice')
+ * @param {Array} options.distractorPool - Saved words to draw multiple-choice distractors from
  */
-export function initializeQuiz(words) {
+export function initializeQuiz(words, { mode = EXERCISE_MODES.TYPING, distractorPool: pool = [] } = {}) {
     exerciseWords = words;
+    exerciseMode = mode;
+    distractorPool = pool.length > 0 ? pool : words;
+    choiceOptions = [];
     currentQuestionIndex = 0;
     correctAnswers = 0;
     masteredWords.clear();
     totalAttempts = 0;
+    sessionId = createId();
+    pendingGrade = null;
+    answerHistory = [];
+}
+
+/**
+ * Continue a session saved before a reload
+ * Words deleted since are left out; the others get their current data.
+ * @param {Object} session - Session state from getActiveSession
+ * @param {Array} savedWords - Saved words (also used for multiple-choice distractors)
+ * @returns {boolean} False if none of the remaining questions can be asked
+ */
+export function resumeQuiz(session, savedWords) {
+    const wordsById = new Map(savedWords.map(w => [w.id, w]));
+    const words = [];
+    let questionIndex = session.currentQuestionIndex;
+
+    session.wordIds.forEach((id, i) => {
+        const word = wordsById.get(id);
+        if (word) {
+            words.push({ ...word });
+        } else if (i < session.currentQuestionIndex) {
+            questionIndex--;
+        }
+    });
+
+    if (questionIndex >= words.length) {
+        return false;
+    }
+
+    exerciseWords = words;
+    exerciseMode = Object.values(EXERCISE_MODES).includes(session.mode) ? session.mode : EXERCISE_MODES.TYPING;
+    distractorPool = savedWords;
+    choiceOptions = [];
+    currentQuestionIndex = questionIndex;
+    correctAnswers = session.correctAnswers || 0;
+    masteredWords = new Set(session.masteredWords);
+    totalAttempts = session.totalAttempts || 0;
+    sessionId = session.sessionId || createId();
+    pendingGrade = null;
+    answerHistory = [];
+    return true;
+}
+
+/**
+ * Save the session so it can be resumed after a reload
+ * (saved as each question is shown and again once its review is written, so
+ * only an answer still waiting for its grade is asked again)
+ */
+function persistSession() {
+    saveActiveSession({
+        sessionId,
+        mode: exerciseMode,
+        wordIds: exerciseWords.map(w => w.id),
+        currentQuestionIndex,
+        correctAnswers,
+        totalAttempts,
+        masteredWords: [...masteredWords]
+    });
 }
 
 /**
  * Show the current question
  * @param {Function} updateProgressCallback - Callback to update progress display
+ * @param {Function} choiceCallback - Called with the option index when a multiple-choice option is clicked
  */
-export function showQuestion(updateProgressCallback) {
-    const initialWordCount = [...new Set(exerciseWords.map(w => w.word.toLowerCase()))].length;
+export function showQuestion(updateProgressCallback, choiceCallback = null) {
+    const initialWordCount = [...new Set(exerciseWords.map(getCardKey))].length;
     if (masteredWords.size === initialWordCount && currentQuestionIndex >= exerciseWords.length) {
         showResults();
         return;
@@ -85,6 +201,7 @@ export function showQuestion(updateProgressCallback) {
 
     const currentWord = exerciseWords[currentQuestionIndex];
     questionStartTime = Date.now();
+    persistSession();
 
     // Trigger slide-in animation
     const questionCard = document.querySelector('.question-card-minimal');
@@ -96,25 +213,51 @@ export function showQuestion(updateProgressCallback) {
 
     displayWordDueInfo(currentWord);
 
-    // Show the example sentence with blanks for the word
-    const exampleWithBlank = currentWord.example
-        ? currentWord.example.replace(new RegExp(currentWord.word, 'gi'), '___________')
-        : 'Example sentence not available.';
-
-    document.getElementById('exampleSentence').innerHTML = `<em>"${exampleWithBlank}"</em>`;
+    const isChoice = exerciseMode === EXERCISE_MODES.CHOICE;
+    const isProduction = exerciseMode === EXERCISE_MODES.PRODUCTION;
 
-    // Show the definition with first letter hint
-    const firstLetter = currentWord.word.charAt(0).toUpperCase();
-    document.getElementById('definitionDisplay').textContent = `${currentWord.definition} (${firstLetter})`;
+    if (isProduction) {
+        // Show the word; the learner writes what it means
+        document.getElementById('exampleSentence').innerHTML = `<strong class="production-word">${escapeHtml(currentWord.word)}</strong>`;
+        document.getElementById('definitionDisplay').textContent = 'Write a definition or a sentence using this word';
+    } else {
+        // Show the example sentence with blanks for the word
+        const exampleWithBlank = currentWord.example
+            ? markWordInExample(currentWord.example, currentWord.word, '___________')
+            : 'Example sentence not available.';
+
+        document.getElementById('exampleSentence').innerHTML = `<em>"${exampleWithBlank}"</em>`;
+
+        // Show the definition with first letter hint (the options are the hint in multiple choice)
+        const firstLetter = currentWord.word.charAt(0).toUpperCase();
+        document.getElementById('definitionDisplay').textContent = isChoice
+            ? currentWord.definition
+            : `${currentWord.definition} (${firstLetter})`;
+    }
 
     // Reset input and feedback
     const answerInput = document.getElementById('answerInput');
     answerInput.value = '';
     answerInput.disabled = false;
-    answerInput.classList.remove('correct-input', 'incorrect-input', 'shake');
-    answerInput.focus();
+    answerInput.style.display = isChoice ? 'none' : '';
+    answerInput.placeholder = isProduction ? 'Write a definition or sentence...' : 'Type your answer...';
+    answerInput.classList.remove('correct-input', 'close-input', 'incorrect-input', 'shake');
+
+    const choiceContainer = document.getElementById('choiceOptions');
+    if (isChoice && choiceContainer) {
+        choiceOptions = buildChoiceOptions(currentWord, distractorPool);
+        renderChoiceOptions(choiceContainer, choiceOptions, (index) => {
+            if (choiceCallback) choiceCallback(index);
+        });
+    } else {
+        choiceOptions = [];
+        clearChoiceOptions(choiceContainer);
+        answerInput.focus();
+    }
 
     document.getElementById('answerFeedback').innerHTML = '';
+    clearGradeButtons(document.getElementById('gradeButtons'));
+    pendingGrade = null;
     document.getElementById('nextQuestion').style.display = 'none';
     document.getElementById('exerciseCardActions').style.display = 'none';
 
@@ -128,15 +271,33 @@ export function showQuestion(updateProgressCallback) {
     const hintText = document.querySelector('.press-enter-hint');
     if (hintText) {
         hintText.style.display = 'block';
-        hintText.textContent = 'Press Enter to submit';
+        hintText.textContent = isChoice
+            ? 'Pick an answer (1–4)'
+            : isProduction ? 'Press Enter to submit for grading' : 'Press Enter to submit';
         hintText.classList.remove('continue-hint');
     }
 
+    updateUndoButton();
+
     if (updateProgressCallback) {
         updateProgressCallback();
     }
 }
 
+/**
+ * Build the example sentence markup with each use of the word replaced
+ * @param {string} example - Example sentence
+ * @param {string} word - Word to replace
+ * @param {string} replacement - Markup put where the word appears
+ * @returns {string} Escaped example markup
+ */
+function markWordInExample(example, word, replacement) {
+    return example
+        .split(new RegExp(escapeRegex(word), 'gi'))
+        .map(part => escapeHtml(part))
+        .join(replacement);
+}
+
 /**
  * Display word due date information
  * @param {Object} word - Word object
@@ -176,93 +337,446 @@ function displayWordDueInfo(word) {
 
 /**
  * Check the user's answer
+ * @param {Function} gradeCallback - Called with the chosen rating when a grade button is clicked (self-grading mode)
  */
-export async function checkAnswer() {
+export async function checkAnswer(gradeCallback = null) {
     const answerInput = document.getElementById('answerInput');
     const userAnswer = answerInput.value.trim().toLowerCase();
     const currentWord = exerciseWords[currentQuestionIndex];
-    const correctWord = currentWord.word.toLowerCase();
 
-    if (!userAnswer) {
+    if (!userAnswer || exerciseMode === EXERCISE_MODES.CHOICE) {
         return;
     }
 
-    const isCorrect = userAnswer === correctWord;
+    if (exerciseMode === EXERCISE_MODES.PRODUCTION) {
+        return checkProductionAnswer(answerInput.value.trim(), gradeCallback);
+    }
+
+    // Near misses (typos, wrong inflection) still count as recalled, with a lower rating
+    const match = matchAnswer(userAnswer, currentWord.word);
+    const isCorrect = match.outcome !== MATCH_OUTCOMES.WRONG;
+
+    document.getElementById('answerFeedback').innerHTML = renderAnswerFeedback(match, currentWord.word);
+
+    if (isCorrect) {
+        if (match.outcome === MATCH_OUTCOMES.EXACT) {
+            answerInput.classList.add('correct-input');
+            createSparkles();
+        } else {
+            answerInput.classList.add('close-input');
+        }
+    } else {
+        answerInput.classList.add('incorrect-input');
+        answerInput.classList.add('shake');
+    }
+
+    const responseTime = questionStartTime ? Date.now() - questionStartTime : 3000;
+    completeAnswer(currentWord, isCorrect, getOutcomeRating(match.outcome, responseTime), gradeCallback, { responseTime });
+}
+
+/**
+ * Have the AI grade a written definition or sentence
+ * @param {string} answer - The learner's answer
+ * @param {Function} gradeCallback - Called with the chosen rating (self-grading mode)
+ */
+async function checkProductionAnswer(answer, gradeCallback) {
+    const currentWord = exerciseWords[currentQuestionIndex];
+    const answerInput = document.getElementById('answerInput');
     const feedbackDiv = document.getElementById('answerFeedback');
+    const requestSessionId = sessionId;
+    const responseTime = questionStartTime ? Date.now() - questionStartTime : 3000;
+
+    answerInput.disabled = true;
+    checkingAnswer = true;
+    feedbackDiv.innerHTML = '<p class="loading">Checking your answer...</p>';
+
+    let grade = null;
+    let errorMessage = null;
+
+    try {
+        grade = await gradeProductionAnswer(currentWord.word, currentWord.definition, answer);
+    } catch (error) {
+        errorMessage = error.message;
+    } finally {
+        checkingAnswer = false;
+    }
+
+    // The exercise was reset or restarted while waiting
+    if (requestSessionId !== sessionId || exerciseWords[currentQuestionIndex] !== currentWord) {
+        return;
+    }
+
+    if (!grade) {
+        // Without an AI verdict the learner grades the answer themselves
+        feedbackDiv.innerHTML = renderProductionError(errorMessage || 'no response', currentWord.definition);
+        completeAnswer(currentWord, false, null, gradeCallback, { responseTime, selfGrade: true });
+        return;
+    }
+
+    const rating = scoreToRating(grade.score);
+    feedbackDiv.innerHTML = renderProductionFeedback(grade, currentWord.definition);
+
+    if (rating >= FSRS_RATING.GOOD) {
+        answerInput.classList.add('correct-input');
+        createSparkles();
+    } else if (rating === FSRS_RATING.HARD) {
+        answerInput.classList.add('close-input');
+    } else {
+        answerInput.classList.add('incorrect-input');
+    }
+
+    completeAnswer(currentWord, rating > FSRS_RATING.AGAIN, rating, gradeCallback, { responseTime });
+}
+
+/**
+ * Check whether an answer is still being graded by the AI
+ * @returns {boolean} True while grading is in progress
+ */
+export function isCheckingAnswer() {
+    return checkingAnswer;
+}
+
+/**
+ * Answer a multiple-choice question
+ * @param {number} index - Index of the chosen option
+ * @param {Function} gradeCallback - Called with the chosen rating when a grade button is clicked (self-grading mode)
+ * @returns {boolean} True if an option was chosen
+ */
+export function chooseOption(index, gradeCallback = null) {
+    if (!isAwaitingChoice() || index < 0 || index >= choiceOptions.length) {
+        return false;
+    }
+
+    const currentWord = exerciseWords[currentQuestionIndex];
+    const chosen = choiceOptions[index];
+    const isCorrect = chosen.word.toLowerCase() === currentWord.word.toLowerCase();
+    choiceOptions = [];
+
+    const container = document.getElementById('choiceOptions');
+    if (container) {
+        markChoiceOptions(container, index, currentWord.word);
+    }
+
+    if (isCorrect) {
+        createSparkles();
+    }
+
+    completeAnswer(currentWord, isCorrect, isCorrect ? null : FSRS_RATING.AGAIN, gradeCallback);
+    return true;
+}
+
+/**
+ * Check whether a multiple-choice question is waiting for an answer
+ * @returns {boolean} True if options are shown and none was chosen yet
+ */
+export function isAwaitingChoice() {
+    return choiceOptions.length > 0;
+}
+
+/**
+ * Shared handling once a question is answered: scheduling, reveal and requeue
+ * @param {Object} currentWord - Word that was asked
+ * @param {boolean} isCorrect - Whether the word counts as recalled
+ * @param {number|null} outcomeRating - Rating implied by the answer, or null for the usual timing/self-grade
+ * @param {Function} gradeCallback - Called with the chosen rating (self-grading mode)
+ * @param {Object} options - Additional options
+ * @param {number} options.responseTime - Response time in milliseconds (measured now if omitted)
+ * @param {boolean} options.selfGrade - Ask for a self-grade regardless of the grading setting
+ */
+function completeAnswer(currentWord, isCorrect, outcomeRating, gradeCallback, { responseTime = null, selfGrade = false } = {}) {
+    const answerInput = document.getElementById('answerInput');
+    const selfGrading = selfGrade || getSetting('gradingMode') === GRADING_MODES.MANUAL;
+    const undoEntry = saveUndoState();
 
     totalAttempts++;
 
     answerInput.disabled = true;
     const hintText = document.querySelector('.press-enter-hint');
     if (hintText) {
+        hintText.style.display = 'block';
         hintText.textContent = 'Press Enter to continue →';
         hintText.classList.add('continue-hint');
     }
 
     document.getElementById('exerciseCardActions').style.display = 'flex';
 
-    const responseTime = questionStartTime ? Date.now() - questionStartTime : 3000;
+    if (responseTime === null) {
+        responseTime = questionStartTime ? Date.now() - questionStartTime : 3000;
+    }
 
-    // Update spaced repetition data with FSRS (non-blocking)
-    updateWordReviewFSRS(currentWord.word, isCorrect, responseTime);
+    if (selfGrading) {
+        // The learner grades the review after seeing the answer
+        showGradeButtons(currentWord, outcomeRating ?? FSRS_RATING.GOOD, responseTime, gradeCallback);
+    } else {
+        undoEntry.review = submitReview(currentWord, isCorrect, responseTime, outcomeRating);
+    }
 
-    if (isCorrect) {
-        masteredWords.add(correctWord);
+    const highlight = `<mark class="highlight-word">${escapeHtml(currentWord.word)}</mark>`;
+    const exampleWithWord = currentWord.example
+        ? markWordInExample(currentWord.example, currentWord.word, highlight)
+        : `Example with "${highlight}"`;
 
-        const exampleWithWord = currentWord.example
-            ? currentWord.example.replace(
-                new RegExp(currentWord.word, 'gi'),
-                `<mark class="highlight-word">${currentWord.word}</mark>`
-            )
-            : `Example with "<mark class="highlight-word">${currentWord.word}</mark>"`;
+    document.getElementById('exampleSentence').innerHTML = `<em>"${exampleWithWord}"</em>`;
 
-        document.getElementById('exampleSentence').innerHTML = `<em>"${exampleWithWord}"</em>`;
+    if (!selfGrading) {
+        if (isCorrect) {
+            masteredWords.add(getCardKey(currentWord));
+            correctAnswers++;
+        } else {
+            // Word answered incorrectly - add it back to the queue
+            requeueWord(currentWord, currentQuestionIndex);
+        }
+    }
 
-        feedbackDiv.innerHTML = '';
-        answerInput.classList.add('correct-input');
+    currentQuestionIndex++;
+    updateUndoButton();
 
-        createSparkles();
-        correctAnswers++;
-    } else {
-        // Word answered incorrectly - add it back to the queue
-        const insertPosition = Math.min(
-            currentQuestionIndex + Math.floor(Math.random() * 7) + 2,
-            exerciseWords.length
-        );
+    if (!selfGrading) {
+        persistSession();
+    }
+}
 
-        exerciseWords.splice(insertPosition, 0, { ...currentWord });
+/**
+ * Update spaced repetition data with FSRS (non-blocking), keeping what undo needs
+ * @param {Object} word - Reviewed word
+ * @param {boolean} isCorrect - Whether the word was recalled
+ * @param {number} responseTime - Response time in milliseconds
+ * @param {number|null} rating - FSRS rating, or null to derive it from correctness and timing
+ * @returns {Object} { reviewId, saved } where saved resolves once the review is stored
+ */
+function submitReview(word, isCorrect, responseTime, rating) {
+    const reviewId = createId('review');
+    const saved = updateWordReviewFSRS(word.word, isCorrect, responseTime, {
+        sessionId,
+        rating,
+        senseIndex: word.senseIndex || 0,
+        reviewId
+    });
+    invalidateCache();
+
+    return { reviewId, saved };
+}
 
-        const exampleWithWord = currentWord.example
-            ? currentWord.example.replace(
-                new RegExp(currentWord.word, 'gi'),
-                `<mark class="highlight-word">${currentWord.word}</mark>`
-            )
-            : `Example with "<mark class="highlight-word">${currentWord.word}</mark>"`;
+/**
+ * Remember the quiz state before an answer so it can be undone
+ * (words are copied because grading updates them in place)
+ * @returns {Object} History entry; its review is set once the answer is graded
+ */
+function saveUndoState() {
+    const entry = {
+        exerciseWords: exerciseWords.map(w => ({ ...w })),
+        currentQuestionIndex,
+        correctAnswers,
+        masteredWords: new Set(masteredWords),
+        totalAttempts,
+        review: null
+    };
 
-        document.getElementById('exampleSentence').innerHTML = `<em>"${exampleWithWord}"</em>`;
+    answerHistory.push(entry);
+    if (answerHistory.length > UNDO_LIMIT) {
+        answerHistory.shift();
+    }
 
-        feedbackDiv.innerHTML = '';
-        answerInput.classList.add('incorrect-input');
-        answerInput.classList.add('shake');
+    return entry;
+}
+
+/**
+ * Check whether there is an answer to undo
+ * @returns {boolean} True if undo is possible right now
+ */
+export function canUndoAnswer() {
+    return answerHistory.length > 0 && !checkingAnswer;
+}
+
+/**
+ * Undo the last answer: ask its question again and put the word's schedule
+ * back to what it was before the review
+ * @param {Function} updateProgressCallback - Callback to update progress display
+ * @param {Function} choiceCallback - Called with the option index when a multiple-choice option is clicked
+ * @returns {Promise<boolean>} False if there was nothing to undo or the review could not be reverted
+ */
+export async function undoLastAnswer(updateProgressCallback, choiceCallback = null) {
+    if (!canUndoAnswer()) {
+        return false;
     }
 
-    currentQuestionIndex++;
+    const entry = answerHistory.pop();
+    const answeredWord = entry.exerciseWords[entry.currentQuestionIndex];
+
+    exerciseWords = entry.exerciseWords;
+    currentQuestionIndex = entry.currentQuestionIndex;
+    correctAnswers = entry.correctAnswers;
+    masteredWords = entry.masteredWords;
+    totalAttempts = entry.totalAttempts;
+
+    // The last answer may have ended the session
+    document.getElementById('exerciseQuiz').style.display = 'block';
+    document.getElementById('exerciseResults').style.display = 'none';
+    showQuestion(updateProgressCallback, choiceCallback);
+
+    // Self-graded answers that were never graded wrote nothing
+    if (!entry.review) {
+        return true;
+    }
+
+    const reverted = revertQueue.then(() => revertReview(entry.review, answeredWord));
+    revertQueue = reverted;
+    return reverted;
+}
+
+/**
+ * Put a word's schedule back to what it was before a review
+ * @param {Object} review - { reviewId, saved } from submitReview
+ * @param {Object} word - Reviewed word
+ * @returns {Promise<boolean>} Success status
+ */
+async function revertReview(review, word) {
+    // Wait for the review to be stored; a review that failed has nothing to revert
+    if (!(await review.saved)) {
+        return true;
+    }
+
+    if (!(await revertWordReview(review.reviewId))) {
+        alert(`Failed to undo the review of "${word.word}". Its next review date keeps this answer.`);
+        return false;
+    }
+
+    invalidateCache();
+    return true;
+}
+
+/**
+ * Show the undo button while there is an answer to undo
+ */
+function updateUndoButton() {
+    const undoBtn = document.getElementById('undoAnswer');
+    if (undoBtn) {
+        undoBtn.style.display = answerHistory.length > 0 ? 'block' : 'none';
+    }
+}
+
+/**
+ * Put a word back into the queue a few questions later
+ * @param {Object} word - Word to repeat
+ * @param {number} afterIndex - Index of the question the word was asked at
+ */
+function requeueWord(word, afterIndex) {
+    const insertPosition = Math.min(
+        afterIndex + Math.floor(Math.random() * 7) + 2,
+        exerciseWords.length
+    );
+
+    exerciseWords.splice(insertPosition, 0, { ...word });
+}
+
+/**
+ * Show the Again/Hard/Good/Easy buttons for the answered word
+ * @param {Object} word - Answered word
+ * @param {number} suggestedRating - Rating highlighted as the default (from the answer match)
+ * @param {number} responseTime - Response time in milliseconds
+ * @param {Function} gradeCallback - Called with the chosen rating
+ */
+function showGradeButtons(word, suggestedRating, responseTime, gradeCallback) {
+    const predictions = predictReviews(word);
+
+    pendingGrade = {
+        word,
+        questionIndex: currentQuestionIndex,
+        responseTime,
+        predictions,
+        suggestedRating
+    };
+
+    const hintText = document.querySelector('.press-enter-hint');
+    if (hintText) {
+        const suggested = GRADE_OPTIONS.find(o => o.rating === suggestedRating);
+        hintText.textContent = `How well did you know it? Press 1–4, or Enter for ${suggested.label}`;
+    }
+
+    const container = document.getElementById('gradeButtons');
+    if (container) {
+        renderGradeButtons(container, predictions, suggestedRating, (rating) => {
+            if (gradeCallback) gradeCallback(rating);
+        });
+    }
+}
+
+/**
+ * Check whether the current answer is waiting for a self-grade
+ * @returns {boolean} True if a grade is pending
+ */
+export function isAwaitingGrade() {
+    return pendingGrade !== null;
+}
+
+/**
+ * Get the grade suggested for the pending answer (used for Enter)
+ * @returns {number|null} FSRS rating or null if nothing is pending
+ */
+export function getSuggestedRating() {
+    return pendingGrade ? pendingGrade.suggestedRating : null;
+}
+
+/**
+ * Record the learner's self-grade for the pending answer
+ * @param {number} rating - FSRS rating (1-4)
+ */
+export function gradeAnswer(rating) {
+    if (!pendingGrade) return;
+
+    const { word, questionIndex, responseTime, predictions } = pendingGrade;
+    const isCorrect = rating > FSRS_RATING.AGAIN;
+    pendingGrade = null;
+
+    clearGradeButtons(document.getElementById('gradeButtons'));
+
+    // The answer being graded is always the last one in the undo history
+    const review = submitReview(word, isCorrect, responseTime, rating);
+    if (answerHistory.length > 0) {
+        answerHistory[answerHistory.length - 1].review = review;
+    }
+
+    // Keep the local copies in step so repeated questions predict from the new state
+    const next = predictions[rating];
+    exerciseWords
+        .filter(w => getCardKey(w) === getCardKey(word))
+        .forEach(w => Object.assign(w, {
+            stability: next.stability,
+            difficulty: next.difficulty,
+            reps: next.reps,
+            lapses: next.lapses,
+            last_review: next.last_review,
+            nextReview: next.next_review
+        }));
+
+    if (isCorrect) {
+        masteredWords.add(getCardKey(word));
+        correctAnswers++;
+    } else {
+        requeueWord(word, questionIndex);
+    }
+
+    persistSession();
 }
 
 /**
  * Move to the next question
  * @param {Function} updateProgressCallback - Callback to update progress
+ * @param {Function} choiceCallback - Called with the option index when a multiple-choice option is clicked
  */
-export function nextQuestion(updateProgressCallback) {
+export function nextQuestion(updateProgressCallback, choiceCallback = null) {
     const answerInput = document.getElementById('answerInput');
-    answerInput.classList.remove('correct-input', 'incorrect-input');
-    showQuestion(updateProgressCallback);
+    answerInput.classList.remove('correct-input', 'close-input', 'incorrect-input');
+    showQuestion(updateProgressCallback, choiceCallback);
 }
 
 /**
  * Show exercise results
  */
 export function showResults() {
+    clearActiveSession();
+    invalidateCache();
+
     document.getElementById('exerciseQuiz').style.display = 'none';
     document.getElementById('exerciseResults').style.display = 'block';
 
@@ -317,6 +831,8 @@ export function getCurrentWord() {
 
 /**
  * Handle word deletion during exercise
+ * The word goes to the trash straight away; an undo toast brings it back
+ * (to the vocabulary, not to the current session).
  * @param {Function} resetCallback - Callback to reset exercise
  * @param {Function} nextCallback - Callback to move to next question
  */
@@ -324,19 +840,23 @@ export async function handleDeleteWord(resetCallback, nextCallback) {
     const currentWord = getCurrentWord();
     if (!currentWord) return;
 
-    const confirmed = confirm(`Delete "${currentWord.word}" from your vocabulary?`);
-    if (!confirmed) return;
-
     const success = await deleteWord(currentWord.word);
     if (success) {
-        exerciseWords = exerciseWords.filter(w =>
-            w.word.toLowerCase() !== currentWord.word.toLowerCase()
-        );
+        // Deleting a word removes all of its senses
+        const deletedWord = currentWord.word.toLowerCase();
+        exerciseWords = exerciseWords.filter(w => w.word.toLowerCase() !== deletedWord);
 
-        masteredWords.delete(currentWord.word.toLowerCase());
+        [...masteredWords]
+            .filter(key => key.startsWith(`${deletedWord}#`))
+            .forEach(key => masteredWords.delete(key));
         currentQuestionIndex--;
 
+        // Earlier states still hold the deleted word
+        answerHistory = [];
+        updateUndoButton();
+
         await displaySavedWords();
+        offerUndoDelete(`Deleted "${currentWord.word}"`);
 
         if (exerciseWords.length < 1) {
             alert('No more words in exercise. Returning to start.');
@@ -368,6 +888,35 @@ export function handleEditWord(refreshCallback) {
     }, 100);
 }
 
+/**
+ * Show the forgetting curve of the current word
+ * Once its review is stored the word is reloaded, so the curve includes it.
+ */
+export async function handleShowWordDetails() {
+    const currentWord = getCurrentWord();
+    if (!currentWord) return;
+
+    // The current word was the last one answered
+    const review = answerHistory[answerHistory.length - 1]?.review;
+    if (review && await review.saved) {
+        showWordDetail(await loadSavedWord(currentWord) || currentWord);
+        return;
+    }
+
+    showWordDetail(currentWord);
+}
+
+/**
+ * Load the stored copy of an exercise word
+ * @param {Object} word - Exercise word
+ * @returns {Promise<Object|undefined>} Stored word, or undefined if it is gone
+ */
+async function loadSavedWord(word) {
+    const savedWords = await getSavedWords();
+    return savedWords.find(w => w.id === word.id) ||
+        savedWords.find(w => getCardKey(w) === getCardKey(word));
+}
+
 /**
  * Refresh the current word data from storage
  */
@@ -375,23 +924,17 @@ export async function refreshCurrentWord() {
     const currentWord = getCurrentWord();
     if (!currentWord) return;
 
-    const savedWords = await getSavedWords();
-    const updatedWord = savedWords.find(w =>
-        w.word.toLowerCase() === currentWord.word.toLowerCase() ||
-        w.id === currentWord.id
-    );
+    const updatedWord = await loadSavedWord(currentWord);
 
     if (updatedWord) {
         const index = currentQuestionIndex - 1;
         if (index >= 0 && index < exerciseWords.length) {
             exerciseWords[index] = updatedWord;
 
+            const highlight = `<mark class="highlight-word">${escapeHtml(updatedWord.word)}</mark>`;
             const exampleWithWord = updatedWord.example
-                ? updatedWord.example.replace(
-                    new RegExp(updatedWord.word, 'gi'),
-                    `<mark class="highlight-word">${updatedWord.word}</mark>`
-                )
-                : `Example with "<mark class="highlight-word">${updatedWord.word}</mark>"`;
+                ? markWordInExample(updatedWord.example, updatedWord.word, highlight)
+                : `Example with "${highlight}"`;
 
             document.getElementById('exampleSentence').innerHTML = `<em>"${exampleWithWord}"</em>`;
             document.getElementById('definitionDisplay').textContent = `${updatedWord.definition} (${updatedWord.word.charAt(0).toUpperCase()})`;
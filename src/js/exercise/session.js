@@ -14,6 +14,31 @@ const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
 const SESSION_SIZE_KEY = 'lingodash_session_size';
 const DEFAULT_SESSION_SIZE = 25;
 
+// Exercise mode preference management
+const EXERCISE_MODE_KEY = 'lingodash_exercise_mode';
+
+// Deck or tag practiced ('' for all words, 'deck:<name>' or 'tag:<name>')
+const EXERCISE_SCOPE_KEY = 'lingodash_exercise_scope';
+
+// Unfinished session, so it can be resumed after a reload
+const ACTIVE_SESSION_KEY = 'lingodash_active_session';
+const ACTIVE_SESSION_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+export const EXERCISE_MODES = {
+    TYPING: 'typing',        // Fill in the blank by typing the word
+    CHOICE: 'choice',        // Pick the word from four options
+    PRODUCTION: 'production' // See the word, write its meaning (graded by the AI)
+};
+
+/**
+ * Get the key identifying a card: each sense of a word is reviewed separately
+ * @param {Object} word - Word object
+ * @returns {string} Lowercased word and sense index
+ */
+export function getCardKey(word) {
+    return `${word.word.toLowerCase()}#${word.senseIndex || 0}`;
+}
+
 /**
  * Pre-fetch exercise data when app initializes
  */
@@ -57,6 +82,14 @@ export function updateCache(data) {
     cacheTimestamp = Date.now();
 }
 
+/**
+ * Drop the cached exercise data, so the next session loads fresh schedules
+ */
+export function invalidateCache() {
+    exerciseDataCache = null;
+    cacheTimestamp = null;
+}
+
 /**
  * Get the current session size preference
  * @returns {number} Session size (25 or 50)
@@ -75,51 +108,127 @@ export function setSessionSize(size) {
 }
 
 /**
- * Select words for an exercise session
- * @param {Array} savedWords - All saved words
- * @param {Array} dueWords - Words due for review
- * @param {number} sessionSize - Maximum session size
- * @returns {Array} Selected words for the session
+ * Get the current exercise mode preference
+ * @returns {string} Exercise mode ('typing' or 'choice')
  */
-export function selectSessionWords(savedWords, dueWords, sessionSize) {
-    let selectedWords = [];
+export function getExerciseMode() {
+    const saved = localStorage.getItem(EXERCISE_MODE_KEY);
+    return Object.values(EXERCISE_MODES).includes(saved) ? saved : EXERCISE_MODES.TYPING;
+}
+
+/**
+ * Set the exercise mode preference
+ * @param {string} mode - Exercise mode to save
+ */
+export function setExerciseMode(mode) {
+    localStorage.setItem(EXERCISE_MODE_KEY, mode);
+}
+
+/**
+ * Get the deck or tag the next session is limited to
+ * @returns {string} '' for all words, 'deck:<name>' or 'tag:<name>'
+ */
+export function getExerciseScope() {
+    const saved = localStorage.getItem(EXERCISE_SCOPE_KEY) || '';
+    return /^(deck|tag):./.test(saved) ? saved : '';
+}
+
+/**
+ * Set the deck or tag the next session is limited to
+ * @param {string} scope - '' for all words, 'deck:<name>' or 'tag:<name>'
+ */
+export function setExerciseScope(scope) {
+    localStorage.setItem(EXERCISE_SCOPE_KEY, scope || '');
+}
 
-    // First, take due words up to the session size limit
-    if (dueWords.length > 0) {
-        selectedWords = dueWords.slice(0, sessionSize);
+/**
+ * Keep the words of a deck or tag
+ * @param {Array} words - Words to filter
+ * @param {string} scope - '' for all words, 'deck:<name>' or 'tag:<name>'
+ * @returns {Array} Words in the scope
+ */
+export function filterWordsByScope(words, scope) {
+    const separator = (scope || '').indexOf(':');
+    if (separator <= 0) {
+        return words;
     }
 
-    // If we have fewer words than the session size, add random words from saved words
-    if (selectedWords.length < sessionSize && savedWords.length > selectedWords.length) {
-        const selectedWordLower = new Set(selectedWords.map(w => w.word.toLowerCase()));
-        const availableWords = savedWords.filter(word =>
-            !selectedWordLower.has(word.word.toLowerCase())
-        );
+    const type = scope.slice(0, separator);
+    const name = scope.slice(separator + 1);
+
+    return words.filter(word => (type === 'deck' ? word.deck === name : (word.tags || []).includes(name)));
+}
+
+/**
+ * List the decks and tags of saved words, for choosing what to practice
+ * @param {Array} words - Saved words
+ * @returns {Object} { decks, tags } sorted name lists
+ */
+export function getScopeOptions(words) {
+    const decks = new Set();
+    const tags = new Set();
+
+    words.forEach(word => {
+        if (word.deck) decks.add(word.deck);
+        (word.tags || []).forEach(tag => tags.add(tag));
+    });
 
-        const remaining = sessionSize - selectedWords.length;
-        const additionalWords = availableWords
-            .sort(() => Math.random() - 0.5)
-            .slice(0, Math.min(remaining, availableWords.length));
+    const sorted = set => [...set].sort((a, b) => a.localeCompare(b));
+    return { decks: sorted(decks), tags: sorted(tags) };
+}
 
-        selectedWords = [...selectedWords, ...additionalWords];
+/**
+ * Save the state of the session in progress
+ * @param {Object} session - Session state
+ * @param {string} session.sessionId - Exercise session ID
+ * @param {string} session.mode - Exercise mode
+ * @param {Array<string>} session.wordIds - Word row IDs in question order (requeued words included)
+ * @param {number} session.currentQuestionIndex - Index of the question to ask next
+ * @param {number} session.correctAnswers - Correct answers so far
+ * @param {number} session.totalAttempts - Answers so far
+ * @param {Array<string>} session.masteredWords - Card keys answered correctly
+ */
+export function saveActiveSession(session) {
+    try {
+        localStorage.setItem(ACTIVE_SESSION_KEY, JSON.stringify({ ...session, savedAt: Date.now() }));
+    } catch (error) {
+        console.error('Failed to save exercise session:', error);
     }
+}
+
+/**
+ * Get the unfinished session, if there is one that can still be resumed
+ * @returns {Object|null} Session state as saved, or null
+ */
+export function getActiveSession() {
+    let session;
 
-    // If no words were due and we still don't have enough, use random selection
-    if (selectedWords.length === 0 && savedWords.length > 0) {
-        selectedWords = savedWords
-            .sort(() => Math.random() - 0.5)
-            .slice(0, Math.min(sessionSize, savedWords.length));
+    try {
+        session = JSON.parse(localStorage.getItem(ACTIVE_SESSION_KEY));
+    } catch (error) {
+        console.error('Error reading the saved exercise session:', error);
+        clearActiveSession();
+        return null;
     }
 
-    // Limit to session size
-    selectedWords = selectedWords.slice(0, sessionSize);
+    const isValid = session
+        && Array.isArray(session.wordIds)
+        && Array.isArray(session.masteredWords)
+        && Number.isInteger(session.currentQuestionIndex)
+        && session.currentQuestionIndex < session.wordIds.length
+        && Date.now() - session.savedAt < ACTIVE_SESSION_MAX_AGE;
+
+    if (!isValid) {
+        if (session !== null) clearActiveSession();
+        return null;
+    }
 
-    // Add slight randomization while keeping priority on due words
-    const priorityWords = selectedWords.slice(0, Math.ceil(selectedWords.length / 2));
-    const otherWords = selectedWords.slice(Math.ceil(selectedWords.length / 2));
+    return session;
+}
 
-    return [
-        ...priorityWords.sort(() => Math.random() - 0.5),
-        ...otherWords.sort(() => Math.random() - 0.5)
-    ];
+/**
+ * Forget the unfinished session
+ */
+export function clearActiveSession() {
+    localStorage.removeItem(ACTIVE_SESSION_KEY);
 }
@@ -2,7 +2,10 @@
  * Free Spaced Repetition Scheduler (FSRS) Implementation for LingoDash
  *
  * This module provides the core FSRS algorithm for advanced spaced repetition
- * that adapts to individual word difficulty and memory patterns.
+ * that adapts to individual word difficulty and memory patterns. It follows the
+ * published FSRS-4.5 / FSRS-5 equations: a power forgetting curve, initial
+ * stability per rating, mean-reverting difficulty and retrievability-dependent
+ * recall / forget stability.
  */
 
 // FSRS Rating System (4-point scale)
@@ -13,32 +16,69 @@ export const FSRS_RATING = {
   EASY: 4      // Perfect, effortless recall
 };
 
-// Default FSRS parameters optimized for language learning
-const DEFAULT_FSRS_PARAMS = {
-  // Memory stability parameters (w array)
-  w: [0.4, 0.6, 2.4, 5.8, 4.93, 0.94, 0.86, 0.01, 1.49, 0.14, 0.94, 2.18, 0.05, 0.34, 1.26, 0.29, 2.61],
-
-  // Algorithm tuning parameters
+// FSRS-5 default weights (19 parameters, includes same-day review terms w[17], w[18])
+export const FSRS5_DEFAULT_WEIGHTS = [
+  0.40255, 1.18385, 3.173, 15.69105, 7.1949, 0.5345, 1.4604, 0.0046, 1.54575,
+  0.1192, 1.01925, 1.9395, 0.11, 0.29605, 2.2698, 0.2315, 2.9898, 0.51655, 0.6621
+];
+
+// FSRS-4.5 default weights (17 parameters, no short-term stability terms)
+export const FSRS45_DEFAULT_WEIGHTS = [
+  0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+  0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755
+];
+
+// Power forgetting curve constants: R(t, S) = (1 + FACTOR * t / S) ^ DECAY
+// FACTOR is chosen so that R(S, S) = 0.9
+export const DECAY = -0.5;
+export const FACTOR = Math.pow(0.9, 1 / DECAY) - 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_STABILITY = 0.01;
+const MAX_STABILITY = 36500;
+
+// Default FSRS parameters
+export const DEFAULT_FSRS_PARAMS = {
+  // Memory model weights (w array, FSRS-5 layout)
+  w: FSRS5_DEFAULT_WEIGHTS,
+
+  // Scheduling parameters
   requestRetention: 0.9,  // Target retention rate (90%)
-  maximumInterval: 36500, // Maximum days between reviews (100 years)
-  easyBonus: 1.3,         // Bonus multiplier for easy ratings
-  hardInterval: 1.2,      // Multiplier for hard ratings
-  decay: -0.5,            // Memory decay rate
-  factor: 0.9             // Difficulty adjustment factor
+  maximumInterval: 36500  // Maximum days between reviews (100 years)
 };
 
 /**
- * Main FSRS class implementing the algorithm
+ * Main FSRS class implementing the FSRS-4.5 / FSRS-5 memory model
+ *
+ * Accepts either a 17-weight (FSRS-4.5) or a 19-weight (FSRS-5) parameter vector.
  */
 export class FSRS {
   constructor(parameters = DEFAULT_FSRS_PARAMS) {
-    this.w = parameters.w;
-    this.requestRetention = parameters.requestRetention;
-    this.maximumInterval = parameters.maximumInterval;
-    this.easyBonus = parameters.easyBonus;
-    this.hardInterval = parameters.hardInterval;
-    this.decay = parameters.decay;
-    this.factor = parameters.factor;
+    this.setParameters({ ...DEFAULT_FSRS_PARAMS, ...parameters });
+  }
+
+  /**
+   * Replace the model parameters (used when loading a user's optimized weights)
+   * @param {Object} parameters - Any of w, requestRetention, maximumInterval
+   */
+  setParameters(parameters) {
+    const w = parameters.w || this.w;
+
+    if (!Array.isArray(w) || (w.length !== 17 && w.length !== 19)) {
+      throw new Error(`FSRS expects 17 or 19 weights, got ${w ? w.length : 0}`);
+    }
+
+    this.w = [...w];
+    this.requestRetention = parameters.requestRetention ?? this.requestRetention;
+    this.maximumInterval = parameters.maximumInterval ?? this.maximumInterval;
+  }
+
+  /**
+   * Model version implied by the weight vector
+   * @returns {string} '5' for 19 weights, '4.5' for 17 weights
+   */
+  get version() {
+    return this.w.length === 19 ? '5' : '4.5';
   }
 
   /**
@@ -46,98 +86,226 @@ export class FSRS {
    * @param {Object} word - Word object with current FSRS state
    * @param {number} rating - FSRS rating (1-4)
    * @param {number} responseTime - Response time in milliseconds (optional)
+   * @param {Date} now - Review time (defaults to the current time)
    * @returns {Object} Updated word state with new FSRS values
    */
-  calculateNextReview(word, rating, responseTime = null) {
-    const now = new Date();
-
-    // Initialize values for new words
-    let stability = word.stability || 0;
-    let difficulty = word.difficulty || 5.0;
-    let reps = word.reps || 0;
-    let lapses = word.lapses || 0;
-    let elapsedDays = word.elapsed_days || 0;
-    let scheduledDays = word.scheduled_days || 0;
-
-    // Calculate new stability and difficulty
-    const newStability = this.calculateStability(stability, difficulty, rating);
-    const newDifficulty = this.calculateDifficulty(difficulty, rating);
-
-    // Calculate next interval
-    let interval;
-    if (rating === FSRS_RATING.AGAIN) {
-      interval = Math.max(1, Math.round(newStability * 0.25));
-    } else {
-      interval = Math.max(1, Math.round(newStability));
-    }
-
-    // Apply maximum interval cap
-    interval = Math.min(interval, this.maximumInterval);
-
-    // Update review counts
-    const newReps = reps + 1;
-    const newLapses = rating === FSRS_RATING.AGAIN ? lapses + 1 : lapses;
+  calculateNextReview(word, rating, responseTime = null, now = new Date()) {
+    const reps = word.reps || 0;
+    const lapses = word.lapses || 0;
 
-    // Calculate forgetting adjustment if overdue
-    if (elapsedDays > scheduledDays && scheduledDays > 0) {
-      const forgettingAdjustment = this.w[12] * Math.exp((elapsedDays - scheduledDays) * this.w[13]);
-      interval = Math.max(1, Math.round(interval * forgettingAdjustment));
-    }
+    const state = this.next(word, rating, now);
 
     // Prepare next review date
-    const nextReview = new Date(now.getTime() + interval * 24 * 60 * 60 * 1000);
+    const nextReview = new Date(now.getTime() + state.interval * DAY_MS);
 
     return {
       // Updated FSRS values
-      stability: Math.max(0.1, Math.min(36500, newStability)),
-      difficulty: Math.max(1, Math.min(10, newDifficulty)),
-      elapsed_days: interval,
-      scheduled_days: interval,
-      reps: newReps,
-      lapses: newLapses,
+      stability: state.stability,
+      difficulty: state.difficulty,
+      elapsed_days: Math.floor(state.elapsedDays),
+      scheduled_days: state.interval,
+      reps: reps + 1,
+      lapses: rating === FSRS_RATING.AGAIN ? lapses + 1 : lapses,
       last_review: now,
       next_review: nextReview,
 
       // Metadata
       fsrs_state: {
         algorithm: 'fsrs',
-        version: '1.0',
+        version: this.version,
         last_rating: rating,
         response_time: responseTime,
+        retrievability: state.retrievability,
         calculated_at: now.toISOString()
       }
     };
   }
 
   /**
-   * Calculate new memory stability based on rating
+   * Apply one review to a memory state
+   * @param {Object} word - Word object with stability, difficulty, reps and last_review
+   * @param {number} rating - FSRS rating (1-4)
+   * @param {Date} now - Review time
+   * @returns {Object} New stability, difficulty, interval, elapsed days and the
+   *   retrievability at review time (null for a first review)
+   */
+  next(word, rating, now = new Date()) {
+    const isNew = !(word.reps > 0) || !(word.stability > 0);
+    const elapsedDays = !isNew && word.last_review
+      ? Math.max(0, (now - new Date(word.last_review)) / DAY_MS)
+      : 0;
+
+    const state = isNew
+      ? null
+      : { stability: word.stability, difficulty: word.difficulty || this.initDifficulty(FSRS_RATING.GOOD) };
+
+    return this.nextState(state, rating, elapsedDays);
+  }
+
+  /**
+   * Apply one review to a bare memory state
+   * @param {Object|null} state - { stability, difficulty }, or null for a first review
+   * @param {number} rating - FSRS rating (1-4)
+   * @param {number} elapsedDays - Days since the previous review
+   * @returns {Object} New stability, difficulty, interval, elapsed days and retrievability
+   */
+  nextState(state, rating, elapsedDays = 0) {
+    this.assertRating(rating);
+
+    if (!state) {
+      const stability = this.initStability(rating);
+      return {
+        stability,
+        difficulty: this.initDifficulty(rating),
+        interval: this.nextInterval(stability),
+        elapsedDays: 0,
+        retrievability: null
+      };
+    }
+
+    const { stability, difficulty } = state;
+    const retrievability = this.calculateRetentionProbability(stability, elapsedDays);
+    const newDifficulty = this.nextDifficulty(difficulty, rating);
+
+    let newStability;
+    if (elapsedDays < 1 && this.w.length === 19) {
+      newStability = this.nextShortTermStability(stability, rating);
+    } else {
+      newStability = this.calculateStability(stability, difficulty, rating, retrievability);
+    }
+
+    return {
+      stability: newStability,
+      difficulty: newDifficulty,
+      interval: this.nextInterval(newStability),
+      elapsedDays,
+      retrievability
+    };
+  }
+
+  /**
+   * Initial stability after the first review
+   * @param {number} rating - FSRS rating (1-4)
+   * @returns {number} Initial stability in days
+   */
+  initStability(rating) {
+    this.assertRating(rating);
+    return clampStability(this.w[rating - 1]);
+  }
+
+  /**
+   * Initial difficulty after the first review
+   * @param {number} rating - FSRS rating (1-4)
+   * @returns {number} Initial difficulty (1-10)
+   */
+  initDifficulty(rating) {
+    const w = this.w;
+    const difficulty = this.version === '5'
+      ? w[4] - Math.exp(w[5] * (rating - 1)) + 1
+      : w[4] - (rating - 3) * w[5];
+    return clampDifficulty(difficulty);
+  }
+
+  /**
+   * New difficulty after a review, with mean reversion towards the initial
+   * difficulty of an easy (FSRS-5) or good (FSRS-4.5) first review
+   * @param {number} difficulty - Current difficulty
+   * @param {number} rating - FSRS rating (1-4)
+   * @returns {number} New difficulty (1-10)
+   */
+  nextDifficulty(difficulty, rating) {
+    const w = this.w;
+    const delta = -w[6] * (rating - 3);
+
+    let newDifficulty;
+    let target;
+    if (this.version === '5') {
+      // Linear damping: changes shrink as difficulty approaches 10
+      newDifficulty = difficulty + delta * (10 - difficulty) / 9;
+      target = this.initDifficulty(FSRS_RATING.EASY);
+    } else {
+      newDifficulty = difficulty + delta;
+      target = this.initDifficulty(FSRS_RATING.GOOD);
+    }
+
+    return clampDifficulty(w[7] * target + (1 - w[7]) * newDifficulty);
+  }
+
+  /**
+   * Calculate new memory stability for a review on a later day
    * @param {number} stability - Current stability
    * @param {number} difficulty - Current difficulty
    * @param {number} rating - FSRS rating (1-4)
+   * @param {number} retrievability - Recall probability at review time (0-1)
    * @returns {number} New stability value
    */
-  calculateStability(stability, difficulty, rating) {
+  calculateStability(stability, difficulty, rating, retrievability = 1) {
+    this.assertRating(rating);
+
+    if (rating === FSRS_RATING.AGAIN) {
+      return this.nextForgetStability(difficulty, stability, retrievability);
+    }
+    return this.nextRecallStability(difficulty, stability, retrievability, rating);
+  }
+
+  /**
+   * Stability after a successful recall
+   * @param {number} difficulty - Current difficulty
+   * @param {number} stability - Current stability
+   * @param {number} retrievability - Recall probability at review time
+   * @param {number} rating - FSRS rating (2-4)
+   * @returns {number} New stability
+   */
+  nextRecallStability(difficulty, stability, retrievability, rating) {
     const w = this.w;
-    let newStability;
+    const hardPenalty = rating === FSRS_RATING.HARD ? w[15] : 1;
+    const easyBonus = rating === FSRS_RATING.EASY ? w[16] : 1;
+
+    const newStability = stability * (
+      1 +
+      Math.exp(w[8]) *
+      (11 - difficulty) *
+      Math.pow(stability, -w[9]) *
+      (Math.exp((1 - retrievability) * w[10]) - 1) *
+      hardPenalty *
+      easyBonus
+    );
+
+    return clampStability(newStability);
+  }
 
-    switch (rating) {
-      case FSRS_RATING.AGAIN:
-        newStability = w[0] * Math.pow(stability, w[1]) * Math.exp((1 - difficulty) * w[2]);
-        break;
-      case FSRS_RATING.HARD:
-        newStability = stability * w[3];
-        break;
-      case FSRS_RATING.GOOD:
-        newStability = stability * w[4] * Math.exp((1 - difficulty) * w[5]);
-        break;
-      case FSRS_RATING.EASY:
-        newStability = stability * w[6] * Math.exp((1 - difficulty) * w[7]);
-        break;
-      default:
-        throw new Error(`Invalid FSRS rating: ${rating}`);
+  /**
+   * Stability after a lapse (forgotten word)
+   * @param {number} difficulty - Current difficulty
+   * @param {number} stability - Current stability
+   * @param {number} retrievability - Recall probability at review time
+   * @returns {number} New stability
+   */
+  nextForgetStability(difficulty, stability, retrievability) {
+    const w = this.w;
+    let newStability =
+      w[11] *
+      Math.pow(difficulty, -w[12]) *
+      (Math.pow(stability + 1, w[13]) - 1) *
+      Math.exp((1 - retrievability) * w[14]);
+
+    // FSRS-5: post-lapse stability can never exceed the short-term ceiling
+    if (this.version === '5') {
+      newStability = Math.min(newStability, stability / Math.exp(w[17] * w[18]));
     }
 
-    return Math.max(0.1, Math.min(36500, newStability));
+    return clampStability(Math.min(newStability, stability));
+  }
+
+  /**
+   * Stability after a second review on the same day (FSRS-5 only)
+   * @param {number} stability - Current stability
+   * @param {number} rating - FSRS rating (1-4)
+   * @returns {number} New stability
+   */
+  nextShortTermStability(stability, rating) {
+    const w = this.w;
+    return clampStability(stability * Math.exp(w[17] * (rating - 3 + w[18])));
   }
 
   /**
@@ -147,28 +315,8 @@ export class FSRS {
    * @returns {number} New difficulty value
    */
   calculateDifficulty(difficulty, rating) {
-    const w = this.w;
-    let difficultyDelta;
-
-    switch (rating) {
-      case FSRS_RATING.AGAIN:
-        difficultyDelta = w[8];
-        break;
-      case FSRS_RATING.HARD:
-        difficultyDelta = w[9];
-        break;
-      case FSRS_RATING.GOOD:
-        difficultyDelta = w[10];
-        break;
-      case FSRS_RATING.EASY:
-        difficultyDelta = w[11];
-        break;
-      default:
-        throw new Error(`Invalid FSRS rating: ${rating}`);
-    }
-
-    const newDifficulty = difficulty + difficultyDelta;
-    return Math.max(1, Math.min(10, newDifficulty));
+    this.assertRating(rating);
+    return this.nextDifficulty(difficulty, rating);
   }
 
   /**
@@ -193,14 +341,25 @@ export class FSRS {
   }
 
   /**
-   * Calculate retention probability for a word
+   * Calculate retention probability for a word using the power forgetting curve
    * @param {number} stability - Current stability
    * @param {number} elapsedDays - Days since last review
    * @returns {number} Retention probability (0-1)
    */
   calculateRetentionProbability(stability, elapsedDays) {
     if (stability <= 0) return 0;
-    return Math.exp(Math.log(0.9) * elapsedDays / stability);
+    return Math.pow(1 + FACTOR * Math.max(0, elapsedDays) / stability, DECAY);
+  }
+
+  /**
+   * Interval at which recall probability falls to the requested retention
+   * @param {number} stability - Current stability
+   * @param {number} requestRetention - Target retention (defaults to this.requestRetention)
+   * @returns {number} Interval in whole days (at least 1)
+   */
+  nextInterval(stability, requestRetention = this.requestRetention) {
+    const interval = stability / FACTOR * (Math.pow(requestRetention, 1 / DECAY) - 1);
+    return Math.max(1, Math.min(this.maximumInterval, Math.round(interval)));
   }
 
   /**
@@ -211,12 +370,38 @@ export class FSRS {
    */
   getOptimalInterval(stability, targetRetention = 0.9) {
     if (stability <= 0) return 1;
+    return this.nextInterval(stability, targetRetention);
+  }
 
-    const interval = stability * Math.log(targetRetention) / Math.log(0.9);
-    return Math.max(1, Math.min(this.maximumInterval, Math.round(interval)));
+  /**
+   * Throw for ratings outside 1-4
+   * @param {number} rating - FSRS rating
+   */
+  assertRating(rating) {
+    if (![FSRS_RATING.AGAIN, FSRS_RATING.HARD, FSRS_RATING.GOOD, FSRS_RATING.EASY].includes(rating)) {
+      throw new Error(`Invalid FSRS rating: ${rating}`);
+    }
   }
 }
 
+/**
+ * Clamp a stability value to the supported range
+ * @param {number} stability - Stability in days
+ * @returns {number} Clamped stability
+ */
+function clampStability(stability) {
+  return Math.max(MIN_STABILITY, Math.min(MAX_STABILITY, stability));
+}
+
+/**
+ * Clamp a difficulty value to the 1-10 range
+ * @param {number} difficulty - Difficulty
+ * @returns {number} Clamped difficulty
+ */
+function clampDifficulty(difficulty) {
+  return Math.max(1, Math.min(10, difficulty));
+}
+
 /**
  * Utility function to initialize FSRS values for a new word
  * @param {Object} word - Word object
@@ -236,7 +421,7 @@ export function initializeFSRSWord(word) {
     last_review: now,
     fsrs_state: {
       algorithm: 'fsrs',
-      version: '1.0',
+      version: fsrsInstance.version,
       initialized: true,
       init_date: now.toISOString()
     }
@@ -289,7 +474,7 @@ export function convertSM2ToFSRS(sm2Word) {
     last_review: sm2Word.updated_at || sm2Word.created_at || now,
     fsrs_state: {
       algorithm: 'fsrs',
-      version: '1.0',
+      version: fsrsInstance.version,
       migrated: true,
       migration_date: now.toISOString(),
       original_algorithm: 'sm2'
@@ -0,0 +1,155 @@
+import { describe, it, expect } from 'vitest';
+import {
+    FSRS,
+    FSRS_RATING,
+    FSRS5_DEFAULT_WEIGHTS,
+    FSRS45_DEFAULT_WEIGHTS
+} from './fsrs.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('FSRS Memory Model', () => {
+    const fsrs = new FSRS();
+
+    describe('Forgetting curve', () => {
+        it('should give 90% recall when elapsed time equals stability', () => {
+            expect(fsrs.calculateRetentionProbability(10, 10)).toBeCloseTo(0.9, 5);
+        });
+
+        it('should follow a power curve rather than an exponential', () => {
+            // Power curve decays slower than exp for long delays
+            const power = fsrs.calculateRetentionProbability(5, 100);
+            const exponential = Math.exp(Math.log(0.9) * 100 / 5);
+            expect(power).toBeGreaterThan(exponential);
+        });
+
+        it('should return 0 for non-positive stability', () => {
+            expect(fsrs.calculateRetentionProbability(0, 3)).toBe(0);
+        });
+
+        it('should schedule the interval at the requested retention', () => {
+            expect(fsrs.nextInterval(10)).toBe(10);
+            expect(fsrs.nextInterval(10, 0.8)).toBeGreaterThan(10);
+            expect(fsrs.nextInterval(0.1)).toBe(1);
+        });
+    });
+
+    describe('First review', () => {
+        it('should use the per-rating initial stability', () => {
+            expect(fsrs.initStability(FSRS_RATING.AGAIN)).toBeCloseTo(FSRS5_DEFAULT_WEIGHTS[0]);
+            expect(fsrs.initStability(FSRS_RATING.EASY)).toBeCloseTo(FSRS5_DEFAULT_WEIGHTS[3]);
+        });
+
+        it('should give harder initial difficulty for worse ratings', () => {
+            expect(fsrs.initDifficulty(FSRS_RATING.AGAIN)).toBeGreaterThan(fsrs.initDifficulty(FSRS_RATING.GOOD));
+            expect(fsrs.initDifficulty(FSRS_RATING.GOOD)).toBeGreaterThan(fsrs.initDifficulty(FSRS_RATING.EASY));
+        });
+
+        it('should treat words without reps as new', () => {
+            const result = fsrs.calculateNextReview({ stability: 0, difficulty: 5, reps: 0 }, FSRS_RATING.GOOD);
+            expect(result.stability).toBeCloseTo(FSRS5_DEFAULT_WEIGHTS[2]);
+            expect(result.reps).toBe(1);
+            expect(result.fsrs_state.retrievability).toBeNull();
+        });
+    });
+
+    describe('Difficulty', () => {
+        it('should revert towards the easy baseline', () => {
+            const hard = fsrs.nextDifficulty(9, FSRS_RATING.GOOD);
+            expect(hard).toBeLessThan(9);
+        });
+
+        it('should increase after Again and stay within 1-10', () => {
+            expect(fsrs.nextDifficulty(5, FSRS_RATING.AGAIN)).toBeGreaterThan(5);
+            expect(fsrs.nextDifficulty(10, FSRS_RATING.AGAIN)).toBeLessThanOrEqual(10);
+            expect(fsrs.nextDifficulty(1, FSRS_RATING.EASY)).toBeGreaterThanOrEqual(1);
+        });
+    });
+
+    describe('Stability', () => {
+        it('should grow more when recall happens at lower retrievability', () => {
+            const early = fsrs.nextRecallStability(5, 10, 0.95, FSRS_RATING.GOOD);
+            const late = fsrs.nextRecallStability(5, 10, 0.7, FSRS_RATING.GOOD);
+            expect(late).toBeGreaterThan(early);
+            expect(early).toBeGreaterThan(10);
+        });
+
+        it('should apply the hard penalty and easy bonus', () => {
+            const hard = fsrs.nextRecallStability(5, 10, 0.9, FSRS_RATING.HARD);
+            const good = fsrs.nextRecallStability(5, 10, 0.9, FSRS_RATING.GOOD);
+            const easy = fsrs.nextRecallStability(5, 10, 0.9, FSRS_RATING.EASY);
+            expect(hard).toBeLessThan(good);
+            expect(easy).toBeGreaterThan(good);
+        });
+
+        it('should shrink stability after a lapse', () => {
+            expect(fsrs.nextForgetStability(5, 30, 0.9)).toBeLessThan(30);
+        });
+
+        it('should use short-term stability for same-day reviews', () => {
+            const now = new Date('2024-01-10T12:00:00Z');
+            const word = {
+                stability: 3,
+                difficulty: 5,
+                reps: 1,
+                last_review: new Date(now.getTime() - 2 * 60 * 60 * 1000)
+            };
+
+            const state = fsrs.next(word, FSRS_RATING.GOOD, now);
+            expect(state.stability).toBeCloseTo(fsrs.nextShortTermStability(3, FSRS_RATING.GOOD));
+        });
+    });
+
+    describe('calculateNextReview', () => {
+        it('should schedule the next review from the new stability', () => {
+            const now = new Date('2024-01-10T00:00:00Z');
+            const word = {
+                stability: 5,
+                difficulty: 5,
+                reps: 3,
+                lapses: 0,
+                last_review: new Date(now.getTime() - 5 * DAY_MS)
+            };
+
+            const result = fsrs.calculateNextReview(word, FSRS_RATING.GOOD, 2500, now);
+
+            expect(result.elapsed_days).toBe(5);
+            expect(result.fsrs_state.retrievability).toBeCloseTo(0.9, 5);
+            expect(result.scheduled_days).toBe(fsrs.nextInterval(result.stability));
+            expect(new Date(result.next_review).getTime()).toBe(now.getTime() + result.scheduled_days * DAY_MS);
+            expect(result.lapses).toBe(0);
+        });
+
+        it('should count Again as a lapse', () => {
+            const now = new Date('2024-01-10T00:00:00Z');
+            const word = { stability: 5, difficulty: 5, reps: 3, lapses: 1, last_review: new Date(now.getTime() - 5 * DAY_MS) };
+
+            const result = fsrs.calculateNextReview(word, FSRS_RATING.AGAIN, null, now);
+
+            expect(result.lapses).toBe(2);
+            expect(result.stability).toBeLessThan(5);
+        });
+
+        it('should reject invalid ratings', () => {
+            expect(() => fsrs.calculateNextReview({}, 5)).toThrow('Invalid FSRS rating');
+        });
+    });
+
+    describe('Parameters', () => {
+        it('should accept the 17-weight FSRS-4.5 vector', () => {
+            const fsrs45 = new FSRS({ w: FSRS45_DEFAULT_WEIGHTS });
+            expect(fsrs45.version).toBe('4.5');
+            expect(fsrs45.initDifficulty(FSRS_RATING.GOOD)).toBeCloseTo(FSRS45_DEFAULT_WEIGHTS[4]);
+        });
+
+        it('should reject weight vectors of the wrong length', () => {
+            expect(() => new FSRS({ w: [1, 2, 3] })).toThrow('17 or 19 weights');
+        });
+
+        it('should keep default scheduling options when only weights are given', () => {
+            const custom = new FSRS({ w: FSRS5_DEFAULT_WEIGHTS });
+            expect(custom.requestRetention).toBe(0.9);
+            expect(custom.maximumInterval).toBe(36500);
+        });
+    });
+});
@@ -0,0 +1,261 @@
+/**
+ * FSRS Parameter Optimizer for LingoDash
+ *
+ * Fits the FSRS weight vector to a user's own review history by minimizing the
+ * log-loss of predicted recall against actual outcomes. Pure computation only,
+ * so it can run in a Web Worker (see fsrsOptimizer.worker.js) or in tests.
+ */
+
+import { FSRS, FSRS_RATING } from './fsrs.js';
+
+// Allowed range for each weight (FSRS-5 layout; FSRS-4.5 uses the first 17)
+const WEIGHT_BOUNDS = [
+  [0.01, 100], [0.01, 100], [0.01, 100], [0.01, 100],
+  [1, 10], [0.001, 4], [0.001, 4], [0.001, 0.75],
+  [0, 4.5], [0, 0.8], [0.001, 3.5], [0.001, 5],
+  [0.001, 0.25], [0.001, 0.9], [0, 4], [0, 1],
+  [1, 6], [0, 2], [0, 2]
+];
+
+// Minimum number of between-day reviews needed before optimizing
+export const MIN_TRAINING_REVIEWS = 50;
+
+// How many reviews' worth of weight the default parameters keep (regularization)
+const PRIOR_STRENGTH = 10;
+
+/**
+ * Group review logs into per-word review sequences
+ * @param {Array} logs - Review log entries (from getReviewLogs)
+ * @returns {Array} Sequences of { seed, reviews } in review order
+ */
+export function buildTrainingSet(logs) {
+  const byWord = new Map();
+
+  logs.forEach(log => {
+    if (!log.wordId || !log.rating) return;
+    if (!byWord.has(log.wordId)) {
+      byWord.set(log.wordId, []);
+    }
+    byWord.get(log.wordId).push(log);
+  });
+
+  const sequences = [];
+
+  byWord.forEach(wordLogs => {
+    wordLogs.sort((a, b) => new Date(a.reviewedAt) - new Date(b.reviewedAt));
+
+    // Words reviewed before logging started have no first review in the log;
+    // start them from the memory state recorded with their first logged review
+    const first = wordLogs[0];
+    const seed = first.prevStability > 0
+      ? { stability: first.prevStability, difficulty: first.prevDifficulty || 5 }
+      : null;
+
+    sequences.push({
+      seed,
+      reviews: wordLogs.map(log => ({
+        rating: log.rating,
+        elapsedDays: log.elapsedDays || 0
+      }))
+    });
+  });
+
+  return sequences;
+}
+
+/**
+ * Replay the sequences with a weight vector and collect recall predictions
+ * for every between-day review
+ * @param {Array} weights - FSRS weights
+ * @param {Array} sequences - Training sequences from buildTrainingSet
+ * @returns {Array} Array of { predicted, recalled } pairs
+ */
+export function predictRecall(weights, sequences) {
+  const fsrs = new FSRS({ w: weights });
+  const predictions = [];
+
+  sequences.forEach(sequence => {
+    let state = sequence.seed;
+
+    sequence.reviews.forEach(review => {
+      if (state && review.elapsedDays >= 1) {
+        predictions.push({
+          predicted: fsrs.calculateRetentionProbability(state.stability, review.elapsedDays),
+          recalled: review.rating > FSRS_RATING.AGAIN ? 1 : 0
+        });
+      }
+
+      const next = fsrs.nextState(state, review.rating, review.elapsedDays);
+      state = { stability: next.stability, difficulty: next.difficulty };
+    });
+  });
+
+  return predictions;
+}
+
+/**
+ * Mean binary cross-entropy of recall predictions
+ * @param {Array} predictions - Array of { predicted, recalled }
+ * @returns {number} Log-loss (0 when there are no predictions)
+ */
+export function logLoss(predictions) {
+  if (predictions.length === 0) return 0;
+
+  const total = predictions.reduce((sum, { predicted, recalled }) => {
+    const p = Math.min(1 - 1e-6, Math.max(1e-6, predicted));
+    return sum - (recalled * Math.log(p) + (1 - recalled) * Math.log(1 - p));
+  }, 0);
+
+  return total / predictions.length;
+}
+
+/**
+ * Evaluate how well a weight vector predicts the review history
+ * @param {Array} weights - FSRS weights
+ * @param {Array} sequences - Training sequences from buildTrainingSet
+ * @param {number} binCount - Number of predicted-recall bins for RMSE
+ * @returns {Object} { logLoss, rmseBins, reviewCount, bins }
+ */
+export function evaluateParameters(weights, sequences, binCount = 10) {
+  const predictions = predictRecall(weights, sequences);
+
+  const bins = Array.from({ length: binCount }, (_, index) => ({
+    range: `${(index / binCount).toFixed(1)}-${((index + 1) / binCount).toFixed(1)}`,
+    count: 0,
+    predictedSum: 0,
+    actualSum: 0
+  }));
+
+  predictions.forEach(({ predicted, recalled }) => {
+    const bin = bins[Math.min(binCount - 1, Math.floor(predicted * binCount))];
+    bin.count++;
+    bin.predictedSum += predicted;
+    bin.actualSum += recalled;
+  });
+
+  const filledBins = bins
+    .filter(bin => bin.count > 0)
+    .map(bin => ({
+      range: bin.range,
+      count: bin.count,
+      predicted: bin.predictedSum / bin.count,
+      actual: bin.actualSum / bin.count
+    }));
+
+  const squaredError = filledBins.reduce(
+    (sum, bin) => sum + bin.count * Math.pow(bin.predicted - bin.actual, 2),
+    0
+  );
+
+  return {
+    logLoss: logLoss(predictions),
+    rmseBins: predictions.length > 0 ? Math.sqrt(squaredError / predictions.length) : 0,
+    reviewCount: predictions.length,
+    bins: filledBins
+  };
+}
+
+/**
+ * Fit FSRS weights to a review history with gradient descent (Adam) on log-loss
+ * @param {Array} logs - Review log entries (from getReviewLogs)
+ * @param {Object} options - Optimizer options
+ * @param {Array} options.initialWeights - Starting weights (usually the current ones)
+ * @param {number} options.epochs - Number of gradient steps
+ * @param {number} options.learningRate - Adam step size, relative to each weight's range
+ * @param {Function} options.onProgress - Called with { epoch, epochs, loss } after each step
+ * @returns {Object} { weights, before, after, trainingReviews }
+ */
+export function optimizeParameters(logs, {
+  initialWeights,
+  epochs = 60,
+  learningRate = 0.02,
+  onProgress = null
+} = {}) {
+  const sequences = buildTrainingSet(logs);
+  const before = evaluateParameters(initialWeights, sequences);
+
+  if (before.reviewCount < MIN_TRAINING_REVIEWS) {
+    throw new Error(
+      `Not enough review history to optimize: ${before.reviewCount} reviews, need at least ${MIN_TRAINING_REVIEWS}`
+    );
+  }
+
+  const bounds = WEIGHT_BOUNDS.slice(0, initialWeights.length);
+  const ranges = bounds.map(([lower, upper]) => upper - lower);
+  const priorWeight = PRIOR_STRENGTH / before.reviewCount;
+
+  const objective = (weights) => {
+    const penalty = weights.reduce(
+      (sum, value, i) => sum + Math.pow((value - initialWeights[i]) / ranges[i], 2),
+      0
+    );
+    return logLoss(predictRecall(weights, sequences)) + priorWeight * penalty;
+  };
+
+  const clamp = (value, i) => Math.min(bounds[i][1], Math.max(bounds[i][0], value));
+
+  let weights = initialWeights.map(clamp);
+  let bestWeights = [...weights];
+  let bestLoss = objective(weights);
+
+  // Adam state
+  const m = new Array(weights.length).fill(0);
+  const v = new Array(weights.length).fill(0);
+  const beta1 = 0.9;
+  const beta2 = 0.999;
+
+  for (let epoch = 1; epoch <= epochs; epoch++) {
+    const gradient = numericGradient(objective, weights, ranges, clamp);
+
+    weights = weights.map((value, i) => {
+      m[i] = beta1 * m[i] + (1 - beta1) * gradient[i];
+      v[i] = beta2 * v[i] + (1 - beta2) * gradient[i] * gradient[i];
+      const mHat = m[i] / (1 - Math.pow(beta1, epoch));
+      const vHat = v[i] / (1 - Math.pow(beta2, epoch));
+      const step = learningRate * ranges[i] * 0.1 * mHat / (Math.sqrt(vHat) + 1e-8);
+      return clamp(value - step, i);
+    });
+
+    const loss = objective(weights);
+    if (loss < bestLoss) {
+      bestLoss = loss;
+      bestWeights = [...weights];
+    }
+
+    if (onProgress) {
+      onProgress({ epoch, epochs, loss });
+    }
+  }
+
+  const optimizedWeights = bestWeights.map(value => Math.round(value * 10000) / 10000);
+
+  return {
+    weights: optimizedWeights,
+    before,
+    after: evaluateParameters(optimizedWeights, sequences),
+    trainingReviews: before.reviewCount
+  };
+}
+
+/**
+ * Central-difference gradient of the objective
+ * @param {Function} objective - Loss function of the weight vector
+ * @param {Array} weights - Current weights
+ * @param {Array} ranges - Width of each weight's allowed range
+ * @param {Function} clamp - Clamps a weight to its bounds
+ * @returns {Array} Gradient vector
+ */
+function numericGradient(objective, weights, ranges, clamp) {
+  return weights.map((value, i) => {
+    const h = ranges[i] * 1e-4;
+    const up = [...weights];
+    const down = [...weights];
+    up[i] = clamp(value + h, i);
+    down[i] = clamp(value - h, i);
+
+    const width = up[i] - down[i];
+    if (width === 0) return 0;
+
+    return (objective(up) - objective(down)) / width;
+  });
+}
@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import {
+    buildTrainingSet,
+    evaluateParameters,
+    optimizeParameters,
+    MIN_TRAINING_REVIEWS
+} from './fsrsOptimizer.js';
+import { FSRS_RATING, FSRS5_DEFAULT_WEIGHTS } from './fsrs.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build review logs for a number of words, each reviewed on the given schedule
+ */
+function makeLogs(wordCount, schedule) {
+    const logs = [];
+    const start = new Date('2024-01-01T00:00:00Z').getTime();
+
+    for (let w = 0; w < wordCount; w++) {
+        let day = 0;
+        schedule.forEach(({ elapsedDays, rating }, index) => {
+            day += elapsedDays;
+            logs.push({
+                wordId: `word-${w}`,
+                rating: typeof rating === 'function' ? rating(w, index) : rating,
+                elapsedDays,
+                prevStability: null,
+                reviewedAt: new Date(start + day * DAY_MS).toISOString()
+            });
+        });
+    }
+
+    return logs;
+}
+
+describe('FSRS Optimizer', () => {
+    describe('buildTrainingSet', () => {
+        it('should group logs per word in review order', () => {
+            const logs = [
+                { wordId: 'a', rating: 3, elapsedDays: 2, reviewedAt: '2024-01-03T00:00:00Z' },
+                { wordId: 'a', rating: 1, elapsedDays: 0, reviewedAt: '2024-01-01T00:00:00Z' },
+                { wordId: 'b', rating: 4, elapsedDays: 0, reviewedAt: '2024-01-02T00:00:00Z' }
+            ];
+
+            const sequences = buildTrainingSet(logs);
+
+            expect(sequences).toHaveLength(2);
+            expect(sequences[0].reviews.map(r => r.rating)).toEqual([1, 3]);
+            expect(sequences[0].seed).toBeNull();
+        });
+
+        it('should seed words whose first review predates the log', () => {
+            const logs = [
+                { wordId: 'a', rating: 3, elapsedDays: 5, prevStability: 4, prevDifficulty: 6, reviewedAt: '2024-01-05T00:00:00Z' }
+            ];
+
+            const [sequence] = buildTrainingSet(logs);
+
+            expect(sequence.seed).toEqual({ stability: 4, difficulty: 6 });
+        });
+    });
+
+    describe('evaluateParameters', () => {
+        it('should only score between-day reviews of known words', () => {
+            const logs = makeLogs(3, [
+                { elapsedDays: 0, rating: FSRS_RATING.GOOD },
+                { elapsedDays: 0.2, rating: FSRS_RATING.GOOD },
+                { elapsedDays: 3, rating: FSRS_RATING.AGAIN }
+            ]);
+
+            const evaluation = evaluateParameters(FSRS5_DEFAULT_WEIGHTS, buildTrainingSet(logs));
+
+            expect(evaluation.reviewCount).toBe(3);
+            expect(evaluation.logLoss).toBeGreaterThan(0);
+            expect(evaluation.bins.reduce((sum, bin) => sum + bin.count, 0)).toBe(3);
+            expect(evaluation.bins[0].actual).toBe(0);
+        });
+    });
+
+    describe('optimizeParameters', () => {
+        it('should refuse to optimize a short history', () => {
+            const logs = makeLogs(2, [
+                { elapsedDays: 0, rating: FSRS_RATING.GOOD },
+                { elapsedDays: 2, rating: FSRS_RATING.GOOD }
+            ]);
+
+            expect(() => optimizeParameters(logs, { initialWeights: FSRS5_DEFAULT_WEIGHTS }))
+                .toThrow(`need at least ${MIN_TRAINING_REVIEWS}`);
+        });
+
+        it('should fit weights that predict the history better', () => {
+            // Words are remembered far longer than the defaults expect
+            const logs = makeLogs(30, [
+                { elapsedDays: 0, rating: FSRS_RATING.GOOD },
+                { elapsedDays: 20, rating: FSRS_RATING.GOOD },
+                { elapsedDays: 60, rating: (w) => (w % 10 === 0 ? FSRS_RATING.AGAIN : FSRS_RATING.GOOD) },
+                { elapsedDays: 90, rating: FSRS_RATING.GOOD }
+            ]);
+
+            const progress = [];
+            const result = optimizeParameters(logs, {
+                initialWeights: FSRS5_DEFAULT_WEIGHTS,
+                epochs: 15,
+                onProgress: (p) => progress.push(p)
+            });
+
+            expect(result.weights).toHaveLength(FSRS5_DEFAULT_WEIGHTS.length);
+            expect(result.trainingReviews).toBe(90);
+            expect(result.after.logLoss).toBeLessThan(result.before.logLoss);
+            expect(progress).toHaveLength(15);
+        });
+    });
+});
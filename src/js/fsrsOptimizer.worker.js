@@ -0,0 +1,22 @@
+/**
+ * FSRS Optimizer Web Worker
+ * Runs the parameter optimizer off the main thread and reports progress
+ */
+
+import { optimizeParameters } from './fsrsOptimizer.js';
+
+self.onmessage = (event) => {
+    const { logs, weights, options = {} } = event.data;
+
+    try {
+        const result = optimizeParameters(logs, {
+            ...options,
+            initialWeights: weights,
+            onProgress: (progress) => self.postMessage({ type: 'progress', ...progress })
+        });
+
+        self.postMessage({ type: 'done', result });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -1,11 +1,17 @@
 import { getWordDefinition, getBatchWordDefinitions } from './api.js';
-import { saveWord } from './storage/index.js';
-import { displaySavedWords, validateWordExample } from './ui/index.js';
+import { saveWord, getSavedWords, addWordTags } from './storage/index.js';
+import { displaySavedWords, validateWordExample, containsWord } from './ui/index.js';
+import { describeLookupError } from './wordEntry.js';
+import { getSetting } from './settings.js';
+import { extractCandidates, parseFrequencyList } from './textMining.js';
+import { COMMON_WORDS } from './commonWords.js';
+import { escapeHtml } from './ui/html.js';
 
 const definitionBox = document.getElementById('definitionBox');
 const definitionContent = document.getElementById('definitionContent');
 
 let batchResults = [];
+let miningCandidates = [];
 
 export function initLookup() {
     const textInput = document.getElementById('textInput');
@@ -22,14 +28,21 @@ export function initLookup() {
     
     // Initialize batch mode toggle
     initBatchMode();
+
+    // Initialize text mining mode
+    initMiningMode();
 }
 
 function initBatchMode() {
     const modeButtons = document.querySelectorAll('.mode-btn');
-    const singleMode = document.getElementById('singleMode');
-    const batchMode = document.getElementById('batchMode');
+    const modePanels = {
+        single: document.getElementById('singleMode'),
+        batch: document.getElementById('batchMode'),
+        mine: document.getElementById('mineMode')
+    };
     const batchLookupBtn = document.getElementById('batchLookupBtn');
     const batchInput = document.getElementById('batchInput');
+    const batchName = document.getElementById('batchName');
     
     // Toggle between single and batch mode
     modeButtons.forEach(btn => {
@@ -41,13 +54,11 @@ function initBatchMode() {
             btn.classList.add('active');
             
             // Show/hide appropriate panels
-            if (mode === 'single') {
-                singleMode.style.display = 'block';
-                batchMode.style.display = 'none';
-            } else {
-                singleMode.style.display = 'none';
-                batchMode.style.display = 'block';
-            }
+            Object.entries(modePanels).forEach(([panelMode, panel]) => {
+                if (panel) {
+                    panel.style.display = panelMode === mode ? 'block' : 'none';
+                }
+            });
         });
     });
     
@@ -57,7 +68,7 @@ function initBatchMode() {
             const text = batchInput.value.trim();
             if (text) {
                 const words = text.split('\n').map(w => w.trim()).filter(w => w);
-                await batchLookup(words);
+                await batchLookup(words, batchName ? batchName.value.trim() : '');
             }
         });
     }
@@ -88,10 +99,16 @@ async function lookupWord(word) {
             sourceIndicator = '<p style="color: #27ae60; font-size: 0.9em; margin-top: 8px;">🆕 New word fetched from AI</p>';
         }
 
+        const hasSenseChoice = result.senses && result.senses.length > 1;
+
         definitionContent.innerHTML = `
-            <h3>${result.word}</h3>
-            <p><strong>Definition:</strong> ${result.definition}</p>
-            ${result.example ? `<p class="example-text"><strong>Example:</strong> ${result.example}</p>` : ''}
+            <h3>${result.word}${result.ipa ? ` <span class="word-ipa">${result.ipa}</span>` : ''}</h3>
+            ${hasSenseChoice ? renderSenseChoices(result.senses, isAlreadySaved) : `
+                ${renderWordMeta(result.partOfSpeech, result.register)}
+                <p><strong>Definition:</strong> ${result.definition}</p>
+                ${result.example ? `<p class="example-text"><strong>Example:</strong> ${result.example}</p>` : ''}
+                ${renderOtherExamples(result)}
+            `}
             ${sourceIndicator}
             <button class="save-btn" id="saveWordBtn" ${isAlreadySaved ? 'style="background: #3498db;"' : ''}>${saveButtonText}</button>
         `;
@@ -100,8 +117,16 @@ async function lookupWord(word) {
         const saveBtn = document.getElementById('saveWordBtn');
         if (saveBtn) {
             saveBtn.addEventListener('click', async () => {
-                // Validate that the word appears in the example
-                const validation = validateWordExample(result.word, result.example);
+                // Only the meanings ticked by the learner are saved; each becomes its own card
+                const selectedSenses = hasSenseChoice
+                    ? [...definitionContent.querySelectorAll('.sense-checkbox:checked')]
+                        .map(checkbox => result.senses[parseInt(checkbox.dataset.sense, 10)])
+                    : null;
+
+                // Validate that the word appears in the example(s)
+                const validation = selectedSenses
+                    ? validateSelectedSenses(result.word, selectedSenses)
+                    : validateWordExample(result.word, result.example);
                 if (!validation.valid) {
                     // Show validation error
                     const errorDiv = document.createElement('div');
@@ -142,7 +167,9 @@ async function lookupWord(word) {
                 saveBtn.innerHTML = '💾 Saving...';
                 saveBtn.disabled = true;
 
-                const success = await saveWord(result.word, result.definition, result.example);
+                const success = selectedSenses
+                    ? await saveWord(result.word, selectedSenses[0].definition, selectedSenses[0].example, { senses: selectedSenses })
+                    : await saveWord(result.word, result.definition, result.example);
 
                 if (success) {
                     // Only update the UI if user is on the saved words tab
@@ -176,12 +203,79 @@ async function lookupWord(word) {
         }
     } catch (error) {
         definitionContent.innerHTML = `
-            <p class="error">${error.message}</p>
+            <p class="error">${describeLookupError(error)}</p>
         `;
     }
 }
 
-async function batchLookup(words) {
+// Part of speech and register line, e.g. "verb · informal"
+function renderWordMeta(partOfSpeech, register) {
+    const parts = [partOfSpeech, register && register !== 'neutral' ? register : ''].filter(Boolean);
+    return parts.length > 0 ? `<p class="word-meta">${parts.join(' · ')}</p>` : '';
+}
+
+// Examples of the main sense besides the one shown as "Example"
+function renderOtherExamples(result) {
+    const others = (result.examples || []).filter(example => example !== result.example);
+    if (others.length === 0) {
+        return '';
+    }
+
+    return `
+        <ul class="word-examples">
+            ${others.map(example => `<li>${example}</li>`).join('')}
+        </ul>
+    `;
+}
+
+// Checkbox list of the word's senses; the main sense (or every saved sense) starts ticked
+function renderSenseChoices(senses, allChecked) {
+    return `
+        <div class="word-senses">
+            <p class="word-senses-title">Meanings to save</p>
+            ${senses.map((sense, index) => `
+                <label class="word-sense-option">
+                    <input type="checkbox" class="sense-checkbox" data-sense="${index}" ${allChecked || index === 0 ? 'checked' : ''} />
+                    <span class="word-sense-body">
+                        ${renderWordMeta(sense.partOfSpeech, sense.register)}
+                        <span class="word-sense-definition">${sense.definition}</span>
+                        ${sense.example ? `<span class="example-text">${sense.example}</span>` : ''}
+                    </span>
+                </label>
+            `).join('')}
+        </div>
+    `;
+}
+
+// Check that at least one sense is selected and every selected example uses the word
+function validateSelectedSenses(word, senses) {
+    if (senses.length === 0) {
+        return { valid: false, error: 'Choose at least one meaning to save.' };
+    }
+
+    for (const sense of senses) {
+        const validation = validateWordExample(word, sense.example);
+        if (!validation.valid) {
+            return validation;
+        }
+    }
+
+    return { valid: true };
+}
+
+// Progress line shown while a batch of words is looked up
+function describeBatchProgress(current, total, currentWord, source, savedCount) {
+    if (source === 'checking') {
+        return `Checking word ${current}/${total}: "${currentWord}"... (${savedCount} saved)`;
+    } else if (source === 'reusing') {
+        return `Reusing "${currentWord}" from collection (${current}/${total})... (${savedCount} saved)`;
+    } else if (source === 'fetching') {
+        return `Fetching "${currentWord}" from AI (${current}/${total})... (${savedCount} saved)`;
+    }
+    return `Looking up word ${current}/${total}: "${currentWord}"... (${savedCount} saved)`;
+}
+
+async function batchLookup(words, batchName = '') {
     const batchLookupBtn = document.getElementById('batchLookupBtn');
     const batchProgress = document.getElementById('batchProgress');
     const batchResultsDiv = document.getElementById('batchResults');
@@ -196,6 +290,8 @@ async function batchLookup(words) {
     batchLookupBtn.disabled = true;
     
     let savedCount = 0;
+    // The batch name tags every word of the batch, including ones saved before
+    const batchTags = batchName ? [batchName] : [];
     
     try {
         // Fetch all definitions with rate limiting, progress updates, and auto-save
@@ -203,15 +299,7 @@ async function batchLookup(words) {
             words, 
             // Progress callback
             (current, total, currentWord, source) => {
-                if (source === 'checking') {
-                    batchProgress.textContent = `Checking word ${current}/${total}: "${currentWord}"... (${savedCount} saved)`;
-                } else if (source === 'reusing') {
-                    batchProgress.textContent = `Reusing "${currentWord}" from collection (${current}/${total})... (${savedCount} saved)`;
-                } else if (source === 'fetching') {
-                    batchProgress.textContent = `Fetching "${currentWord}" from AI (${current}/${total})... (${savedCount} saved)`;
-                } else {
-                    batchProgress.textContent = `Looking up word ${current}/${total}: "${currentWord}"... (${savedCount} saved)`;
-                }
+                batchProgress.textContent = describeBatchProgress(current, total, currentWord, source, savedCount);
             },
             // Auto-save callback - saves each word as it's looked up (only if not already in Supabase)
             async (result) => {
@@ -219,7 +307,7 @@ async function batchLookup(words) {
                     // Only save if word wasn't already in Supabase
                     // (saveWord handles duplicates, but we can skip the call if already from Supabase)
                     if (!result.fromSupabase) {
-                        const success = await saveWord(result.word, result.definition, result.example);
+                        const success = await saveWord(result.word, result.definition, result.example, { tags: batchTags });
                         if (success) {
                             savedCount++;
                             
@@ -231,6 +319,9 @@ async function batchLookup(words) {
                         }
                     } else {
                         // Word already exists in Supabase, count it as already saved
+                        if (batchTags.length > 0) {
+                            await addWordTags(result.word, batchTags);
+                        }
                         savedCount++;
                     }
                 }
@@ -252,8 +343,12 @@ async function batchLookup(words) {
     }
 }
 
-function displayBatchResults(results, alreadySavedCount = 0) {
-    const batchResultsDiv = document.getElementById('batchResults');
+function displayBatchResults(results, alreadySavedCount = 0, batchResultsDiv = document.getElementById('batchResults')) {
+    // Drop the summary of a previous run
+    const previousActions = batchResultsDiv.nextElementSibling;
+    if (previousActions && previousActions.classList.contains('batch-actions')) {
+        previousActions.remove();
+    }
     
     if (results.length === 0) {
         batchResultsDiv.innerHTML = '<p class="empty-state">No results to display.</p>';
@@ -272,9 +367,10 @@ function displayBatchResults(results, alreadySavedCount = 0) {
             return `
                 <div class="batch-result-card" data-index="${index}">
                     <div class="batch-result-header">
-                        <h4>${result.word}${statusBadge}</h4>
+                        <h4>${result.word}${result.ipa ? ` <span class="word-ipa">${result.ipa}</span>` : ''}${statusBadge}</h4>
                         <button class="save-btn batch-save-btn" data-index="${index}" disabled style="background: #27ae60;">${saveButtonText}</button>
                     </div>
+                    ${renderWordMeta(result.partOfSpeech, result.register)}
                     <p><strong>Definition:</strong> ${result.definition}</p>
                     ${result.example ? `<p class="example-text"><strong>Example:</strong> ${result.example}</p>` : ''}
                 </div>
@@ -285,7 +381,7 @@ function displayBatchResults(results, alreadySavedCount = 0) {
                     <div class="batch-result-header">
                         <h4>${result.word}</h4>
                     </div>
-                    <p class="error">${result.error}</p>
+                    <p class="error">${describeLookupError({ code: result.errorCode, message: result.error })}</p>
                 </div>
             `;
         }
@@ -309,22 +405,199 @@ function displayBatchResults(results, alreadySavedCount = 0) {
         const actionsHtml = `
             <div class="batch-actions">
                 <p class="auto-save-notice">${summaryMessage}</p>
-                <button id="batchClearBtn" class="batch-clear-btn">Clear Results</button>
+                <button class="batch-clear-btn">Clear Results</button>
             </div>
         `;
         batchResultsDiv.insertAdjacentHTML('afterend', actionsHtml);
         
         // Clear button
-        const clearBtn = document.getElementById('batchClearBtn');
+        const actionsDiv = batchResultsDiv.nextElementSibling;
+        const clearBtn = actionsDiv.querySelector('.batch-clear-btn');
         if (clearBtn) {
             clearBtn.addEventListener('click', () => {
                 batchResults = [];
                 batchResultsDiv.innerHTML = '';
-                const actionsDiv = document.querySelector('.batch-actions');
-                if (actionsDiv) {
-                    actionsDiv.remove();
-                }
+                actionsDiv.remove();
             });
         }
     }
 }
+
+function initMiningMode() {
+    const mineAnalyzeBtn = document.getElementById('mineAnalyzeBtn');
+    const mineInput = document.getElementById('mineInput');
+
+    if (mineAnalyzeBtn) {
+        mineAnalyzeBtn.addEventListener('click', async () => {
+            const text = mineInput.value.trim();
+            if (text) {
+                await mineText(text);
+            }
+        });
+    }
+}
+
+// Tokenize the pasted text and list the words that are neither saved nor common
+async function mineText(text) {
+    const mineAnalyzeBtn = document.getElementById('mineAnalyzeBtn');
+    const candidatesDiv = document.getElementById('mineCandidates');
+
+    mineAnalyzeBtn.disabled = true;
+    candidatesDiv.innerHTML = '<p class="loading">Finding unknown words...</p>';
+
+    try {
+        const savedWords = await getSavedWords();
+        const customList = parseFrequencyList(getSetting('miningFrequencyList'));
+
+        miningCandidates = extractCandidates(text, {
+            knownWords: new Set(savedWords.map(word => word.word.toLowerCase())),
+            frequencyList: customList.length > 0 ? customList : COMMON_WORDS,
+            commonLimit: getSetting('miningCommonWordsLimit')
+        });
+
+        displayMiningCandidates(miningCandidates);
+    } catch (error) {
+        candidatesDiv.innerHTML = `<p class="error">Error: ${escapeHtml(error.message)}</p>`;
+    } finally {
+        mineAnalyzeBtn.disabled = false;
+    }
+}
+
+function displayMiningCandidates(candidates) {
+    const candidatesDiv = document.getElementById('mineCandidates');
+
+    if (candidates.length === 0) {
+        candidatesDiv.innerHTML = '<p class="empty-state">No unknown words found — every word is already saved or common.</p>';
+        return;
+    }
+
+    candidatesDiv.innerHTML = `
+        <div class="mine-candidates-header">
+            <span>${candidates.length} unknown word${candidates.length > 1 ? 's' : ''} found</span>
+            <span class="mine-select-actions">
+                <button type="button" class="mine-select-btn" data-select="all">Select all</button>
+                <button type="button" class="mine-select-btn" data-select="none">Select none</button>
+            </span>
+        </div>
+        <div class="mine-candidate-list">
+            ${candidates.map((candidate, index) => `
+                <label class="mine-candidate">
+                    <input type="checkbox" class="mine-checkbox" data-index="${index}" checked />
+                    <span>
+                        <span class="mine-candidate-word">
+                            ${escapeHtml(candidate.word)}${candidate.count > 1 ? `<span class="mine-candidate-count">×${candidate.count}</span>` : ''}
+                        </span>
+                        <span class="mine-candidate-sentence">${highlightForm(candidate.sentence, candidate.form)}</span>
+                    </span>
+                </label>
+            `).join('')}
+        </div>
+        <button id="mineLookupBtn" class="batch-lookup-btn">🔍 Look Up Selected Words</button>
+    `;
+
+    candidatesDiv.querySelectorAll('.mine-select-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const checked = btn.getAttribute('data-select') === 'all';
+            candidatesDiv.querySelectorAll('.mine-checkbox').forEach(checkbox => {
+                checkbox.checked = checked;
+            });
+        });
+    });
+
+    document.getElementById('mineLookupBtn').addEventListener('click', async () => {
+        const selected = [...candidatesDiv.querySelectorAll('.mine-checkbox:checked')]
+            .map(checkbox => miningCandidates[parseInt(checkbox.dataset.index, 10)]);
+        if (selected.length > 0) {
+            await lookupMinedWords(selected);
+        }
+    });
+}
+
+// Look up the selected words and save each one with the sentence it was found in
+async function lookupMinedWords(candidates) {
+    const mineLookupBtn = document.getElementById('mineLookupBtn');
+    const mineProgress = document.getElementById('mineProgress');
+    const mineResultsDiv = document.getElementById('mineResults');
+    const sentences = new Map(candidates.map(candidate => [candidate.word, candidate.sentence]));
+
+    // The sentence holds the form that was read ("studies"), which may not be the
+    // saved word ("study"); then it is kept as an extra example and the exercise
+    // blanks the word in the AI example
+    const withSentence = (result) => {
+        const sentence = sentences.get(result.word.toLowerCase());
+        if (!sentence) {
+            return result;
+        }
+        if (containsWord(sentence, result.word)) {
+            return { ...result, example: sentence };
+        }
+        return { ...result, examples: [result.example, sentence].filter(Boolean) };
+    };
+
+    mineResultsDiv.innerHTML = '';
+    mineProgress.style.display = 'block';
+    mineProgress.textContent = `Looking up ${candidates.length} word${candidates.length > 1 ? 's' : ''}...`;
+    mineLookupBtn.disabled = true;
+
+    let savedCount = 0;
+
+    try {
+        const results = await getBatchWordDefinitions(
+            candidates.map(candidate => candidate.word),
+            (current, total, currentWord, source) => {
+                mineProgress.textContent = describeBatchProgress(current, total, currentWord, source, savedCount);
+            },
+            async (result) => {
+                if (!result.success) return;
+
+                if (!result.fromSupabase) {
+                    const minedResult = withSentence(result);
+                    const success = minedResult.examples
+                        ? await saveWord(minedResult.word, minedResult.definition, minedResult.example, {
+                            senses: [{
+                                definition: minedResult.definition,
+                                example: minedResult.example,
+                                examples: minedResult.examples,
+                                partOfSpeech: minedResult.partOfSpeech
+                            }]
+                        })
+                        : await saveWord(minedResult.word, minedResult.definition, minedResult.example);
+                    if (success) {
+                        savedCount++;
+
+                        const savedWordsPanel = document.getElementById('saved-panel');
+                        if (savedWordsPanel && savedWordsPanel.classList.contains('active')) {
+                            await displaySavedWords();
+                        }
+                    }
+                } else {
+                    savedCount++;
+                }
+            }
+        );
+
+        mineProgress.style.display = 'none';
+        mineLookupBtn.disabled = false;
+
+        // Show the in-context sentence as the example of newly saved words it fits
+        displayBatchResults(
+            results.map(result => (result.success && !result.fromSupabase ? withSentence(result) : result)),
+            savedCount,
+            mineResultsDiv
+        );
+    } catch (error) {
+        mineProgress.textContent = `Error: ${error.message}`;
+        mineProgress.style.color = '#e74c3c';
+        mineLookupBtn.disabled = false;
+    }
+}
+
+// Sentence with the word's original form highlighted
+function highlightForm(sentence, form) {
+    const index = sentence.indexOf(form);
+    if (index === -1) {
+        return escapeHtml(sentence);
+    }
+
+    return `${escapeHtml(sentence.slice(0, index))}<mark>${escapeHtml(form)}</mark>${escapeHtml(sentence.slice(index + form.length))}`;
+}
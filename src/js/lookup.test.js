@@ -7,16 +7,19 @@ vi.mock('./api.js', () => ({
 }));
 
 vi.mock('./storage/index.js', () => ({
-    saveWord: vi.fn()
+    saveWord: vi.fn(),
+    getSavedWords: vi.fn(),
+    addWordTags: vi.fn()
 }));
 
-vi.mock('./ui/index.js', () => ({
-    displaySavedWords: vi.fn()
+vi.mock('./ui/index.js', async () => ({
+    displaySavedWords: vi.fn(),
+    containsWord: (await vi.importActual('./ui/validation.js')).containsWord
 }));
 
 import { initLookup } from './lookup.js';
 import { getWordDefinition, getBatchWordDefinitions } from './api.js';
-import { saveWord } from './storage/index.js';
+import { saveWord, getSavedWords, addWordTags } from './storage/index.js';
 import { displaySavedWords } from './ui/index.js';
 
 describe('Word Lookup Functionality', () => {
@@ -31,6 +34,7 @@ describe('Word Lookup Functionality', () => {
             </div>
             <div id="batchMode" style="display: none;">
                 <textarea id="batchInput"></textarea>
+                <input id="batchName" value="">
                 <button id="batchLookupBtn">Batch Lookup</button>
                 <div id="batchProgress" style="display: none;"></div>
                 <div id="batchResults"></div>
@@ -38,8 +42,16 @@ describe('Word Lookup Functionality', () => {
             <div id="singleMode" style="display: block;">
                 <input id="textInput">
             </div>
+            <div id="mineMode" style="display: none;">
+                <textarea id="mineInput"></textarea>
+                <button id="mineAnalyzeBtn">Find Unknown Words</button>
+                <div id="mineCandidates"></div>
+                <div id="mineProgress" style="display: none;"></div>
+                <div id="mineResults"></div>
+            </div>
             <div class="mode-btn" data-mode="single" style="display: none;">Single</div>
             <div class="mode-btn" data-mode="batch">Batch</div>
+            <div class="mode-btn" data-mode="mine">Mine</div>
         `;
     });
 
@@ -167,6 +179,32 @@ describe('Word Lookup Functionality', () => {
             expect(batchBtn.disabled).toBe(false);
         });
 
+        it('should tag every word of a named batch', async () => {
+            document.getElementById('batchInput').value = 'calm\nbrave';
+            document.getElementById('batchName').value = 'Chapter 3';
+
+            getBatchWordDefinitions.mockImplementation(async (words, progressCallback, autoSaveCallback) => {
+                const results = [
+                    { word: 'calm', definition: 'Peaceful', example: 'Stay calm.', success: true, fromSupabase: false },
+                    { word: 'brave', definition: 'Showing courage', example: 'Be brave.', success: true, fromSupabase: true }
+                ];
+                for (const result of results) {
+                    await autoSaveCallback(result);
+                }
+                return results;
+            });
+            saveWord.mockResolvedValue(true);
+            addWordTags.mockResolvedValue(true);
+
+            initLookup();
+            document.getElementById('batchLookupBtn').click();
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            expect(saveWord).toHaveBeenCalledWith('calm', 'Peaceful', 'Stay calm.', { tags: ['Chapter 3'] });
+            // Words saved before the batch are tagged too
+            expect(addWordTags).toHaveBeenCalledWith('brave', ['Chapter 3']);
+        });
+
         it('should handle batch processing errors', async () => {
             // Setup
             const batchInput = document.getElementById('batchInput');
@@ -205,4 +243,94 @@ describe('Word Lookup Functionality', () => {
             expect(batchResults).toBeTruthy();
         });
     });
+
+    describe('Text Mining Mode', () => {
+        const article = 'The committee reached an ambiguous verdict. Critics called it ambiguous.';
+
+        beforeEach(() => {
+            localStorage.clear();
+            getSavedWords.mockResolvedValue([{ word: 'Committee' }]);
+        });
+
+        it('should show the third mode panel', () => {
+            initLookup();
+
+            document.querySelectorAll('.mode-btn')[2].click();
+
+            expect(document.getElementById('mineMode').style.display).toBe('block');
+            expect(document.getElementById('batchMode').style.display).toBe('none');
+            expect(document.getElementById('singleMode').style.display).toBe('none');
+        });
+
+        it('should list unknown words with their sentence, skipping saved and common words', async () => {
+            initLookup();
+            document.getElementById('mineInput').value = article;
+
+            document.getElementById('mineAnalyzeBtn').click();
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            const words = [...document.querySelectorAll('.mine-candidate-word')].map(el => el.textContent.trim());
+            expect(words).toEqual(['ambiguous×2', 'verdict', 'critic']);
+            expect(document.getElementById('mineCandidates').innerHTML).toContain('<mark>verdict</mark>');
+        });
+
+        it('should look up selected words and save them with the original sentence', async () => {
+            getBatchWordDefinitions.mockImplementation(async (words, progressCallback, autoSaveCallback) => {
+                const results = words.map(word => ({
+                    word, definition: `def ${word}`, example: 'AI example', success: true, fromSupabase: false
+                }));
+                for (const result of results) {
+                    await autoSaveCallback(result);
+                }
+                return results;
+            });
+            saveWord.mockResolvedValue(true);
+
+            initLookup();
+            document.getElementById('mineInput').value = article;
+            document.getElementById('mineAnalyzeBtn').click();
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            document.querySelector('.mine-select-btn[data-select="none"]').click();
+            document.querySelector('.mine-checkbox[data-index="1"]').checked = true;
+            document.getElementById('mineLookupBtn').click();
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            expect(getBatchWordDefinitions.mock.calls[0][0]).toEqual(['verdict']);
+            expect(saveWord).toHaveBeenCalledWith('verdict', 'def verdict', 'The committee reached an ambiguous verdict.');
+            expect(document.getElementById('mineResults').innerHTML).toContain('The committee reached an ambiguous verdict.');
+        });
+
+        it('should keep the AI example when the sentence only has another form of the word', async () => {
+            getBatchWordDefinitions.mockImplementation(async (words, progressCallback, autoSaveCallback) => {
+                const results = words.map(word => ({
+                    word, definition: `def ${word}`, example: 'A harsh critic.', partOfSpeech: 'noun', success: true, fromSupabase: false
+                }));
+                for (const result of results) {
+                    await autoSaveCallback(result);
+                }
+                return results;
+            });
+            saveWord.mockResolvedValue(true);
+
+            initLookup();
+            document.getElementById('mineInput').value = article;
+            document.getElementById('mineAnalyzeBtn').click();
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            document.querySelector('.mine-select-btn[data-select="none"]').click();
+            document.querySelector('.mine-checkbox[data-index="2"]').checked = true;
+            document.getElementById('mineLookupBtn').click();
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            expect(saveWord).toHaveBeenCalledWith('critic', 'def critic', 'A harsh critic.', {
+                senses: [{
+                    definition: 'def critic',
+                    example: 'A harsh critic.',
+                    examples: ['A harsh critic.', 'Critics called it ambiguous.'],
+                    partOfSpeech: 'noun'
+                }]
+            });
+        });
+    });
 });
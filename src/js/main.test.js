@@ -13,7 +13,12 @@ vi.mock('./lookup.js', () => ({
 vi.mock('./ui/index.js', () => ({
   initTabs: vi.fn(),
   displaySavedWords: vi.fn(),
-  initFilterControls: vi.fn()
+  initFilterControls: vi.fn(),
+  initSettings: vi.fn(),
+  showImportModal: vi.fn(),
+  showTrashModal: vi.fn(),
+  offerUndoDelete: vi.fn(),
+  showWordDetail: vi.fn()
 }));
 
 vi.mock('./exercise/index.js', () => ({
@@ -22,7 +27,11 @@ vi.mock('./exercise/index.js', () => ({
 }));
 
 vi.mock('./storage/index.js', () => ({
-  clearAllWords: vi.fn()
+  clearAllWords: vi.fn(),
+  loadFSRSParameters: vi.fn(),
+  startBackgroundSync: vi.fn(),
+  onRemoteChanges: vi.fn(),
+  purgeExpiredTrash: vi.fn()
 }));
 
 import { initApp, initAppFeaturesOnce } from '../main.js';
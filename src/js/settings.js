@@ -0,0 +1,58 @@
+/**
+ * Settings Module
+ * Handles user preferences stored in localStorage
+ */
+
+const SETTINGS_KEY = 'lingodash_settings';
+
+// Grading modes for the exercise
+export const GRADING_MODES = {
+    MANUAL: 'manual',  // Learner picks Again/Hard/Good/Easy after the answer is revealed
+    AUTO: 'auto'       // Rating derived from correctness and response time
+};
+
+const DEFAULT_SETTINGS = {
+    gradingMode: GRADING_MODES.MANUAL,
+    aiProvider: 'mistral',         // See AI_PROVIDERS in aiProviders.js
+    aiProviderConfig: {},          // Per-provider { url, apiKey, model } overrides
+    miningCommonWordsLimit: 500,   // Text mining skips this many of the most frequent words
+    miningFrequencyList: '',       // Custom frequency list for text mining ('' = built-in English list)
+    dailyNewLimit: 20,             // New words introduced per day
+    dailyReviewLimit: 200,         // Reviews per day
+    reviewOrder: 'overdue',        // See REVIEW_ORDERS in exercise/queue.js
+    newWordPosition: 'mix'         // See NEW_WORD_POSITIONS in exercise/queue.js
+};
+
+/**
+ * Get all settings, with defaults filled in
+ * @returns {Object} Settings object
+ */
+export function getSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+        return { ...DEFAULT_SETTINGS, ...saved };
+    } catch (error) {
+        console.error('Error reading settings:', error);
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+/**
+ * Get a single setting
+ * @param {string} key - Setting name
+ * @returns {*} Setting value (default if not set)
+ */
+export function getSetting(key) {
+    return getSettings()[key];
+}
+
+/**
+ * Save a single setting
+ * @param {string} key - Setting name
+ * @param {*} value - Setting value
+ */
+export function setSetting(key, value) {
+    const settings = getSettings();
+    settings[key] = value;
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
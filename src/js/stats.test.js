@@ -0,0 +1,249 @@
+import { describe, it, expect, vi } from 'vitest';
+
+// Mock storage used by the stats calculations
+vi.mock('./storage/index.js', () => ({
+    getSavedWordsFSRS: vi.fn(() => Promise.resolve([])),
+    getFSRSStats: vi.fn(() => Promise.resolve({ totalWords: 0, dueWords: 0, avgStability: 0, totalReviews: 0 })),
+    getReviewLogs: vi.fn(() => Promise.resolve([]))
+}));
+
+import {
+    calculateStats,
+    calculateStudyActivity,
+    calculateReviewForecast,
+    calculateRetentionMetrics,
+    calculateFSRSDetailedMetrics,
+    calculatePerformanceTrends,
+    clearStatsCache,
+    convertStatsToCSV
+} from './stats/calculations.js';
+import { displayStats, initForecastRange } from './stats/display.js';
+import { getReviewLogs } from './storage/index.js';
+
+const today = new Date(2024, 5, 15, 18, 0);
+
+/**
+ * Build review log entries for days relative to today
+ * @param {Object} reviewsByDaysAgo - { daysAgo: number of reviews }
+ * @returns {Array} Review log entries
+ */
+function logsFor(reviewsByDaysAgo) {
+    const logs = [];
+    Object.entries(reviewsByDaysAgo).forEach(([daysAgo, count]) => {
+        for (let i = 0; i < count; i++) {
+            const reviewedAt = new Date(today.getFullYear(), today.getMonth(), today.getDate() - daysAgo, 9, i);
+            logs.push({ reviewedAt: reviewedAt.toISOString() });
+        }
+    });
+    return logs;
+}
+
+describe('Study Activity', () => {
+    it('should count reviews per local day over the past year', () => {
+        const activity = calculateStudyActivity(logsFor({ 0: 2, 3: 1, 400: 5 }), today);
+
+        expect(activity.days).toHaveLength(365);
+        expect(activity.days[364]).toEqual({ date: '2024-06-15', count: 2, frozen: false });
+        expect(activity.days[361].count).toBe(1);
+        expect(activity.totalReviews).toBe(3);
+        expect(activity.activeDays).toBe(2);
+        expect(activity.dailyAverage).toBe(0.8);
+    });
+
+    it('should keep the streak until today is over', () => {
+        const activity = calculateStudyActivity(logsFor({ 1: 1, 2: 1, 3: 1 }), today);
+
+        expect(activity.currentStreak).toBe(3);
+        expect(activity.studiedToday).toBe(false);
+    });
+
+    it('should break the streak after a missed day without a freeze', () => {
+        const activity = calculateStudyActivity(logsFor({ 0: 1, 1: 1, 3: 1, 4: 1, 5: 1 }), today);
+
+        expect(activity.currentStreak).toBe(2);
+        expect(activity.longestStreak).toBe(3);
+    });
+
+    it('should spend a freeze earned by a week of study on a missed day', () => {
+        const week = { 2: 1, 3: 1, 4: 1, 5: 1, 6: 1, 7: 1, 8: 1 };
+        const activity = calculateStudyActivity(logsFor({ ...week, 0: 1 }), today);
+
+        expect(activity.days[363].frozen).toBe(true);
+        expect(activity.currentStreak).toBe(8);
+        expect(activity.freezesAvailable).toBe(0);
+
+        const broken = calculateStudyActivity(logsFor({ ...week, 0: 1 }), new Date(2024, 5, 17, 12));
+        expect(broken.currentStreak).toBe(0);
+    });
+
+    it('should render the heatmap and streaks on the stats page', async () => {
+        document.body.innerHTML = `
+            <span id="currentStreak"></span>
+            <span id="longestStreak"></span>
+            <span id="dailyAverage"></span>
+            <span id="streakFreezes"></span>
+            <div id="activityHeatmap"></div>
+            <div id="learningProgressChart"></div>
+            <div id="stabilityChart"></div>
+            <div id="recentActivity"></div>
+        `;
+        getReviewLogs.mockResolvedValueOnce(logsFor({ 0: 4, 1: 1 }));
+        clearStatsCache();
+        vi.useFakeTimers({ toFake: ['Date'] });
+        vi.setSystemTime(today);
+
+        const stats = await calculateStats(true);
+        displayStats(stats);
+        vi.useRealTimers();
+
+        expect(getReviewLogs).toHaveBeenCalledWith({ since: expect.any(String) });
+        expect(document.getElementById('currentStreak').textContent).toBe('2 days');
+        expect(document.querySelectorAll('.heatmap-week .heatmap-day:not(.empty)')).toHaveLength(365);
+        expect(document.querySelectorAll('.heatmap-week .level-4')).toHaveLength(1);
+        expect(convertStatsToCSV(stats)).toContain('"Current Streak (days)","2"');
+    });
+});
+
+describe('Review Forecast', () => {
+    const daysFromToday = (days, hour = 9) =>
+        new Date(today.getFullYear(), today.getMonth(), today.getDate() + days, hour).toISOString();
+
+    it('should put each reviewed word on its due day and overdue words on today', () => {
+        const words = [
+            { word: 'apple', reps: 3, stability: 40, difficulty: 5, last_review: daysFromToday(-10), next_review: daysFromToday(2) },
+            { word: 'brave', reps: 2, stability: 60, difficulty: 5, last_review: daysFromToday(-60), nextReview: daysFromToday(-5) },
+            { word: 'calm', reps: 0, stability: 0, next_review: daysFromToday(0) }
+        ];
+
+        const forecast = calculateReviewForecast(words, 30, today);
+
+        expect(forecast).toHaveLength(30);
+        expect(forecast[0]).toEqual(expect.objectContaining({ date: '2024-06-15', scheduled: 1 }));
+        expect(forecast[2].scheduled).toBe(1);
+        expect(forecast.reduce((sum, d) => sum + d.scheduled, 0)).toBe(2);
+    });
+
+    it('should add expected relearning reviews the day after a review', () => {
+        const words = [
+            { word: 'apple', reps: 1, stability: 1, difficulty: 8, last_review: daysFromToday(-5), next_review: daysFromToday(-4) }
+        ];
+
+        const forecast = calculateReviewForecast(words, 30, today);
+
+        expect(forecast[0].expectedLapses).toBe(0);
+        expect(forecast[1].expectedLapses).toBeGreaterThan(0.2);
+        expect(forecast[1].total).toBeCloseTo(forecast[1].scheduled + forecast[1].expectedLapses, 1);
+    });
+
+    it('should follow a word through several reviews within the forecast', () => {
+        const words = [
+            { word: 'apple', reps: 1, stability: 2, difficulty: 5, last_review: daysFromToday(-2), next_review: daysFromToday(0, 20) }
+        ];
+
+        const month = calculateReviewForecast(words, 30, today);
+        const quarter = calculateReviewForecast(words, 90, today);
+
+        expect(month.reduce((sum, d) => sum + d.scheduled, 0)).toBeGreaterThan(1);
+        expect(quarter.reduce((sum, d) => sum + d.scheduled, 0)).toBeGreaterThanOrEqual(month.reduce((sum, d) => sum + d.scheduled, 0));
+    });
+
+    it('should switch the chart between 30 and 90 days', () => {
+        document.body.innerHTML = `
+            <button class="forecast-range-btn active" data-days="30"></button>
+            <button class="forecast-range-btn" data-days="90"></button>
+            <div id="reviewForecastChart"></div>
+            <div id="learningProgressChart"></div>
+            <div id="stabilityChart"></div>
+            <div id="recentActivity"></div>
+        `;
+        const forecast = calculateReviewForecast([
+            { word: 'apple', reps: 3, stability: 40, difficulty: 5, last_review: daysFromToday(-10), next_review: daysFromToday(2) }
+        ], 90, today);
+
+        initForecastRange();
+        displayStats({ learningProgress: [], stabilityDistribution: [], wordStatusBreakdown: {}, fsrsMetrics: {}, reviewForecast: forecast });
+        expect(document.querySelectorAll('.forecast-bar')).toHaveLength(30);
+
+        document.querySelector('[data-days="90"]').click();
+        expect(document.querySelectorAll('.forecast-bar')).toHaveLength(90);
+        expect(document.querySelector('[data-days="90"]').classList.contains('active')).toBe(true);
+    });
+});
+
+describe('Retention Metrics', () => {
+    /**
+     * Build review logs of learned words
+     * @param {number} count - Number of reviews
+     * @param {Object} options - { daysAgo, recalled, prevStability, elapsedDays }
+     * @returns {Array} Review log entries
+     */
+    function reviews(count, { daysAgo = 1, recalled = count, prevStability = 10, elapsedDays = 10 } = {}) {
+        return Array.from({ length: count }, (_, i) => ({
+            rating: i < recalled ? 3 : 1,
+            prevStability,
+            elapsedDays,
+            reviewedAt: new Date(today.getTime() - daysAgo * 24 * 60 * 60 * 1000).toISOString()
+        }));
+    }
+
+    it('should measure retention from review outcomes, split into young and mature words', () => {
+        const logs = [
+            ...reviews(10, { recalled: 8 }),
+            ...reviews(4, { recalled: 4, prevStability: 30 }),
+            { rating: 1, prevStability: 0, elapsedDays: 0, reviewedAt: today.toISOString() },
+            { rating: 1, prevStability: 5, elapsedDays: 0.1, reviewedAt: today.toISOString() }
+        ];
+
+        const metrics = calculateRetentionMetrics(logs, today);
+
+        expect(metrics.retentionReviews).toBe(14);
+        expect(metrics.retentionRate).toBe(86);
+        expect(metrics.youngRetention).toBe(80);
+        expect(metrics.matureRetention).toBe(100);
+        expect(metrics.weeklyRetention).toHaveLength(12);
+        expect(metrics.weeklyRetention[11]).toEqual(expect.objectContaining({ reviews: 14, retention: 86 }));
+    });
+
+    it('should compare predicted with actual recall', () => {
+        // Reviewed on time, FSRS predicts 90% recall
+        const metrics = calculateRetentionMetrics(reviews(10, { recalled: 6 }), today);
+
+        expect(metrics.predictedRecall).toBe(90);
+        expect(metrics.calibration.find(b => b.range === '90-95%')).toEqual({ range: '90-95%', reviews: 10, predicted: 90, actual: 60 });
+        expect(metrics.calibration.find(b => b.range === '0-70%').actual).toBeNull();
+    });
+
+    it('should report no retention without reviews of learned words', () => {
+        const metrics = calculateFSRSDetailedMetrics([], []);
+
+        expect(metrics.retentionRate).toBeNull();
+        expect(metrics.youngRetention).toBeNull();
+    });
+
+    it('should detect significant changes in retention between the last two 4-week periods', () => {
+        const declining = [...reviews(40, { daysAgo: 40, recalled: 38 }), ...reviews(40, { daysAgo: 5, recalled: 28 })];
+        const improving = [...reviews(40, { daysAgo: 40, recalled: 28 }), ...reviews(40, { daysAgo: 5, recalled: 38 })];
+        const noisy = [...reviews(40, { daysAgo: 40, recalled: 36 }), ...reviews(40, { daysAgo: 5, recalled: 34 })];
+
+        expect(calculatePerformanceTrends([], declining, today)).toEqual(expect.objectContaining({
+            trend: 'declining', previousRetention: 95, recentRetention: 70
+        }));
+        expect(calculatePerformanceTrends([], improving, today).trend).toBe('improving');
+        expect(calculatePerformanceTrends([], noisy, today).trend).toBe('stable');
+        expect(calculatePerformanceTrends([], reviews(5, { daysAgo: 5 }), today).trend).toBe('unknown');
+    });
+
+    it('should export the retention metrics to CSV', () => {
+        const logs = reviews(10, { recalled: 6 });
+        const csv = convertStatsToCSV({
+            wordStatusBreakdown: {},
+            fsrsMetrics: calculateFSRSDetailedMetrics([], logs),
+            performanceTrends: calculatePerformanceTrends([], logs, today)
+        });
+
+        expect(csv).toContain('"Retention Rate (%)","60"');
+        expect(csv).toContain('"Mature Retention (%)",""');
+        expect(csv).toContain('"Actual Recall at 90-95% Predicted (%)","60"');
+        expect(csv).toContain('"Retention Trend","unknown"');
+    });
+});
@@ -3,14 +3,40 @@
  * Handles all statistical computations
  */
 
-import { getSavedWordsFSRS, getFSRSStats as getFSRSStatsFromStorage } from '../storage/index.js';
-import { FSRSUtils } from '../fsrs.js';
+import { getSavedWordsFSRS, getFSRSStats as getFSRSStatsFromStorage, getReviewLogs } from '../storage/index.js';
+import { FSRSUtils, FSRS_RATING, fsrsInstance } from '../fsrs.js';
 
 // Cache for stats data to avoid repeated calculations
 let statsCache = null;
 let statsCacheTime = null;
 const STATS_CACHE_DURATION = 60 * 1000; // 60 seconds
 
+// Study activity heatmap covers the past year, one cell per day
+const ACTIVITY_DAYS = 365;
+
+// A streak freeze is earned every 7 study days in a row (up to 2 kept) and
+// covers one missed day without breaking the streak
+const STREAK_FREEZE_EVERY = 7;
+const MAX_STREAK_FREEZES = 2;
+
+// Review forecast covers the next 90 days (the chart can show the first 30)
+const FORECAST_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Retention metrics: cards with a stability of 21+ days are mature (as for
+// the "mastered" status), weekly retention covers the last 12 weeks
+const MATURE_STABILITY = 21;
+const RETENTION_WEEKS = 12;
+
+// Predicted recall buckets for the calibration table (lower bounds, in %)
+const CALIBRATION_BUCKETS = [0, 70, 80, 90, 95];
+
+// Trend detector: the last 28 days against the 28 before, each needing at
+// least 20 reviews; the change must be significant at 95% (|z| >= 1.96)
+const TREND_WINDOW_DAYS = 28;
+const MIN_TREND_REVIEWS = 20;
+const TREND_Z_THRESHOLD = 1.96;
+
 /**
  * Calculate comprehensive statistics
  * @param {boolean} forceRefresh - Force refresh from cache
@@ -28,15 +54,22 @@ export async function calculateStats(forceRefresh = false) {
     const words = await getSavedWordsFSRS();
     const basicStats = await getFSRSStatsFromStorage();
 
+    const activityStart = new Date();
+    activityStart.setHours(0, 0, 0, 0);
+    activityStart.setDate(activityStart.getDate() - (ACTIVITY_DAYS - 1));
+    const reviewLogs = await getReviewLogs({ since: activityStart.toISOString() });
+
     // Calculate detailed statistics
     const stats = {
         ...basicStats,
         wordStatusBreakdown: calculateWordStatusBreakdown(words),
         stabilityDistribution: calculateStabilityDistribution(words),
+        reviewForecast: calculateReviewForecast(words),
         learningProgress: calculateLearningProgress(words),
-        fsrsMetrics: calculateFSRSDetailedMetrics(words),
+        fsrsMetrics: calculateFSRSDetailedMetrics(words, reviewLogs),
         recentActivity: calculateRecentActivity(words),
-        performanceTrends: calculatePerformanceTrends(words)
+        studyActivity: calculateStudyActivity(reviewLogs),
+        performanceTrends: calculatePerformanceTrends(words, reviewLogs)
     };
 
     // Cache the results
@@ -97,6 +130,65 @@ export function calculateStabilityDistribution(words) {
     }));
 }
 
+/**
+ * Forecast the review workload of the coming days
+ * Each reviewed word is followed through its schedule, assuming it is
+ * recalled with Good on every due day. Every simulated review also adds the
+ * chance of forgetting the word (1 - retrievability) as an expected extra
+ * relearning review on the next day. New words are left out: they only cost
+ * reviews once they are studied.
+ * @param {Array} words - Array of words with FSRS data
+ * @param {number} days - Number of days to forecast, starting today
+ * @param {Date} now - Current date (defaults to now)
+ * @returns {Array} One entry per day: { date, scheduled, expectedLapses, total }
+ */
+export function calculateReviewForecast(words, days = FORECAST_DAYS, now = new Date()) {
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const forecast = Array.from({ length: days }, (_, i) => ({
+        date: toDateKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() + i)),
+        scheduled: 0,
+        expectedLapses: 0
+    }));
+
+    // Day index of a date, counted from the start of today (overdue reviews land on today)
+    const dayIndex = date => Math.max(0, Math.floor((date - today) / DAY_MS));
+
+    words.forEach(word => {
+        const nextReview = word.next_review || word.nextReview;
+        if (!(word.reps > 0) || !(word.stability > 0) || !nextReview) return;
+
+        let state = { stability: word.stability, difficulty: word.difficulty || 5 };
+        let lastReview = word.last_review ? new Date(word.last_review) : null;
+        let reviewAt = new Date(Math.max(new Date(nextReview).getTime(), now.getTime()));
+        if (isNaN(reviewAt.getTime())) return;
+
+        while (dayIndex(reviewAt) < days) {
+            const index = dayIndex(reviewAt);
+            const elapsedDays = lastReview ? Math.max(0, (reviewAt - lastReview) / DAY_MS) : word.scheduled_days || 0;
+            const retrievability = fsrsInstance.calculateRetentionProbability(state.stability, elapsedDays);
+
+            forecast[index].scheduled++;
+            if (index + 1 < days) {
+                forecast[index + 1].expectedLapses += 1 - retrievability;
+            }
+
+            const next = fsrsInstance.nextState(state, FSRS_RATING.GOOD, elapsedDays);
+            state = { stability: next.stability, difficulty: next.difficulty };
+            lastReview = reviewAt;
+            reviewAt = new Date(reviewAt.getTime() + next.interval * DAY_MS);
+        }
+    });
+
+    return forecast.map(day => {
+        const expectedLapses = Math.round(day.expectedLapses * 10) / 10;
+        return {
+            ...day,
+            expectedLapses,
+            total: Math.round((day.scheduled + day.expectedLapses) * 10) / 10
+        };
+    });
+}
+
 /**
  * Calculate learning progress for visualization
  * @param {Array} words - Array of words with FSRS data
@@ -130,18 +222,20 @@ export function calculateLearningProgress(words) {
 /**
  * Calculate detailed FSRS metrics
  * @param {Array} words - Array of words with FSRS data
+ * @param {Array} logs - Review log entries, for the retention metrics
  * @returns {Object} Detailed FSRS metrics
  */
-export function calculateFSRSDetailedMetrics(words) {
+export function calculateFSRSDetailedMetrics(words, logs = []) {
     const validWords = words.filter(w => w.stability > 0);
+    const retention = calculateRetentionMetrics(logs);
 
     if (validWords.length === 0) {
         return {
             avgStability: 0,
             avgDifficulty: 5.0,
-            retentionRate: 0,
             totalLapses: 0,
-            accuracyRate: 0
+            accuracyRate: 0,
+            ...retention
         };
     }
 
@@ -151,18 +245,101 @@ export function calculateFSRSDetailedMetrics(words) {
     const totalReviews = validWords.reduce((sum, w) => sum + (w.reps || 0), 0);
     const accuracyRate = totalReviews > 0 ? ((totalReviews - totalLapses) / totalReviews) * 100 : 0;
 
-    // Estimate retention rate based on stability
-    const avgRetention = Math.min(95, Math.max(70, 90 - (avgStability / 100) * 10));
-
     return {
         avgStability: Math.round(avgStability * 10) / 10,
         avgDifficulty: Math.round(avgDifficulty * 10) / 10,
-        retentionRate: Math.round(avgRetention),
         totalLapses: totalLapses,
-        accuracyRate: Math.round(accuracyRate)
+        accuracyRate: Math.round(accuracyRate),
+        ...retention
     };
 }
 
+/**
+ * Calculate true retention from review outcomes
+ * Only reviews of words already learned, at least a day after the previous
+ * review, count: a review is recalled unless it was rated Again. Percentages
+ * are null when there are no such reviews.
+ * @param {Array} logs - Review log entries
+ * @param {Date} now - Current date (defaults to now)
+ * @returns {Object} { retentionRate, youngRetention, matureRetention, predictedRecall, retentionReviews, calibration, weeklyRetention }
+ */
+export function calculateRetentionMetrics(logs, now = new Date()) {
+    const reviews = getRecallReviews(logs);
+    const young = reviews.filter(r => !r.mature);
+    const mature = reviews.filter(r => r.mature);
+
+    const calibration = CALIBRATION_BUCKETS.map((from, index) => {
+        const to = CALIBRATION_BUCKETS[index + 1] ?? 100;
+        const bucket = reviews.filter(r => r.predicted * 100 >= from && (r.predicted * 100 < to || to === 100));
+        return {
+            range: `${from}-${to}%`,
+            reviews: bucket.length,
+            predicted: averagePercent(bucket.map(r => r.predicted)),
+            actual: retentionPercent(bucket)
+        };
+    });
+
+    // Weeks end today: week 0 is the oldest of the last RETENTION_WEEKS
+    const end = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+    const weeklyRetention = Array.from({ length: RETENTION_WEEKS }, (_, i) => {
+        const weekStart = new Date(end.getFullYear(), end.getMonth(), end.getDate() - (RETENTION_WEEKS - i) * 7);
+        const weekEnd = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + 7);
+        const week = reviews.filter(r => r.reviewedAt >= weekStart && r.reviewedAt < weekEnd);
+        return {
+            weekStart: toDateKey(weekStart),
+            reviews: week.length,
+            retention: retentionPercent(week)
+        };
+    });
+
+    return {
+        retentionRate: retentionPercent(reviews),
+        youngRetention: retentionPercent(young),
+        matureRetention: retentionPercent(mature),
+        predictedRecall: averagePercent(reviews.map(r => r.predicted)),
+        retentionReviews: reviews.length,
+        calibration,
+        weeklyRetention
+    };
+}
+
+/**
+ * Turn review log entries into recall outcomes with the recall FSRS predicted
+ * @param {Array} logs - Review log entries
+ * @returns {Array} { reviewedAt, recalled, predicted, mature }
+ */
+function getRecallReviews(logs) {
+    return (logs || [])
+        .filter(log => log.prevStability > 0 && log.elapsedDays >= 1 && log.rating)
+        .map(log => ({
+            reviewedAt: new Date(log.reviewedAt),
+            recalled: log.rating > FSRS_RATING.AGAIN,
+            predicted: fsrsInstance.calculateRetentionProbability(log.prevStability, log.elapsedDays),
+            mature: log.prevStability >= MATURE_STABILITY
+        }))
+        .filter(review => !isNaN(review.reviewedAt.getTime()));
+}
+
+/**
+ * Share of recalled reviews
+ * @param {Array} reviews - Recall outcomes
+ * @returns {number|null} Whole percentage, or null without reviews
+ */
+function retentionPercent(reviews) {
+    if (reviews.length === 0) return null;
+    return Math.round((reviews.filter(r => r.recalled).length / reviews.length) * 100);
+}
+
+/**
+ * Average of probabilities as a percentage
+ * @param {Array} values - Probabilities (0-1)
+ * @returns {number|null} Whole percentage, or null without values
+ */
+function averagePercent(values) {
+    if (values.length === 0) return null;
+    return Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 100);
+}
+
 /**
  * Calculate recent learning activity
  * @param {Array} words - Array of words with FSRS data
@@ -186,15 +363,144 @@ export function calculateRecentActivity(words) {
     }));
 }
 
+/**
+ * Calculate daily study activity and streaks from the review log
+ * Days are the user's local calendar days. Today never breaks the streak:
+ * until the first review of the day, the streak is the one reached yesterday.
+ * @param {Array} logs - Review log entries ({ reviewedAt })
+ * @param {Date} today - Current date (defaults to now)
+ * @returns {Object} { days, totalReviews, activeDays, dailyAverage, currentStreak, longestStreak, freezesAvailable, studiedToday }
+ */
+export function calculateStudyActivity(logs, today = new Date()) {
+    const counts = new Map();
+    (logs || []).forEach(log => {
+        const reviewedAt = new Date(log.reviewedAt);
+        if (!isNaN(reviewedAt.getTime())) {
+            const key = toDateKey(reviewedAt);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+    });
+
+    const day = new Date(today.getFullYear(), today.getMonth(), today.getDate() - (ACTIVITY_DAYS - 1));
+    const days = [];
+    let streak = 0;
+    let longestStreak = 0;
+    let freezes = 0;
+    let firstActiveIndex = -1;
+    let totalReviews = 0;
+
+    for (let i = 0; i < ACTIVITY_DAYS; i++) {
+        const date = toDateKey(day);
+        const count = counts.get(date) || 0;
+        const isToday = i === ACTIVITY_DAYS - 1;
+        let frozen = false;
+
+        if (count > 0) {
+            streak++;
+            longestStreak = Math.max(longestStreak, streak);
+            totalReviews += count;
+            if (firstActiveIndex === -1) firstActiveIndex = i;
+            if (streak % STREAK_FREEZE_EVERY === 0 && freezes < MAX_STREAK_FREEZES) {
+                freezes++;
+            }
+        } else if (!isToday) {
+            if (streak > 0 && freezes > 0) {
+                freezes--;
+                frozen = true;
+            } else {
+                streak = 0;
+            }
+        }
+
+        days.push({ date, count, frozen });
+        day.setDate(day.getDate() + 1);
+    }
+
+    const trackedDays = firstActiveIndex === -1 ? 0 : ACTIVITY_DAYS - firstActiveIndex;
+
+    return {
+        days,
+        totalReviews,
+        activeDays: days.filter(d => d.count > 0).length,
+        dailyAverage: trackedDays > 0 ? Math.round((totalReviews / trackedDays) * 10) / 10 : 0,
+        currentStreak: streak,
+        longestStreak,
+        freezesAvailable: streak > 0 ? freezes : 0,
+        studiedToday: days[days.length - 1].count > 0
+    };
+}
+
+/**
+ * Format a date as a local calendar day key
+ * @param {Date} date - Date to format
+ * @returns {string} Day key (YYYY-MM-DD)
+ */
+function toDateKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const dayOfMonth = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${dayOfMonth}`;
+}
+
 /**
  * Calculate performance trends
+ * Compares retention over the last 28 days with the 28 days before, using a
+ * two-proportion z-test so that noise in small samples reads as stable.
  * @param {Array} words - Array of words with FSRS data
- * @returns {Object} Performance trend data
+ * @param {Array} logs - Review log entries
+ * @param {Date} now - Current date (defaults to now)
+ * @returns {Object} Performance trend data ({ trend, message, recentRetention, previousRetention, recentReviews, previousReviews })
  */
-export function calculatePerformanceTrends(words) {
+export function calculatePerformanceTrends(words, logs = [], now = new Date()) {
+    const reviews = getRecallReviews(logs);
+    const recentStart = new Date(now.getTime() - TREND_WINDOW_DAYS * DAY_MS);
+    const previousStart = new Date(now.getTime() - 2 * TREND_WINDOW_DAYS * DAY_MS);
+
+    const recent = reviews.filter(r => r.reviewedAt >= recentStart && r.reviewedAt <= now);
+    const previous = reviews.filter(r => r.reviewedAt >= previousStart && r.reviewedAt < recentStart);
+
+    const result = {
+        recentRetention: retentionPercent(recent),
+        previousRetention: retentionPercent(previous),
+        recentReviews: recent.length,
+        previousReviews: previous.length
+    };
+
+    if (recent.length < MIN_TREND_REVIEWS || previous.length < MIN_TREND_REVIEWS) {
+        return {
+            trend: 'unknown',
+            message: `Not enough reviews yet to detect a trend (needs ${MIN_TREND_REVIEWS} in each of the last two 4-week periods)`,
+            ...result
+        };
+    }
+
+    const recalledRecent = recent.filter(r => r.recalled).length;
+    const recalledPrevious = previous.filter(r => r.recalled).length;
+    const pooled = (recalledRecent + recalledPrevious) / (recent.length + previous.length);
+    const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / recent.length + 1 / previous.length));
+    const z = standardError > 0
+        ? (recalledRecent / recent.length - recalledPrevious / previous.length) / standardError
+        : 0;
+
+    if (z >= TREND_Z_THRESHOLD) {
+        return {
+            trend: 'improving',
+            message: `Retention is improving: ${result.previousRetention}% → ${result.recentRetention}% over the last 4 weeks`,
+            ...result
+        };
+    }
+
+    if (z <= -TREND_Z_THRESHOLD) {
+        return {
+            trend: 'declining',
+            message: `Retention is declining: ${result.previousRetention}% → ${result.recentRetention}% over the last 4 weeks`,
+            ...result
+        };
+    }
+
     return {
         trend: 'stable',
-        message: 'Learning performance is stable'
+        message: `Retention is stable at about ${result.recentRetention}%`,
+        ...result
     };
 }
 
@@ -263,11 +569,34 @@ export function convertStatsToCSV(stats) {
         ['Mastered Words', stats.wordStatusBreakdown.mastered],
         ['Overdue Words', stats.wordStatusBreakdown.overdue],
         ['Average Difficulty', stats.fsrsMetrics.avgDifficulty],
-        ['Retention Rate (%)', stats.fsrsMetrics.retentionRate],
+        ['Retention Rate (%)', stats.fsrsMetrics.retentionRate ?? ''],
+        ['Young Retention (%)', stats.fsrsMetrics.youngRetention ?? ''],
+        ['Mature Retention (%)', stats.fsrsMetrics.matureRetention ?? ''],
+        ['Predicted Recall (%)', stats.fsrsMetrics.predictedRecall ?? ''],
         ['Total Lapses', stats.fsrsMetrics.totalLapses],
         ['Accuracy Rate (%)', stats.fsrsMetrics.accuracyRate]
     ];
 
+    if (stats.performanceTrends) {
+        rows.push(['Retention Trend', stats.performanceTrends.trend]);
+    }
+
+    (stats.fsrsMetrics.calibration || []).forEach(bucket => {
+        rows.push([`Actual Recall at ${bucket.range} Predicted (%)`, bucket.actual ?? '']);
+    });
+
+    (stats.fsrsMetrics.weeklyRetention || []).forEach(week => {
+        rows.push([`Retention Week of ${week.weekStart} (%)`, week.retention ?? '']);
+    });
+
+    if (stats.studyActivity) {
+        rows.push(
+            ['Current Streak (days)', stats.studyActivity.currentStreak],
+            ['Longest Streak (days)', stats.studyActivity.longestStreak],
+            ['Daily Average Reviews', stats.studyActivity.dailyAverage]
+        );
+    }
+
     const csvRows = [headers.join(',')];
     rows.forEach(row => {
         csvRows.push(`"${row[0]}","${row[1]}"`);
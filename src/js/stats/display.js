@@ -3,6 +3,11 @@
  * Handles rendering statistics to the UI
  */
 
+// Days shown by the review forecast chart, and the last forecast rendered
+let forecastRange = 30;
+let lastForecast = null;
+let forecastRangeInitialized = false;
+
 /**
  * Display all statistics on the page
  * @param {Object} stats - Statistics object
@@ -11,9 +16,11 @@ export function displayStats(stats) {
     updateOverviewCards(stats);
     updateLearningProgressChart(stats.learningProgress);
     updateStabilityChart(stats.stabilityDistribution);
+    updateReviewForecastChart(stats.reviewForecast);
     updateWordStatusBreakdown(stats.wordStatusBreakdown);
-    updateFSRSDetailedMetrics(stats.fsrsMetrics);
+    updateFSRSDetailedMetrics(stats.fsrsMetrics, stats.performanceTrends);
     updateRecentActivity(stats.recentActivity);
+    updateStudyActivity(stats.studyActivity);
 }
 
 /**
@@ -104,6 +111,80 @@ function updateStabilityChart(stabilityData) {
     chartContainer.innerHTML = chartHTML;
 }
 
+/**
+ * Wire the 30/90 day switch of the review forecast (safe to call on every stats tab visit)
+ */
+export function initForecastRange() {
+    if (forecastRangeInitialized) return;
+
+    const buttons = document.querySelectorAll('.forecast-range-btn');
+    if (buttons.length === 0) return;
+
+    buttons.forEach(btn => {
+        btn.addEventListener('click', () => {
+            forecastRange = parseInt(btn.getAttribute('data-days'), 10);
+            buttons.forEach(other => other.classList.toggle('active', other === btn));
+            updateReviewForecastChart(lastForecast);
+        });
+    });
+    forecastRangeInitialized = true;
+}
+
+/**
+ * Update review forecast chart
+ * @param {Array} forecast - Forecast from calculateReviewForecast
+ */
+function updateReviewForecastChart(forecast) {
+    const chartContainer = document.getElementById('reviewForecastChart');
+    if (!chartContainer) return;
+
+    lastForecast = forecast;
+
+    if (!forecast || forecast.length === 0) {
+        chartContainer.innerHTML = '<div class="chart-placeholder">No forecast available</div>';
+        return;
+    }
+
+    const days = forecast.slice(0, forecastRange);
+    const maxTotal = Math.max(...days.map(d => d.total));
+
+    if (maxTotal === 0) {
+        chartContainer.innerHTML = '<div class="chart-placeholder">No reviews scheduled yet</div>';
+        return;
+    }
+
+    const totalReviews = days.reduce((sum, d) => sum + d.total, 0);
+    const busiestDay = days.reduce((busiest, d) => d.total > busiest.total ? d : busiest, days[0]);
+    const formatDay = key => {
+        const [year, month, day] = key.split('-').map(Number);
+        return new Date(year, month - 1, day).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    };
+
+    chartContainer.innerHTML = `
+        <div class="forecast-bars">
+            ${days.map((day, index) => `
+                <div class="forecast-bar" style="height: ${(day.total / maxTotal) * 100}%"
+                     title="${index === 0 ? 'Today' : formatDay(day.date)}: ${day.scheduled} scheduled + ~${day.expectedLapses} from forgotten words">
+                    <div class="forecast-bar-lapses" style="height: ${day.total > 0 ? (day.expectedLapses / day.total) * 100 : 0}%"></div>
+                </div>
+            `).join('')}
+        </div>
+        <div class="stability-axis">
+            <span>Today</span>
+            <span>${formatDay(days[Math.floor(days.length / 2)].date)}</span>
+            <span>${formatDay(days[days.length - 1].date)}</span>
+        </div>
+        <div class="forecast-summary">
+            ~${Math.round(totalReviews)} reviews in the next ${days.length} days
+            (${Math.round((totalReviews / days.length) * 10) / 10} per day, busiest ${formatDay(busiestDay.date)} with ~${Math.round(busiestDay.total)})
+        </div>
+        <div class="forecast-legend">
+            <span class="forecast-legend-item scheduled">Scheduled</span>
+            <span class="forecast-legend-item lapses">Expected relearning</span>
+        </div>
+    `;
+}
+
 /**
  * Update word status breakdown
  * @param {Object} breakdown - Status breakdown object
@@ -127,21 +208,87 @@ function updateWordStatusBreakdown(breakdown) {
 /**
  * Update detailed FSRS metrics
  * @param {Object} metrics - FSRS metrics object
+ * @param {Object} trends - Performance trend data
  */
-function updateFSRSDetailedMetrics(metrics) {
+function updateFSRSDetailedMetrics(metrics, trends) {
+    const trendLabels = { improving: '↗ Improving', declining: '↘ Declining', stable: '→ Stable', unknown: '--' };
     const updates = [
         { id: 'avgDifficulty', value: metrics.avgDifficulty },
-        { id: 'retentionRate', value: `${metrics.retentionRate}%` },
+        { id: 'retentionRate', value: formatPercent(metrics.retentionRate) },
         { id: 'totalLapses', value: metrics.totalLapses },
-        { id: 'accuracyRate', value: `${metrics.accuracyRate}%` }
+        { id: 'accuracyRate', value: `${metrics.accuracyRate}%` },
+        { id: 'youngMatureRetention', value: `${formatPercent(metrics.youngRetention)} / ${formatPercent(metrics.matureRetention)}` },
+        { id: 'predictedRecall', value: formatPercent(metrics.predictedRecall) },
+        { id: 'retentionTrend', value: trends ? trendLabels[trends.trend] || '--' : '--', title: trends ? trends.message : '' }
     ];
 
     updates.forEach(update => {
         const element = document.getElementById(update.id);
         if (element) {
             element.textContent = update.value;
+            if (update.title !== undefined) {
+                element.title = update.title;
+            }
         }
     });
+
+    updateRetentionDetails(metrics, trends);
+}
+
+/**
+ * Update the calibration table and weekly retention bars
+ * @param {Object} metrics - FSRS metrics object
+ * @param {Object} trends - Performance trend data
+ */
+function updateRetentionDetails(metrics, trends) {
+    const container = document.getElementById('retentionDetails');
+    if (!container) return;
+
+    if (!metrics.retentionReviews) {
+        container.innerHTML = '<div class="chart-placeholder">Retention appears after reviewing words you have already learned</div>';
+        return;
+    }
+
+    const calibrationRows = (metrics.calibration || [])
+        .filter(bucket => bucket.reviews > 0)
+        .map(bucket => `
+            <tr>
+                <td>${bucket.range}</td>
+                <td>${bucket.predicted}%</td>
+                <td>${bucket.actual}%</td>
+                <td>${bucket.reviews}</td>
+            </tr>
+        `).join('');
+
+    const weeks = metrics.weeklyRetention || [];
+
+    container.innerHTML = `
+        ${trends ? `<div class="retention-trend ${trends.trend}">${trends.message}</div>` : ''}
+        <h4>Predicted vs. Actual Recall</h4>
+        <table class="calibration-table">
+            <thead>
+                <tr><th>Predicted</th><th>Avg predicted</th><th>Actual</th><th>Reviews</th></tr>
+            </thead>
+            <tbody>${calibrationRows}</tbody>
+        </table>
+        <h4>Retention by Week</h4>
+        <div class="weekly-retention">
+            ${weeks.map(week => `
+                <div class="weekly-retention-bar${week.retention === null ? ' empty' : ''}"
+                     style="height: ${week.retention ?? 0}%"
+                     title="Week of ${week.weekStart}: ${week.retention === null ? 'no reviews' : `${week.retention}% of ${week.reviews} reviews`}"></div>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Format a percentage that may be missing
+ * @param {number|null} value - Whole percentage
+ * @returns {string} e.g. "87%", or "--%" without data
+ */
+function formatPercent(value) {
+    return value === null || value === undefined ? '--%' : `${value}%`;
 }
 
 /**
@@ -171,19 +318,136 @@ function updateRecentActivity(activities) {
     activityList.innerHTML = activityHTML;
 }
 
+/**
+ * Update streak figures and the study activity heatmap
+ * @param {Object} activity - Study activity from calculateStudyActivity
+ */
+function updateStudyActivity(activity) {
+    const heatmap = document.getElementById('activityHeatmap');
+    if (!heatmap) return;
+
+    if (!activity || activity.totalReviews === 0) {
+        ['currentStreak', 'longestStreak', 'dailyAverage', 'streakFreezes'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.textContent = '0';
+            }
+        });
+        heatmap.innerHTML = '<div class="chart-placeholder">No reviews yet. Practice to start a streak!</div>';
+        return;
+    }
+
+    const updates = [
+        { id: 'currentStreak', value: formatDays(activity.currentStreak) },
+        { id: 'longestStreak', value: formatDays(activity.longestStreak) },
+        { id: 'dailyAverage', value: activity.dailyAverage },
+        { id: 'streakFreezes', value: activity.freezesAvailable }
+    ];
+
+    updates.forEach(update => {
+        const element = document.getElementById(update.id);
+        if (element) {
+            element.textContent = update.value;
+        }
+    });
+
+    const maxCount = Math.max(...activity.days.map(d => d.count));
+
+    // Columns are weeks starting on Sunday; pad the first one up to the first day
+    const cells = Array(parseDateKey(activity.days[0].date).getDay()).fill(null).concat(activity.days);
+    const weeks = [];
+    for (let i = 0; i < cells.length; i += 7) {
+        weeks.push(cells.slice(i, i + 7));
+    }
+
+    let lastMonth = null;
+    const monthLabels = weeks.map(week => {
+        const firstDay = week.find(Boolean);
+        const month = parseDateKey(firstDay.date).getMonth();
+        if (month === lastMonth) return '<span></span>';
+        lastMonth = month;
+        return `<span>${parseDateKey(firstDay.date).toLocaleDateString(undefined, { month: 'short' })}</span>`;
+    }).join('');
+
+    heatmap.innerHTML = `
+        <div class="heatmap-scroll">
+            <div class="heatmap-months">${monthLabels}</div>
+            <div class="heatmap-weeks">
+                ${weeks.map(week => `
+                    <div class="heatmap-week">
+                        ${week.map(day => day ? `
+                            <div class="heatmap-day level-${getActivityLevel(day.count, maxCount)}${day.frozen ? ' frozen' : ''}"
+                                 title="${describeActivityDay(day)}"></div>
+                        ` : '<div class="heatmap-day empty"></div>').join('')}
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+        <div class="heatmap-legend">
+            <span>Less</span>
+            ${[0, 1, 2, 3, 4].map(level => `<div class="heatmap-day level-${level}"></div>`).join('')}
+            <span>More</span>
+            <div class="heatmap-day frozen"></div>
+            <span>Streak freeze used</span>
+        </div>
+        <div class="heatmap-caption">${activity.totalReviews} reviews on ${activity.activeDays} days in the past year${activity.studiedToday || activity.currentStreak === 0 ? '' : ' · review today to keep your streak'}</div>
+    `;
+}
+
+/**
+ * Get the heatmap shade of a day (0 = no reviews, 4 = busiest)
+ * @param {number} count - Reviews that day
+ * @param {number} maxCount - Reviews on the busiest day
+ * @returns {number} Level 0-4
+ */
+function getActivityLevel(count, maxCount) {
+    if (count === 0 || maxCount === 0) return 0;
+    return Math.min(4, Math.ceil((count / maxCount) * 4));
+}
+
+/**
+ * Describe a heatmap day for its tooltip
+ * @param {Object} day - { date, count, frozen }
+ * @returns {string} e.g. "3 reviews on Mon, Mar 4"
+ */
+function describeActivityDay(day) {
+    const date = parseDateKey(day.date).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+    if (day.frozen) return `No reviews on ${date} (streak freeze used)`;
+    return `${day.count === 0 ? 'No' : day.count} review${day.count === 1 ? '' : 's'} on ${date}`;
+}
+
+/**
+ * Parse a local day key into a date
+ * @param {string} key - Day key (YYYY-MM-DD)
+ * @returns {Date} Local midnight of that day
+ */
+function parseDateKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Format a number of days
+ * @param {number} days - Number of days
+ * @returns {string} e.g. "1 day", "5 days"
+ */
+function formatDays(days) {
+    return `${days} day${days === 1 ? '' : 's'}`;
+}
+
 /**
  * Show loading state for stats
  */
 export function showStatsLoading() {
     const elements = [
         'totalWords', 'wordsDue', 'avgStability', 'totalReviews',
-        'learningProgressChart', 'stabilityChart'
+        'learningProgressChart', 'stabilityChart', 'reviewForecastChart', 'activityHeatmap'
     ];
 
     elements.forEach(id => {
         const element = document.getElementById(id);
         if (element) {
-            if (id.includes('Chart')) {
+            if (id.includes('Chart') || id.includes('Heatmap')) {
                 element.innerHTML = '<div class="chart-placeholder">Loading...</div>';
             } else {
                 element.textContent = '--';
@@ -199,7 +463,7 @@ export function showStatsLoading() {
 export function showStatsError(message) {
     const errorHTML = `<div class="stats-error">${message}</div>`;
 
-    const chartContainers = ['learningProgressChart', 'stabilityChart'];
+    const chartContainers = ['learningProgressChart', 'stabilityChart', 'reviewForecastChart', 'activityHeatmap'];
     chartContainers.forEach(id => {
         const element = document.getElementById(id);
         if (element) {
@@ -4,7 +4,8 @@
  */
 
 import { calculateStats, convertStatsToCSV } from './calculations.js';
-import { displayStats, showStatsLoading, showStatsError } from './display.js';
+import { displayStats, showStatsLoading, showStatsError, initForecastRange } from './display.js';
+import { initOptimizerPanel } from './optimizer.js';
 
 /**
  * Initialize the stats page
@@ -15,6 +16,9 @@ export function initStatsPage() {
         refreshBtn.addEventListener('click', () => loadStats(true));
     }
 
+    initOptimizerPanel();
+    initForecastRange();
+
     loadStats();
 }
 
@@ -0,0 +1,183 @@
+/**
+ * Stats Optimizer Module
+ * Handles the "Scheduler Optimization" panel: fitting FSRS weights to the
+ * user's review history and letting them adopt the result
+ */
+
+import { fsrsInstance } from '../fsrs.js';
+import { optimizeParameters } from '../fsrsOptimizer.js';
+import { getReviewLogs, saveFSRSParameters } from '../storage/index.js';
+
+let panelInitialized = false;
+let isOptimizing = false;
+
+/**
+ * Initialize the optimizer panel (safe to call on every stats tab visit)
+ */
+export function initOptimizerPanel() {
+    if (panelInitialized) return;
+
+    const optimizeBtn = document.getElementById('optimizeFSRS');
+    if (!optimizeBtn) return;
+
+    optimizeBtn.addEventListener('click', runOptimization);
+    panelInitialized = true;
+}
+
+/**
+ * Run the optimizer in a Web Worker, falling back to the main thread
+ * @param {Array} logs - Review log entries
+ * @param {Array} weights - Starting weights
+ * @param {Function} onProgress - Called with { epoch, epochs, loss }
+ * @returns {Promise<Object>} Optimizer result
+ */
+export function optimizeInWorker(logs, weights, onProgress) {
+    if (typeof Worker === 'undefined') {
+        return Promise.resolve().then(() =>
+            optimizeParameters(logs, { initialWeights: weights, onProgress })
+        );
+    }
+
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(new URL('../fsrsOptimizer.worker.js', import.meta.url), { type: 'module' });
+
+        worker.onmessage = (event) => {
+            const message = event.data;
+
+            if (message.type === 'progress') {
+                onProgress(message);
+            } else if (message.type === 'done') {
+                worker.terminate();
+                resolve(message.result);
+            } else if (message.type === 'error') {
+                worker.terminate();
+                reject(new Error(message.message));
+            }
+        };
+
+        worker.onerror = (event) => {
+            worker.terminate();
+            reject(new Error(event.message || 'Optimizer worker failed'));
+        };
+
+        worker.postMessage({ logs, weights });
+    });
+}
+
+/**
+ * Fetch the review history, optimize and render the comparison report
+ */
+async function runOptimization() {
+    if (isOptimizing) return;
+
+    const optimizeBtn = document.getElementById('optimizeFSRS');
+    const reportEl = document.getElementById('optimizerReport');
+
+    isOptimizing = true;
+    optimizeBtn.disabled = true;
+    reportEl.innerHTML = '';
+    setStatus('Loading review history...');
+
+    try {
+        const logs = await getReviewLogs();
+        setStatus(`Optimizing on ${logs.length} reviews...`);
+
+        const result = await optimizeInWorker(logs, [...fsrsInstance.w], ({ epoch, epochs }) => {
+            setStatus(`Optimizing... ${Math.round((epoch / epochs) * 100)}%`);
+        });
+
+        setStatus('');
+        renderReport(result);
+    } catch (error) {
+        console.error('Error optimizing FSRS parameters:', error);
+        setStatus(error.message);
+    } finally {
+        isOptimizing = false;
+        optimizeBtn.disabled = false;
+    }
+}
+
+/**
+ * Render the before/after evaluation and the adopt button
+ * @param {Object} result - Optimizer result
+ */
+function renderReport(result) {
+    const reportEl = document.getElementById('optimizerReport');
+    const { before, after } = result;
+    const improved = after.logLoss < before.logLoss;
+
+    const binRows = after.bins.map(bin => `
+        <tr>
+            <td>${bin.range}</td>
+            <td>${bin.count}</td>
+            <td>${(bin.predicted * 100).toFixed(1)}%</td>
+            <td>${(bin.actual * 100).toFixed(1)}%</td>
+        </tr>
+    `).join('');
+
+    reportEl.innerHTML = `
+        <table class="optimizer-table">
+            <thead>
+                <tr><th>Metric</th><th>Current</th><th>Optimized</th></tr>
+            </thead>
+            <tbody>
+                <tr><td>Log loss</td><td>${before.logLoss.toFixed(4)}</td><td>${after.logLoss.toFixed(4)}</td></tr>
+                <tr><td>RMSE (bins)</td><td>${(before.rmseBins * 100).toFixed(2)}%</td><td>${(after.rmseBins * 100).toFixed(2)}%</td></tr>
+                <tr><td>Reviews used</td><td colspan="2">${result.trainingReviews}</td></tr>
+            </tbody>
+        </table>
+        <table class="optimizer-table">
+            <thead>
+                <tr><th>Predicted recall</th><th>Reviews</th><th>Predicted</th><th>Actual</th></tr>
+            </thead>
+            <tbody>${binRows}</tbody>
+        </table>
+        <p class="optimizer-verdict">
+            ${improved
+                ? 'The optimized parameters predict your reviews better than the current ones.'
+                : 'The current parameters already fit your history; no change recommended.'}
+        </p>
+        ${improved ? '<button id="applyFSRSParams" class="refresh-stats-btn">Use optimized parameters</button>' : ''}
+    `;
+
+    const applyBtn = document.getElementById('applyFSRSParams');
+    if (applyBtn) {
+        applyBtn.addEventListener('click', () => applyParameters(result, applyBtn));
+    }
+}
+
+/**
+ * Save the optimized weights and switch the scheduler to them
+ * @param {Object} result - Optimizer result
+ * @param {HTMLButtonElement} applyBtn - The adopt button
+ */
+async function applyParameters(result, applyBtn) {
+    applyBtn.disabled = true;
+
+    const saved = await saveFSRSParameters({
+        weights: result.weights,
+        reviewCount: result.trainingReviews,
+        evaluation: { before: result.before, after: result.after }
+    });
+
+    if (!saved) {
+        applyBtn.disabled = false;
+        setStatus('Failed to save the optimized parameters. Please try again.');
+        return;
+    }
+
+    fsrsInstance.setParameters({ w: result.weights });
+    applyBtn.remove();
+    setStatus('Optimized parameters are now used for scheduling.');
+}
+
+/**
+ * Update the optimizer status line
+ * @param {string} message - Status text
+ */
+function setStatus(message) {
+    const statusEl = document.getElementById('optimizerStatus');
+    if (statusEl) {
+        statusEl.textContent = message;
+    }
+}
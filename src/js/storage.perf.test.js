@@ -38,6 +38,7 @@ describe('Storage Performance Tests', () => {
                 return Promise.resolve({ error: null });
             }),
             lte: vi.fn().mockReturnThis(),
+            is: vi.fn().mockReturnThis(),
             in: vi.fn().mockReturnThis(),
             order: vi.fn().mockReturnThis(),
             limit: vi.fn().mockImplementation(() => {
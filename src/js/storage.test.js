@@ -11,8 +11,11 @@ vi.mock('./supabase.js', () => ({
     getUserId: vi.fn(() => Promise.resolve('test-user-id'))
 }));
 
-import { getSavedWords, saveWord, deleteWord, clearAllWords, updateWordReview, getWordsDueForReview, getWordIfExists } from './storage/index.js';
+import { getSavedWords, saveWord, deleteWord, clearAllWords, updateWordReview, getWordsDueForReview, getWordIfExists, updateWordReviewFSRS, logReview, getReviewLogs, parseImportFile, guessColumnMapping, applyColumnMapping, importWords, getTagsAndDecks, renameTag, deleteDeck, normalizeTags, getSavedWordsPaginated, getAllMatchingWords, deleteWordsById, resetWordsScheduling, addTagsToWords, cleanupOldWords } from './storage/index.js';
+import { buildAnkiPackage } from './storage/anki.js';
 import { supabase } from './supabase.js';
+import initSqlJs from 'sql.js';
+import { unzipSync, strFromU8 } from 'fflate';
 
 describe('Storage Functions', () => {
     // Helper to create a chainable mock
@@ -25,6 +28,9 @@ describe('Storage Functions', () => {
             eq: vi.fn(() => chain),
             ilike: vi.fn(() => chain),
             lte: vi.fn(() => chain),
+            is: vi.fn(() => chain),
+            not: vi.fn(() => chain),
+            gte: vi.fn(() => chain),
             in: vi.fn(() => chain),
             order: vi.fn(() => chain),
             limit: vi.fn(() => Promise.resolve(finalResult)),
@@ -114,7 +120,16 @@ describe('Storage Functions', () => {
             expect(result).toEqual({
                 word: 'hello',
                 definition: 'A greeting',
-                example: 'Hello, world!'
+                example: 'Hello, world!',
+                tags: [],
+                deck: '',
+                senses: [{
+                    senseIndex: 0,
+                    partOfSpeech: '',
+                    definition: 'A greeting',
+                    example: 'Hello, world!',
+                    examples: ['Hello, world!']
+                }]
             });
             expect(supabase.from).toHaveBeenCalledWith('words');
             expect(mockChain.eq).toHaveBeenCalledWith('user_id', 'test-user-id');
@@ -143,7 +158,7 @@ describe('Storage Functions', () => {
 
             const result = await getWordIfExists('test');
 
-            expect(result).toEqual({
+            expect(result).toMatchObject({
                 word: 'test',
                 definition: 'A test',
                 example: ''
@@ -172,7 +187,7 @@ describe('Storage Functions', () => {
 
             const result = await getWordIfExists('HELLO');
 
-            expect(result).toEqual({
+            expect(result).toMatchObject({
                 word: 'Hello',
                 definition: 'A greeting',
                 example: 'Hello, world!'
@@ -232,10 +247,244 @@ describe('Storage Functions', () => {
 
             expect(result).toBe(false);
         });
+
+        it('should save each selected sense as its own card', async () => {
+            const existingSense = {
+                id: '123',
+                word: 'bank',
+                sense_index: 0,
+                definition: 'A financial institution.',
+                example: 'I went to the bank.'
+            };
+
+            const checkChain = createMockChain({ data: [existingSense], error: null });
+            const updateChain = createMockChain({ error: null });
+            updateChain.eq = vi.fn(() => Promise.resolve({ error: null }));
+            const insertChain = createMockChain({ error: null });
+            const cleanupChain = createMockChain({ data: [], error: null });
+
+            supabase.from
+                .mockReturnValueOnce(checkChain)
+                .mockReturnValueOnce(updateChain)
+                .mockReturnValueOnce(insertChain)
+                .mockReturnValueOnce(cleanupChain);
+
+            const result = await saveWord('bank', 'A financial institution', 'I went to the bank.', {
+                senses: [
+                    { partOfSpeech: 'noun', definition: 'A financial institution', example: 'I went to the bank.' },
+                    { partOfSpeech: 'noun', definition: 'The land beside a river', example: 'We sat on the bank.' }
+                ]
+            });
+
+            expect(result).toBe(true);
+            // The known sense keeps its row (and schedule); the new one is added after it
+            expect(updateChain.eq).toHaveBeenCalledWith('id', '123');
+            expect(insertChain.insert).toHaveBeenCalledWith(expect.objectContaining({
+                word: 'bank',
+                sense_index: 1,
+                part_of_speech: 'noun',
+                definition: 'The land beside a river',
+                examples: ['We sat on the bank.']
+            }));
+        });
+
+        it('should tag a new word and add tags to a saved one', async () => {
+            const insertChain = createMockChain({ error: null });
+            supabase.from
+                .mockReturnValueOnce(createMockChain({ data: [], error: null }))
+                .mockReturnValueOnce(insertChain)
+                .mockReturnValueOnce(createMockChain({ data: [], error: null }));
+
+            await saveWord('calm', 'Peaceful', 'Stay calm.', { tags: ['Trip 2024'] });
+
+            expect(insertChain.insert).toHaveBeenCalledWith(expect.objectContaining({ tags: ['trip-2024'] }));
+
+            const updateChain = createMockChain({ error: null });
+            supabase.from
+                .mockReturnValueOnce(createMockChain({ data: [{ id: '1', word: 'calm', tags: ['travel'] }], error: null }))
+                .mockReturnValueOnce(updateChain);
+
+            await saveWord('calm', 'Peaceful', 'Stay calm.', { tags: ['trip-2024'] });
+
+            expect(updateChain.update).toHaveBeenCalledWith(expect.objectContaining({ tags: ['travel', 'trip-2024'] }));
+        });
+    });
+
+    describe('Tags and decks', () => {
+        const rows = [
+            { id: '1', word: 'bank', sense_index: 0, tags: ['money', 'b1'], deck: 'Spanish' },
+            { id: '2', word: 'bank', sense_index: 1, tags: ['money', 'b1'], deck: 'Spanish' },
+            { id: '3', word: 'calm', sense_index: 0, tags: ['b1'], deck: null },
+            { id: '4', word: 'brave', sense_index: 0 }
+        ];
+
+        it('should normalize tags', () => {
+            expect(normalizeTags(' Travel, #Trip 2024  travel ')).toEqual(['travel', 'trip', '2024']);
+            expect(normalizeTags(['Trip 2024', ''])).toEqual(['trip-2024']);
+        });
+
+        it('should count words (not senses) per tag and deck', async () => {
+            supabase.from.mockReturnValue(createMockChain({ data: rows, error: null }));
+
+            const { tags, decks } = await getTagsAndDecks();
+
+            expect(tags).toEqual([{ name: 'b1', count: 2 }, { name: 'money', count: 1 }]);
+            expect(decks).toEqual([{ name: 'Spanish', count: 1 }]);
+        });
+
+        it('should rename a tag on every row that has it', async () => {
+            const mockChain = createMockChain({ data: rows, error: null });
+            supabase.from.mockReturnValue(mockChain);
+
+            const result = await renameTag('money', 'b1');
+
+            expect(result).toBe(true);
+            expect(mockChain.update).toHaveBeenCalledTimes(2);
+            expect(mockChain.update).toHaveBeenCalledWith({ tags: ['b1'] });
+            expect(mockChain.eq).toHaveBeenCalledWith('id', '2');
+        });
+
+        it('should keep the words of a deleted deck', async () => {
+            const mockChain = createMockChain({ data: rows, error: null });
+            supabase.from.mockReturnValue(mockChain);
+
+            await deleteDeck('Spanish');
+
+            expect(mockChain.update).toHaveBeenCalledTimes(2);
+            expect(mockChain.update).toHaveBeenCalledWith({ deck: null });
+            expect(mockChain.delete).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Search and sort', () => {
+        // Both page queries resolve when awaited: the count query and the ranged data query
+        function createPageChain(rows) {
+            const chain = {
+                then: (resolve, reject) => Promise.resolve({ data: rows, count: rows.length, error: null }).then(resolve, reject)
+            };
+            ['select', 'eq', 'or', 'is', 'lte', 'gt', 'contains', 'order', 'range'].forEach(method => {
+                chain[method] = vi.fn(() => chain);
+            });
+            return chain;
+        }
+
+        it('should search word, definition and example', async () => {
+            const chain = createPageChain([{ id: '1', word: 'calm', definition: 'Peaceful', timestamp: '2024-01-01' }]);
+            supabase.from.mockReturnValue(chain);
+
+            const result = await getSavedWordsPaginated(1, 50, 'all', { search: ' calm ' });
+
+            expect(result.totalCount).toBe(1);
+            expect(chain.or).toHaveBeenCalledWith('word.ilike."%calm%",definition.ilike."%calm%",example.ilike."%calm%"');
+        });
+
+        it('should match LIKE wildcards literally', async () => {
+            const chain = createPageChain([]);
+            supabase.from.mockReturnValue(chain);
+
+            await getSavedWordsPaginated(1, 50, 'all', { search: '100%_off' });
+
+            expect(chain.or.mock.calls[0][0]).toContain(String.raw`word.ilike."%100\\%\\_off%"`);
+        });
+
+        it('should not filter when the search is blank', async () => {
+            const chain = createPageChain([]);
+            supabase.from.mockReturnValue(chain);
+
+            await getSavedWordsPaginated(1, 50, 'all', { search: '   ' });
+
+            expect(chain.or).not.toHaveBeenCalled();
+        });
+
+        it('should order by the chosen sort, newest first on ties', async () => {
+            const chain = createPageChain([]);
+            supabase.from.mockReturnValue(chain);
+
+            await getSavedWordsPaginated(2, 10, 'all', { sort: 'alphabetical' });
+
+            expect(chain.order).toHaveBeenNthCalledWith(1, 'word', { ascending: true, nullsFirst: false });
+            expect(chain.order).toHaveBeenNthCalledWith(2, 'timestamp', { ascending: false });
+            expect(chain.range).toHaveBeenCalledWith(10, 19);
+        });
+
+        it('should fall back to date added for an unknown sort', async () => {
+            const chain = createPageChain([]);
+            supabase.from.mockReturnValue(chain);
+
+            await getSavedWordsPaginated(1, 50, 'all', { sort: 'bogus' });
+
+            expect(chain.order).toHaveBeenCalledWith('timestamp', { ascending: false, nullsFirst: false });
+        });
+    });
+
+    describe('Bulk actions', () => {
+        it('should delete each selected row and report progress', async () => {
+            const mockChain = createMockChain({ data: null, error: null });
+            mockChain.eq = vi.fn()
+                .mockReturnValueOnce(mockChain).mockReturnValueOnce(Promise.resolve({ error: null }))
+                .mockReturnValueOnce(mockChain).mockReturnValueOnce(Promise.resolve({ error: { message: 'Delete error' } }));
+            supabase.from.mockReturnValue(mockChain);
+            const onProgress = vi.fn();
+
+            const result = await deleteWordsById(['a', 'b'], { onProgress });
+
+            expect(result).toEqual({ done: 1, failed: 1 });
+            expect(mockChain.eq).toHaveBeenCalledWith('id', 'b');
+            expect(onProgress).toHaveBeenLastCalledWith(2, 2);
+        });
+
+        it('should reset rows to new cards that are due now', async () => {
+            const mockChain = createMockChain({ data: null, error: null });
+            mockChain.eq = vi.fn(() => Promise.resolve({ error: null }));
+            supabase.from.mockReturnValue(mockChain);
+
+            const result = await resetWordsScheduling(['a']);
+
+            expect(result).toEqual({ done: 1, failed: 0 });
+            expect(mockChain.update).toHaveBeenCalledWith(expect.objectContaining({
+                reps: 0,
+                lapses: 0,
+                stability: 0,
+                last_review: null,
+                review_count: 0,
+                interval: 0
+            }));
+        });
+
+        it('should tag each word once, whatever the number of selected senses', async () => {
+            const mockChain = createMockChain({ data: [{ id: '1', word: 'bank', tags: [] }], error: null });
+            supabase.from.mockReturnValue(mockChain);
+
+            const result = await addTagsToWords(['bank', 'Bank', 'calm'], ['travel']);
+
+            expect(result).toEqual({ done: 2, failed: 0 });
+            expect(mockChain.ilike).toHaveBeenCalledTimes(2);
+        });
+
+        it('should collect the matching words of every page', async () => {
+            const rows = Array.from({ length: 1000 }, (_, i) => ({ id: `${i}`, word: `w${i}` }));
+            const results = [
+                { data: rows, count: 1500, error: null },
+                { data: rows.slice(0, 500), count: 1500, error: null }
+            ];
+            supabase.from.mockImplementation(() => {
+                const chain = {};
+                ['select', 'eq', 'is', 'order'].forEach(method => { chain[method] = vi.fn(() => chain); });
+                // Count and data queries of a page share its result
+                const result = results[0];
+                chain.range = vi.fn(() => { results.shift(); return Promise.resolve(result); });
+                chain.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+                return chain;
+            });
+
+            const words = await getAllMatchingWords('new');
+
+            expect(words).toHaveLength(1500);
+        });
     });
 
     describe('deleteWord', () => {
-        it('should delete a word from Supabase', async () => {
+        it('should move a word to the trash in Supabase', async () => {
             const mockChain = createMockChain({ error: null });
             mockChain.ilike = vi.fn(() => Promise.resolve({ error: null }));
             supabase.from.mockReturnValue(mockChain);
@@ -244,6 +493,30 @@ describe('Storage Functions', () => {
 
             expect(result).toBe(true);
             expect(supabase.from).toHaveBeenCalledWith('words');
+            expect(mockChain.update).toHaveBeenCalledWith({ deleted_at: expect.any(String) });
+            expect(mockChain.is).toHaveBeenCalledWith('deleted_at', null);
+            expect(mockChain.delete).not.toHaveBeenCalled();
+        });
+
+        it('should delete only the given sense', async () => {
+            const senses = [
+                { id: 'a', word: 'bank', sense_index: 0 },
+                { id: 'b', word: 'bank', sense_index: 1 }
+            ];
+            const findChain = createMockChain({ data: senses, error: null });
+            const deleteChain = createMockChain({ error: null });
+            deleteChain.eq = vi.fn()
+                .mockReturnValueOnce(deleteChain)
+                .mockReturnValueOnce(Promise.resolve({ error: null }));
+
+            supabase.from
+                .mockReturnValueOnce(findChain)
+                .mockReturnValueOnce(deleteChain);
+
+            const result = await deleteWord('bank', { senseIndex: 1 });
+
+            expect(result).toBe(true);
+            expect(deleteChain.eq).toHaveBeenLastCalledWith('id', 'b');
         });
 
         it('should return false on error', async () => {
@@ -257,17 +530,39 @@ describe('Storage Functions', () => {
         });
     });
 
+    describe('cleanupOldWords', () => {
+        it('should move words beyond the limit to the trash, counting only words not in it', async () => {
+            const rows = Array.from({ length: 100001 }, (_, i) => ({ id: `w${i}` }));
+            const fetchChain = createMockChain({ data: rows, error: null });
+            fetchChain.order = vi.fn(() => Promise.resolve({ data: rows, error: null }));
+            const trashChain = createMockChain({ error: null });
+            trashChain.in = vi.fn(() => Promise.resolve({ error: null }));
+            supabase.from
+                .mockReturnValueOnce(fetchChain)
+                .mockReturnValueOnce(trashChain);
+
+            await cleanupOldWords('test-user-id');
+
+            expect(fetchChain.is).toHaveBeenCalledWith('deleted_at', null);
+            expect(trashChain.update).toHaveBeenCalledWith({ deleted_at: expect.any(String) });
+            expect(trashChain.in).toHaveBeenCalledWith('id', ['w99999', 'w100000']);
+            expect(trashChain.delete).not.toHaveBeenCalled();
+        });
+    });
+
     describe('clearAllWords', () => {
         it('should clear all words when user confirms', async () => {
             global.confirm = vi.fn(() => true);
             const mockChain = createMockChain({ error: null });
-            mockChain.eq = vi.fn(() => Promise.resolve({ error: null }));
+            mockChain.is = vi.fn(() => Promise.resolve({ error: null }));
             supabase.from.mockReturnValue(mockChain);
 
             const result = await clearAllWords();
 
             expect(result).toBe(true);
             expect(global.confirm).toHaveBeenCalled();
+            expect(mockChain.update).toHaveBeenCalledWith({ deleted_at: expect.any(String) });
+            expect(mockChain.delete).not.toHaveBeenCalled();
         });
 
         it('should not clear words when user cancels', async () => {
@@ -400,4 +695,345 @@ describe('Storage Functions', () => {
             });
         });
     });
+
+    describe('Review Logs', () => {
+        it('should insert a review log entry', async () => {
+            const insertChain = createMockChain({ error: null });
+            supabase.from.mockReturnValue(insertChain);
+
+            const result = await logReview({
+                wordId: 'word-1',
+                sessionId: 'session-1',
+                rating: 3,
+                responseTime: 2500,
+                elapsedDays: 4,
+                scheduledDays: 9,
+                prevStability: 3.1,
+                prevDifficulty: 5,
+                newStability: 9.4,
+                newDifficulty: 4.8,
+                reviewedAt: '2024-03-01T10:00:00.000Z'
+            });
+
+            expect(result).toBe(true);
+            expect(supabase.from).toHaveBeenCalledWith('review_logs');
+            expect(insertChain.insert).toHaveBeenCalledWith({
+                user_id: 'test-user-id',
+                word_id: 'word-1',
+                session_id: 'session-1',
+                rating: 3,
+                response_time: 2500,
+                elapsed_days: 4,
+                scheduled_days: 9,
+                prev_stability: 3.1,
+                prev_difficulty: 5,
+                new_stability: 9.4,
+                new_difficulty: 4.8,
+                reviewed_at: '2024-03-01T10:00:00.000Z'
+            });
+        });
+
+        it('should return false when the insert fails', async () => {
+            const insertChain = createMockChain({ error: { message: 'Insert error' } });
+            supabase.from.mockReturnValue(insertChain);
+
+            const result = await logReview({ wordId: 'word-1', rating: 1 });
+
+            expect(result).toBe(false);
+        });
+
+        it('should return mapped review logs for a word', async () => {
+            const rows = [{
+                id: 'log-1',
+                word_id: 'word-1',
+                session_id: 'session-1',
+                rating: 4,
+                response_time: 1200,
+                elapsed_days: 2,
+                scheduled_days: 7,
+                prev_stability: 2,
+                prev_difficulty: 5,
+                new_stability: 7.5,
+                new_difficulty: 4.2,
+                reviewed_at: '2024-03-01T10:00:00.000Z'
+            }];
+            const mockChain = createMockChain({ data: rows, error: null });
+            supabase.from.mockReturnValue(mockChain);
+
+            const logs = await getReviewLogs({ wordId: 'word-1' });
+
+            expect(mockChain.eq).toHaveBeenCalledWith('word_id', 'word-1');
+            expect(logs).toEqual([{
+                id: 'log-1',
+                wordId: 'word-1',
+                sessionId: 'session-1',
+                rating: 4,
+                responseTime: 1200,
+                elapsedDays: 2,
+                scheduledDays: 7,
+                prevStability: 2,
+                prevDifficulty: 5,
+                newStability: 7.5,
+                newDifficulty: 4.2,
+                reviewedAt: '2024-03-01T10:00:00.000Z'
+            }]);
+        });
+
+        it('should return empty array when fetching logs fails', async () => {
+            const mockChain = createMockChain({ data: null, error: { message: 'Error' } });
+            supabase.from.mockReturnValue(mockChain);
+
+            const logs = await getReviewLogs();
+
+            expect(logs).toEqual([]);
+        });
+
+        it('should log every FSRS review with previous and new memory state', async () => {
+            const existingWord = {
+                id: 'word-1',
+                word: 'test',
+                stability: 3,
+                difficulty: 5,
+                reps: 2,
+                lapses: 0,
+                last_review: new Date(Date.now() - 3 * 86400000).toISOString()
+            };
+
+            const findChain = createMockChain({ data: [existingWord], error: null });
+            const updateChain = createMockChain({ error: null });
+            updateChain.eq = vi.fn(() => Promise.resolve({ error: null }));
+            const logChain = createMockChain({ error: null });
+
+            supabase.from
+                .mockReturnValueOnce(findChain)
+                .mockReturnValueOnce(updateChain)
+                .mockReturnValueOnce(logChain);
+
+            const result = await updateWordReviewFSRS('test', true, 3000, { sessionId: 'session-1' });
+
+            expect(result).toBe(true);
+            expect(supabase.from).toHaveBeenLastCalledWith('review_logs');
+
+            const logged = logChain.insert.mock.calls[0][0];
+            expect(logged.word_id).toBe('word-1');
+            expect(logged.session_id).toBe('session-1');
+            expect(logged.prev_stability).toBe(3);
+            expect(logged.prev_difficulty).toBe(5);
+            expect(logged.elapsed_days).toBeCloseTo(3, 1);
+            expect(logged.new_stability).toBeGreaterThan(0);
+        });
+
+        it('should use an explicit self-grade instead of the timing rating', async () => {
+            const existingWord = { id: 'word-1', word: 'test', stability: 3, difficulty: 5, reps: 2, lapses: 0 };
+
+            const findChain = createMockChain({ data: [existingWord], error: null });
+            const updateChain = createMockChain({ error: null });
+            updateChain.eq = vi.fn(() => Promise.resolve({ error: null }));
+            const logChain = createMockChain({ error: null });
+
+            supabase.from
+                .mockReturnValueOnce(findChain)
+                .mockReturnValueOnce(updateChain)
+                .mockReturnValueOnce(logChain);
+
+            // 500ms would be rated Easy by timing; the learner chose Hard
+            await updateWordReviewFSRS('test', true, 500, { rating: 2 });
+
+            expect(logChain.insert.mock.calls[0][0].rating).toBe(2);
+        });
+
+        it('should schedule the reviewed sense only', async () => {
+            const senses = [
+                { id: 'sense-0', word: 'bank', sense_index: 0, stability: 10, difficulty: 5, reps: 4, lapses: 0 },
+                { id: 'sense-1', word: 'bank', sense_index: 1, stability: 1, difficulty: 6, reps: 1, lapses: 1 }
+            ];
+
+            const findChain = createMockChain({ data: senses, error: null });
+            const updateChain = createMockChain({ error: null });
+            updateChain.eq = vi.fn(() => Promise.resolve({ error: null }));
+            const logChain = createMockChain({ error: null });
+
+            supabase.from
+                .mockReturnValueOnce(findChain)
+                .mockReturnValueOnce(updateChain)
+                .mockReturnValueOnce(logChain);
+
+            await updateWordReviewFSRS('bank', true, 3000, { senseIndex: 1 });
+
+            expect(updateChain.eq).toHaveBeenCalledWith('id', 'sense-1');
+            expect(logChain.insert.mock.calls[0][0]).toMatchObject({ word_id: 'sense-1', prev_stability: 1 });
+        });
+    });
+
+    describe('parseImportFile', () => {
+        it('should read CSV with a header, quoted commas and line breaks', () => {
+            const csv = 'Word,Definition,Example\n"calm","Peaceful, quiet","Stay calm.\nPlease."\nbrave,Showing courage,""';
+
+            const parsed = parseImportFile(csv, 'words.csv');
+
+            expect(parsed.format).toBe('csv');
+            expect(parsed.columns).toEqual(['Word', 'Definition', 'Example']);
+            expect(parsed.rows).toEqual([
+                ['calm', 'Peaceful, quiet', 'Stay calm.\nPlease.'],
+                ['brave', 'Showing courage', '']
+            ]);
+            expect(guessColumnMapping(parsed.columns)).toEqual(['word', 'definition', 'example']);
+        });
+
+        it('should number the columns of a TSV file without a header', () => {
+            const parsed = parseImportFile('calm\tPeaceful\nbrave\tShowing courage', 'words.tsv');
+
+            expect(parsed.format).toBe('tsv');
+            expect(parsed.columns).toEqual(['Column 1', 'Column 2']);
+            expect(applyColumnMapping(parsed.rows, guessColumnMapping(parsed.columns))[1]).toEqual({
+                word: 'brave', definition: 'Showing courage', example: '', partOfSpeech: ''
+            });
+        });
+
+        it('should drop markup from CSV cells', () => {
+            const parsed = parseImportFile('word,definition,example\ncalm,<b>Peaceful</b>,Stay calm <img src=x onerror=alert(1)>', 'words.csv');
+
+            expect(applyColumnMapping(parsed.rows, guessColumnMapping(parsed.columns))[0]).toEqual({
+                word: 'calm', definition: 'Peaceful', example: 'Stay calm', partOfSpeech: ''
+            });
+        });
+
+        it('should read Anki plain-text notes and strip their HTML', () => {
+            const notes = '#separator:tab\n#html:true\n#tags column:3\ncalm\tPeaceful<br>&quot;Stay calm.&quot;\tvocab\n';
+
+            const parsed = parseImportFile(notes, 'Deck.txt');
+
+            expect(parsed.format).toBe('anki');
+            expect(parsed.columns).toEqual(['Field 1', 'Field 2', 'Tags']);
+            expect(parsed.rows).toEqual([['calm', 'Peaceful "Stay calm."', 'vocab']]);
+            expect(guessColumnMapping(parsed.columns)).toEqual(['word', 'definition', 'tags']);
+            expect(applyColumnMapping(parsed.rows, guessColumnMapping(parsed.columns))[0].tags).toEqual(['vocab']);
+        });
+
+        it('should round-trip our JSON export including scheduling', () => {
+            const exported = JSON.stringify([{
+                word: 'calm', definition: 'Peaceful', example: 'Stay calm.', senseIndex: 1,
+                reviewCount: 4, stability: 12.5, reps: 4, last_review: '2024-01-01T00:00:00.000Z'
+            }]);
+
+            const [record] = parseImportFile(exported, 'backup.json').records;
+
+            expect(record).toMatchObject({
+                word: 'calm', senseIndex: 1, reviewCount: 4, stability: 12.5, reps: 4, lastReview: '2024-01-01T00:00:00.000Z'
+            });
+        });
+
+        it('should reject JSON that is not a word list', () => {
+            expect(() => parseImportFile('{"foo": 1}', 'x.json')).toThrow('list of words');
+        });
+    });
+
+    describe('importWords', () => {
+        const existingRows = [
+            { id: 'calm-id', word: 'Calm', definition: 'Peaceful', example: '', sense_index: 0, review_count: 2, reps: 2 }
+        ];
+        const records = [
+            { word: 'calm', definition: 'Quiet', example: 'Stay calm.' },
+            { word: 'brave', definition: 'Showing courage', example: '' },
+            { word: 'brave', definition: 'Repeated row', example: '' },
+            { word: '', definition: 'No word' }
+        ];
+
+        it('should only count changes on a dry run', async () => {
+            const mockChain = createMockChain({ data: existingRows, error: null });
+            supabase.from.mockReturnValue(mockChain);
+
+            const summary = await importWords(records, { duplicateMode: 'skip', dryRun: true });
+
+            expect(summary).toMatchObject({ total: 4, added: 1, updated: 0, skipped: 2, invalid: 1, failed: 0 });
+            expect(mockChain.insert).not.toHaveBeenCalled();
+            expect(mockChain.update).not.toHaveBeenCalled();
+        });
+
+        it('should insert new words in one batch and overwrite duplicates', async () => {
+            const mockChain = createMockChain({ data: existingRows, error: null });
+            supabase.from.mockReturnValue(mockChain);
+            const onProgress = vi.fn();
+
+            const summary = await importWords(records, { duplicateMode: 'overwrite', onProgress });
+
+            expect(summary).toMatchObject({ added: 1, updated: 1, skipped: 1, invalid: 1 });
+            expect(mockChain.insert).toHaveBeenCalledTimes(1);
+            expect(mockChain.insert.mock.calls[0][0]).toEqual([
+                expect.objectContaining({ user_id: 'test-user-id', word: 'brave', definition: 'Showing courage' })
+            ]);
+            expect(mockChain.update).toHaveBeenCalledWith(expect.objectContaining({ definition: 'Quiet', example: 'Stay calm.' }));
+            expect(onProgress).toHaveBeenLastCalledWith(2, 2);
+        });
+
+        it('should only fill in missing fields when merging', async () => {
+            const mockChain = createMockChain({ data: existingRows, error: null });
+            supabase.from.mockReturnValue(mockChain);
+
+            await importWords([records[0]], { duplicateMode: 'merge' });
+
+            const fields = mockChain.update.mock.calls[0][0];
+            expect(fields.example).toBe('Stay calm.');
+            expect(fields.definition).toBeUndefined();
+        });
+
+        it('should tag every imported word with the batch name', async () => {
+            const mockChain = createMockChain({ data: existingRows, error: null });
+            supabase.from.mockReturnValue(mockChain);
+
+            const summary = await importWords(records, { duplicateMode: 'merge', tags: ['Week 1'] });
+
+            expect(summary).toMatchObject({ added: 1, updated: 1 });
+            expect(mockChain.insert.mock.calls[0][0][0]).toMatchObject({ word: 'brave', tags: ['week-1'] });
+            expect(mockChain.update.mock.calls[0][0]).toMatchObject({ tags: ['week-1'] });
+        });
+    });
+
+    describe('buildAnkiPackage', () => {
+        it('should build a collection with one basic note and card per word', async () => {
+            const SQL = await initSqlJs();
+            const nextReview = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString();
+            const words = [
+                { word: 'calm', definition: 'Peaceful', example: 'Stay <calm>.', reps: 0 },
+                { word: 'brave', definition: 'Showing courage', example: '', reps: 4, lapses: 1, interval: 3, stability: 3.2, difficulty: 10, nextReview }
+            ];
+
+            const files = unzipSync(await buildAnkiPackage(words, SQL));
+            expect(strFromU8(files.media)).toBe('{}');
+
+            const db = new SQL.Database(files['collection.anki2']);
+            const [notes] = db.exec('SELECT flds, sfld FROM notes ORDER BY id');
+            const [cards] = db.exec('SELECT type, queue, due, ivl, factor, reps, lapses, data FROM cards ORDER BY nid');
+            const [models] = db.exec('SELECT models FROM col');
+            db.close();
+
+            expect(notes.values[0]).toEqual(['calm\x1fPeaceful\x1fStay &lt;calm&gt;.', 'calm']);
+            expect(cards.values[0]).toEqual([0, 0, 1, 0, 0, 0, 0, '']);
+            expect(cards.values[1]).toEqual([2, 2, 3, 3, 1300, 4, 1, '{"s":3.2,"d":10}']);
+            expect(Object.values(JSON.parse(models.values[0][0]))[0].flds.map(field => field.name))
+                .toEqual(['Word', 'Definition', 'Example']);
+        });
+
+        it('should put words in a subdeck of their deck and tell senses apart', async () => {
+            const SQL = await initSqlJs();
+            const words = [
+                { word: 'run', definition: 'Move fast', partOfSpeech: 'verb', deck: 'Sports', reps: 0 },
+                { word: 'run', definition: 'Manage', partOfSpeech: 'verb', senseIndex: 1, deck: 'Sports', reps: 0 },
+                { word: 'calm', definition: 'Peaceful', reps: 0 }
+            ];
+
+            const files = unzipSync(await buildAnkiPackage(words, SQL));
+
+            const db = new SQL.Database(files['collection.anki2']);
+            const [notes] = db.exec('SELECT sfld FROM notes ORDER BY id');
+            const [cards] = db.exec('SELECT did FROM cards ORDER BY nid');
+            const [col] = db.exec('SELECT decks FROM col');
+            db.close();
+
+            const deckNames = Object.fromEntries(Object.values(JSON.parse(col.values[0][0])).map(deck => [deck.id, deck.name]));
+            expect(cards.values.map(([did]) => deckNames[did])).toEqual(['LingoDash::Sports', 'LingoDash::Sports', 'LingoDash']);
+            expect(Object.values(deckNames).sort()).toEqual(['Default', 'LingoDash', 'LingoDash::Sports']);
+            expect(notes.values.flat()).toEqual(['run (verb)', 'run (verb, sense 2)', 'calm']);
+        });
+    });
 });
@@ -0,0 +1,665 @@
+/**
+ * Storage Adapter Module
+ * Handles where word and review log rows are read and written: the local
+ * IndexedDB store (synced in the background) or Supabase directly.
+ *
+ * Both adapters take and return rows with database column names and answer
+ * with Supabase-style `{ data, error }` results, so the storage functions
+ * work the same against either one.
+ *
+ * A word with several senses is stored as one row per sense (same `word`,
+ * different `sense_index`); `findWord` returns all of them, main sense first.
+ *
+ * Deleting a word moves it to the trash: its rows get a `deleted_at` time and
+ * every read except `listTrashedWords` leaves them out. `purgeWords` removes
+ * rows for good.
+ */
+
+import { supabase } from '../supabase.js';
+import {
+    isLocalStoreAvailable,
+    getLocalWords,
+    getLocalWord,
+    putLocalWords,
+    deleteLocalWords,
+    getLocalReviewLogs,
+    putLocalReviewLogs,
+    deleteLocalReviewLogs
+} from './localStore.js';
+import { queueMutation, ensureInitialSync } from './sync.js';
+
+// Upper bound on the senses (rows) of one word returned by findWord
+const MAX_SENSES = 50;
+
+// Columns searched by listWordsPage
+const SEARCH_COLUMNS = ['word', 'definition', 'example'];
+
+// Order used when listWordsPage is given none: newest first
+const DEFAULT_SORT = { column: 'timestamp', ascending: false };
+
+// Lowercased search text of each local word row, reused while the row is unchanged
+const searchIndex = new Map();
+
+/**
+ * Get the adapter to use: local-first when IndexedDB is available
+ * @returns {Object} Storage adapter
+ */
+export function getStorageAdapter() {
+    return isLocalStoreAvailable() ? localAdapter : remoteAdapter;
+}
+
+/**
+ * Supabase adapter (used when IndexedDB is unavailable)
+ */
+export const remoteAdapter = {
+    isLocal: false,
+
+    findWord(userId, word) {
+        return supabase
+            .from('words')
+            .select('*')
+            .eq('user_id', userId)
+            .is('deleted_at', null)
+            .ilike('word', word)
+            .order('sense_index', { ascending: true })
+            .limit(MAX_SENSES);
+    },
+
+    listWords(userId) {
+        return supabase
+            .from('words')
+            .select('*')
+            .eq('user_id', userId)
+            .is('deleted_at', null)
+            .order('timestamp', { ascending: false })
+            .limit(100000);
+    },
+
+    listTrashedWords(userId) {
+        return supabase
+            .from('words')
+            .select('*')
+            .eq('user_id', userId)
+            .not('deleted_at', 'is', null)
+            .order('deleted_at', { ascending: false })
+            .limit(100000);
+    },
+
+    listDueWords(userId, now, { includeUnscheduled = false } = {}) {
+        const query = supabase
+            .from('words')
+            .select('*')
+            .eq('user_id', userId)
+            .is('deleted_at', null);
+
+        if (includeUnscheduled) {
+            return query
+                .or(`next_review.is.null,next_review.lte.${now}`)
+                .order('next_review', { ascending: true, nullsFirst: true });
+        }
+
+        return query
+            .lte('next_review', now)
+            .order('next_review', { ascending: true });
+    },
+
+    async listWordsPage(userId, { filter, tag = null, deck = null, search = '', sort = DEFAULT_SORT, now, offset, limit }) {
+        const countQuery = applySearchToQuery(applyGroupToQuery(applyFilterToQuery(supabase
+            .from('words')
+            .select('*', { count: 'exact', head: true })
+            .eq('user_id', userId)
+            .is('deleted_at', null), filter, now), tag, deck), search);
+
+        const dataQuery = applySearchToQuery(applyGroupToQuery(applyFilterToQuery(supabase
+            .from('words')
+            .select('*')
+            .eq('user_id', userId)
+            .is('deleted_at', null), filter, now), tag, deck), search);
+
+        // Run both queries in parallel to reduce loading time
+        const [countResult, dataResult] = await Promise.all([
+            countQuery,
+            applySortToQuery(dataQuery, sort).range(offset, offset + limit - 1)
+        ]);
+
+        return {
+            data: dataResult.data,
+            count: countResult.count,
+            error: countResult.error || dataResult.error
+        };
+    },
+
+    insertWord(row) {
+        return supabase
+            .from('words')
+            .insert(row);
+    },
+
+    insertWords(rows) {
+        return supabase
+            .from('words')
+            .insert(rows);
+    },
+
+    updateWord(id, fields) {
+        return supabase
+            .from('words')
+            .update(fields)
+            .eq('id', id);
+    },
+
+    trashWordByName(userId, word, deletedAt) {
+        return supabase
+            .from('words')
+            .update({ deleted_at: deletedAt })
+            .eq('user_id', userId)
+            .is('deleted_at', null)
+            .ilike('word', word);
+    },
+
+    trashWordById(userId, id, deletedAt) {
+        return supabase
+            .from('words')
+            .update({ deleted_at: deletedAt })
+            .eq('user_id', userId)
+            .is('deleted_at', null)
+            .eq('id', id);
+    },
+
+    trashAllWords(userId, deletedAt) {
+        return supabase
+            .from('words')
+            .update({ deleted_at: deletedAt })
+            .eq('user_id', userId)
+            .is('deleted_at', null);
+    },
+
+    purgeWords(userId, ids) {
+        return supabase
+            .from('words')
+            .delete()
+            .eq('user_id', userId)
+            .in('id', ids);
+    },
+
+    insertReviewLog(row) {
+        return supabase
+            .from('review_logs')
+            .insert(row);
+    },
+
+    deleteReviewLog(userId, wordId, reviewedAt) {
+        return supabase
+            .from('review_logs')
+            .delete()
+            .eq('user_id', userId)
+            .eq('word_id', wordId)
+            .eq('reviewed_at', reviewedAt);
+    },
+
+    listReviewLogs(userId, { wordId = null, since = null, limit = 100000 } = {}) {
+        let query = supabase
+            .from('review_logs')
+            .select('*')
+            .eq('user_id', userId);
+
+        if (wordId) {
+            query = query.eq('word_id', wordId);
+        }
+
+        if (since) {
+            query = query.gte('reviewed_at', new Date(since).toISOString());
+        }
+
+        return query
+            .order('reviewed_at', { ascending: true })
+            .limit(limit);
+    }
+};
+
+/**
+ * IndexedDB adapter: reads and writes locally and queues every write for sync
+ */
+export const localAdapter = {
+    isLocal: true,
+
+    findWord(userId, word) {
+        return runLocal(async () => {
+            await ensureInitialSync(userId);
+            return findLocalWordSenses(userId, word);
+        });
+    },
+
+    listWords(userId) {
+        return runLocal(async () => {
+            await ensureInitialSync(userId);
+            const rows = await getLiveLocalWords(userId);
+            return rows.sort((a, b) => toTime(b.timestamp) - toTime(a.timestamp));
+        });
+    },
+
+    listTrashedWords(userId) {
+        return runLocal(async () => {
+            await ensureInitialSync(userId);
+            const rows = await getLocalWords(userId);
+            return rows
+                .filter(row => row.deleted_at)
+                .sort((a, b) => toTime(b.deleted_at) - toTime(a.deleted_at));
+        });
+    },
+
+    listDueWords(userId, now, { includeUnscheduled = false } = {}) {
+        return runLocal(async () => {
+            await ensureInitialSync(userId);
+            const dueBy = toTime(now);
+            const rows = await getLiveLocalWords(userId);
+
+            return rows
+                .filter(row => row.next_review ? toTime(row.next_review) <= dueBy : includeUnscheduled)
+                .sort((a, b) => toTime(a.next_review) - toTime(b.next_review));
+        });
+    },
+
+    async listWordsPage(userId, { filter, tag = null, deck = null, search = '', sort = DEFAULT_SORT, now, offset, limit }) {
+        const { data, error } = await runLocal(async () => {
+            await ensureInitialSync(userId);
+            const rows = await getLiveLocalWords(userId);
+            return rows
+                .filter(row => matchesFilter(row, filter, now) && matchesGroup(row, tag, deck) && matchesSearch(row, search))
+                .sort((a, b) => compareRows(a, b, sort));
+        });
+
+        if (error) {
+            return { data: null, count: null, error };
+        }
+
+        return { data: data.slice(offset, offset + limit), count: data.length, error: null };
+    },
+
+    insertWord(row) {
+        return runLocal(async () => {
+            const now = new Date().toISOString();
+            const newRow = {
+                id: crypto.randomUUID(),
+                created_at: now,
+                ...toStorableRow(row),
+                updated_at: now
+            };
+
+            await putLocalWords([newRow]);
+            await queueMutation({ table: 'words', op: 'insert', id: newRow.id });
+            return null;
+        });
+    },
+
+    insertWords(rows) {
+        return runLocal(async () => {
+            const now = new Date().toISOString();
+            const newRows = rows.map(row => ({
+                id: crypto.randomUUID(),
+                created_at: now,
+                ...toStorableRow(row),
+                updated_at: now
+            }));
+
+            await putLocalWords(newRows);
+            for (const newRow of newRows) {
+                await queueMutation({ table: 'words', op: 'insert', id: newRow.id });
+            }
+            return null;
+        });
+    },
+
+    updateWord(id, fields) {
+        return runLocal(async () => {
+            const existing = await getLocalWord(id);
+
+            if (!existing) {
+                throw new Error('Word not found in local store');
+            }
+
+            await putLocalWords([{
+                ...existing,
+                ...toStorableRow(fields),
+                updated_at: new Date().toISOString()
+            }]);
+            await queueMutation({ table: 'words', op: 'update', id, fields: Object.keys(fields) });
+            return null;
+        });
+    },
+
+    trashWordByName(userId, word, deletedAt) {
+        return runLocal(async () => {
+            await trashLocalWords(await findLocalWordSenses(userId, word), deletedAt);
+            return null;
+        });
+    },
+
+    trashWordById(userId, id, deletedAt) {
+        return runLocal(async () => {
+            const row = await getLocalWord(id);
+            await trashLocalWords(row && !row.deleted_at ? [row] : [], deletedAt);
+            return null;
+        });
+    },
+
+    trashAllWords(userId, deletedAt) {
+        return runLocal(async () => {
+            await trashLocalWords(await getLiveLocalWords(userId), deletedAt);
+            return null;
+        });
+    },
+
+    purgeWords(userId, ids) {
+        return runLocal(async () => {
+            await removeLocalWords(userId, ids);
+            return null;
+        });
+    },
+
+    insertReviewLog(row) {
+        return runLocal(async () => {
+            const newRow = { id: crypto.randomUUID(), ...toStorableRow(row) };
+
+            await putLocalReviewLogs([newRow]);
+            await queueMutation({ table: 'review_logs', op: 'insert', id: newRow.id });
+            return null;
+        });
+    },
+
+    deleteReviewLog(userId, wordId, reviewedAt) {
+        return runLocal(async () => {
+            const reviewedTime = toTime(reviewedAt);
+            const logs = (await getLocalReviewLogs(userId))
+                .filter(log => log.word_id === wordId && toTime(log.reviewed_at) === reviewedTime);
+
+            await deleteLocalReviewLogs(logs.map(log => log.id));
+
+            for (const log of logs) {
+                await queueMutation({ table: 'review_logs', op: 'delete', id: log.id });
+            }
+            return null;
+        });
+    },
+
+    listReviewLogs(userId, { wordId = null, since = null, limit = 100000 } = {}) {
+        return runLocal(async () => {
+            await ensureInitialSync(userId);
+            const sinceTime = since ? toTime(since) : null;
+            const rows = await getLocalReviewLogs(userId);
+
+            return rows
+                .filter(row => !wordId || row.word_id === wordId)
+                .filter(row => sinceTime === null || toTime(row.reviewed_at) >= sinceTime)
+                .sort((a, b) => toTime(a.reviewed_at) - toTime(b.reviewed_at))
+                .slice(0, limit);
+        });
+    }
+};
+
+/**
+ * Run a local operation and wrap its outcome like a Supabase response
+ * @param {Function} operation - Async function returning the data
+ * @returns {Promise<Object>} { data, error }
+ */
+async function runLocal(operation) {
+    try {
+        return { data: await operation(), error: null };
+    } catch (error) {
+        return { data: null, error };
+    }
+}
+
+/**
+ * Get a user's local word rows that are not in the trash
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Word rows
+ */
+async function getLiveLocalWords(userId) {
+    const rows = await getLocalWords(userId);
+    return rows.filter(row => !row.deleted_at);
+}
+
+/**
+ * Move local word rows to the trash and queue the change
+ * @param {Array} rows - Word rows
+ * @param {string} deletedAt - Deletion time (ISO string)
+ */
+async function trashLocalWords(rows, deletedAt) {
+    if (rows.length === 0) {
+        return;
+    }
+
+    const now = new Date().toISOString();
+    await putLocalWords(rows.map(row => ({ ...row, deleted_at: deletedAt, updated_at: now })));
+
+    for (const row of rows) {
+        await queueMutation({ table: 'words', op: 'update', id: row.id, fields: ['deleted_at'] });
+    }
+}
+
+/**
+ * Find the rows (one per sense) of a word case-insensitively
+ * (same as `.ilike('word', word)` ordered by sense)
+ * @param {string} userId - User ID
+ * @param {string} word - Word to find
+ * @returns {Promise<Array>} Word rows, main sense first
+ */
+async function findLocalWordSenses(userId, word) {
+    const target = word.toLowerCase();
+    const rows = await getLiveLocalWords(userId);
+    return rows
+        .filter(row => row.word.toLowerCase() === target)
+        .sort((a, b) => (a.sense_index ?? 0) - (b.sense_index ?? 0));
+}
+
+/**
+ * Delete words for good with their review logs locally and queue the deletes
+ * (the database removes review logs through ON DELETE CASCADE)
+ * @param {string} userId - User ID
+ * @param {Array} ids - Word IDs
+ */
+async function removeLocalWords(userId, ids) {
+    if (ids.length === 0) {
+        return;
+    }
+
+    const idSet = new Set(ids);
+    const logs = await getLocalReviewLogs(userId);
+
+    await deleteLocalWords(ids);
+    ids.forEach(id => searchIndex.delete(id));
+    await deleteLocalReviewLogs(logs.filter(log => idSet.has(log.word_id)).map(log => log.id));
+
+    for (const id of ids) {
+        await queueMutation({ table: 'words', op: 'delete', id });
+    }
+}
+
+/**
+ * Store dates as ISO strings, like Supabase returns them
+ * @param {Object} row - Row or partial row
+ * @returns {Object} Row with Date values converted
+ */
+function toStorableRow(row) {
+    const storable = {};
+    Object.entries(row).forEach(([key, value]) => {
+        storable[key] = value instanceof Date ? value.toISOString() : value;
+    });
+    return storable;
+}
+
+/**
+ * Check a row against a saved-words filter (same rules as applyFilterToQuery)
+ * @param {Object} row - Word row
+ * @param {string} filter - Filter type
+ * @param {string} now - Current ISO timestamp
+ * @returns {boolean} True if the row passes the filter
+ */
+function matchesFilter(row, filter, now) {
+    switch (filter) {
+        case 'new':
+            return row.review_count === 0;
+        case 'learning':
+            return row.review_count > 0 && row.interval < 10;
+        case 'mastered':
+            return row.interval >= 30;
+        case 'due':
+            return Boolean(row.next_review) && toTime(row.next_review) <= toTime(now);
+        default:
+            return true;
+    }
+}
+
+/**
+ * Check a row against a tag and deck (same rules as applyGroupToQuery)
+ * @param {Object} row - Word row
+ * @param {string|null} tag - Required tag
+ * @param {string|null} deck - Required deck
+ * @returns {boolean} True if the row is in the tag and deck
+ */
+function matchesGroup(row, tag, deck) {
+    return (!tag || (row.tags || []).includes(tag)) && (!deck || row.deck === deck);
+}
+
+/**
+ * Check whether a row's word, definition or example contains the search text
+ * (case-insensitive, same as applySearchToQuery)
+ * @param {Object} row - Word row
+ * @param {string} search - Search text ('' matches every row)
+ * @returns {boolean} True if the row matches
+ */
+function matchesSearch(row, search) {
+    if (!search) {
+        return true;
+    }
+
+    let entry = searchIndex.get(row.id);
+    if (!entry || entry.updatedAt !== row.updated_at) {
+        entry = {
+            updatedAt: row.updated_at,
+            text: SEARCH_COLUMNS.map(column => row[column] || '').join('\n').toLowerCase()
+        };
+        searchIndex.set(row.id, entry);
+    }
+
+    return entry.text.includes(search.toLowerCase());
+}
+
+/**
+ * Compare two rows for a sort order (same rules as applySortToQuery):
+ * missing values go last, ties are ordered newest first
+ * @param {Object} a - Word row
+ * @param {Object} b - Word row
+ * @param {Object} sort - { column, ascending }
+ * @returns {number} Negative when a comes first
+ */
+function compareRows(a, b, { column, ascending }) {
+    const left = a[column];
+    const right = b[column];
+    const leftMissing = left === null || left === undefined;
+    const rightMissing = right === null || right === undefined;
+
+    if (leftMissing !== rightMissing) {
+        return leftMissing ? 1 : -1;
+    }
+
+    if (!leftMissing) {
+        let order;
+        if (typeof left === 'number' && typeof right === 'number') {
+            order = left - right;
+        } else if (column === 'word') {
+            order = String(left).localeCompare(String(right), undefined, { sensitivity: 'base' });
+        } else {
+            order = toTime(left) - toTime(right);
+        }
+
+        if (order !== 0) {
+            return ascending ? order : -order;
+        }
+    }
+
+    return toTime(b.timestamp) - toTime(a.timestamp);
+}
+
+/**
+ * Apply filter conditions to a Supabase query
+ * @param {Object} query - Supabase query builder
+ * @param {string} filter - Filter type
+ * @param {string} now - Current ISO timestamp
+ * @returns {Object} Modified query
+ */
+function applyFilterToQuery(query, filter, now) {
+    switch (filter) {
+        case 'new':
+            return query.eq('review_count', 0);
+        case 'learning':
+            return query.gt('review_count', 0).lt('interval', 10);
+        case 'mastered':
+            return query.gte('interval', 30);
+        case 'due':
+            return query.lte('next_review', now);
+        default:
+            return query;
+    }
+}
+
+/**
+ * Limit a Supabase query to a tag and deck
+ * @param {Object} query - Supabase query builder
+ * @param {string|null} tag - Required tag
+ * @param {string|null} deck - Required deck
+ * @returns {Object} Modified query
+ */
+function applyGroupToQuery(query, tag, deck) {
+    let grouped = query;
+
+    if (tag) {
+        grouped = grouped.contains('tags', [tag]);
+    }
+    if (deck) {
+        grouped = grouped.eq('deck', deck);
+    }
+
+    return grouped;
+}
+
+/**
+ * Limit a Supabase query to rows whose word, definition or example contains
+ * the search text (served by the trigram indexes of those columns)
+ * @param {Object} query - Supabase query builder
+ * @param {string} search - Search text ('' leaves the query unchanged)
+ * @returns {Object} Modified query
+ */
+function applySearchToQuery(query, search) {
+    if (!search) {
+        return query;
+    }
+
+    // Escape LIKE wildcards, then quote the value so commas and dots are kept
+    const pattern = `%${search.replace(/[\\%_]/g, '\\$&')}%`;
+    const quoted = `"${pattern.replace(/[\\"]/g, '\\$&')}"`;
+
+    return query.or(SEARCH_COLUMNS.map(column => `${column}.ilike.${quoted}`).join(','));
+}
+
+/**
+ * Order a Supabase query (missing values last, ties newest first)
+ * @param {Object} query - Supabase query builder
+ * @param {Object} sort - { column, ascending }
+ * @returns {Object} Ordered query
+ */
+function applySortToQuery(query, { column, ascending }) {
+    const ordered = query.order(column, { ascending, nullsFirst: false });
+    return column === 'timestamp' ? ordered : ordered.order('timestamp', { ascending: false });
+}
+
+/**
+ * Convert a timestamp to milliseconds (0 when missing)
+ * @param {string|Date|null} value - Timestamp
+ * @returns {number} Milliseconds since epoch
+ */
+function toTime(value) {
+    const time = value ? new Date(value).getTime() : 0;
+    return Number.isNaN(time) ? 0 : time;
+}
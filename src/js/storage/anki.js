@@ -0,0 +1,428 @@
+/**
+ * Storage Anki Module
+ * Handles building Anki `.apkg` packages in the browser: a SQLite collection
+ * (sql.js) with one Basic note per word, zipped together with an empty media list
+ * Words of a LingoDash deck go into a subdeck of the "LingoDash" deck.
+ */
+
+import { zipSync, strToU8 } from 'fflate';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Field separator inside notes.flds
+const FIELD_SEPARATOR = '\x1f';
+
+// Characters Anki uses for note GUIDs
+const GUID_ALPHABET = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!#$%&()*+,-./:;<=>?@[]^_`{|}~';
+
+// Anki card types/queues
+const CARD_NEW = 0;
+const CARD_REVIEW = 2;
+
+// Anki ease factors (permille) for the easiest and hardest FSRS difficulty
+const MAX_FACTOR = 3000;
+const MIN_FACTOR = 1300;
+
+const DECK_NAME = 'LingoDash';
+const MODEL_NAME = 'LingoDash Basic';
+
+const CARD_CSS = `.card {
+    font-family: Georgia, serif;
+    font-size: 22px;
+    text-align: center;
+    color: #3E2723;
+    background-color: #FAF7F0;
+}
+.definition { margin-top: 12px; }
+.sense { font-size: 16px; color: #6D5C4D; }
+.example { margin-top: 12px; font-style: italic; color: #6D5C4D; }`;
+
+const SCHEMA = `
+CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null);
+CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null);
+CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null);
+CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+CREATE INDEX ix_notes_usn on notes (usn);
+CREATE INDEX ix_cards_usn on cards (usn);
+CREATE INDEX ix_revlog_usn on revlog (usn);
+CREATE INDEX ix_cards_nid on cards (nid);
+CREATE INDEX ix_cards_sched on cards (did, queue, due);
+CREATE INDEX ix_revlog_cid on revlog (cid);
+CREATE INDEX ix_notes_csum on notes (csum);
+`;
+
+let sqlPromise = null;
+
+/**
+ * Load sql.js and its WASM binary (only when an Anki export is requested)
+ * @returns {Promise<Object>} Initialized sql.js module
+ */
+export function loadSqlJs() {
+    if (!sqlPromise) {
+        sqlPromise = Promise.all([
+            import('sql.js'),
+            import('sql.js/dist/sql-wasm-browser.wasm?url')
+        ]).then(([{ default: initSqlJs }, { default: wasmUrl }]) => initSqlJs({ locateFile: () => wasmUrl }));
+    }
+    return sqlPromise;
+}
+
+/**
+ * Build an Anki package from saved words
+ * @param {Array} words - Words as returned by getSavedWords
+ * @param {Object} SQL - Initialized sql.js module (loaded with loadSqlJs when omitted)
+ * @returns {Promise<Uint8Array>} `.apkg` file content
+ */
+export async function buildAnkiPackage(words, SQL = null) {
+    const sql = SQL || await loadSqlJs();
+    const db = new sql.Database();
+
+    try {
+        const now = Date.now();
+        const nowSeconds = Math.floor(now / 1000);
+        const deckId = now;
+        const modelId = now + 1;
+        const decks = createDecks(words, deckId, nowSeconds);
+
+        // Collection day 0: the earliest due date, so every due day number is >= 0
+        const crt = startOfDay(words.reduce((earliest, word) => Math.min(earliest, toTime(word.nextReview) || now), now));
+
+        db.run(SCHEMA);
+        db.run('INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, ?)', [
+            Math.floor(crt / 1000),
+            now,
+            now,
+            JSON.stringify(createCollectionConfig(deckId, modelId, words.length)),
+            JSON.stringify({ [modelId]: createNoteType(modelId, deckId, nowSeconds) }),
+            JSON.stringify(Object.fromEntries([...decks.values()].map(deck => [deck.id, deck]))),
+            JSON.stringify({ 1: createDeckConfig() }),
+            '{}'
+        ]);
+
+        for (let i = 0; i < words.length; i++) {
+            const word = words[i];
+            const noteId = now + 2 + i;
+            const front = toNoteFront(word);
+            const fields = [front.html, ...[word.definition, word.example || ''].map(escapeField)];
+            const schedule = toAnkiSchedule(word, crt, i + 1);
+
+            db.run('INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, ?)', [
+                noteId,
+                createGuid(),
+                modelId,
+                nowSeconds,
+                toAnkiTags(word.tags),
+                fields.join(FIELD_SEPARATOR),
+                front.text,
+                await fieldChecksum(front.text),
+                ''
+            ]);
+
+            db.run('INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, ?, ?, ?, ?, ?, ?, ?, 0, 0, 0, 0, ?)', [
+                noteId + words.length,
+                noteId,
+                decks.get(toDeckName(word)).id,
+                nowSeconds,
+                schedule.type,
+                schedule.queue,
+                schedule.due,
+                schedule.ivl,
+                schedule.factor,
+                schedule.reps,
+                schedule.lapses,
+                schedule.data
+            ]);
+        }
+
+        return zipSync({
+            'collection.anki2': db.export(),
+            media: strToU8('{}')
+        });
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Build the decks of the package: Default, "LingoDash" and a subdeck for
+ * each LingoDash deck
+ * @param {Array} words - Exported words
+ * @param {number} deckId - ID of the "LingoDash" deck (subdecks count down from it)
+ * @param {number} mod - Modification time (seconds)
+ * @returns {Map} Deck by name
+ */
+function createDecks(words, deckId, mod) {
+    const decks = new Map([
+        ['Default', createDeck(1, 'Default', mod)],
+        [DECK_NAME, createDeck(deckId, DECK_NAME, mod)]
+    ]);
+
+    words.map(toDeckName).forEach(name => {
+        if (!decks.has(name)) {
+            decks.set(name, createDeck(deckId - decks.size + 1, name, mod));
+        }
+    });
+
+    return decks;
+}
+
+/**
+ * Anki deck name of a word ("LingoDash::<deck>", or "LingoDash" without a deck)
+ * @param {Object} word - Word as returned by getSavedWords
+ * @returns {string} Deck name
+ */
+function toDeckName(word) {
+    return word.deck ? `${DECK_NAME}::${word.deck}` : DECK_NAME;
+}
+
+/**
+ * Word field of a note, with the part of speech and sense number when known
+ * Anki flags notes with the same first field as duplicates, so senses of a
+ * word need the label to tell them apart.
+ * @param {Object} word - Word as returned by getSavedWords
+ * @returns {Object} { html, text } field content and its plain text (sort field)
+ */
+function toNoteFront(word) {
+    const parts = [];
+
+    if (word.partOfSpeech) {
+        parts.push(word.partOfSpeech);
+    }
+    if (word.senseIndex > 0) {
+        parts.push(`sense ${word.senseIndex + 1}`);
+    }
+
+    if (parts.length === 0) {
+        return { html: escapeField(word.word), text: word.word };
+    }
+
+    const label = parts.join(', ');
+    return {
+        html: `${escapeField(word.word)} <span class="sense">(${escapeField(label)})</span>`,
+        text: `${word.word} (${label})`
+    };
+}
+
+/**
+ * Map a word's scheduling onto Anki card fields
+ * Reviewed words become review cards due on the same day; FSRS stability and
+ * difficulty go into the card's memory state and an equivalent ease factor.
+ * @param {Object} word - Word as returned by getSavedWords
+ * @param {number} crt - Collection creation time (ms, start of day)
+ * @param {number} position - Position in the new-card queue
+ * @returns {Object} { type, queue, due, ivl, factor, reps, lapses, data }
+ */
+export function toAnkiSchedule(word, crt, position) {
+    const reps = word.reps || word.reviewCount || 0;
+
+    if (reps === 0) {
+        return { type: CARD_NEW, queue: CARD_NEW, due: position, ivl: 0, factor: 0, reps: 0, lapses: 0, data: '' };
+    }
+
+    const nextReview = toTime(word.nextReview) || Date.now();
+    const memoryState = word.stability > 0 && word.difficulty > 0
+        ? JSON.stringify({ s: round(word.stability, 4), d: round(word.difficulty, 4) })
+        : '';
+
+    return {
+        type: CARD_REVIEW,
+        queue: CARD_REVIEW,
+        due: Math.max(0, Math.round((startOfDay(nextReview) - crt) / DAY_MS)),
+        ivl: Math.max(1, Math.round(word.interval || word.stability || 1)),
+        factor: difficultyToFactor(word.difficulty),
+        reps,
+        lapses: word.lapses || 0,
+        data: memoryState
+    };
+}
+
+/**
+ * Convert FSRS difficulty (1 easiest - 10 hardest) to an Anki ease factor
+ * @param {number} difficulty - FSRS difficulty
+ * @returns {number} Ease factor in permille
+ */
+function difficultyToFactor(difficulty) {
+    const d = Math.min(10, Math.max(1, difficulty || 5));
+    return Math.round(MAX_FACTOR - (d - 1) / 9 * (MAX_FACTOR - MIN_FACTOR));
+}
+
+/**
+ * Build the collection configuration
+ * @param {number} deckId - Deck the cards go into
+ * @param {number} modelId - Note type ID
+ * @param {number} noteCount - Number of notes
+ * @returns {Object} col.conf
+ */
+function createCollectionConfig(deckId, modelId, noteCount) {
+    return {
+        activeDecks: [deckId],
+        curDeck: deckId,
+        newSpread: 0,
+        collapseTime: 1200,
+        timeLim: 0,
+        estTimes: true,
+        dueCounts: true,
+        curModel: modelId,
+        nextPos: noteCount + 1,
+        sortType: 'noteFld',
+        sortBackwards: false,
+        addToCur: true
+    };
+}
+
+/**
+ * Build the Basic note type with Word, Definition and Example fields
+ * @param {number} modelId - Note type ID
+ * @param {number} deckId - Default deck
+ * @param {number} mod - Modification time (seconds)
+ * @returns {Object} Note type
+ */
+function createNoteType(modelId, deckId, mod) {
+    const field = (name, ord) => ({ name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] });
+
+    return {
+        id: modelId,
+        name: MODEL_NAME,
+        type: 0,
+        mod,
+        usn: -1,
+        sortf: 0,
+        did: deckId,
+        tmpls: [{
+            name: 'Card 1',
+            ord: 0,
+            qfmt: '{{Word}}',
+            afmt: '{{FrontSide}}<hr id=answer><div class="definition">{{Definition}}</div>{{#Example}}<div class="example">{{Example}}</div>{{/Example}}',
+            did: null,
+            bqfmt: '',
+            bafmt: ''
+        }],
+        flds: [field('Word', 0), field('Definition', 1), field('Example', 2)],
+        css: CARD_CSS,
+        latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+        latexPost: '\\end{document}',
+        latexsvg: false,
+        req: [[0, 'any', [0]]],
+        tags: [],
+        vers: []
+    };
+}
+
+/**
+ * Build a deck
+ * @param {number} id - Deck ID
+ * @param {string} name - Deck name
+ * @param {number} mod - Modification time (seconds)
+ * @returns {Object} Deck
+ */
+function createDeck(id, name, mod) {
+    return {
+        id,
+        name,
+        mod,
+        usn: -1,
+        lrnToday: [0, 0],
+        revToday: [0, 0],
+        newToday: [0, 0],
+        timeToday: [0, 0],
+        collapsed: false,
+        browserCollapsed: false,
+        desc: id === 1 ? '' : 'Exported from LingoDash',
+        dyn: 0,
+        conf: 1,
+        extendNew: 0,
+        extendRev: 0
+    };
+}
+
+/**
+ * Build the default deck options
+ * @returns {Object} Deck configuration
+ */
+function createDeckConfig() {
+    return {
+        id: 1,
+        name: 'Default',
+        mod: 0,
+        usn: 0,
+        maxTaken: 60,
+        autoplay: true,
+        timer: 0,
+        replayq: true,
+        dyn: false,
+        new: { bury: false, delays: [1, 10], initialFactor: 2500, ints: [1, 4, 0], order: 1, perDay: 20 },
+        lapse: { delays: [10], leechAction: 1, leechFails: 8, minInt: 1, mult: 0 },
+        rev: { bury: false, ease4: 1.3, ivlFct: 1, maxIvl: 36500, perDay: 200, hardFactor: 1.2 }
+    };
+}
+
+/**
+ * Random note GUID
+ * @returns {string} 10-character GUID
+ */
+function createGuid() {
+    const bytes = crypto.getRandomValues(new Uint8Array(10));
+    return [...bytes].map(byte => GUID_ALPHABET[byte % GUID_ALPHABET.length]).join('');
+}
+
+/**
+ * Anki's duplicate-check checksum: the first 8 hex digits of the SHA-1 of the sort field
+ * @param {string} text - Sort field text
+ * @returns {Promise<number>} Checksum
+ */
+async function fieldChecksum(text) {
+    const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(text));
+    const bytes = new Uint8Array(digest);
+    return ((bytes[0] << 24) >>> 0) + (bytes[1] << 16) + (bytes[2] << 8) + bytes[3];
+}
+
+/**
+ * Anki's note tag list: space separated, with a space at both ends
+ * @param {Array<string>} tags - Word tags
+ * @returns {string} Tags column value ('' when there are none)
+ */
+function toAnkiTags(tags) {
+    return tags && tags.length > 0 ? ` ${tags.join(' ')} ` : '';
+}
+
+/**
+ * Escape text for an Anki (HTML) field
+ * @param {string} text - Plain text
+ * @returns {string} HTML-safe text
+ */
+function escapeField(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Start of the local day containing a time
+ * @param {number} time - Milliseconds since epoch
+ * @returns {number} Milliseconds at local midnight
+ */
+function startOfDay(time) {
+    const date = new Date(time);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+}
+
+/**
+ * Convert a timestamp to milliseconds (0 when missing)
+ * @param {string|Date|null} value - Timestamp
+ * @returns {number} Milliseconds since epoch
+ */
+function toTime(value) {
+    const time = value ? new Date(value).getTime() : 0;
+    return Number.isNaN(time) ? 0 : time;
+}
+
+/**
+ * Round to a number of decimals
+ * @param {number} value - Number
+ * @param {number} decimals - Decimals to keep
+ * @returns {number} Rounded number
+ */
+function round(value, decimals) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
@@ -0,0 +1,122 @@
+/**
+ * Storage Bulk Module
+ * Handles actions applied to many selected words at once
+ *
+ * A selection is made of word rows (one per sense), identified by id. Every
+ * action reports its progress and returns how many rows succeeded or failed.
+ */
+
+import { getUserId } from '../supabase.js';
+import { getStorageAdapter } from './adapter.js';
+import { addWordTags } from './tags.js';
+import { beginDeletion } from './trash.js';
+
+/**
+ * Scheduling fields of a word that has never been reviewed
+ * @returns {Object} Database fields
+ */
+function getNewCardFields() {
+    return {
+        stability: 0,
+        difficulty: 5.0,
+        elapsed_days: 0,
+        scheduled_days: 0,
+        reps: 0,
+        lapses: 0,
+        last_review: null,
+        next_review: new Date().toISOString(),
+        fsrs_state: null,
+        interval: 0,
+        ease_factor: 2.5,
+        review_count: 0,
+        correct_count: 0
+    };
+}
+
+/**
+ * Move word rows (senses) to the trash by id, as one deletion that can be undone
+ * @param {Array<string>} ids - Word row IDs
+ * @param {Object} options - Bulk options
+ * @param {Function} options.onProgress - Called with (done, total) after each row
+ * @returns {Object} { done, failed }
+ */
+export async function deleteWordsById(ids, { onProgress = null } = {}) {
+    const deletedAt = beginDeletion();
+
+    return runForEach(ids, async (adapter, userId, id) => {
+        const { error } = await adapter.trashWordById(userId, id, deletedAt);
+
+        if (error) {
+            console.error('Error deleting word:', error);
+            return false;
+        }
+
+        return true;
+    }, onProgress);
+}
+
+/**
+ * Reset the review schedule of word rows: they become new cards, due now
+ * (their review history is kept)
+ * @param {Array<string>} ids - Word row IDs
+ * @param {Object} options - Bulk options
+ * @param {Function} options.onProgress - Called with (done, total) after each row
+ * @returns {Object} { done, failed }
+ */
+export async function resetWordsScheduling(ids, { onProgress = null } = {}) {
+    return runForEach(ids, async (adapter, userId, id) => {
+        const { error } = await adapter.updateWord(id, getNewCardFields());
+
+        if (error) {
+            console.error('Error resetting word schedule:', error);
+            return false;
+        }
+
+        return true;
+    }, onProgress);
+}
+
+/**
+ * Add tags to words, keeping the tags they already have
+ * (tags belong to the whole word, so each word is tagged once)
+ * @param {Array<string>} words - Words to tag
+ * @param {Array<string>} tags - Tags to add
+ * @param {Object} options - Bulk options
+ * @param {Function} options.onProgress - Called with (done, total) after each word
+ * @returns {Object} { done, failed }
+ */
+export async function addTagsToWords(words, tags, { onProgress = null } = {}) {
+    const uniqueWords = [...new Map(words.map(word => [word.toLowerCase(), word])).values()];
+
+    return runForEach(uniqueWords, (adapter, userId, word) => addWordTags(word, tags), onProgress);
+}
+
+/**
+ * Run an action for every item, one at a time
+ * @param {Array} items - Items to process
+ * @param {Function} action - Async (adapter, userId, item) => success
+ * @param {Function|null} onProgress - Called with (done, total) after each item
+ * @returns {Object} { done, failed }
+ */
+async function runForEach(items, action, onProgress) {
+    const result = { done: 0, failed: 0 };
+
+    try {
+        const userId = await getUserId();
+        const adapter = getStorageAdapter();
+
+        for (const item of items) {
+            const success = await action(adapter, userId, item);
+            result[success ? 'done' : 'failed']++;
+
+            if (onProgress) {
+                onProgress(result.done + result.failed, items.length);
+            }
+        }
+    } catch (error) {
+        console.error('Error in bulk action:', error);
+        result.failed = items.length - result.done;
+    }
+
+    return result;
+}
@@ -1,9 +1,15 @@
 /**
  * Storage CRUD Operations Module
  * Handles basic Create, Read, Update, Delete operations for words
+ *
+ * Each sense of a word is its own row (and its own FSRS card); the rows of a
+ * word share the `word` text and are numbered by `sense_index`.
  */
 
 import { supabase, getUserId } from '../supabase.js';
+import { getStorageAdapter } from './adapter.js';
+import { normalizeTags, normalizeDeck } from './tags.js';
+import { beginDeletion } from './trash.js';
 
 /**
  * Get all saved words for the current user
@@ -13,12 +19,7 @@ export async function getSavedWords() {
     try {
         const userId = await getUserId();
 
-        const { data, error } = await supabase
-            .from('words')
-            .select('*')
-            .eq('user_id', userId)
-            .order('timestamp', { ascending: false })
-            .limit(100000);
+        const { data, error } = await getStorageAdapter().listWords(userId);
 
         if (error) {
             console.error('Error fetching words:', error);
@@ -37,6 +38,16 @@ export async function getSavedWords() {
             nextReview: row.next_review,
             reviewCount: row.review_count,
             correctCount: row.correct_count,
+            stability: row.stability,
+            difficulty: row.difficulty,
+            reps: row.reps,
+            lapses: row.lapses,
+            last_review: row.last_review,
+            senseIndex: row.sense_index ?? 0,
+            partOfSpeech: row.part_of_speech || '',
+            examples: row.examples || [],
+            tags: row.tags || [],
+            deck: row.deck || '',
             id: row.id
         }));
     } catch (error) {
@@ -48,7 +59,7 @@ export async function getSavedWords() {
 /**
  * Check if a word exists in Supabase and return its data
  * @param {string} word - Word to check
- * @returns {Object|null} Word data if exists, null otherwise
+ * @returns {Object|null} Word data (main sense, plus all senses in `senses`) if exists, null otherwise
  */
 export async function getWordIfExists(word) {
     try {
@@ -57,13 +68,9 @@ export async function getWordIfExists(word) {
         }
 
         const userId = await getUserId();
+        const adapter = getStorageAdapter();
 
-        const { data: existingWords, error: fetchError } = await supabase
-            .from('words')
-            .select('*')
-            .eq('user_id', userId)
-            .ilike('word', word)
-            .limit(1);
+        const { data: existingWords, error: fetchError } = await adapter.findWord(userId, word);
 
         if (fetchError) {
             console.error('Error checking existing word:', fetchError);
@@ -75,7 +82,10 @@ export async function getWordIfExists(word) {
             return {
                 word: existingWord.word,
                 definition: existingWord.definition,
-                example: existingWord.example || ''
+                example: existingWord.example || '',
+                tags: existingWord.tags || [],
+                deck: existingWord.deck || '',
+                senses: existingWords.map(toSense)
             };
         }
 
@@ -91,61 +101,64 @@ export async function getWordIfExists(word) {
  * @param {string} word - Word to save
  * @param {string} definition - Word definition
  * @param {string} example - Example sentence
+ * @param {Object} options - Additional save options
+ * @param {Array} options.senses - Senses to save ({ definition, example, examples, partOfSpeech, senseIndex });
+ *   each one is scheduled separately. When omitted, definition and example update the main sense.
+ * @param {Array<string>} options.tags - Tags to add to the word (kept alongside its existing tags)
  * @returns {boolean} Success status
  */
-export async function saveWord(word, definition, example = '') {
+export async function saveWord(word, definition, example = '', { senses = null, tags = [] } = {}) {
     try {
         const userId = await getUserId();
+        const adapter = getStorageAdapter();
 
-        const { data: existingWords, error: fetchError } = await supabase
-            .from('words')
-            .select('*')
-            .eq('user_id', userId)
-            .ilike('word', word)
-            .limit(1);
+        const { data: existingWords, error: fetchError } = await adapter.findWord(userId, word);
 
         if (fetchError) {
             console.error('Error checking existing word:', fetchError);
             throw fetchError;
         }
 
-        if (existingWords && existingWords.length > 0) {
+        const newTags = normalizeTags(tags);
+
+        if (senses && senses.length > 0) {
+            await saveSenses(adapter, userId, word, senses, existingWords || [], newTags);
+        } else if (existingWords && existingWords.length > 0) {
             const existingWord = existingWords[0];
-            const { error: updateError } = await supabase
-                .from('words')
-                .update({
-                    definition: definition,
-                    example: example || existingWord.example,
-                    timestamp: new Date().toISOString()
-                })
-                .eq('id', existingWord.id);
+            const { error: updateError } = await adapter.updateWord(existingWord.id, {
+                definition: definition,
+                example: example || existingWord.example,
+                timestamp: new Date().toISOString(),
+                ...toOrganizeFields(mergeTags(existingWord.tags, newTags))
+            });
 
             if (updateError) {
                 console.error('Error updating word:', updateError);
                 throw updateError;
             }
         } else {
-            const { error: insertError } = await supabase
-                .from('words')
-                .insert({
-                    user_id: userId,
-                    word: word,
-                    definition: definition,
-                    example: example || `Example sentence with "${word}" will be added here.`,
-                    timestamp: new Date().toISOString(),
-                    interval: 0,
-                    ease_factor: 2.5,
-                    next_review: new Date().toISOString(),
-                    review_count: 0,
-                    correct_count: 0
-                });
+            const { error: insertError } = await adapter.insertWord({
+                user_id: userId,
+                word: word,
+                definition: definition,
+                example: example || `Example sentence with "${word}" will be added here.`,
+                timestamp: new Date().toISOString(),
+                interval: 0,
+                ease_factor: 2.5,
+                next_review: new Date().toISOString(),
+                review_count: 0,
+                correct_count: 0,
+                ...toOrganizeFields(newTags)
+            });
 
             if (insertError) {
                 console.error('Error inserting word:', insertError);
                 throw insertError;
             }
 
-            await cleanupOldWords(userId);
+            if (!adapter.isLocal) {
+                await cleanupOldWords(userId);
+            }
         }
 
         return true;
@@ -166,13 +179,9 @@ export async function saveWord(word, definition, example = '') {
 export async function updateWord(originalWord, newWord, newDefinition, newExample) {
     try {
         const userId = await getUserId();
+        const adapter = getStorageAdapter();
 
-        const { data: existingWords, error: fetchError } = await supabase
-            .from('words')
-            .select('*')
-            .eq('user_id', userId)
-            .ilike('word', originalWord)
-            .limit(1);
+        const { data: existingWords, error: fetchError } = await adapter.findWord(userId, originalWord);
 
         if (fetchError) {
             console.error('Error finding word to update:', fetchError);
@@ -187,12 +196,7 @@ export async function updateWord(originalWord, newWord, newDefinition, newExampl
         const existingWord = existingWords[0];
 
         if (newWord.toLowerCase() !== originalWord.toLowerCase()) {
-            const { data: duplicates, error: dupError } = await supabase
-                .from('words')
-                .select('id')
-                .eq('user_id', userId)
-                .ilike('word', newWord)
-                .limit(1);
+            const { data: duplicates, error: dupError } = await adapter.findWord(userId, newWord);
 
             if (dupError) {
                 console.error('Error checking for duplicates:', dupError);
@@ -204,21 +208,30 @@ export async function updateWord(originalWord, newWord, newDefinition, newExampl
             }
         }
 
-        const { error: updateError } = await supabase
-            .from('words')
-            .update({
-                word: newWord,
-                definition: newDefinition,
-                example: newExample,
-                timestamp: new Date().toISOString()
-            })
-            .eq('id', existingWord.id);
+        const { error: updateError } = await adapter.updateWord(existingWord.id, {
+            word: newWord,
+            definition: newDefinition,
+            example: newExample,
+            timestamp: new Date().toISOString()
+        });
 
         if (updateError) {
             console.error('Error updating word:', updateError);
             return false;
         }
 
+        // Keep the other senses under the same name
+        if (newWord !== originalWord) {
+            for (const sense of existingWords.slice(1)) {
+                const { error: renameError } = await adapter.updateWord(sense.id, { word: newWord });
+
+                if (renameError) {
+                    console.error('Error renaming word sense:', renameError);
+                    return false;
+                }
+            }
+        }
+
         return true;
     } catch (error) {
         console.error('Error in updateWord:', error);
@@ -227,19 +240,143 @@ export async function updateWord(originalWord, newWord, newDefinition, newExampl
 }
 
 /**
- * Delete a word from the database
+ * Replace the example of one sense, keeping the old one among its other examples
+ * @param {string} id - Word row ID
+ * @param {string} example - New example sentence
+ * @param {Array<string>} previousExamples - Examples the sense had before
+ * @returns {boolean} Success status
+ */
+export async function setWordExample(id, example, previousExamples = []) {
+    try {
+        const { error } = await getStorageAdapter().updateWord(id, {
+            example: example,
+            examples: [...new Set([example, ...previousExamples])]
+        });
+
+        if (error) {
+            console.error('Error updating example:', error);
+            return false;
+        }
+
+        return true;
+    } catch (error) {
+        console.error('Error in setWordExample:', error);
+        return false;
+    }
+}
+
+/**
+ * Update a word and all of its senses (as edited in the edit modal)
+ * Senses keep their scheduling; saved senses missing from the list are deleted
+ * and senses without a senseIndex are added as new cards.
+ * @param {string} originalWord - Original word to update
+ * @param {string} newWord - New word value
+ * @param {Array} senses - Senses ({ senseIndex, partOfSpeech, definition, example })
+ * @param {Object} options - Additional update options
+ * @param {Array<string>} options.tags - New tags of the word (unchanged when omitted)
+ * @param {string} options.deck - New deck of the word ('' for none; unchanged when omitted)
+ * @returns {boolean|Object} True on success, error object on failure
+ */
+export async function updateWordSenses(originalWord, newWord, senses, { tags = null, deck = null } = {}) {
+    try {
+        const userId = await getUserId();
+        const adapter = getStorageAdapter();
+
+        const { data: existingWords, error: fetchError } = await adapter.findWord(userId, originalWord);
+
+        if (fetchError) {
+            console.error('Error finding word to update:', fetchError);
+            return false;
+        }
+
+        if (!existingWords || existingWords.length === 0) {
+            console.error('Word not found:', originalWord);
+            return false;
+        }
+
+        if (newWord.toLowerCase() !== originalWord.toLowerCase()) {
+            const { data: duplicates, error: dupError } = await adapter.findWord(userId, newWord);
+
+            if (dupError) {
+                console.error('Error checking for duplicates:', dupError);
+                return false;
+            }
+
+            if (duplicates && duplicates.length > 0) {
+                return { error: 'duplicate', message: 'A word with this name already exists.' };
+            }
+        }
+
+        const keptIndexes = new Set(senses
+            .filter(sense => sense.senseIndex !== null && sense.senseIndex !== undefined)
+            .map(sense => sense.senseIndex));
+
+        // Move senses deleted in the editor to the trash
+        const deletedAt = new Date().toISOString();
+        for (const row of existingWords) {
+            if (!keptIndexes.has(row.sense_index ?? 0)) {
+                const { error: deleteError } = await adapter.trashWordById(userId, row.id, deletedAt);
+
+                if (deleteError) {
+                    console.error('Error deleting word sense:', deleteError);
+                    return false;
+                }
+            }
+        }
+
+        const now = new Date().toISOString();
+        let nextIndex = getNextSenseIndex(existingWords);
+
+        // Tags and deck belong to the word, so every sense gets the same ones
+        const organizeFields = {};
+        if (tags !== null) {
+            organizeFields.tags = normalizeTags(tags);
+        }
+        if (deck !== null) {
+            organizeFields.deck = normalizeDeck(deck) || null;
+        }
+        const newSenseFields = {
+            ...toOrganizeFields(existingWords[0].tags, existingWords[0].deck),
+            ...organizeFields
+        };
+
+        for (const sense of senses) {
+            const row = existingWords.find(existing => (existing.sense_index ?? 0) === sense.senseIndex);
+
+            const { error } = row
+                ? await adapter.updateWord(row.id, { word: newWord, ...toSenseFields(sense), ...organizeFields, timestamp: now })
+                : await adapter.insertWord({ ...createSenseRow(userId, newWord, sense, nextIndex++, now), ...newSenseFields });
+
+            if (error) {
+                console.error('Error saving word sense:', error);
+                return false;
+            }
+        }
+
+        return true;
+    } catch (error) {
+        console.error('Error in updateWordSenses:', error);
+        return false;
+    }
+}
+
+/**
+ * Delete a word: moves it to the trash, from where it can be restored
  * @param {string} word - Word to delete
+ * @param {Object} options - Additional delete options
+ * @param {number} options.senseIndex - Only delete this sense (all senses when omitted)
  * @returns {boolean} Success status
  */
-export async function deleteWord(word) {
+export async function deleteWord(word, { senseIndex = null } = {}) {
     try {
         const userId = await getUserId();
+        const adapter = getStorageAdapter();
 
-        const { error } = await supabase
-            .from('words')
-            .delete()
-            .eq('user_id', userId)
-            .ilike('word', word);
+        if (senseIndex !== null) {
+            return await deleteWordSense(adapter, userId, word, senseIndex);
+        }
+
+        const { error } = await adapter.trashWordByName(userId, word, beginDeletion());
 
         if (error) {
             console.error('Error deleting word:', error);
@@ -254,18 +391,15 @@ export async function deleteWord(word) {
 }
 
 /**
- * Clear all words for the current user
+ * Clear all words for the current user (they are moved to the trash)
  * @returns {boolean} Success status
  */
 export async function clearAllWords() {
-    if (confirm('Are you sure you want to clear all saved words?')) {
+    if (confirm('Move all saved words to the trash?')) {
         try {
             const userId = await getUserId();
 
-            const { error } = await supabase
-                .from('words')
-                .delete()
-                .eq('user_id', userId);
+            const { error } = await getStorageAdapter().trashAllWords(userId, beginDeletion());
 
             if (error) {
                 console.error('Error clearing words:', error);
@@ -283,6 +417,7 @@ export async function clearAllWords() {
 
 /**
  * Helper function to keep only the last 99999 words
+ * Older words beyond the limit go to the trash, like any other deletion.
  * @param {string} userId - User ID
  */
 export async function cleanupOldWords(userId) {
@@ -291,25 +426,221 @@ export async function cleanupOldWords(userId) {
             .from('words')
             .select('id, timestamp')
             .eq('user_id', userId)
+            .is('deleted_at', null)
             .order('timestamp', { ascending: false });
 
         if (fetchError || !allWords || allWords.length <= 99999) {
             return;
         }
 
-        const wordsToDelete = allWords.slice(99999).map(w => w.id);
+        const wordsToTrash = allWords.slice(99999).map(w => w.id);
 
-        if (wordsToDelete.length > 0) {
-            const { error: deleteError } = await supabase
+        if (wordsToTrash.length > 0) {
+            const { error: trashError } = await supabase
                 .from('words')
-                .delete()
-                .in('id', wordsToDelete);
+                .update({ deleted_at: new Date().toISOString() })
+                .eq('user_id', userId)
+                .is('deleted_at', null)
+                .in('id', wordsToTrash);
 
-            if (deleteError) {
-                console.error('Error cleaning up old words:', deleteError);
+            if (trashError) {
+                console.error('Error cleaning up old words:', trashError);
             }
         }
     } catch (error) {
         console.error('Error in cleanupOldWords:', error);
     }
 }
+
+/**
+ * Move one sense of a word to the trash
+ * @param {Object} adapter - Storage adapter
+ * @param {string} userId - User ID
+ * @param {string} word - Word the sense belongs to
+ * @param {number} senseIndex - Sense to delete
+ * @returns {boolean} Success status
+ */
+async function deleteWordSense(adapter, userId, word, senseIndex) {
+    const { data: existingWords, error: fetchError } = await adapter.findWord(userId, word);
+
+    if (fetchError) {
+        console.error('Error finding word sense to delete:', fetchError);
+        return false;
+    }
+
+    const row = (existingWords || []).find(existing => (existing.sense_index ?? 0) === senseIndex);
+
+    if (!row) {
+        console.error('Word sense not found:', word, senseIndex);
+        return false;
+    }
+
+    const { error } = await adapter.trashWordById(userId, row.id, beginDeletion());
+
+    if (error) {
+        console.error('Error deleting word sense:', error);
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Save senses of a word: a sense matching a saved one (same sense index, or the
+ * same definition) updates it and keeps its scheduling; others become new senses
+ * @param {Object} adapter - Storage adapter
+ * @param {string} userId - User ID
+ * @param {string} word - Word the senses belong to
+ * @param {Array} senses - Senses to save
+ * @param {Array} existingRows - Saved rows of the word
+ * @param {Array<string>} tags - Normalized tags to add to the word
+ */
+async function saveSenses(adapter, userId, word, senses, existingRows, tags = []) {
+    const now = new Date().toISOString();
+    let nextIndex = getNextSenseIndex(existingRows);
+    let inserted = false;
+
+    // New senses join the tags and deck the word already has
+    const wordTags = mergeTags(existingRows[0]?.tags, tags);
+    const wordDeck = existingRows[0]?.deck || null;
+
+    for (const sense of senses) {
+        const match = existingRows.find(row => (row.sense_index ?? 0) === sense.senseIndex) ||
+            existingRows.find(row => normalizeDefinition(row.definition) === normalizeDefinition(sense.definition));
+
+        if (match) {
+            const { error: updateError } = await adapter.updateWord(match.id, {
+                ...toSenseFields(sense),
+                timestamp: now,
+                ...toOrganizeFields(mergeTags(match.tags, tags))
+            });
+
+            if (updateError) {
+                console.error('Error updating word sense:', updateError);
+                throw updateError;
+            }
+        } else {
+            const { error: insertError } = await adapter.insertWord({
+                ...createSenseRow(userId, word, sense, nextIndex++, now),
+                ...toOrganizeFields(wordTags, wordDeck)
+            });
+
+            if (insertError) {
+                console.error('Error inserting word sense:', insertError);
+                throw insertError;
+            }
+
+            inserted = true;
+        }
+    }
+
+    if (inserted && !adapter.isLocal) {
+        await cleanupOldWords(userId);
+    }
+}
+
+/**
+ * Build the row of a new sense
+ * @param {string} userId - User ID
+ * @param {string} word - Word the sense belongs to
+ * @param {Object} sense - Sense data
+ * @param {number} senseIndex - Index of the new sense
+ * @param {string} now - Current ISO timestamp
+ * @returns {Object} Database row
+ */
+function createSenseRow(userId, word, sense, senseIndex, now) {
+    const fields = toSenseFields(sense);
+
+    return {
+        user_id: userId,
+        word: word,
+        ...fields,
+        example: fields.example || `Example sentence with "${word}" will be added here.`,
+        sense_index: senseIndex,
+        timestamp: now,
+        interval: 0,
+        ease_factor: 2.5,
+        next_review: now,
+        review_count: 0,
+        correct_count: 0
+    };
+}
+
+/**
+ * Convert a sense to its content columns
+ * @param {Object} sense - { definition, example, examples, partOfSpeech }
+ * @returns {Object} Database fields
+ */
+function toSenseFields(sense) {
+    const example = sense.example || '';
+
+    return {
+        definition: sense.definition,
+        example: example,
+        examples: sense.examples && sense.examples.length > 0 ? sense.examples : (example ? [example] : []),
+        part_of_speech: sense.partOfSpeech || null
+    };
+}
+
+/**
+ * Tag and deck columns to write; empty values are left out so words without
+ * tags or deck can still be saved to a database created before those columns
+ * @param {Array<string>} tags - Tags of the word
+ * @param {string} deck - Deck of the word
+ * @returns {Object} Database fields
+ */
+function toOrganizeFields(tags = [], deck = null) {
+    const fields = {};
+
+    if (tags && tags.length > 0) {
+        fields.tags = tags;
+    }
+    if (deck) {
+        fields.deck = deck;
+    }
+
+    return fields;
+}
+
+/**
+ * Combine the saved tags of a word with new ones
+ * @param {Array<string>} savedTags - Tags the word has
+ * @param {Array<string>} newTags - Normalized tags to add
+ * @returns {Array<string>} Saved tags followed by the new ones, without repeats
+ */
+function mergeTags(savedTags, newTags) {
+    return [...new Set([...(savedTags || []), ...newTags])];
+}
+
+/**
+ * Convert a word row to a sense
+ * @param {Object} row - Database row
+ * @returns {Object} { senseIndex, partOfSpeech, definition, example, examples }
+ */
+function toSense(row) {
+    return {
+        senseIndex: row.sense_index ?? 0,
+        partOfSpeech: row.part_of_speech || '',
+        definition: row.definition,
+        example: row.example || '',
+        examples: row.examples || (row.example ? [row.example] : [])
+    };
+}
+
+/**
+ * Get the index for a new sense of a word
+ * @param {Array} rows - Saved rows of the word
+ * @returns {number} One more than the highest sense index
+ */
+function getNextSenseIndex(rows) {
+    return rows.reduce((next, row) => Math.max(next, (row.sense_index ?? 0) + 1), 0);
+}
+
+/**
+ * Normalize a definition for matching senses
+ * @param {string} definition - Definition text
+ * @returns {string} Lowercased text without punctuation or extra spaces
+ */
+function normalizeDefinition(definition) {
+    return (definition || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+}
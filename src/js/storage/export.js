@@ -4,13 +4,18 @@
  */
 
 import { getSavedWords } from './crud.js';
+import { buildAnkiPackage } from './anki.js';
 
 /**
  * Export words in different formats
- * @param {string} format - Export format ('json' or 'csv')
+ * @param {string} format - Export format ('json', 'csv' or 'apkg')
+ * @param {Object} options - Export options
+ * @param {Array<string>} options.ids - Only export these word rows (every word when omitted)
  */
-export async function exportWords(format = 'json') {
-    const words = await getSavedWords();
+export async function exportWords(format = 'json', { ids = null } = {}) {
+    const allWords = await getSavedWords();
+    const idSet = ids ? new Set(ids) : null;
+    const words = idSet ? allWords.filter(word => idSet.has(word.id)) : allWords;
 
     if (words.length === 0) {
         alert('No words to export!');
@@ -23,6 +28,16 @@ export async function exportWords(format = 'json') {
         content = convertToCSV(words);
         filename = `lingodash-vocabulary-${new Date().toISOString().split('T')[0]}.csv`;
         mimeType = 'text/csv';
+    } else if (format === 'apkg') {
+        try {
+            content = await buildAnkiPackage(words);
+        } catch (error) {
+            console.error('Error building Anki package:', error);
+            alert('Could not build the Anki package. Please try again.');
+            return;
+        }
+        filename = `lingodash-vocabulary-${new Date().toISOString().split('T')[0]}.apkg`;
+        mimeType = 'application/octet-stream';
     } else {
         content = JSON.stringify(words, null, 2);
         filename = `lingodash-vocabulary-${new Date().toISOString().split('T')[0]}.json`;
@@ -49,7 +64,9 @@ function convertToCSV(words) {
         'Next Review',
         'Interval (days)',
         'Stability',
-        'Difficulty'
+        'Difficulty',
+        'Tags',
+        'Deck'
     ];
 
     const csvRows = [headers.join(',')];
@@ -65,7 +82,9 @@ function convertToCSV(words) {
             word.nextReview ? `"${new Date(word.nextReview).toLocaleDateString()}"` : '""',
             word.interval || 0,
             word.stability || 0,
-            word.difficulty || 5.0
+            word.difficulty || 5.0,
+            `"${(word.tags || []).join(' ')}"`,
+            `"${(word.deck || '').replace(/"/g, '""')}"`
         ];
         csvRows.push(row.join(','));
     });
@@ -3,70 +3,107 @@
  * Handles FSRS (Free Spaced Repetition Scheduler) operations
  */
 
-import { supabase, getUserId } from '../supabase.js';
+import { getUserId } from '../supabase.js';
+import { getStorageAdapter } from './adapter.js';
 import { fsrsInstance, FSRSUtils } from '../fsrs.js';
 import { cleanupOldWords } from './crud.js';
+import { logReview } from './reviewLogs.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reviews that can still be reverted (by review ID), oldest first
+const REVIEW_UNDO_LIMIT = 50;
+const revertibleReviews = new Map();
 
 /**
  * Update word review using FSRS algorithm
  * @param {string} word - Word being reviewed
  * @param {boolean} isCorrect - Whether the answer was correct
  * @param {number} responseTime - Response time in milliseconds
+ * @param {Object} options - Additional review options
+ * @param {string} options.sessionId - Exercise session the review belongs to
+ * @param {number} options.rating - Explicit FSRS rating (1-4) chosen by the learner; derived from isCorrect and responseTime when omitted
+ * @param {number} options.senseIndex - Sense of the word that was reviewed (each sense is scheduled separately)
+ * @param {string} options.reviewId - Identifies the review for revertWordReview (the review cannot be reverted without it)
  * @returns {boolean} Success status
  */
-export async function updateWordReviewFSRS(word, isCorrect, responseTime = null) {
+export async function updateWordReviewFSRS(word, isCorrect, responseTime = null, { sessionId = null, rating = null, senseIndex = 0, reviewId = null } = {}) {
     try {
         const userId = await getUserId();
+        const adapter = getStorageAdapter();
 
         // Get the word with FSRS data
-        const { data: words, error: fetchError } = await supabase
-            .from('words')
-            .select('*')
-            .eq('user_id', userId)
-            .ilike('word', word)
-            .limit(1);
+        const { data: words, error: fetchError } = await adapter.findWord(userId, word);
 
         if (fetchError || !words || words.length === 0) {
             console.error('Word not found for FSRS review update');
             return false;
         }
 
-        const wordData = words[0];
+        const wordData = words.find(row => (row.sense_index ?? 0) === senseIndex) || words[0];
+        const reviewedAt = new Date();
+
+        // Days since the previous review (0 for words that were never reviewed)
+        const elapsedDays = (wordData.reps || 0) > 0 && wordData.last_review
+            ? Math.max(0, (reviewedAt - new Date(wordData.last_review)) / DAY_MS)
+            : 0;
 
-        // Determine FSRS rating based on correctness and response time
-        const fsrsRating = fsrsInstance.determineRating(isCorrect, responseTime);
+        // Use the learner's own grade, or derive one from correctness and response time
+        const fsrsRating = rating ?? fsrsInstance.determineRating(isCorrect, responseTime);
 
         // Calculate new FSRS values
         const fsrsResult = fsrsInstance.calculateNextReview(wordData, fsrsRating, responseTime);
 
+        const fields = {
+            // FSRS fields
+            stability: fsrsResult.stability,
+            difficulty: fsrsResult.difficulty,
+            elapsed_days: fsrsResult.elapsed_days,
+            scheduled_days: fsrsResult.scheduled_days,
+            reps: fsrsResult.reps,
+            lapses: fsrsResult.lapses,
+            last_review: fsrsResult.last_review,
+            next_review: fsrsResult.next_review,
+            fsrs_state: fsrsResult.fsrs_state,
+
+            // Legacy SM-2 compatibility (keep for backward compatibility)
+            interval: fsrsResult.scheduled_days,
+            ease_factor: 2.5, // Keep for legacy filters
+            review_count: fsrsResult.reps,
+            correct_count: fsrsResult.reps - fsrsResult.lapses
+        };
+
         // Update word in database with FSRS values
-        const { error: updateError } = await supabase
-            .from('words')
-            .update({
-                // FSRS fields
-                stability: fsrsResult.stability,
-                difficulty: fsrsResult.difficulty,
-                elapsed_days: fsrsResult.elapsed_days,
-                scheduled_days: fsrsResult.scheduled_days,
-                reps: fsrsResult.reps,
-                lapses: fsrsResult.lapses,
-                last_review: fsrsResult.last_review,
-                next_review: fsrsResult.next_review,
-                fsrs_state: fsrsResult.fsrs_state,
-
-                // Legacy SM-2 compatibility (keep for backward compatibility)
-                interval: fsrsResult.elapsed_days,
-                ease_factor: 2.5, // Keep for legacy filters
-                review_count: fsrsResult.reps,
-                correct_count: fsrsResult.reps - fsrsResult.lapses
-            })
-            .eq('id', wordData.id);
+        const { error: updateError } = await adapter.updateWord(wordData.id, fields);
 
         if (updateError) {
             console.error('Error updating word with FSRS:', updateError);
             return false;
         }
 
+        if (reviewId) {
+            rememberReview(reviewId, {
+                wordId: wordData.id,
+                previousFields: Object.fromEntries(Object.keys(fields).map(field => [field, wordData[field] ?? null])),
+                reviewedAt: reviewedAt.toISOString()
+            });
+        }
+
+        // Keep the review history (a failed log write does not fail the review)
+        await logReview({
+            wordId: wordData.id,
+            sessionId,
+            rating: fsrsRating,
+            responseTime,
+            elapsedDays,
+            scheduledDays: fsrsResult.scheduled_days,
+            prevStability: wordData.stability,
+            prevDifficulty: wordData.difficulty,
+            newStability: fsrsResult.stability,
+            newDifficulty: fsrsResult.difficulty,
+            reviewedAt
+        });
+
         return true;
     } catch (error) {
         console.error('Error in updateWordReviewFSRS:', error);
@@ -74,6 +111,59 @@ export async function updateWordReviewFSRS(word, isCorrect, responseTime = null)
     }
 }
 
+/**
+ * Revert a review: restore the word's scheduling to what it was before and
+ * remove the review from the review history
+ * @param {string} reviewId - ID the review was made with
+ * @returns {boolean} Success status (false if the review is unknown)
+ */
+export async function revertWordReview(reviewId) {
+    const review = revertibleReviews.get(reviewId);
+
+    if (!review) {
+        return false;
+    }
+
+    try {
+        const userId = await getUserId();
+        const adapter = getStorageAdapter();
+
+        const { error: updateError } = await adapter.updateWord(review.wordId, review.previousFields);
+
+        if (updateError) {
+            console.error('Error reverting word review:', updateError);
+            return false;
+        }
+
+        revertibleReviews.delete(reviewId);
+
+        // The schedule is back; a log that stays behind only skews the statistics
+        const { error: logError } = await adapter.deleteReviewLog(userId, review.wordId, review.reviewedAt);
+
+        if (logError) {
+            console.error('Error removing reverted review log:', logError);
+        }
+
+        return true;
+    } catch (error) {
+        console.error('Error in revertWordReview:', error);
+        return false;
+    }
+}
+
+/**
+ * Keep what is needed to revert a review, dropping the oldest beyond the limit
+ * @param {string} reviewId - Review ID
+ * @param {Object} review - { wordId, previousFields, reviewedAt }
+ */
+function rememberReview(reviewId, review) {
+    revertibleReviews.set(reviewId, review);
+
+    if (revertibleReviews.size > REVIEW_UNDO_LIMIT) {
+        revertibleReviews.delete(revertibleReviews.keys().next().value);
+    }
+}
+
 /**
  * Get words due for review using FSRS scheduling
  * @returns {Array} Array of words due for review
@@ -83,12 +173,7 @@ export async function getWordsDueForReviewFSRS() {
         const userId = await getUserId();
         const now = new Date().toISOString();
 
-        const { data, error } = await supabase
-            .from('words')
-            .select('*')
-            .eq('user_id', userId)
-            .or(`next_review.is.null,next_review.lte.${now}`)
-            .order('next_review', { ascending: true, nullsFirst: true });
+        const { data, error } = await getStorageAdapter().listDueWords(userId, now, { includeUnscheduled: true });
 
         if (error) {
             console.error('Error fetching FSRS due words:', error);
@@ -110,6 +195,10 @@ export async function getWordsDueForReviewFSRS() {
             difficulty: row.difficulty,
             reps: row.reps,
             lapses: row.lapses,
+            senseIndex: row.sense_index ?? 0,
+            partOfSpeech: row.part_of_speech || '',
+            tags: row.tags || [],
+            deck: row.deck || '',
             id: row.id
         }));
     } catch (error) {
@@ -128,14 +217,10 @@ export async function getWordsDueForReviewFSRS() {
 export async function saveWordFSRS(word, definition, example = '') {
     try {
         const userId = await getUserId();
+        const adapter = getStorageAdapter();
 
         // Check if word already exists
-        const { data: existingWords, error: fetchError } = await supabase
-            .from('words')
-            .select('*')
-            .eq('user_id', userId)
-            .ilike('word', word)
-            .limit(1);
+        const { data: existingWords, error: fetchError } = await adapter.findWord(userId, word);
 
         if (fetchError) {
             console.error('Error checking existing word:', fetchError);
@@ -145,14 +230,11 @@ export async function saveWordFSRS(word, definition, example = '') {
         if (existingWords && existingWords.length > 0) {
             // Update existing word but preserve FSRS data
             const existingWord = existingWords[0];
-            const { error: updateError } = await supabase
-                .from('words')
-                .update({
-                    definition: definition,
-                    example: example || existingWord.example,
-                    timestamp: new Date().toISOString()
-                })
-                .eq('id', existingWord.id);
+            const { error: updateError } = await adapter.updateWord(existingWord.id, {
+                definition: definition,
+                example: example || existingWord.example,
+                timestamp: new Date().toISOString()
+            });
 
             if (updateError) {
                 console.error('Error updating word:', updateError);
@@ -161,35 +243,33 @@ export async function saveWordFSRS(word, definition, example = '') {
         } else {
             // Add new word with FSRS initialization
             const now = new Date();
-            const { error: insertError } = await supabase
-                .from('words')
-                .insert({
-                    user_id: userId,
-                    word: word,
-                    definition: definition,
-                    example: example || `Example sentence with "${word}" will be added here.`,
-                    timestamp: now.toISOString(),
-                    // FSRS initial values
-                    stability: 0.0,
-                    difficulty: 5.0,
-                    elapsed_days: 0,
-                    scheduled_days: 0,
-                    reps: 0,
-                    lapses: 0,
-                    last_review: now,
-                    next_review: now, // Due immediately for new words
-                    fsrs_state: {
-                        algorithm: 'fsrs',
-                        version: '1.0',
-                        initialized: true,
-                        init_date: now.toISOString()
-                    },
-                    // Legacy SM-2 compatibility
-                    interval: 0,
-                    ease_factor: 2.5,
-                    review_count: 0,
-                    correct_count: 0
-                });
+            const { error: insertError } = await adapter.insertWord({
+                user_id: userId,
+                word: word,
+                definition: definition,
+                example: example || `Example sentence with "${word}" will be added here.`,
+                timestamp: now.toISOString(),
+                // FSRS initial values
+                stability: 0.0,
+                difficulty: 5.0,
+                elapsed_days: 0,
+                scheduled_days: 0,
+                reps: 0,
+                lapses: 0,
+                last_review: now,
+                next_review: now, // Due immediately for new words
+                fsrs_state: {
+                    algorithm: 'fsrs',
+                    version: '1.0',
+                    initialized: true,
+                    init_date: now.toISOString()
+                },
+                // Legacy SM-2 compatibility
+                interval: 0,
+                ease_factor: 2.5,
+                review_count: 0,
+                correct_count: 0
+            });
 
             if (insertError) {
                 console.error('Error inserting word with FSRS:', insertError);
@@ -197,7 +277,9 @@ export async function saveWordFSRS(word, definition, example = '') {
             }
 
             // Clean up old words if we have more than 99999
-            await cleanupOldWords(userId);
+            if (!adapter.isLocal) {
+                await cleanupOldWords(userId);
+            }
         }
 
         return true;
@@ -215,12 +297,7 @@ export async function getSavedWordsFSRS() {
     try {
         const userId = await getUserId();
 
-        const { data, error } = await supabase
-            .from('words')
-            .select('*')
-            .eq('user_id', userId)
-            .order('timestamp', { ascending: false })
-            .limit(100000);
+        const { data, error } = await getStorageAdapter().listWords(userId);
 
         if (error) {
             console.error('Error fetching FSRS words:', error);
@@ -250,6 +327,10 @@ export async function getSavedWordsFSRS() {
             nextReview: row.next_review,
             reviewCount: row.reps || row.review_count,
             correctCount: (row.reps || row.review_count) - (row.lapses || 0),
+            senseIndex: row.sense_index ?? 0,
+            partOfSpeech: row.part_of_speech || '',
+            tags: row.tags || [],
+            deck: row.deck || '',
             id: row.id
         }));
     } catch (error) {
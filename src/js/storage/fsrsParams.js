@@ -0,0 +1,103 @@
+/**
+ * Storage FSRS Parameters Module
+ * Handles per-user optimized FSRS weights
+ */
+
+import { supabase, getUserId } from '../supabase.js';
+import { fsrsInstance } from '../fsrs.js';
+
+/**
+ * Get the stored FSRS parameters for the current user
+ * @returns {Object|null} Parameters ({ weights, requestRetention, reviewCount, evaluation, optimizedAt }) or null
+ */
+export async function getFSRSParameters() {
+    try {
+        const userId = await getUserId();
+
+        const { data, error } = await supabase
+            .from('fsrs_parameters')
+            .select('*')
+            .eq('user_id', userId)
+            .limit(1);
+
+        if (error) {
+            console.error('Error fetching FSRS parameters:', error);
+            return null;
+        }
+
+        if (!data || data.length === 0) {
+            return null;
+        }
+
+        const row = data[0];
+        return {
+            weights: row.weights,
+            requestRetention: row.request_retention,
+            reviewCount: row.review_count,
+            evaluation: row.evaluation,
+            optimizedAt: row.optimized_at
+        };
+    } catch (error) {
+        console.error('Error in getFSRSParameters:', error);
+        return null;
+    }
+}
+
+/**
+ * Save optimized FSRS parameters for the current user
+ * @param {Object} parameters - Parameters to save
+ * @param {Array} parameters.weights - FSRS weight vector (17 or 19 values)
+ * @param {number} parameters.requestRetention - Target retention
+ * @param {number} parameters.reviewCount - Number of reviews the weights were fitted on
+ * @param {Object} parameters.evaluation - Evaluation report ({ before, after })
+ * @returns {boolean} Success status
+ */
+export async function saveFSRSParameters({ weights, requestRetention = fsrsInstance.requestRetention, reviewCount = 0, evaluation = null }) {
+    try {
+        const userId = await getUserId();
+
+        const { error } = await supabase
+            .from('fsrs_parameters')
+            .upsert({
+                user_id: userId,
+                weights,
+                request_retention: requestRetention,
+                review_count: reviewCount,
+                evaluation,
+                optimized_at: new Date().toISOString()
+            }, { onConflict: 'user_id' });
+
+        if (error) {
+            console.error('Error saving FSRS parameters:', error);
+            return false;
+        }
+
+        return true;
+    } catch (error) {
+        console.error('Error in saveFSRSParameters:', error);
+        return false;
+    }
+}
+
+/**
+ * Load the current user's FSRS parameters into the shared FSRS instance
+ * @returns {boolean} True if custom parameters were applied
+ */
+export async function loadFSRSParameters() {
+    const parameters = await getFSRSParameters();
+
+    if (!parameters || !parameters.weights) {
+        return false;
+    }
+
+    try {
+        fsrsInstance.setParameters({
+            w: parameters.weights,
+            requestRetention: parameters.requestRetention
+        });
+        return true;
+    } catch (error) {
+        console.error('Stored FSRS parameters are invalid, keeping defaults:', error);
+        return false;
+    }
+}
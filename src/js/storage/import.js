@@ -0,0 +1,592 @@
+/**
+ * Storage Import Module
+ * Handles reading vocabulary files (CSV/TSV, our JSON export, Anki plain-text
+ * notes) and writing them to storage in batches
+ */
+
+import { getUserId } from '../supabase.js';
+import { getStorageAdapter } from './adapter.js';
+import { cleanupOldWords } from './crud.js';
+import { normalizeTags, normalizeDeck } from './tags.js';
+
+// What to do with an imported word that is already saved
+export const DUPLICATE_MODES = {
+    SKIP: 'skip',           // Keep the saved word as it is
+    OVERWRITE: 'overwrite', // Replace the saved content (and scheduling, when the file has it)
+    MERGE: 'merge'          // Only fill in what the saved word is missing
+};
+
+// Word fields a file column can be mapped to ('' ignores the column)
+export const IMPORT_FIELDS = {
+    word: 'Word',
+    definition: 'Definition',
+    example: 'Example',
+    partOfSpeech: 'Part of speech',
+    tags: 'Tags',
+    deck: 'Deck'
+};
+
+// Header names recognized for each field (lowercased)
+const FIELD_ALIASES = {
+    word: ['word', 'term', 'front', 'expression', 'vocabulary'],
+    definition: ['definition', 'meaning', 'back', 'translation', 'gloss'],
+    example: ['example', 'sentence', 'example sentence', 'context'],
+    partOfSpeech: ['part of speech', 'pos', 'word class'],
+    tags: ['tags', 'tag', 'labels'],
+    deck: ['deck']
+};
+
+// Anki "Notes in Plain Text" header lines: #separator:tab, #html:true, #deck column:2 ...
+const ANKI_HEADER_PATTERN = /^#([a-z ]+):(.*)$/i;
+const ANKI_SEPARATORS = { tab: '\t', comma: ',', semicolon: ';', pipe: '|', space: ' ' };
+const ANKI_META_COLUMNS = { guid: 'GUID', notetype: 'Note type', deck: 'Deck', tags: 'Tags' };
+
+// Rows written per storage request
+const IMPORT_BATCH_SIZE = 50;
+
+/**
+ * Parse an import file
+ * JSON files are our own export and come back as ready records; the other
+ * formats come back as columns and rows to be mapped with applyColumnMapping
+ * @param {string} text - File content
+ * @param {string} filename - File name (used to detect the format)
+ * @returns {Object} { format, records } for JSON, { format, columns, rows } otherwise
+ */
+export function parseImportFile(text, filename = '') {
+    const content = (text || '').replace(/^\uFEFF/, '');
+    const extension = filename.toLowerCase().split('.').pop();
+
+    if (!content.trim()) {
+        throw new Error('The file is empty.');
+    }
+
+    if (extension === 'json' || /^\s*[[{]/.test(content)) {
+        return { format: 'json', records: parseJsonExport(content) };
+    }
+
+    if (/^#(separator|html|columns|notetype|deck|tags|guid)/im.test(content.slice(0, 500))) {
+        return { format: 'anki', ...parseAnkiNotes(content) };
+    }
+
+    const firstLine = content.split(/\r?\n/, 1)[0];
+    const delimiter = extension === 'tsv' || firstLine.includes('\t')
+        ? '\t'
+        : (countOf(firstLine, ';') > countOf(firstLine, ',') ? ';' : ',');
+    const rows = parseDelimited(content, delimiter);
+    const hasHeader = rows.length > 0 && rows[0].some(cell => findFieldForHeader(cell));
+
+    return {
+        format: delimiter === '\t' ? 'tsv' : 'csv',
+        columns: hasHeader ? rows[0].map(cell => cell.trim()) : numberedColumns(rows, 'Column'),
+        rows: hasHeader ? rows.slice(1) : rows
+    };
+}
+
+/**
+ * Split delimited text into rows of cells (quoted cells may contain delimiters,
+ * line breaks and "" escaped quotes)
+ * @param {string} text - CSV/TSV content
+ * @param {string} delimiter - Cell delimiter
+ * @returns {Array<Array<string>>} Non-empty rows
+ */
+export function parseDelimited(text, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    row.push(cell);
+    rows.push(row);
+
+    return rows.filter(cells => cells.some(value => value.trim()));
+}
+
+/**
+ * Parse an Anki "Notes in Plain Text" export
+ * @param {string} text - File content
+ * @returns {Object} { columns, rows } with HTML removed when the file has #html:true
+ */
+export function parseAnkiNotes(text) {
+    const lines = text.split(/\r?\n/);
+    const headers = {};
+
+    while (lines.length > 0 && lines[0].startsWith('#')) {
+        const match = lines.shift().match(ANKI_HEADER_PATTERN);
+        if (match) {
+            headers[match[1].trim().toLowerCase()] = match[2].trim();
+        }
+    }
+
+    const separator = ANKI_SEPARATORS[headers.separator] || headers.separator || '\t';
+    const stripHtml = headers.html === 'true';
+    const rows = parseDelimited(lines.join('\n'), separator)
+        .map(cells => (stripHtml ? cells.map(htmlToText) : cells));
+
+    // Field columns are numbered; metadata columns are named after their header
+    const metaColumns = {};
+    Object.entries(ANKI_META_COLUMNS).forEach(([key, name]) => {
+        const column = parseInt(headers[`${key} column`], 10);
+        if (column > 0) {
+            metaColumns[column - 1] = name;
+        }
+    });
+
+    let fieldNumber = 0;
+    const columns = numberedColumns(rows, 'Field')
+        .map((name, index) => metaColumns[index] || `Field ${++fieldNumber}`);
+
+    return { columns, rows };
+}
+
+/**
+ * Parse our own JSON export (as written by exportWords)
+ * @param {string} text - File content
+ * @returns {Array} Import records, including scheduling fields when present
+ */
+export function parseJsonExport(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The file is not valid JSON.');
+    }
+
+    const words = Array.isArray(data) ? data : data && data.words;
+    if (!Array.isArray(words)) {
+        throw new Error('The JSON file should contain a list of words.');
+    }
+
+    return words.map(item => ({
+        word: String(item?.word ?? '').trim(),
+        definition: String(item?.definition ?? '').trim(),
+        example: String(item?.example ?? '').trim(),
+        examples: Array.isArray(item?.examples) ? item.examples : [],
+        partOfSpeech: item?.partOfSpeech || '',
+        tags: normalizeTags(Array.isArray(item?.tags) ? item.tags : []),
+        deck: normalizeDeck(item?.deck),
+        senseIndex: Number.isInteger(item?.senseIndex) ? item.senseIndex : 0,
+        timestamp: item?.timestamp,
+        interval: item?.interval,
+        easeFactor: item?.easeFactor,
+        nextReview: item?.nextReview,
+        reviewCount: item?.reviewCount,
+        correctCount: item?.correctCount,
+        stability: item?.stability,
+        difficulty: item?.difficulty,
+        reps: item?.reps,
+        lapses: item?.lapses,
+        lastReview: item?.last_review
+    }));
+}
+
+/**
+ * Guess which word field each column holds, from its header
+ * Unnamed columns default to word, definition, example in that order
+ * @param {Array<string>} columns - Column names
+ * @returns {Array<string>} Field per column (a key of IMPORT_FIELDS, or '' to ignore)
+ */
+export function guessColumnMapping(columns) {
+    const used = new Set();
+    const mapping = columns.map(column => {
+        const field = findFieldForHeader(column);
+        if (field && !used.has(field)) {
+            used.add(field);
+            return field;
+        }
+        return '';
+    });
+
+    const defaults = ['word', 'definition', 'example'].filter(field => !used.has(field));
+    columns.forEach((column, index) => {
+        if (!mapping[index] && /^(Column|Field) \d+$/.test(column) && defaults.length > 0) {
+            mapping[index] = defaults.shift();
+        }
+    });
+
+    return mapping;
+}
+
+/**
+ * Turn delimited rows into import records
+ * @param {Array<Array<string>>} rows - Parsed rows
+ * @param {Array<string>} mapping - Field per column (from guessColumnMapping)
+ * @returns {Array} Import records
+ */
+export function applyColumnMapping(rows, mapping) {
+    return rows.map(cells => {
+        const record = { word: '', definition: '', example: '', partOfSpeech: '' };
+        mapping.forEach((field, index) => {
+            if (!field || cells[index] === undefined) {
+                return;
+            }
+            // Cells end up in the page, so markup from the file is dropped
+            const value = stripTags(cells[index]);
+            if (field === 'tags') {
+                record.tags = normalizeTags(value);
+            } else {
+                record[field] = value;
+            }
+        });
+        return record;
+    });
+}
+
+/**
+ * Import records into storage
+ * With dryRun nothing is written; the summary tells what an import would do.
+ * @param {Array} records - Import records ({ word, definition, example, ... })
+ * @param {Object} options - Import options
+ * @param {string} options.duplicateMode - One of DUPLICATE_MODES
+ * @param {boolean} options.dryRun - Only count what would happen
+ * @param {Function} options.onProgress - Called with (written, total) after each batch
+ * @param {Array<string>} options.tags - Tags added to every imported word (e.g. a batch name)
+ * @returns {Object} Summary { total, added, updated, skipped, invalid, failed, error }
+ */
+export async function importWords(records, { duplicateMode = DUPLICATE_MODES.SKIP, dryRun = false, onProgress = null, tags = [] } = {}) {
+    const summary = { total: records.length, added: 0, updated: 0, skipped: 0, invalid: 0, failed: 0, error: null };
+    const batchTags = normalizeTags(tags);
+    const taggedRecords = batchTags.length > 0
+        ? records.map(record => ({ ...record, tags: [...(record.tags || []), ...batchTags] }))
+        : records;
+
+    try {
+        const userId = await getUserId();
+        const adapter = getStorageAdapter();
+
+        const { data: existingRows, error: fetchError } = await adapter.listWords(userId);
+
+        if (fetchError) {
+            console.error('Error fetching words for import:', fetchError);
+            throw fetchError;
+        }
+
+        const { inserts, updates } = planImport(taggedRecords, existingRows || [], duplicateMode, userId, summary);
+
+        if (dryRun) {
+            return summary;
+        }
+
+        const total = inserts.length + updates.length;
+        let written = 0;
+
+        for (let i = 0; i < inserts.length; i += IMPORT_BATCH_SIZE) {
+            const batch = inserts.slice(i, i + IMPORT_BATCH_SIZE);
+            const { error: insertError } = await adapter.insertWords(batch);
+
+            if (insertError) {
+                console.error('Error inserting imported words:', insertError);
+                summary.added -= batch.length;
+                summary.failed += batch.length;
+            }
+
+            written += batch.length;
+            if (onProgress) onProgress(written, total);
+        }
+
+        for (let i = 0; i < updates.length; i += IMPORT_BATCH_SIZE) {
+            const batch = updates.slice(i, i + IMPORT_BATCH_SIZE);
+
+            for (const { id, fields } of batch) {
+                const { error: updateError } = await adapter.updateWord(id, fields);
+
+                if (updateError) {
+                    console.error('Error updating imported word:', updateError);
+                    summary.updated--;
+                    summary.failed++;
+                }
+            }
+
+            written += batch.length;
+            if (onProgress) onProgress(written, total);
+        }
+
+        if (summary.added > 0 && !adapter.isLocal) {
+            await cleanupOldWords(userId);
+        }
+
+        return summary;
+    } catch (error) {
+        console.error('Error in importWords:', error);
+        return { ...summary, error: error.message || 'Import failed' };
+    }
+}
+
+/**
+ * Decide for each record whether it is added, updated, skipped or invalid
+ * (counts go into the summary)
+ * @param {Array} records - Import records
+ * @param {Array} existingRows - Saved word rows
+ * @param {string} duplicateMode - One of DUPLICATE_MODES
+ * @param {string} userId - User ID
+ * @param {Object} summary - Summary to fill in
+ * @returns {Object} { inserts: rows, updates: [{ id, fields }] }
+ */
+function planImport(records, existingRows, duplicateMode, userId, summary) {
+    const now = new Date().toISOString();
+    const existingByKey = new Map(existingRows.map(row => [toCardKey(row.word, row.sense_index), row]));
+    const seenKeys = new Set();
+    const inserts = [];
+    const updates = [];
+
+    records.forEach(record => {
+        if (!record.word || !record.definition) {
+            summary.invalid++;
+            return;
+        }
+
+        // A word repeated within the file keeps its first occurrence
+        const key = toCardKey(record.word, record.senseIndex);
+        if (seenKeys.has(key)) {
+            summary.skipped++;
+            return;
+        }
+        seenKeys.add(key);
+
+        const existing = existingByKey.get(key);
+
+        if (!existing) {
+            inserts.push(createImportRow(userId, record, now));
+            summary.added++;
+        } else if (duplicateMode === DUPLICATE_MODES.OVERWRITE) {
+            // Tags are kept: overwriting replaces the content, not how the word is organized
+            const fields = { ...toContentFields(record), ...toScheduleFields(record), timestamp: record.timestamp || now };
+            if (fields.tags) {
+                fields.tags = normalizeTags([...(existing.tags || []), ...fields.tags]);
+            }
+            updates.push({ id: existing.id, fields });
+            summary.updated++;
+        } else if (duplicateMode === DUPLICATE_MODES.MERGE) {
+            const fields = mergeFields(existing, record);
+            if (Object.keys(fields).length > 0) {
+                updates.push({ id: existing.id, fields });
+                summary.updated++;
+            } else {
+                summary.skipped++;
+            }
+        } else {
+            summary.skipped++;
+        }
+    });
+
+    return { inserts, updates };
+}
+
+/**
+ * Build the row of a new imported word
+ * @param {string} userId - User ID
+ * @param {Object} record - Import record
+ * @param {string} now - Current ISO timestamp
+ * @returns {Object} Database row
+ */
+function createImportRow(userId, record, now) {
+    const fields = toContentFields(record);
+    const row = {
+        user_id: userId,
+        word: record.word,
+        ...fields,
+        example: fields.example || `Example sentence with "${record.word}" will be added here.`,
+        timestamp: record.timestamp || now,
+        interval: 0,
+        ease_factor: 2.5,
+        next_review: now,
+        review_count: 0,
+        correct_count: 0,
+        ...toScheduleFields(record)
+    };
+
+    if (record.senseIndex > 0) {
+        row.sense_index = record.senseIndex;
+    }
+
+    return row;
+}
+
+/**
+ * Content columns of a record (sense columns only when the record has them)
+ * @param {Object} record - Import record
+ * @returns {Object} Database fields
+ */
+function toContentFields(record) {
+    const fields = {
+        definition: record.definition,
+        example: record.example || ''
+    };
+
+    if (record.examples && record.examples.length > 0) {
+        fields.examples = record.examples;
+    }
+    if (record.partOfSpeech) {
+        fields.part_of_speech = record.partOfSpeech;
+    }
+    if (record.tags && record.tags.length > 0) {
+        fields.tags = normalizeTags(record.tags);
+    }
+    if (record.deck) {
+        fields.deck = normalizeDeck(record.deck);
+    }
+
+    return fields;
+}
+
+/**
+ * Scheduling columns present in a record (JSON exports carry them, CSV files do not)
+ * @param {Object} record - Import record
+ * @returns {Object} Database fields
+ */
+function toScheduleFields(record) {
+    const columns = {
+        interval: record.interval,
+        ease_factor: record.easeFactor,
+        next_review: record.nextReview,
+        review_count: record.reviewCount,
+        correct_count: record.correctCount,
+        stability: record.stability,
+        difficulty: record.difficulty,
+        reps: record.reps,
+        lapses: record.lapses,
+        last_review: record.lastReview
+    };
+
+    return Object.fromEntries(Object.entries(columns).filter(([, value]) => value !== undefined && value !== null));
+}
+
+/**
+ * Fields to fill in on a saved word from an imported duplicate: missing content,
+ * new examples, and the imported scheduling when it has more reviews
+ * @param {Object} existing - Saved word row
+ * @param {Object} record - Import record
+ * @returns {Object} Changed database fields (empty when there is nothing to merge)
+ */
+function mergeFields(existing, record) {
+    const fields = {};
+    const hasPlaceholderExample = !existing.example || existing.example.startsWith('Example sentence with "');
+
+    if (hasPlaceholderExample && record.example) {
+        fields.example = record.example;
+    }
+    if (!existing.part_of_speech && record.partOfSpeech) {
+        fields.part_of_speech = record.partOfSpeech;
+    }
+    if (!existing.deck && record.deck) {
+        fields.deck = normalizeDeck(record.deck);
+    }
+
+    const savedTags = existing.tags || [];
+    const newTags = normalizeTags(record.tags).filter(tag => !savedTags.includes(tag));
+    if (newTags.length > 0) {
+        fields.tags = [...savedTags, ...newTags];
+    }
+
+    const savedExamples = existing.examples || [];
+    const newExamples = [...(record.examples || []), record.example]
+        .filter(example => example && !savedExamples.includes(example) && example !== existing.example);
+    if (newExamples.length > 0) {
+        fields.examples = [...new Set([...savedExamples, ...newExamples])];
+    }
+
+    const savedReviews = existing.reps ?? existing.review_count ?? 0;
+    const importedReviews = record.reps ?? record.reviewCount ?? 0;
+    if (importedReviews > savedReviews) {
+        Object.assign(fields, toScheduleFields(record));
+    }
+
+    return fields;
+}
+
+/**
+ * Key of one card: the word (case-insensitive) and its sense
+ * @param {string} word - Word text
+ * @param {number} senseIndex - Sense index
+ * @returns {string} Card key
+ */
+function toCardKey(word, senseIndex) {
+    return `${word.trim().toLowerCase()}#${senseIndex || 0}`;
+}
+
+/**
+ * Find the word field a column header stands for
+ * @param {string} header - Column header
+ * @returns {string|null} Field key of IMPORT_FIELDS
+ */
+function findFieldForHeader(header) {
+    const name = (header || '').trim().toLowerCase();
+    return Object.keys(FIELD_ALIASES).find(field => FIELD_ALIASES[field].includes(name)) || null;
+}
+
+/**
+ * Names for unnamed columns: "Column 1", "Column 2", ...
+ * @param {Array<Array<string>>} rows - Parsed rows
+ * @param {string} prefix - Name prefix
+ * @returns {Array<string>} Column names for the widest row
+ */
+function numberedColumns(rows, prefix) {
+    const width = rows.reduce((max, cells) => Math.max(max, cells.length), 0);
+    return Array.from({ length: width }, (_, index) => `${prefix} ${index + 1}`);
+}
+
+/**
+ * Remove HTML tags from a cell
+ * @param {string} text - Cell content
+ * @returns {string} Trimmed text without tags
+ */
+function stripTags(text) {
+    return text.replace(/<[^>]*>/g, '').trim();
+}
+
+/**
+ * Convert an Anki HTML field to plain text
+ * @param {string} html - Field content
+ * @returns {string} Text without tags, sound references or entities
+ */
+function htmlToText(html) {
+    return html
+        .replace(/<br\s*\/?>/gi, ' ')
+        .replace(/<[^>]*>/g, '')
+        .replace(/\[sound:[^\]]*\]/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Count occurrences of a character
+ * @param {string} text - Text to search
+ * @param {string} char - Character to count
+ * @returns {number} Occurrences
+ */
+function countOf(text, char) {
+    return text.split(char).length - 1;
+}
@@ -9,13 +9,15 @@ export {
     getWordIfExists,
     saveWord,
     updateWord,
+    updateWordSenses,
+    setWordExample,
     deleteWord,
     clearAllWords,
     cleanupOldWords
 } from './crud.js';
 
 // Pagination
-export { getSavedWordsPaginated } from './pagination.js';
+export { getSavedWordsPaginated, getAllMatchingWords, SORT_OPTIONS } from './pagination.js';
 
 // Review operations (legacy SM-2)
 export {
@@ -26,11 +28,76 @@ export {
 // FSRS operations
 export {
     updateWordReviewFSRS,
+    revertWordReview,
     getWordsDueForReviewFSRS,
     saveWordFSRS,
     getSavedWordsFSRS,
     getFSRSStats
 } from './fsrs.js';
 
+// Review history
+export {
+    logReview,
+    getReviewLogs,
+    getWordReviewHistory
+} from './reviewLogs.js';
+
+// FSRS parameters
+export {
+    getFSRSParameters,
+    saveFSRSParameters,
+    loadFSRSParameters
+} from './fsrsParams.js';
+
+// Offline sync
+export {
+    syncNow,
+    startBackgroundSync,
+    onRemoteChanges
+} from './sync.js';
+
+// Tags and decks
+export {
+    normalizeTag,
+    normalizeTags,
+    normalizeDeck,
+    getTagsAndDecks,
+    setWordTags,
+    addWordTags,
+    setWordDeck,
+    renameTag,
+    deleteTag,
+    renameDeck,
+    deleteDeck
+} from './tags.js';
+
+// Bulk actions
+export {
+    deleteWordsById,
+    resetWordsScheduling,
+    addTagsToWords
+} from './bulk.js';
+
+// Trash
+export {
+    TRASH_RETENTION_DAYS,
+    getDeletedWords,
+    restoreWords,
+    undoLastDeletion,
+    purgeWords,
+    emptyTrash,
+    purgeExpiredTrash
+} from './trash.js';
+
 // Export functionality
 export { exportWords } from './export.js';
+
+// Import functionality
+export {
+    DUPLICATE_MODES,
+    IMPORT_FIELDS,
+    parseImportFile,
+    guessColumnMapping,
+    applyColumnMapping,
+    importWords
+} from './import.js';
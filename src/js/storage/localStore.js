@@ -0,0 +1,253 @@
+/**
+ * Storage Local Store Module
+ * Handles the IndexedDB database that keeps words, review logs and pending sync mutations on the device
+ */
+
+const DB_NAME = 'lingodash';
+const DB_VERSION = 1;
+
+const STORES = {
+    WORDS: 'words',
+    REVIEW_LOGS: 'review_logs',
+    OUTBOX: 'outbox',
+    META: 'meta'
+};
+
+let dbPromise = null;
+
+/**
+ * Check whether IndexedDB can be used in this browser
+ * @returns {boolean} True if IndexedDB is available
+ */
+export function isLocalStoreAvailable() {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+}
+
+/**
+ * Open (and create or upgrade) the local database
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+
+                if (!db.objectStoreNames.contains(STORES.WORDS)) {
+                    const words = db.createObjectStore(STORES.WORDS, { keyPath: 'id' });
+                    words.createIndex('user_id', 'user_id');
+                }
+
+                if (!db.objectStoreNames.contains(STORES.REVIEW_LOGS)) {
+                    const logs = db.createObjectStore(STORES.REVIEW_LOGS, { keyPath: 'id' });
+                    logs.createIndex('user_id', 'user_id');
+                }
+
+                if (!db.objectStoreNames.contains(STORES.OUTBOX)) {
+                    db.createObjectStore(STORES.OUTBOX, { keyPath: 'seq', autoIncrement: true });
+                }
+
+                if (!db.objectStoreNames.contains(STORES.META)) {
+                    db.createObjectStore(STORES.META, { keyPath: 'key' });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+
+    return dbPromise;
+}
+
+/**
+ * Run a callback inside a transaction and resolve when it completes
+ * @param {string|Array} storeNames - Object store(s) the transaction covers
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Receives the transaction; its return value is resolved
+ * @returns {Promise<*>} Value returned by the callback (or the result of a returned IDBRequest)
+ */
+async function withTransaction(storeNames, mode, callback) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeNames, mode);
+        let result;
+
+        try {
+            result = callback(tx);
+        } catch (error) {
+            tx.abort();
+            reject(error);
+            return;
+        }
+
+        tx.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * Get all rows of a store that belong to a user
+ * @param {string} storeName - Object store name
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Rows
+ */
+function getRowsForUser(storeName, userId) {
+    return withTransaction(storeName, 'readonly', tx =>
+        tx.objectStore(storeName).index('user_id').getAll(userId)
+    );
+}
+
+/**
+ * Get all locally stored words of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Word rows (database column names)
+ */
+export function getLocalWords(userId) {
+    return getRowsForUser(STORES.WORDS, userId);
+}
+
+/**
+ * Get one locally stored word by ID
+ * @param {string} id - Word ID
+ * @returns {Promise<Object|undefined>} Word row
+ */
+export function getLocalWord(id) {
+    return withTransaction(STORES.WORDS, 'readonly', tx => tx.objectStore(STORES.WORDS).get(id));
+}
+
+/**
+ * Insert or replace word rows
+ * @param {Array} rows - Word rows
+ * @returns {Promise<void>}
+ */
+export function putLocalWords(rows) {
+    return withTransaction(STORES.WORDS, 'readwrite', tx => {
+        const store = tx.objectStore(STORES.WORDS);
+        rows.forEach(row => store.put(row));
+    });
+}
+
+/**
+ * Remove word rows by ID
+ * @param {Array} ids - Word IDs
+ * @returns {Promise<void>}
+ */
+export function deleteLocalWords(ids) {
+    return withTransaction(STORES.WORDS, 'readwrite', tx => {
+        const store = tx.objectStore(STORES.WORDS);
+        ids.forEach(id => store.delete(id));
+    });
+}
+
+/**
+ * Get all locally stored review logs of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Review log rows
+ */
+export function getLocalReviewLogs(userId) {
+    return getRowsForUser(STORES.REVIEW_LOGS, userId);
+}
+
+/**
+ * Get one locally stored review log by ID
+ * @param {string} id - Review log ID
+ * @returns {Promise<Object|undefined>} Review log row
+ */
+export function getLocalReviewLog(id) {
+    return withTransaction(STORES.REVIEW_LOGS, 'readonly', tx => tx.objectStore(STORES.REVIEW_LOGS).get(id));
+}
+
+/**
+ * Insert or replace review log rows
+ * @param {Array} rows - Review log rows
+ * @returns {Promise<void>}
+ */
+export function putLocalReviewLogs(rows) {
+    return withTransaction(STORES.REVIEW_LOGS, 'readwrite', tx => {
+        const store = tx.objectStore(STORES.REVIEW_LOGS);
+        rows.forEach(row => store.put(row));
+    });
+}
+
+/**
+ * Remove review log rows by ID
+ * @param {Array} ids - Review log IDs
+ * @returns {Promise<void>}
+ */
+export function deleteLocalReviewLogs(ids) {
+    return withTransaction(STORES.REVIEW_LOGS, 'readwrite', tx => {
+        const store = tx.objectStore(STORES.REVIEW_LOGS);
+        ids.forEach(id => store.delete(id));
+    });
+}
+
+/**
+ * Append a mutation to the outbox
+ * @param {Object} mutation - Mutation waiting to be pushed
+ * @returns {Promise<void>}
+ */
+export function addOutboxEntry(mutation) {
+    return withTransaction(STORES.OUTBOX, 'readwrite', tx => {
+        tx.objectStore(STORES.OUTBOX).add(mutation);
+    });
+}
+
+/**
+ * Replace an outbox entry, keeping its place in the queue
+ * @param {Object} entry - Outbox entry (with its `seq` key)
+ * @returns {Promise<void>}
+ */
+export function updateOutboxEntry(entry) {
+    return withTransaction(STORES.OUTBOX, 'readwrite', tx => {
+        tx.objectStore(STORES.OUTBOX).put(entry);
+    });
+}
+
+/**
+ * Get all pending mutations, oldest first
+ * @returns {Promise<Array>} Outbox entries (each with its `seq` key)
+ */
+export function getOutboxEntries() {
+    return withTransaction(STORES.OUTBOX, 'readonly', tx => tx.objectStore(STORES.OUTBOX).getAll());
+}
+
+/**
+ * Remove a pushed mutation from the outbox
+ * @param {number} seq - Outbox sequence number
+ * @returns {Promise<void>}
+ */
+export function removeOutboxEntry(seq) {
+    return withTransaction(STORES.OUTBOX, 'readwrite', tx => {
+        tx.objectStore(STORES.OUTBOX).delete(seq);
+    });
+}
+
+/**
+ * Read a sync bookkeeping value
+ * @param {string} key - Meta key
+ * @returns {Promise<*>} Stored value or null
+ */
+export async function getMeta(key) {
+    const entry = await withTransaction(STORES.META, 'readonly', tx => tx.objectStore(STORES.META).get(key));
+    return entry ? entry.value : null;
+}
+
+/**
+ * Write a sync bookkeeping value
+ * @param {string} key - Meta key
+ * @param {*} value - Value to store
+ * @returns {Promise<void>}
+ */
+export function setMeta(key, value) {
+    return withTransaction(STORES.META, 'readwrite', tx => {
+        tx.objectStore(STORES.META).put({ key, value });
+    });
+}
@@ -1,54 +1,51 @@
 /**
  * Storage Pagination Module
- * Handles paginated word queries with filtering
+ * Handles paginated word queries with filtering, search and sorting
  */
 
-import { supabase, getUserId } from '../supabase.js';
+import { getUserId } from '../supabase.js';
+import { getStorageAdapter } from './adapter.js';
+
+// Sort orders of the saved words list (missing values last, ties newest first)
+export const SORT_OPTIONS = {
+    added: { column: 'timestamp', ascending: false },
+    alphabetical: { column: 'word', ascending: true },
+    nextReview: { column: 'next_review', ascending: true },
+    difficulty: { column: 'difficulty', ascending: false },
+    lapses: { column: 'lapses', ascending: false }
+};
+
+// Words fetched per request when collecting every matching word
+const MATCH_BATCH_SIZE = 1000;
 
 /**
  * Get saved words with pagination and optional filter
  * @param {number} page - Page number (1-indexed)
  * @param {number} pageSize - Number of items per page
  * @param {string} filter - Filter type ('all', 'new', 'learning', 'mastered', 'due')
+ * @param {Object} options - Additional filters
+ * @param {string} options.tag - Only words with this tag
+ * @param {string} options.deck - Only words in this deck
+ * @param {string} options.search - Only words whose word, definition or example contains this text
+ * @param {string} options.sort - Key of SORT_OPTIONS (newest first when omitted)
  * @returns {Object} Paginated result with words, totalCount, totalPages, currentPage
  */
-export async function getSavedWordsPaginated(page = 1, pageSize = 50, filter = 'all') {
+export async function getSavedWordsPaginated(page = 1, pageSize = 50, filter = 'all', { tag = null, deck = null, search = '', sort = 'added' } = {}) {
     try {
         const userId = await getUserId();
         const offset = (page - 1) * pageSize;
         const now = new Date().toISOString();
 
-        // Build base query for count
-        let countQuery = supabase
-            .from('words')
-            .select('*', { count: 'exact', head: true })
-            .eq('user_id', userId);
-
-        // Apply filter conditions to count query
-        countQuery = applyFilterToQuery(countQuery, filter, now);
-
-        // Build data query
-        let dataQuery = supabase
-            .from('words')
-            .select('*')
-            .eq('user_id', userId);
-
-        // Apply filter conditions to data query
-        dataQuery = applyFilterToQuery(dataQuery, filter, now);
-
-        // Run both queries in parallel to reduce loading time
-        const [countResult, dataResult] = await Promise.all([
-            countQuery,
-            dataQuery.order('timestamp', { ascending: false }).limit(pageSize)
-        ]);
-
-        const { count, error: countError } = countResult;
-        const { data, error } = dataResult;
-
-        if (countError) {
-            console.error('Error fetching word count:', countError);
-            return { words: [], totalCount: 0, totalPages: 0, currentPage: 1 };
-        }
+        const { data, count, error } = await getStorageAdapter().listWordsPage(userId, {
+            filter,
+            tag,
+            deck,
+            search: (search || '').trim(),
+            sort: SORT_OPTIONS[sort] || SORT_OPTIONS.added,
+            now,
+            offset,
+            limit: pageSize
+        });
 
         if (error) {
             console.error('Error fetching words:', error);
@@ -69,6 +66,16 @@ export async function getSavedWordsPaginated(page = 1, pageSize = 50, filter = '
             nextReview: row.next_review,
             reviewCount: row.review_count,
             correctCount: row.correct_count,
+            difficulty: row.difficulty,
+            lapses: row.lapses,
+            stability: row.stability,
+            reps: row.reps,
+            last_review: row.last_review,
+            senseIndex: row.sense_index ?? 0,
+            partOfSpeech: row.part_of_speech || '',
+            examples: row.examples || [],
+            tags: row.tags || [],
+            deck: row.deck || '',
             id: row.id
         }));
 
@@ -85,23 +92,23 @@ export async function getSavedWordsPaginated(page = 1, pageSize = 50, filter = '
 }
 
 /**
- * Apply filter conditions to a Supabase query
- * @param {Object} query - Supabase query builder
- * @param {string} filter - Filter type
- * @param {string} now - Current ISO timestamp
- * @returns {Object} Modified query
+ * Get every saved word matching a filter, across all pages
+ * (used to select all words matching the current view)
+ * @param {string} filter - Filter type ('all', 'new', 'learning', 'mastered', 'due')
+ * @param {Object} options - Same options as getSavedWordsPaginated
+ * @returns {Array} Word objects in the chosen sort order
  */
-function applyFilterToQuery(query, filter, now) {
-    switch (filter) {
-        case 'new':
-            return query.eq('review_count', 0);
-        case 'learning':
-            return query.gt('review_count', 0).lt('interval', 10);
-        case 'mastered':
-            return query.gte('interval', 30);
-        case 'due':
-            return query.lte('next_review', now);
-        default:
-            return query;
+export async function getAllMatchingWords(filter = 'all', options = {}) {
+    const words = [];
+    let page = 1;
+    let totalPages = 1;
+
+    while (page <= totalPages) {
+        const result = await getSavedWordsPaginated(page, MATCH_BATCH_SIZE, filter, options);
+        words.push(...result.words);
+        totalPages = result.totalPages;
+        page++;
     }
+
+    return words;
 }
@@ -3,7 +3,8 @@
  * Handles spaced repetition review operations (legacy SM-2 algorithm)
  */
 
-import { supabase, getUserId } from '../supabase.js';
+import { getUserId } from '../supabase.js';
+import { getStorageAdapter } from './adapter.js';
 
 /**
  * Update spaced repetition data after reviewing a word (SM-2 algorithm)
@@ -14,14 +15,10 @@ import { supabase, getUserId } from '../supabase.js';
 export async function updateWordReview(word, isCorrect) {
     try {
         const userId = await getUserId();
+        const adapter = getStorageAdapter();
 
         // Get the word
-        const { data: words, error: fetchError } = await supabase
-            .from('words')
-            .select('*')
-            .eq('user_id', userId)
-            .ilike('word', word)
-            .limit(1);
+        const { data: words, error: fetchError } = await adapter.findWord(userId, word);
 
         if (fetchError || !words || words.length === 0) {
             console.error('Word not found for review update');
@@ -69,16 +66,13 @@ export async function updateWordReview(word, isCorrect) {
         nextReviewDate.setDate(nextReviewDate.getDate() + interval);
 
         // Update in database
-        const { error: updateError } = await supabase
-            .from('words')
-            .update({
-                interval: interval,
-                ease_factor: easeFactor,
-                next_review: nextReviewDate.toISOString(),
-                review_count: reviewCount,
-                correct_count: correctCount
-            })
-            .eq('id', wordData.id);
+        const { error: updateError } = await adapter.updateWord(wordData.id, {
+            interval: interval,
+            ease_factor: easeFactor,
+            next_review: nextReviewDate.toISOString(),
+            review_count: reviewCount,
+            correct_count: correctCount
+        });
 
         if (updateError) {
             console.error('Error updating word review:', updateError);
@@ -101,12 +95,7 @@ export async function getWordsDueForReview() {
         const userId = await getUserId();
         const now = new Date().toISOString();
 
-        const { data, error } = await supabase
-            .from('words')
-            .select('*')
-            .eq('user_id', userId)
-            .lte('next_review', now)
-            .order('next_review', { ascending: true });
+        const { data, error } = await getStorageAdapter().listDueWords(userId, now);
 
         if (error) {
             console.error('Error fetching due words:', error);
@@ -124,6 +113,15 @@ export async function getWordsDueForReview() {
             nextReview: row.next_review,
             reviewCount: row.review_count,
             correctCount: row.correct_count,
+            stability: row.stability,
+            difficulty: row.difficulty,
+            reps: row.reps,
+            lapses: row.lapses,
+            last_review: row.last_review,
+            senseIndex: row.sense_index ?? 0,
+            partOfSpeech: row.part_of_speech || '',
+            tags: row.tags || [],
+            deck: row.deck || '',
             id: row.id
         }));
     } catch (error) {
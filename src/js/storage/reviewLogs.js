@@ -0,0 +1,106 @@
+/**
+ * Storage Review Logs Module
+ * Handles the per-review history kept in the review_logs table
+ */
+
+import { getUserId } from '../supabase.js';
+import { getStorageAdapter } from './adapter.js';
+
+/**
+ * Record a single review in the review log
+ * @param {Object} entry - Review details
+ * @param {string} entry.wordId - ID of the reviewed word
+ * @param {number} entry.rating - FSRS rating (1-4)
+ * @param {number} entry.responseTime - Response time in milliseconds
+ * @param {number} entry.elapsedDays - Days since the previous review
+ * @param {number} entry.scheduledDays - Days until the next scheduled review
+ * @param {number} entry.prevStability - Stability before the review
+ * @param {number} entry.prevDifficulty - Difficulty before the review
+ * @param {number} entry.newStability - Stability after the review
+ * @param {number} entry.newDifficulty - Difficulty after the review
+ * @param {string} entry.sessionId - Exercise session the review belongs to
+ * @param {Date|string} entry.reviewedAt - When the review happened (defaults to now)
+ * @returns {boolean} Success status
+ */
+export async function logReview(entry) {
+    try {
+        const userId = await getUserId();
+
+        const { error } = await getStorageAdapter().insertReviewLog({
+            user_id: userId,
+            word_id: entry.wordId,
+            session_id: entry.sessionId || null,
+            rating: entry.rating,
+            response_time: entry.responseTime ?? null,
+            elapsed_days: entry.elapsedDays || 0,
+            scheduled_days: entry.scheduledDays || 0,
+            prev_stability: entry.prevStability ?? null,
+            prev_difficulty: entry.prevDifficulty ?? null,
+            new_stability: entry.newStability,
+            new_difficulty: entry.newDifficulty,
+            reviewed_at: new Date(entry.reviewedAt || Date.now()).toISOString()
+        });
+
+        if (error) {
+            console.error('Error logging review:', error);
+            return false;
+        }
+
+        return true;
+    } catch (error) {
+        console.error('Error in logReview:', error);
+        return false;
+    }
+}
+
+/**
+ * Get review log entries for the current user, oldest first
+ * @param {Object} options - Query options
+ * @param {string} options.wordId - Only return reviews of this word
+ * @param {Date|string} options.since - Only return reviews at or after this time
+ * @param {number} options.limit - Maximum number of entries
+ * @returns {Array} Array of review log entries
+ */
+export async function getReviewLogs({ wordId = null, since = null, limit = 100000 } = {}) {
+    try {
+        const userId = await getUserId();
+
+        const { data, error } = await getStorageAdapter().listReviewLogs(userId, { wordId, since, limit });
+
+        if (error) {
+            console.error('Error fetching review logs:', error);
+            return [];
+        }
+
+        return (data || []).map(row => ({
+            id: row.id,
+            wordId: row.word_id,
+            sessionId: row.session_id,
+            rating: row.rating,
+            responseTime: row.response_time,
+            elapsedDays: row.elapsed_days,
+            scheduledDays: row.scheduled_days,
+            prevStability: row.prev_stability,
+            prevDifficulty: row.prev_difficulty,
+            newStability: row.new_stability,
+            newDifficulty: row.new_difficulty,
+            reviewedAt: row.reviewed_at
+        }));
+    } catch (error) {
+        console.error('Error in getReviewLogs:', error);
+        return [];
+    }
+}
+
+/**
+ * Get the full review history of one word, oldest first
+ * @param {string} wordId - Word ID
+ * @returns {Array} Array of review log entries
+ */
+export async function getWordReviewHistory(wordId) {
+    if (!wordId) {
+        return [];
+    }
+
+    return getReviewLogs({ wordId });
+}
@@ -0,0 +1,507 @@
+/**
+ * Storage Sync Module
+ * Handles pushing queued local mutations to Supabase and pulling remote changes into the local store
+ */
+
+import { supabase, getUserId } from '../supabase.js';
+import {
+    isLocalStoreAvailable,
+    getLocalWords,
+    getLocalWord,
+    putLocalWords,
+    deleteLocalWords,
+    getLocalReviewLog,
+    getLocalReviewLogs,
+    putLocalReviewLogs,
+    addOutboxEntry,
+    updateOutboxEntry,
+    getOutboxEntries,
+    removeOutboxEntry,
+    getMeta,
+    setMeta
+} from './localStore.js';
+
+// Fields edited by the user; the most recent edit wins
+const CONTENT_FIELDS = ['word', 'definition', 'example', 'examples', 'part_of_speech', 'tags', 'deck', 'timestamp', 'deleted_at'];
+
+// Scheduling state; always taken together from one side so it stays consistent
+const SCHEDULING_FIELDS = [
+    'stability',
+    'difficulty',
+    'elapsed_days',
+    'scheduled_days',
+    'reps',
+    'lapses',
+    'last_review',
+    'next_review',
+    'fsrs_state',
+    'interval',
+    'ease_factor',
+    'review_count',
+    'correct_count'
+];
+
+const SYNC_DELAY_MS = 2000;
+const SYNC_INTERVAL_MS = 60 * 1000;
+const MAX_PUSH_ATTEMPTS = 5;
+
+// Postgres unique_violation: the word already exists remotely (added on another device)
+const UNIQUE_VIOLATION = '23505';
+
+let syncPromise = null;
+let syncTimer = null;
+let backgroundSyncStarted = false;
+const changeListeners = [];
+
+/**
+ * Queue a local mutation for the next push
+ * @param {Object} mutation - Mutation details
+ * @param {string} mutation.table - 'words' or 'review_logs'
+ * @param {string} mutation.op - 'insert', 'update' or 'delete'
+ * @param {string} mutation.id - ID of the affected row
+ * @param {Array} mutation.fields - Changed columns (updates only)
+ * @returns {Promise<void>}
+ */
+export async function queueMutation(mutation) {
+    await addOutboxEntry({
+        ...mutation,
+        attempts: 0,
+        queuedAt: new Date().toISOString()
+    });
+
+    scheduleSync();
+}
+
+/**
+ * Sync shortly after the latest change, so a burst of answers becomes one round-trip
+ */
+function scheduleSync() {
+    if (syncTimer) {
+        clearTimeout(syncTimer);
+    }
+
+    syncTimer = setTimeout(() => {
+        syncTimer = null;
+        syncNow();
+    }, SYNC_DELAY_MS);
+}
+
+/**
+ * Register a callback for when a pull brings in remote changes
+ * @param {Function} listener - Called with no arguments after local data changed
+ */
+export function onRemoteChanges(listener) {
+    changeListeners.push(listener);
+}
+
+/**
+ * Push queued mutations, then pull remote changes
+ * @param {Object} options - Sync options
+ * @param {boolean} options.full - Pull every row instead of only rows changed since the last pull
+ * @returns {Promise<boolean>} True if both directions succeeded
+ */
+export function syncNow({ full = false } = {}) {
+    if (!isLocalStoreAvailable()) {
+        return Promise.resolve(false);
+    }
+
+    if (syncPromise) {
+        return syncPromise;
+    }
+
+    syncPromise = (async () => {
+        try {
+            if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+                return false;
+            }
+
+            const pushed = await pushChanges();
+            const pulled = await pullChanges({ full });
+            return pushed && pulled;
+        } catch (error) {
+            console.error('Error in syncNow:', error);
+            return false;
+        } finally {
+            syncPromise = null;
+        }
+    })();
+
+    return syncPromise;
+}
+
+/**
+ * Make sure a user's words have been pulled into the local store at least
+ * once, so a fresh device does not start out with an empty collection
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+export async function ensureInitialSync(userId) {
+    if (await getMeta(`wordsPulledAt:${userId}`)) {
+        return;
+    }
+
+    await syncNow({ full: true });
+}
+
+/**
+ * Start syncing in the background: once now (full pull), whenever the
+ * browser comes back online, when the page is hidden and on a timer
+ * @returns {Promise<boolean>} Result of the initial sync
+ */
+export function startBackgroundSync() {
+    if (!isLocalStoreAvailable()) {
+        return Promise.resolve(false);
+    }
+
+    if (!backgroundSyncStarted) {
+        backgroundSyncStarted = true;
+
+        window.addEventListener('online', () => syncNow());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                syncNow();
+            }
+        });
+        setInterval(() => syncNow(), SYNC_INTERVAL_MS);
+    }
+
+    return syncNow({ full: true });
+}
+
+/**
+ * Push queued mutations to Supabase in the order they were made
+ * Stops at the first failure so later mutations never overtake earlier ones.
+ * @returns {Promise<boolean>} True if the outbox is empty afterwards
+ */
+export async function pushChanges() {
+    const entries = await getOutboxEntries();
+
+    for (const entry of entries) {
+        let error = null;
+
+        try {
+            error = await pushEntry(entry);
+        } catch (pushError) {
+            error = pushError;
+        }
+
+        if (!error) {
+            await removeOutboxEntry(entry.seq);
+            continue;
+        }
+
+        console.error('Error pushing change:', error);
+
+        // A mutation the server keeps rejecting would block the queue forever
+        if (entry.attempts + 1 >= MAX_PUSH_ATTEMPTS) {
+            console.error('Dropping change after repeated failures:', entry);
+            await removeOutboxEntry(entry.seq);
+            continue;
+        }
+
+        await updateOutboxEntry({ ...entry, attempts: entry.attempts + 1 });
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Send one outbox entry to Supabase
+ * Inserts and updates send the current local row, so merged values go out.
+ * @param {Object} entry - Outbox entry
+ * @returns {Promise<Object|null>} Supabase error, or null on success
+ */
+async function pushEntry(entry) {
+    if (entry.table === 'review_logs') {
+        if (entry.op === 'delete') {
+            const { error } = await supabase.from('review_logs').delete().eq('id', entry.id);
+            return error;
+        }
+
+        const log = await getLocalReviewLog(entry.id);
+
+        // The word (and its logs) was deleted before the log could be pushed
+        if (!log) {
+            return null;
+        }
+
+        const { error } = await supabase.from('review_logs').upsert(log);
+        return error;
+    }
+
+    if (entry.op === 'delete') {
+        const { error } = await supabase.from('words').delete().eq('id', entry.id);
+        return error;
+    }
+
+    const row = await getLocalWord(entry.id);
+
+    // Deleted locally after this change was queued; the delete entry follows
+    if (!row) {
+        return null;
+    }
+
+    if (entry.op === 'insert') {
+        // The server stamps updated_at, so a word added on a device with a
+        // slow clock is still newer than other devices' pull watermark
+        const insertRow = { ...row };
+        delete insertRow.updated_at;
+        const { error } = await supabase.from('words').upsert(insertRow);
+
+        if (error && error.code === UNIQUE_VIOLATION) {
+            return adoptRemoteWord(row);
+        }
+
+        return error;
+    }
+
+    const fields = {};
+    entry.fields.forEach(field => {
+        fields[field] = row[field];
+    });
+
+    const { error } = await supabase.from('words').update(fields).eq('id', entry.id);
+    return error;
+}
+
+/**
+ * Resolve a word added offline that already exists remotely: merge the two
+ * rows under the remote ID and repoint pending changes and review logs to it
+ * @param {Object} localRow - Local word row
+ * @returns {Promise<Object|null>} Supabase error, or null on success
+ */
+async function adoptRemoteWord(localRow) {
+    const { data, error } = await supabase
+        .from('words')
+        .select('*')
+        .eq('user_id', localRow.user_id)
+        .is('deleted_at', null)
+        .ilike('word', localRow.word)
+        .eq('sense_index', localRow.sense_index ?? 0)
+        .limit(1);
+
+    if (error || !data || data.length === 0) {
+        return error || { message: `Could not find remote copy of "${localRow.word}"` };
+    }
+
+    const remoteRow = data[0];
+    const merged = { ...mergeWordRows(localRow, remoteRow), id: remoteRow.id };
+
+    await putLocalWords([merged]);
+    await deleteLocalWords([localRow.id]);
+
+    const logs = await getLocalReviewLogs(localRow.user_id);
+    await putLocalReviewLogs(logs
+        .filter(log => log.word_id === localRow.id)
+        .map(log => ({ ...log, word_id: remoteRow.id })));
+
+    const entries = await getOutboxEntries();
+    for (const entry of entries) {
+        if (entry.table === 'words' && entry.id === localRow.id) {
+            await updateOutboxEntry({ ...entry, id: remoteRow.id });
+        }
+    }
+
+    // Send the merged scheduling and content back to the remote row
+    await addOutboxEntry({
+        table: 'words',
+        op: 'update',
+        id: remoteRow.id,
+        fields: [...CONTENT_FIELDS, ...SCHEDULING_FIELDS],
+        attempts: 0,
+        queuedAt: new Date().toISOString()
+    });
+
+    return null;
+}
+
+/**
+ * Pull words and review logs changed remotely since the last pull
+ * @param {Object} options - Pull options
+ * @param {boolean} options.full - Pull everything and drop local rows purged remotely
+ * @returns {Promise<boolean>} Success status
+ */
+export async function pullChanges({ full = false } = {}) {
+    const userId = await getUserId();
+    const wordsKey = `wordsPulledAt:${userId}`;
+    const logsKey = `reviewLogsPulledAt:${userId}`;
+    const since = full ? null : await getMeta(wordsKey);
+
+    let query = supabase
+        .from('words')
+        .select('*')
+        .eq('user_id', userId);
+
+    if (since) {
+        query = query.gt('updated_at', since);
+    }
+
+    const { data, error } = await query
+        .order('updated_at', { ascending: true })
+        .limit(100000);
+
+    if (error) {
+        console.error('Error pulling words:', error);
+        return false;
+    }
+
+    const remoteRows = data || [];
+    const pending = await getPendingOperations();
+    const localRows = await getLocalWords(userId);
+    const localById = new Map(localRows.map(row => [row.id, row]));
+
+    const incoming = remoteRows
+        // Never bring back a word deleted locally but not pushed yet
+        .filter(remote => !pending.get(remote.id)?.has('delete'))
+        .map(remote => {
+            const local = localById.get(remote.id);
+            return local && pending.has(remote.id) ? mergeWordRows(local, remote) : remote;
+        });
+
+    await putLocalWords(incoming);
+
+    let removed = [];
+    if (!since) {
+        // Words moved to the trash elsewhere arrive like any other change (with
+        // deleted_at set); only a full pull can tell that one was purged for good
+        const remoteIds = new Set(remoteRows.map(row => row.id));
+        removed = localRows
+            .filter(row => !remoteIds.has(row.id) && !pending.has(row.id))
+            .map(row => row.id);
+        await deleteLocalWords(removed);
+    }
+
+    // The stored position also marks that this user's words have been pulled once
+    const pulledUpTo = remoteRows.length > 0
+        ? remoteRows[remoteRows.length - 1].updated_at
+        : (await getMeta(wordsKey)) || new Date(0).toISOString();
+    await setMeta(wordsKey, pulledUpTo);
+
+    const pulledLogs = await pullReviewLogs(userId, full ? null : await getMeta(logsKey), logsKey);
+
+    if (incoming.length > 0 || removed.length > 0 || pulledLogs > 0) {
+        changeListeners.forEach(listener => listener());
+    }
+
+    return pulledLogs >= 0;
+}
+
+/**
+ * Pull review logs written on other devices
+ * @param {string} userId - User ID
+ * @param {string|null} since - Only pull logs created after this time
+ * @param {string} metaKey - Meta key that stores the pull position
+ * @returns {Promise<number>} Number of logs pulled, or -1 on error
+ */
+async function pullReviewLogs(userId, since, metaKey) {
+    let query = supabase
+        .from('review_logs')
+        .select('*')
+        .eq('user_id', userId);
+
+    if (since) {
+        query = query.gt('created_at', since);
+    }
+
+    const { data, error } = await query
+        .order('created_at', { ascending: true })
+        .limit(100000);
+
+    if (error) {
+        console.error('Error pulling review logs:', error);
+        return -1;
+    }
+
+    const logs = data || [];
+    await putLocalReviewLogs(logs);
+
+    if (logs.length > 0) {
+        await setMeta(metaKey, logs[logs.length - 1].created_at);
+    }
+
+    return logs.length;
+}
+
+/**
+ * Collect the queued operations per row ID
+ * @returns {Promise<Map>} Map of row ID to a Set of ops
+ */
+async function getPendingOperations() {
+    const entries = await getOutboxEntries();
+    const pending = new Map();
+
+    entries
+        .filter(entry => entry.table === 'words')
+        .forEach(entry => {
+            if (!pending.has(entry.id)) {
+                pending.set(entry.id, new Set());
+            }
+            pending.get(entry.id).add(entry.op);
+        });
+
+    return pending;
+}
+
+/**
+ * Merge a locally changed word with its remote version
+ * Content fields follow last-writer-wins on updated_at. Scheduling fields
+ * come as a group from the side that has seen more reviews (then the later
+ * review, then the later write), so a review made offline is never lost to
+ * an unrelated edit made elsewhere.
+ * @param {Object} local - Local word row with unpushed changes
+ * @param {Object} remote - Remote word row
+ * @returns {Object} Merged word row
+ */
+export function mergeWordRows(local, remote) {
+    const localWrite = toTime(local.updated_at);
+    const remoteWrite = toTime(remote.updated_at);
+
+    const contentSource = localWrite > remoteWrite ? local : remote;
+    const schedulingSource = pickSchedulingSource(local, remote);
+
+    const merged = { ...remote };
+    CONTENT_FIELDS.forEach(field => {
+        merged[field] = contentSource[field];
+    });
+    SCHEDULING_FIELDS.forEach(field => {
+        merged[field] = schedulingSource[field];
+    });
+    merged.updated_at = localWrite > remoteWrite ? local.updated_at : remote.updated_at;
+
+    return merged;
+}
+
+/**
+ * Choose which version of a word carries the more recent memory state
+ * @param {Object} local - Local word row
+ * @param {Object} remote - Remote word row
+ * @returns {Object} The row to take scheduling fields from
+ */
+function pickSchedulingSource(local, remote) {
+    const localReps = local.reps ?? local.review_count ?? 0;
+    const remoteReps = remote.reps ?? remote.review_count ?? 0;
+
+    if (localReps !== remoteReps) {
+        return localReps > remoteReps ? local : remote;
+    }
+
+    const localReview = toTime(local.last_review);
+    const remoteReview = toTime(remote.last_review);
+
+    if (localReview !== remoteReview) {
+        return localReview > remoteReview ? local : remote;
+    }
+
+    return toTime(local.updated_at) > toTime(remote.updated_at) ? local : remote;
+}
+
+/**
+ * Convert a timestamp to milliseconds (0 when missing)
+ * @param {string|Date|null} value - Timestamp
+ * @returns {number} Milliseconds since epoch
+ */
+function toTime(value) {
+    const time = value ? new Date(value).getTime() : 0;
+    return Number.isNaN(time) ? 0 : time;
+}
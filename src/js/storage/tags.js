@@ -0,0 +1,269 @@
+/**
+ * Storage Tags Module
+ * Handles tags and decks used to organize saved words
+ *
+ * A word can carry any number of tags and belongs to at most one deck. Both
+ * are stored on every sense row of the word, so its senses stay together.
+ */
+
+import { getUserId } from '../supabase.js';
+import { getStorageAdapter } from './adapter.js';
+
+/**
+ * Normalize a tag: lowercase, trimmed, inner spaces turned into dashes
+ * @param {string} tag - Tag as typed
+ * @returns {string} Normalized tag ('' when nothing is left)
+ */
+export function normalizeTag(tag) {
+    return String(tag ?? '').trim().toLowerCase().replace(/^#+/, '').replace(/\s+/g, '-');
+}
+
+/**
+ * Normalize a list of tags, dropping empty and repeated ones
+ * @param {Array<string>|string} tags - Tags, or a comma/space separated string
+ * @returns {Array<string>} Normalized tags in their original order
+ */
+export function normalizeTags(tags) {
+    const list = typeof tags === 'string' ? tags.split(/[,\s]+/) : (tags || []);
+    return [...new Set(list.map(normalizeTag).filter(Boolean))];
+}
+
+/**
+ * Normalize a deck name: trimmed, inner whitespace collapsed (case is kept)
+ * @param {string} deck - Deck name as typed
+ * @returns {string} Deck name ('' for no deck)
+ */
+export function normalizeDeck(deck) {
+    return String(deck ?? '').trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Get every tag and deck in use, with the number of words in each
+ * @returns {Object} { tags: [{ name, count }], decks: [{ name, count }] } sorted by name
+ */
+export async function getTagsAndDecks() {
+    try {
+        const userId = await getUserId();
+
+        const { data, error } = await getStorageAdapter().listWords(userId);
+
+        if (error) {
+            console.error('Error fetching tags:', error);
+            return { tags: [], decks: [] };
+        }
+
+        // Count words, not senses: all senses of a word share its tags and deck
+        const tagWords = new Map();
+        const deckWords = new Map();
+
+        (data || []).forEach(row => {
+            const word = row.word.toLowerCase();
+            (row.tags || []).forEach(tag => addToGroup(tagWords, tag, word));
+            if (row.deck) {
+                addToGroup(deckWords, row.deck, word);
+            }
+        });
+
+        return { tags: toCounts(tagWords), decks: toCounts(deckWords) };
+    } catch (error) {
+        console.error('Error in getTagsAndDecks:', error);
+        return { tags: [], decks: [] };
+    }
+}
+
+/**
+ * Replace the tags of a word (all of its senses)
+ * @param {string} word - Word to tag
+ * @param {Array<string>} tags - New tags
+ * @returns {boolean} Success status
+ */
+export async function setWordTags(word, tags) {
+    const normalized = normalizeTags(tags);
+    return updateWordRows(word, () => ({ tags: normalized }));
+}
+
+/**
+ * Add tags to a word, keeping the ones it already has
+ * @param {string} word - Word to tag
+ * @param {Array<string>} tags - Tags to add
+ * @returns {boolean} Success status
+ */
+export async function addWordTags(word, tags) {
+    const added = normalizeTags(tags);
+    return updateWordRows(word, row => {
+        const merged = normalizeTags([...(row.tags || []), ...added]);
+        return merged.length === (row.tags || []).length ? null : { tags: merged };
+    });
+}
+
+/**
+ * Move a word (all of its senses) into a deck
+ * @param {string} word - Word to move
+ * @param {string} deck - Deck name ('' removes the word from its deck)
+ * @returns {boolean} Success status
+ */
+export async function setWordDeck(word, deck) {
+    const normalized = normalizeDeck(deck) || null;
+    return updateWordRows(word, () => ({ deck: normalized }));
+}
+
+/**
+ * Rename a tag on every word that has it (merges into the new tag if it exists)
+ * @param {string} oldName - Current tag
+ * @param {string} newName - New tag
+ * @returns {boolean} Success status
+ */
+export async function renameTag(oldName, newName) {
+    const from = normalizeTag(oldName);
+    const to = normalizeTag(newName);
+
+    if (!from || !to) {
+        return false;
+    }
+
+    return updateMatchingRows(
+        row => (row.tags || []).includes(from),
+        row => ({ tags: normalizeTags(row.tags.map(tag => (tag === from ? to : tag))) })
+    );
+}
+
+/**
+ * Remove a tag from every word that has it
+ * @param {string} name - Tag to remove
+ * @returns {boolean} Success status
+ */
+export async function deleteTag(name) {
+    const tag = normalizeTag(name);
+
+    return updateMatchingRows(
+        row => (row.tags || []).includes(tag),
+        row => ({ tags: row.tags.filter(existing => existing !== tag) })
+    );
+}
+
+/**
+ * Rename a deck (merges into the new deck if it exists)
+ * @param {string} oldName - Current deck name
+ * @param {string} newName - New deck name
+ * @returns {boolean} Success status
+ */
+export async function renameDeck(oldName, newName) {
+    const to = normalizeDeck(newName);
+
+    if (!to) {
+        return false;
+    }
+
+    return updateMatchingRows(row => row.deck === oldName, () => ({ deck: to }));
+}
+
+/**
+ * Delete a deck; its words stay saved without a deck
+ * @param {string} name - Deck name
+ * @returns {boolean} Success status
+ */
+export async function deleteDeck(name) {
+    return updateMatchingRows(row => row.deck === name, () => ({ deck: null }));
+}
+
+/**
+ * Update every sense row of a word
+ * @param {string} word - Word to update
+ * @param {Function} getFields - Returns the fields to write for a row (null to leave it)
+ * @returns {boolean} Success status
+ */
+async function updateWordRows(word, getFields) {
+    try {
+        const userId = await getUserId();
+        const adapter = getStorageAdapter();
+
+        const { data: rows, error: fetchError } = await adapter.findWord(userId, word);
+
+        if (fetchError) {
+            console.error('Error finding word to tag:', fetchError);
+            return false;
+        }
+
+        if (!rows || rows.length === 0) {
+            console.error('Word not found:', word);
+            return false;
+        }
+
+        return await writeRows(adapter, rows, getFields);
+    } catch (error) {
+        console.error('Error in updateWordRows:', error);
+        return false;
+    }
+}
+
+/**
+ * Update every saved row that matches a condition
+ * @param {Function} matches - Row predicate
+ * @param {Function} getFields - Returns the fields to write for a matching row
+ * @returns {boolean} Success status
+ */
+async function updateMatchingRows(matches, getFields) {
+    try {
+        const userId = await getUserId();
+        const adapter = getStorageAdapter();
+
+        const { data, error: fetchError } = await adapter.listWords(userId);
+
+        if (fetchError) {
+            console.error('Error fetching words to retag:', fetchError);
+            return false;
+        }
+
+        return await writeRows(adapter, (data || []).filter(matches), getFields);
+    } catch (error) {
+        console.error('Error in updateMatchingRows:', error);
+        return false;
+    }
+}
+
+/**
+ * Write the fields returned for each row
+ * @param {Object} adapter - Storage adapter
+ * @param {Array} rows - Word rows
+ * @param {Function} getFields - Returns the fields to write for a row (null to leave it)
+ * @returns {boolean} True when every write succeeded
+ */
+async function writeRows(adapter, rows, getFields) {
+    for (const row of rows) {
+        const fields = getFields(row);
+        if (!fields) continue;
+
+        const { error } = await adapter.updateWord(row.id, fields);
+
+        if (error) {
+            console.error('Error updating word tags:', error);
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Add a word to a tag or deck group
+ * @param {Map} groups - Group name to set of words
+ * @param {string} name - Group name
+ * @param {string} word - Lowercased word
+ */
+function addToGroup(groups, name, word) {
+    if (!groups.has(name)) {
+        groups.set(name, new Set());
+    }
+    groups.get(name).add(word);
+}
+
+/**
+ * Turn grouped words into sorted counts
+ * @param {Map} groups - Group name to set of words
+ * @returns {Array} [{ name, count }] sorted by name
+ */
+function toCounts(groups) {
+    return [...groups.entries()]
+        .map(([name, words]) => ({ name, count: words.size }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
@@ -0,0 +1,197 @@
+/**
+ * Storage Trash Module
+ * Handles deleted words: listing, restoring, purging and undoing the last deletion
+ *
+ * Deleting a word only stamps its rows with `deleted_at`; they stay in the
+ * trash (with their review history) until purged by hand or after
+ * TRASH_RETENTION_DAYS. Rows deleted by one action share the same stamp, so
+ * the whole action can be undone at once.
+ */
+
+import { getUserId } from '../supabase.js';
+import { getStorageAdapter } from './adapter.js';
+
+// Days a deleted word stays in the trash before it is purged automatically
+export const TRASH_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stamp of the most recent deletion, for undo
+let lastDeletedAt = null;
+
+/**
+ * Start a deletion: returns the stamp to give its rows and remembers it for undo
+ * @returns {string} Deletion time (ISO string)
+ */
+export function beginDeletion() {
+    lastDeletedAt = new Date().toISOString();
+    return lastDeletedAt;
+}
+
+/**
+ * Get the words in the trash, most recently deleted first
+ * @returns {Array} Word objects with deletedAt and purgeAt
+ */
+export async function getDeletedWords() {
+    try {
+        const userId = await getUserId();
+
+        const { data, error } = await getStorageAdapter().listTrashedWords(userId);
+
+        if (error) {
+            console.error('Error fetching deleted words:', error);
+            return [];
+        }
+
+        return (data || []).map(row => ({
+            id: row.id,
+            word: row.word,
+            definition: row.definition,
+            example: row.example,
+            senseIndex: row.sense_index ?? 0,
+            partOfSpeech: row.part_of_speech || '',
+            reviewCount: row.review_count || 0,
+            deletedAt: row.deleted_at,
+            purgeAt: new Date(new Date(row.deleted_at).getTime() + TRASH_RETENTION_DAYS * DAY_MS).toISOString()
+        }));
+    } catch (error) {
+        console.error('Error in getDeletedWords:', error);
+        return [];
+    }
+}
+
+/**
+ * Restore word rows from the trash
+ * A row is skipped when the same sense of the word has been saved again since.
+ * @param {Array<string>} ids - Word row IDs
+ * @returns {Object} { restored, skipped, failed }
+ */
+export async function restoreWords(ids) {
+    const result = { restored: 0, skipped: 0, failed: 0 };
+
+    try {
+        const userId = await getUserId();
+        const adapter = getStorageAdapter();
+
+        const [{ data: liveRows, error: liveError }, { data: trashedRows, error: trashError }] = await Promise.all([
+            adapter.listWords(userId),
+            adapter.listTrashedWords(userId)
+        ]);
+
+        if (liveError || trashError) {
+            console.error('Error fetching words to restore:', liveError || trashError);
+            result.failed = ids.length;
+            return result;
+        }
+
+        const liveSenses = new Set((liveRows || []).map(getSenseKey));
+        const idSet = new Set(ids);
+
+        for (const row of (trashedRows || []).filter(trashed => idSet.has(trashed.id))) {
+            const key = getSenseKey(row);
+
+            if (liveSenses.has(key)) {
+                result.skipped++;
+                continue;
+            }
+
+            const { error } = await adapter.updateWord(row.id, { deleted_at: null });
+
+            if (error) {
+                console.error('Error restoring word:', error);
+                result.failed++;
+                continue;
+            }
+
+            liveSenses.add(key);
+            result.restored++;
+        }
+
+        return result;
+    } catch (error) {
+        console.error('Error in restoreWords:', error);
+        result.failed = ids.length - result.restored - result.skipped;
+        return result;
+    }
+}
+
+/**
+ * Undo the most recent deletion by restoring every row it moved to the trash
+ * @returns {Object} { restored, skipped, failed } (all 0 when there is nothing to undo)
+ */
+export async function undoLastDeletion() {
+    if (!lastDeletedAt) {
+        return { restored: 0, skipped: 0, failed: 0 };
+    }
+
+    const deletedAt = new Date(lastDeletedAt).getTime();
+    lastDeletedAt = null;
+
+    const deleted = await getDeletedWords();
+    return restoreWords(deleted
+        .filter(word => new Date(word.deletedAt).getTime() === deletedAt)
+        .map(word => word.id));
+}
+
+/**
+ * Delete word rows for good, with their review history
+ * @param {Array<string>} ids - Word row IDs
+ * @returns {boolean} Success status
+ */
+export async function purgeWords(ids) {
+    if (ids.length === 0) {
+        return true;
+    }
+
+    try {
+        const userId = await getUserId();
+
+        const { error } = await getStorageAdapter().purgeWords(userId, ids);
+
+        if (error) {
+            console.error('Error purging words:', error);
+            return false;
+        }
+
+        return true;
+    } catch (error) {
+        console.error('Error in purgeWords:', error);
+        return false;
+    }
+}
+
+/**
+ * Delete every word in the trash for good
+ * @returns {boolean} Success status
+ */
+export async function emptyTrash() {
+    const deleted = await getDeletedWords();
+    return purgeWords(deleted.map(word => word.id));
+}
+
+/**
+ * Purge words that have been in the trash longer than TRASH_RETENTION_DAYS
+ * @param {Date} now - Current time
+ * @returns {number} Number of purged rows (0 on error)
+ */
+export async function purgeExpiredTrash(now = new Date()) {
+    const deleted = await getDeletedWords();
+    const expired = deleted
+        .filter(word => new Date(word.purgeAt) <= now)
+        .map(word => word.id);
+
+    if (expired.length === 0) {
+        return 0;
+    }
+
+    return (await purgeWords(expired)) ? expired.length : 0;
+}
+
+/**
+ * Identify a sense of a word regardless of case
+ * @param {Object} row - Word row
+ * @returns {string} Sense key
+ */
+function getSenseKey(row) {
+    return `${row.word.toLowerCase()}#${row.sense_index ?? 0}`;
+}
@@ -0,0 +1,339 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// In-memory stand-in for the IndexedDB store
+const db = vi.hoisted(() => ({ words: new Map(), logs: new Map(), outbox: [], meta: new Map(), seq: 0 }));
+
+vi.mock('./storage/localStore.js', () => ({
+    isLocalStoreAvailable: () => true,
+    getLocalWords: async userId => [...db.words.values()].filter(row => row.user_id === userId),
+    getLocalWord: async id => db.words.get(id),
+    putLocalWords: async rows => rows.forEach(row => db.words.set(row.id, { ...row })),
+    deleteLocalWords: async ids => ids.forEach(id => db.words.delete(id)),
+    getLocalReviewLogs: async userId => [...db.logs.values()].filter(row => row.user_id === userId),
+    getLocalReviewLog: async id => db.logs.get(id),
+    putLocalReviewLogs: async rows => rows.forEach(row => db.logs.set(row.id, { ...row })),
+    deleteLocalReviewLogs: async ids => ids.forEach(id => db.logs.delete(id)),
+    addOutboxEntry: async entry => { db.outbox.push({ ...entry, seq: ++db.seq }); },
+    updateOutboxEntry: async entry => { db.outbox = db.outbox.map(e => (e.seq === entry.seq ? entry : e)); },
+    getOutboxEntries: async () => db.outbox.map(entry => ({ ...entry })),
+    removeOutboxEntry: async seq => { db.outbox = db.outbox.filter(entry => entry.seq !== seq); },
+    getMeta: async key => db.meta.get(key) ?? null,
+    setMeta: async (key, value) => { db.meta.set(key, value); }
+}));
+
+vi.mock('./supabase.js', () => ({
+    supabase: { from: vi.fn() },
+    getUserId: vi.fn(() => Promise.resolve('user-1'))
+}));
+
+import { mergeWordRows, pushChanges, pullChanges } from './storage/sync.js';
+import {
+    saveWord,
+    getSavedWords,
+    updateWordReviewFSRS,
+    revertWordReview,
+    deleteWord,
+    getSavedWordsPaginated,
+    getDeletedWords,
+    restoreWords,
+    undoLastDeletion,
+    purgeExpiredTrash
+} from './storage/index.js';
+import { supabase } from './supabase.js';
+
+// Chainable Supabase query mock that resolves to `result` when awaited
+function createQuery(result) {
+    const query = {
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+    };
+    ['select', 'eq', 'is', 'gt', 'ilike', 'order', 'limit', 'update', 'delete', 'upsert'].forEach(method => {
+        query[method] = vi.fn(() => query);
+    });
+    return query;
+}
+
+const remoteWord = {
+    id: 'w1',
+    user_id: 'user-1',
+    word: 'brave',
+    definition: 'Courageous',
+    example: 'She was brave.',
+    timestamp: '2024-01-01T00:00:00.000Z',
+    reps: 2,
+    lapses: 0,
+    stability: 4,
+    difficulty: 5,
+    last_review: '2024-01-05T00:00:00.000Z',
+    next_review: '2024-01-09T00:00:00.000Z',
+    updated_at: '2024-01-05T00:00:00.000Z'
+};
+
+describe('Offline Sync', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+        db.words.clear();
+        db.logs.clear();
+        db.outbox = [];
+        db.meta.clear();
+        // The collection has already been pulled once
+        db.meta.set('wordsPulledAt:user-1', '2024-01-05T00:00:00.000Z');
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    describe('mergeWordRows', () => {
+        it('should keep the newer edit for content fields', () => {
+            const local = { ...remoteWord, definition: 'Brave (edited offline)', updated_at: '2024-01-06T00:00:00.000Z' };
+            const remote = { ...remoteWord, definition: 'Old', updated_at: '2024-01-04T00:00:00.000Z' };
+
+            expect(mergeWordRows(local, remote).definition).toBe('Brave (edited offline)');
+        });
+
+        it('should take scheduling from the version with more reviews', () => {
+            const local = { ...remoteWord, reps: 3, stability: 9, updated_at: '2024-01-06T00:00:00.000Z' };
+            const remote = { ...remoteWord, definition: 'Edited elsewhere', updated_at: '2024-01-07T00:00:00.000Z' };
+
+            const merged = mergeWordRows(local, remote);
+
+            expect(merged.reps).toBe(3);
+            expect(merged.stability).toBe(9);
+            expect(merged.definition).toBe('Edited elsewhere');
+        });
+    });
+
+    describe('Local writes', () => {
+        it('should save words locally and queue them without touching the network', async () => {
+            expect(await saveWord('calm', 'Peaceful', 'Stay calm.')).toBe(true);
+
+            const words = await getSavedWords();
+            expect(words.map(w => w.word)).toEqual(['calm']);
+            expect(db.outbox).toEqual([expect.objectContaining({ table: 'words', op: 'insert' })]);
+            expect(supabase.from).not.toHaveBeenCalled();
+        });
+
+        it('should review a word offline and queue the update and the review log', async () => {
+            db.words.set('w1', { ...remoteWord });
+
+            expect(await updateWordReviewFSRS('brave', true, 2000, { rating: 3 })).toBe(true);
+
+            expect(db.words.get('w1').reps).toBe(3);
+            expect(db.logs.size).toBe(1);
+            expect(db.outbox.map(e => `${e.table}:${e.op}`)).toEqual(['words:update', 'review_logs:insert']);
+        });
+
+        it('should revert a review to the previous schedule and drop its log', async () => {
+            db.words.set('w1', { ...remoteWord });
+            await updateWordReviewFSRS('brave', true, 2000, { rating: 3, reviewId: 'r1' });
+
+            expect(await revertWordReview('r1')).toBe(true);
+
+            const word = db.words.get('w1');
+            expect(word.reps).toBe(2);
+            expect(word.stability).toBe(4);
+            expect(word.next_review).toBe(remoteWord.next_review);
+            expect(db.logs.size).toBe(0);
+            expect(db.outbox.map(e => `${e.table}:${e.op}`)).toEqual(['words:update', 'review_logs:insert', 'words:update', 'review_logs:delete']);
+            expect(await revertWordReview('r1')).toBe(false);
+        });
+
+        it('should move a deleted word to the trash and keep its review logs', async () => {
+            db.words.set('w1', { ...remoteWord });
+            db.logs.set('l1', { id: 'l1', user_id: 'user-1', word_id: 'w1' });
+
+            expect(await deleteWord('BRAVE')).toBe(true);
+
+            expect(db.words.get('w1').deleted_at).toEqual(expect.any(String));
+            expect(db.logs.size).toBe(1);
+            expect(db.outbox).toEqual([expect.objectContaining({ op: 'update', id: 'w1', fields: ['deleted_at'] })]);
+            expect(await getSavedWords()).toEqual([]);
+        });
+    });
+
+    describe('Trash', () => {
+        it('should undo the last deletion', async () => {
+            db.words.set('w1', { ...remoteWord });
+            db.words.set('w2', { ...remoteWord, id: 'w2', sense_index: 1 });
+            await deleteWord('brave');
+
+            expect(await undoLastDeletion()).toEqual({ restored: 2, skipped: 0, failed: 0 });
+
+            expect((await getSavedWords()).map(w => w.id).sort()).toEqual(['w1', 'w2']);
+            expect(await getDeletedWords()).toEqual([]);
+        });
+
+        it('should only undo the most recent deletion', async () => {
+            db.words.set('w1', { ...remoteWord });
+            db.words.set('w2', { ...remoteWord, id: 'w2', word: 'calm', deleted_at: '2024-01-01T00:00:00.000Z' });
+            await deleteWord('brave');
+
+            await undoLastDeletion();
+
+            expect((await getSavedWords()).map(w => w.word)).toEqual(['brave']);
+            expect((await undoLastDeletion()).restored).toBe(0);
+        });
+
+        it('should not restore a sense that has been saved again', async () => {
+            db.words.set('w1', { ...remoteWord, deleted_at: '2024-01-06T00:00:00.000Z' });
+            db.words.set('w2', { ...remoteWord, id: 'w2', word: 'Brave' });
+
+            expect(await restoreWords(['w1'])).toEqual({ restored: 0, skipped: 1, failed: 0 });
+            expect(db.words.get('w1').deleted_at).toBe('2024-01-06T00:00:00.000Z');
+        });
+
+        it('should purge words older than the retention period with their review logs', async () => {
+            db.words.set('w1', { ...remoteWord, deleted_at: '2024-01-01T00:00:00.000Z' });
+            db.words.set('w2', { ...remoteWord, id: 'w2', word: 'calm', deleted_at: '2024-01-20T00:00:00.000Z' });
+            db.logs.set('l1', { id: 'l1', user_id: 'user-1', word_id: 'w1' });
+
+            expect(await purgeExpiredTrash(new Date('2024-02-05T00:00:00.000Z'))).toBe(1);
+
+            expect([...db.words.keys()]).toEqual(['w2']);
+            expect(db.logs.size).toBe(0);
+            expect((await getDeletedWords()).map(w => w.word)).toEqual(['calm']);
+        });
+    });
+
+    describe('Local search and sort', () => {
+        beforeEach(() => {
+            db.words.set('w1', { ...remoteWord });
+            db.words.set('w2', { ...remoteWord, id: 'w2', word: 'calm', definition: 'Peaceful', example: 'Stay calm.', difficulty: 7, timestamp: '2024-01-02T00:00:00.000Z' });
+            db.words.set('w3', { ...remoteWord, id: 'w3', word: 'anchor', definition: 'Holds a ship', example: 'Keep calm and drop anchor.', difficulty: null, timestamp: '2024-01-03T00:00:00.000Z' });
+        });
+
+        it('should search word, definition and example without the network', async () => {
+            const result = await getSavedWordsPaginated(1, 50, 'all', { search: 'CALM' });
+
+            expect(result.words.map(w => w.word)).toEqual(['anchor', 'calm']);
+            expect(result.totalCount).toBe(2);
+            expect(supabase.from).not.toHaveBeenCalled();
+        });
+
+        it('should pick up edits to a word it has already searched', async () => {
+            await getSavedWordsPaginated(1, 50, 'all', { search: 'fearless' });
+            db.words.set('w1', { ...remoteWord, definition: 'Fearless', updated_at: '2024-01-08T00:00:00.000Z' });
+
+            const result = await getSavedWordsPaginated(1, 50, 'all', { search: 'fearless' });
+
+            expect(result.words.map(w => w.word)).toEqual(['brave']);
+        });
+
+        it('should sort and keep words without a value last', async () => {
+            const alphabetical = await getSavedWordsPaginated(1, 50, 'all', { sort: 'alphabetical' });
+            const hardest = await getSavedWordsPaginated(1, 50, 'all', { sort: 'difficulty' });
+            const paged = await getSavedWordsPaginated(2, 2, 'all', { sort: 'alphabetical' });
+
+            expect(alphabetical.words.map(w => w.word)).toEqual(['anchor', 'brave', 'calm']);
+            expect(hardest.words.map(w => w.word)).toEqual(['calm', 'brave', 'anchor']);
+            expect(paged.words.map(w => w.word)).toEqual(['calm']);
+        });
+    });
+
+    describe('pushChanges', () => {
+        it('should send queued changes in order and empty the outbox', async () => {
+            db.words.set('w1', { ...remoteWord, definition: 'Fearless' });
+            db.outbox = [{ seq: 1, table: 'words', op: 'update', id: 'w1', fields: ['definition'], attempts: 0 }];
+            const query = createQuery({ error: null });
+            supabase.from.mockReturnValue(query);
+
+            expect(await pushChanges()).toBe(true);
+
+            expect(query.update).toHaveBeenCalledWith({ definition: 'Fearless' });
+            expect(query.eq).toHaveBeenCalledWith('id', 'w1');
+            expect(db.outbox).toEqual([]);
+        });
+
+        it('should stop at the first failure and keep the change for later', async () => {
+            db.words.set('w1', { ...remoteWord });
+            db.outbox = [
+                { seq: 1, table: 'words', op: 'insert', id: 'w1', attempts: 0 },
+                { seq: 2, table: 'words', op: 'delete', id: 'w1', attempts: 0 }
+            ];
+            supabase.from.mockReturnValue(createQuery({ error: { message: 'Network error' } }));
+
+            expect(await pushChanges()).toBe(false);
+
+            expect(supabase.from).toHaveBeenCalledTimes(1);
+            expect(db.outbox.map(e => e.attempts)).toEqual([1, 0]);
+        });
+
+        it('should let another device pull a word inserted offline with an old clock', async () => {
+            // Server words table: an insert gets the server time for updated_at
+            const serverRows = [];
+            const serverTime = '2024-01-10T00:00:00.000Z';
+            const serverQuery = () => {
+                let rows = serverRows;
+                const query = createQuery(null);
+                query.upsert = vi.fn(row => {
+                    serverRows.push({ ...row, updated_at: row.updated_at ?? serverTime });
+                    return query;
+                });
+                query.gt = vi.fn((column, value) => {
+                    rows = rows.filter(row => row[column] > value);
+                    return query;
+                });
+                query.then = (resolve, reject) => Promise.resolve({ data: rows, error: null }).then(resolve, reject);
+                return query;
+            };
+            supabase.from.mockImplementation(table => (table === 'words' ? serverQuery() : createQuery({ data: [], error: null })));
+
+            // Added offline on a device whose clock is behind the other device's watermark
+            db.words.set('w2', { ...remoteWord, id: 'w2', word: 'calm', created_at: '2024-01-02T00:00:00.000Z', updated_at: '2024-01-02T00:00:00.000Z' });
+            db.outbox = [{ seq: 1, table: 'words', op: 'insert', id: 'w2', attempts: 0 }];
+            expect(await pushChanges()).toBe(true);
+
+            // The other device has pulled up to 2024-01-05 and has never seen the word
+            db.words.clear();
+            expect(await pullChanges()).toBe(true);
+
+            expect(db.words.get('w2')).toMatchObject({ word: 'calm', updated_at: serverTime });
+        });
+
+        it('should delete a review log that was removed locally', async () => {
+            db.outbox = [{ seq: 1, table: 'review_logs', op: 'delete', id: 'l1', attempts: 0 }];
+            const query = createQuery({ error: null });
+            supabase.from.mockReturnValue(query);
+
+            expect(await pushChanges()).toBe(true);
+
+            expect(supabase.from).toHaveBeenCalledWith('review_logs');
+            expect(query.delete).toHaveBeenCalled();
+            expect(query.eq).toHaveBeenCalledWith('id', 'l1');
+        });
+    });
+
+    describe('pullChanges', () => {
+        it('should merge remote edits with a review that was not pushed yet', async () => {
+            db.words.set('w1', { ...remoteWord, reps: 3, stability: 9, updated_at: '2024-01-06T00:00:00.000Z' });
+            db.outbox = [{ seq: 1, table: 'words', op: 'update', id: 'w1', fields: ['reps', 'stability'], attempts: 0 }];
+
+            const remoteEdit = { ...remoteWord, definition: 'Edited elsewhere', updated_at: '2024-01-07T00:00:00.000Z' };
+            const wordsQuery = createQuery({ data: [remoteEdit], error: null });
+            supabase.from
+                .mockReturnValueOnce(wordsQuery)
+                .mockReturnValueOnce(createQuery({ data: [], error: null }));
+
+            expect(await pullChanges()).toBe(true);
+
+            expect(wordsQuery.gt).toHaveBeenCalledWith('updated_at', '2024-01-05T00:00:00.000Z');
+            expect(db.words.get('w1')).toMatchObject({ definition: 'Edited elsewhere', reps: 3, stability: 9 });
+            expect(db.meta.get('wordsPulledAt:user-1')).toBe('2024-01-07T00:00:00.000Z');
+        });
+
+        it('should drop words deleted remotely on a full pull but keep unpushed ones', async () => {
+            db.words.set('w1', { ...remoteWord });
+            db.words.set('w2', { ...remoteWord, id: 'w2', word: 'calm' });
+            db.outbox = [{ seq: 1, table: 'words', op: 'insert', id: 'w2', attempts: 0 }];
+
+            supabase.from
+                .mockReturnValueOnce(createQuery({ data: [], error: null }))
+                .mockReturnValueOnce(createQuery({ data: [], error: null }));
+
+            expect(await pullChanges({ full: true })).toBe(true);
+
+            expect([...db.words.keys()]).toEqual(['w2']);
+        });
+    });
+});
@@ -0,0 +1,156 @@
+/**
+ * Text Mining Module
+ * Extracts unknown words, with the sentence they appear in, from a pasted text
+ */
+
+import { getIrregularBases, normalizeAnswer } from './exercise/answerMatching.js';
+import { COMMON_WORDS } from './commonWords.js';
+
+// How many of the most frequent words are skipped by default
+const DEFAULT_COMMON_WORDS_LIMIT = 500;
+
+// Shortest word worth suggesting
+const MIN_WORD_LENGTH = 3;
+
+// Letters with optional inner apostrophes (don't, learner's)
+const WORD_PATTERN = /[a-zà-öø-ÿ]+(?:['’][a-zà-öø-ÿ]+)*/gi;
+
+/**
+ * Split a text into sentences
+ * @param {string} text - Pasted paragraph or article
+ * @returns {string[]} Trimmed sentences
+ */
+export function splitSentences(text) {
+    return (text || '')
+        .replace(/\s+/g, ' ')
+        .split(/(?<=[.!?…]["'”’)\]]*)\s+/)
+        .map(sentence => sentence.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Parse a user-supplied frequency list (one word per line, commas or spaces also work)
+ * @param {string} text - Raw list, most frequent word first
+ * @returns {string[]} Normalized words in the original order
+ */
+export function parseFrequencyList(text) {
+    return [...new Set((text || '')
+        .split(/[\s,;]+/)
+        .map(word => normalizeAnswer(word))
+        .filter(Boolean))];
+}
+
+/**
+ * Possible dictionary forms of an inflected word, most likely first
+ * Only inflections are undone (plurals, -ed, -ing and irregular forms), not
+ * derivations: "farmer" and "runner" are words of their own.
+ * @param {string} word - Normalized word
+ * @returns {string[]} Candidate lemmas
+ */
+function inflectionCandidates(word) {
+    const candidates = [...getIrregularBases(word)];
+    const add = (stem) => {
+        if (stem.length >= MIN_WORD_LENGTH && stem !== word) candidates.push(stem);
+    };
+
+    if (word.endsWith('ies') || word.endsWith('ied')) {
+        add(word.slice(0, -3) + 'y');
+    }
+    // -es only follows a sibilant or o (boxes, goes); "cares" is care + s
+    if (/(?:s|x|z|ch|sh|o)es$/.test(word)) {
+        add(word.slice(0, -2));
+    }
+    if (word.endsWith('s') && !word.endsWith('ss')) {
+        add(word.slice(0, -1));
+    }
+
+    ['ed', 'ing'].forEach(suffix => {
+        if (!word.endsWith(suffix)) return;
+
+        const stem = word.slice(0, -suffix.length);
+
+        // A consonant-vowel-consonant stem has usually lost a final e (caring -> care)
+        if (/[^aeiou][aeiou][^aeiouwxy]$/.test(stem)) {
+            add(stem + 'e');
+            add(stem);
+        } else {
+            add(stem);
+            add(stem + 'e');
+        }
+
+        // Doubled final consonant (running -> run)
+        if (stem.length > 1 && stem[stem.length - 1] === stem[stem.length - 2]) {
+            add(stem.slice(0, -1));
+        }
+    });
+
+    return candidates;
+}
+
+/**
+ * Reduce a word to its dictionary form
+ * Prefers a base form the lexicon knows (went -> go, studies -> study),
+ * otherwise only strips a regular plural
+ * @param {string} word - Normalized word
+ * @param {Set} lexicon - Known dictionary forms
+ * @returns {string} Lemma
+ */
+export function lemmatize(word, lexicon = new Set()) {
+    const candidates = inflectionCandidates(word);
+    const known = candidates.find(candidate => lexicon.has(candidate));
+    if (known) return known;
+    if (lexicon.has(word)) return word;
+
+    if (word.endsWith('ies') && word.length > 4) {
+        return word.slice(0, -3) + 'y';
+    }
+    if (/[^aeiosu]s$/.test(word) && word.length > 4) {
+        return word.slice(0, -1);
+    }
+    return word;
+}
+
+/**
+ * Find the words of a text the learner probably does not know yet
+ * @param {string} text - Pasted paragraph or article
+ * @param {Object} options - Filters
+ * @param {Set} options.knownWords - Lowercased words already in the collection
+ * @param {string[]} options.frequencyList - Common words, most frequent first
+ * @param {number} options.commonLimit - How many of the most frequent words to skip
+ * @returns {Array} Candidates { word, form, sentence, count } in reading order
+ */
+export function extractCandidates(text, {
+    knownWords = new Set(),
+    frequencyList = COMMON_WORDS,
+    commonLimit = DEFAULT_COMMON_WORDS_LIMIT
+} = {}) {
+    const commonWords = new Set(frequencyList.slice(0, commonLimit));
+    const lexicon = new Set([...frequencyList, ...knownWords]);
+    const candidates = new Map();
+
+    splitSentences(text).forEach(sentence => {
+        [...sentence.matchAll(WORD_PATTERN)].forEach((match, position) => {
+            const form = match[0];
+
+            // Capitalized words inside a sentence are most likely names
+            if (position > 0 && form[0] !== form[0].toLowerCase()) return;
+
+            // Contractions are skipped, possessives keep their noun (learner's -> learner)
+            const normalized = normalizeAnswer(form.replace(/['’]s$/i, ''));
+            if (normalized.length < MIN_WORD_LENGTH || /['’]/.test(normalized)) return;
+
+            const lemma = lemmatize(normalized, lexicon);
+            if (knownWords.has(normalized) || knownWords.has(lemma)) return;
+            if (commonWords.has(normalized) || commonWords.has(lemma)) return;
+
+            const existing = candidates.get(lemma);
+            if (existing) {
+                existing.count++;
+            } else {
+                candidates.set(lemma, { word: lemma, form, sentence, count: 1 });
+            }
+        });
+    });
+
+    return [...candidates.values()];
+}
@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import {
+    splitSentences,
+    parseFrequencyList,
+    lemmatize,
+    extractCandidates
+} from './textMining.js';
+
+describe('Text Mining', () => {
+    describe('splitSentences', () => {
+        it('should split on sentence punctuation and keep closing quotes', () => {
+            expect(splitSentences('"Wait!" she said.  Is it  over? Yes…\nIt is.')).toEqual([
+                '"Wait!"',
+                'she said.',
+                'Is it over?',
+                'Yes…',
+                'It is.'
+            ]);
+        });
+    });
+
+    describe('parseFrequencyList', () => {
+        it('should accept lines, commas and spaces and drop duplicates', () => {
+            expect(parseFrequencyList('The\nof, and  of\n\nCafé')).toEqual(['the', 'of', 'and', 'cafe']);
+        });
+    });
+
+    describe('lemmatize', () => {
+        it('should prefer base forms the lexicon knows', () => {
+            const lexicon = new Set(['go', 'study', 'run', 'stop']);
+
+            expect(lemmatize('went', lexicon)).toBe('go');
+            expect(lemmatize('studies', lexicon)).toBe('study');
+            expect(lemmatize('running', lexicon)).toBe('run');
+            expect(lemmatize('stopped', lexicon)).toBe('stop');
+        });
+
+        it('should restore a dropped e and undo inflections only', () => {
+            const lexicon = new Set(['car', 'care', 'farm', 'run', 'box', 'walk', 'hope', 'hop']);
+
+            expect(lemmatize('caring', lexicon)).toBe('care');
+            expect(lemmatize('cared', lexicon)).toBe('care');
+            expect(lemmatize('cares', lexicon)).toBe('care');
+            expect(lemmatize('hoping', lexicon)).toBe('hope');
+            expect(lemmatize('hopping', lexicon)).toBe('hop');
+            expect(lemmatize('walking', lexicon)).toBe('walk');
+            expect(lemmatize('boxes', lexicon)).toBe('box');
+            expect(lemmatize('farmer', lexicon)).toBe('farmer');
+            expect(lemmatize('runner', lexicon)).toBe('runner');
+            expect(lemmatize('farmers', lexicon)).toBe('farmer');
+        });
+
+        it('should only strip regular plurals of unknown words', () => {
+            expect(lemmatize('ramifications')).toBe('ramification');
+            expect(lemmatize('anomalies')).toBe('anomaly');
+            expect(lemmatize('mitigated')).toBe('mitigated');
+            expect(lemmatize('ambiguous')).toBe('ambiguous');
+            expect(lemmatize('analysis')).toBe('analysis');
+        });
+    });
+
+    describe('extractCandidates', () => {
+        const text = "The committee's findings were ambiguous. Critics argued that Smith mitigated the ramifications. Ambiguous wording doesn't help.";
+
+        it('should skip common words, names, contractions and short words', () => {
+            const words = extractCandidates(text).map(candidate => candidate.word);
+
+            expect(words).toEqual(['committee', 'finding', 'ambiguous', 'critic', 'argued', 'mitigated', 'ramification']);
+        });
+
+        it('should skip words already in the collection', () => {
+            const words = extractCandidates(text, { knownWords: new Set(['critic', 'ambiguous']) })
+                .map(candidate => candidate.word);
+
+            expect(words).not.toContain('critic');
+            expect(words).not.toContain('ambiguous');
+        });
+
+        it('should keep the first sentence and count repeats', () => {
+            const ambiguous = extractCandidates(text).find(candidate => candidate.word === 'ambiguous');
+
+            expect(ambiguous).toEqual({
+                word: 'ambiguous',
+                form: 'ambiguous',
+                sentence: "The committee's findings were ambiguous.",
+                count: 2
+            });
+        });
+
+        it('should not reduce derived words to a common base word', () => {
+            const words = extractCandidates('The farmer and the runner.').map(candidate => candidate.word);
+
+            expect(words).toEqual(['farmer', 'runner']);
+        });
+
+        it('should use a custom frequency list and limit', () => {
+            const words = extractCandidates('Serendipity is a lovely word.', {
+                frequencyList: ['is', 'lovely', 'word', 'serendipity'],
+                commonLimit: 3
+            }).map(candidate => candidate.word);
+
+            expect(words).toEqual(['serendipity']);
+        });
+    });
+});
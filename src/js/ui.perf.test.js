@@ -4,8 +4,23 @@ import { describe, it, expect, beforeEach, vi } from 'vitest';
 vi.mock('./storage/index.js', () => ({
     getSavedWordsPaginated: vi.fn(),
     deleteWord: vi.fn(),
-    updateWord: vi.fn(),
-    exportWords: vi.fn()
+    getWordIfExists: vi.fn(),
+    updateWordSenses: vi.fn(),
+    exportWords: vi.fn(),
+    getTagsAndDecks: vi.fn(),
+    renameTag: vi.fn(),
+    deleteTag: vi.fn(),
+    renameDeck: vi.fn(),
+    deleteDeck: vi.fn(),
+    normalizeTag: vi.fn(),
+    normalizeDeck: vi.fn(),
+    normalizeTags: vi.fn(),
+    deleteWordsById: vi.fn(),
+    resetWordsScheduling: vi.fn(),
+    addTagsToWords: vi.fn(),
+    setWordExample: vi.fn(),
+    getAllMatchingWords: vi.fn(),
+    undoLastDeletion: vi.fn()
 }));
 
 import { displaySavedWords } from './ui/index.js';
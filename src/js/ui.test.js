@@ -4,11 +4,33 @@ import { describe, it, expect, beforeEach, vi } from 'vitest';
 vi.mock('./storage/index.js', () => ({
     getSavedWordsPaginated: vi.fn(),
     deleteWord: vi.fn(),
-    updateWord: vi.fn(),
-    exportWords: vi.fn()
+    getWordIfExists: vi.fn(),
+    updateWordSenses: vi.fn(),
+    exportWords: vi.fn(),
+    getTagsAndDecks: vi.fn(),
+    renameTag: vi.fn(),
+    deleteTag: vi.fn(),
+    renameDeck: vi.fn(),
+    deleteDeck: vi.fn(),
+    normalizeTag: vi.fn(),
+    normalizeDeck: vi.fn(),
+    normalizeTags: vi.fn(),
+    deleteWordsById: vi.fn(),
+    resetWordsScheduling: vi.fn(),
+    addTagsToWords: vi.fn(),
+    setWordExample: vi.fn(),
+    getAllMatchingWords: vi.fn(),
+    TRASH_RETENTION_DAYS: 30,
+    getDeletedWords: vi.fn(),
+    restoreWords: vi.fn(),
+    purgeWords: vi.fn(),
+    emptyTrash: vi.fn(),
+    undoLastDeletion: vi.fn(),
+    getWordReviewHistory: vi.fn()
 }));
 
-import { displaySavedWords, initTabs } from './ui/index.js';
+import { displaySavedWords, initTabs, initFilterControls, showTrashModal } from './ui/index.js';
+import { buildForgettingCurve } from './ui/wordDetail.js';
 import * as storage from './storage/index.js';
 
 describe('UI Functions', () => {
@@ -124,6 +146,37 @@ describe('UI Functions', () => {
             expect(editBtn.getAttribute('data-word')).toBe('test');
         });
 
+        it('should keep quotes and markup in a word inside its button data', async () => {
+            storage.getSavedWordsPaginated.mockResolvedValue({
+                words: [{ word: '"x" <b>', definition: 'AT&amp;T "quoted"', example: '', timestamp: new Date().toISOString() }],
+                totalCount: 1,
+                totalPages: 1,
+                currentPage: 1
+            });
+
+            await displaySavedWords();
+
+            const editBtn = document.querySelector('.edit-btn');
+            expect(editBtn.dataset.word).toBe('"x" <b>');
+            expect(editBtn.dataset.definition).toBe('AT&amp;T "quoted"');
+            expect(document.querySelector('.delete-btn').dataset.word).toBe('"x" <b>');
+        });
+
+        it('should show an imported part of speech as text', async () => {
+            storage.getSavedWordsPaginated.mockResolvedValue({
+                words: [{ word: 'calm', definition: 'Peaceful', partOfSpeech: '<img src=x>', timestamp: new Date().toISOString() }],
+                totalCount: 1,
+                totalPages: 1,
+                currentPage: 1
+            });
+
+            await displaySavedWords();
+
+            const sense = document.querySelector('.saved-word-sense');
+            expect(sense.querySelector('img')).toBeNull();
+            expect(sense.textContent).toBe('<img src=x>');
+        });
+
         it('should call deleteWord when delete button is clicked', async () => {
             const mockWords = [
                 {
@@ -150,7 +203,31 @@ describe('UI Functions', () => {
             // Wait for async operations
             await new Promise(resolve => setTimeout(resolve, 0));
 
-            expect(storage.deleteWord).toHaveBeenCalledWith('test');
+            expect(storage.deleteWord).toHaveBeenCalledWith('test', { senseIndex: 0 });
+        });
+
+        it('should offer to undo a deletion', async () => {
+            storage.getSavedWordsPaginated.mockResolvedValue({
+                words: [{ word: 'test', definition: 'a test', timestamp: new Date().toISOString() }],
+                totalCount: 1,
+                totalPages: 1,
+                currentPage: 1
+            });
+            storage.deleteWord.mockResolvedValue(true);
+            storage.undoLastDeletion.mockResolvedValue({ restored: 1, skipped: 0, failed: 0 });
+
+            await displaySavedWords();
+            document.querySelector('.delete-btn').click();
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(document.querySelector('.toast-message').textContent).toBe('Deleted "test"');
+
+            document.querySelector('.toast-undo-btn').click();
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(storage.undoLastDeletion).toHaveBeenCalled();
+            expect(document.querySelector('.toast')).toBeNull();
+            expect(storage.getSavedWordsPaginated).toHaveBeenCalledTimes(3);
         });
 
         it('should display example sentences', async () => {
@@ -176,6 +253,208 @@ describe('UI Functions', () => {
             expect(list.innerHTML).toContain('This is a test example.');
         });
 
+        it('should show tags and limit the list to a clicked tag', async () => {
+            document.body.insertAdjacentHTML('beforeend', `
+                <select id="groupFilter"><option value="">All decks and tags</option></select>
+                <button id="renameGroupBtn" style="display: none;"></button>
+                <button id="deleteGroupBtn" style="display: none;"></button>
+            `);
+            initFilterControls();
+
+            storage.getTagsAndDecks.mockResolvedValue({ tags: [{ name: 'travel', count: 1 }], decks: [{ name: 'Spanish', count: 1 }] });
+            storage.getSavedWordsPaginated.mockResolvedValue({
+                words: [{ word: 'calm', definition: 'peaceful', tags: ['travel'], deck: 'Spanish', timestamp: new Date().toISOString() }],
+                totalCount: 1,
+                totalPages: 1,
+                currentPage: 1
+            });
+
+            await displaySavedWords();
+
+            const groupFilter = document.getElementById('groupFilter');
+            expect(document.querySelector('.tag-chip').textContent).toBe('#travel');
+            expect(document.querySelector('.deck-chip').textContent).toBe('Spanish');
+            expect([...groupFilter.options].map(option => option.value)).toEqual(['', 'deck:Spanish', 'tag:travel']);
+
+            document.querySelector('.tag-chip').click();
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(storage.getSavedWordsPaginated).toHaveBeenLastCalledWith(1, 50, 'all', { tag: 'travel', search: '', sort: 'added' });
+            expect(groupFilter.value).toBe('tag:travel');
+            expect(document.getElementById('renameGroupBtn').style.display).toBe('inline-block');
+
+            // Back to every word
+            groupFilter.value = '';
+            groupFilter.dispatchEvent(new Event('change'));
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(storage.getSavedWordsPaginated).toHaveBeenLastCalledWith(1, 50, 'all', { search: '', sort: 'added' });
+        });
+
+        it('should search after a pause in typing and highlight matches', async () => {
+            vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+            document.body.insertAdjacentHTML('beforeend', `
+                <input type="search" id="savedSearch" />
+                <select id="savedSort"><option value="added"></option><option value="lapses"></option></select>
+            `);
+            initFilterControls();
+
+            storage.getSavedWordsPaginated.mockResolvedValue({
+                words: [{ word: 'calm', definition: 'Peaceful <calm> mind', example: 'Stay Calm.', timestamp: new Date().toISOString() }],
+                totalCount: 1,
+                totalPages: 1,
+                currentPage: 1
+            });
+
+            const searchInput = document.getElementById('savedSearch');
+            searchInput.value = 'ca';
+            searchInput.dispatchEvent(new Event('input'));
+            searchInput.value = 'calm';
+            searchInput.dispatchEvent(new Event('input'));
+            await vi.advanceTimersByTimeAsync(300);
+
+            // Only the last value is searched
+            expect(storage.getSavedWordsPaginated).toHaveBeenCalledTimes(1);
+            expect(storage.getSavedWordsPaginated).toHaveBeenLastCalledWith(1, 50, 'all', { search: 'calm', sort: 'added' });
+            expect(document.querySelector('.saved-definition').innerHTML)
+                .toBe('Peaceful &lt;<mark class="search-match">calm</mark>&gt; mind');
+            expect(document.querySelector('.saved-example').innerHTML).toBe('Stay <mark class="search-match">Calm</mark>.');
+
+            const sortSelect = document.getElementById('savedSort');
+            sortSelect.value = 'lapses';
+            sortSelect.dispatchEvent(new Event('change'));
+            await vi.advanceTimersByTimeAsync(0);
+
+            expect(storage.getSavedWordsPaginated).toHaveBeenLastCalledWith(1, 50, 'all', { search: 'calm', sort: 'lapses' });
+
+            // Reset the module state for the other tests
+            searchInput.value = '';
+            searchInput.dispatchEvent(new Event('input'));
+            sortSelect.value = 'added';
+            sortSelect.dispatchEvent(new Event('change'));
+            await vi.advanceTimersByTimeAsync(300);
+            vi.useRealTimers();
+        });
+
+        it('should say when nothing matches the search', async () => {
+            document.body.insertAdjacentHTML('beforeend', '<input type="search" id="savedSearch" />');
+            initFilterControls();
+            storage.getSavedWordsPaginated.mockResolvedValue({ words: [], totalCount: 0, totalPages: 0, currentPage: 1 });
+
+            const searchInput = document.getElementById('savedSearch');
+            searchInput.value = 'zzz';
+            searchInput.dispatchEvent(new Event('input'));
+            await new Promise(resolve => setTimeout(resolve, 350));
+
+            expect(document.getElementById('savedWordsList').textContent).toContain('No words match "zzz"');
+
+            searchInput.value = '';
+            searchInput.dispatchEvent(new Event('input'));
+            await new Promise(resolve => setTimeout(resolve, 350));
+        });
+
+        describe('Bulk actions', () => {
+            const pageWords = ['alpha', 'bravo', 'charlie', 'delta'].map((word, i) => ({
+                id: `id-${i}`,
+                word,
+                definition: `definition of ${word}`,
+                timestamp: new Date().toISOString()
+            }));
+
+            beforeEach(async () => {
+                document.body.insertAdjacentHTML('beforeend', `
+                    <div id="bulkActions" style="display: none;">
+                        <span id="selectionCount"></span>
+                        <button id="selectAllMatchingBtn"></button>
+                        <button id="clearSelectionBtn"></button>
+                        <button id="bulkTagBtn"></button>
+                        <button id="bulkDeleteBtn"></button>
+                        <span id="bulkProgress"></span>
+                    </div>
+                `);
+                initFilterControls();
+
+                storage.getSavedWordsPaginated.mockResolvedValue({ words: pageWords, totalCount: 4, totalPages: 1, currentPage: 1 });
+                await displaySavedWords(1, 'all');
+            });
+
+            const boxes = () => [...document.querySelectorAll('.select-word')];
+
+            it('should select a range with shift-click', () => {
+                boxes()[0].click();
+                boxes()[2].dispatchEvent(new MouseEvent('click', { shiftKey: true }));
+
+                expect(boxes().map(box => box.checked)).toEqual([true, true, true, false]);
+                expect(document.getElementById('bulkActions').style.display).toBe('flex');
+                expect(document.getElementById('selectionCount').textContent).toBe('3 selected');
+
+                document.getElementById('clearSelectionBtn').click();
+
+                expect(boxes().some(box => box.checked)).toBe(false);
+                expect(document.getElementById('bulkActions').style.display).toBe('none');
+            });
+
+            it('should select every word matching the current view', async () => {
+                const allWords = [...pageWords, { id: 'id-4', word: 'echo', definition: 'sound' }];
+                storage.getAllMatchingWords.mockResolvedValue(allWords);
+
+                boxes()[0].click();
+                document.getElementById('selectAllMatchingBtn').click();
+                await new Promise(resolve => setTimeout(resolve, 0));
+
+                expect(storage.getAllMatchingWords).toHaveBeenCalledWith('all', { search: '', sort: 'added' });
+                expect(document.getElementById('selectionCount').textContent).toBe('5 selected');
+                expect(boxes().every(box => box.checked)).toBe(true);
+
+                document.getElementById('clearSelectionBtn').click();
+            });
+
+            it('should delete the selection after confirmation', async () => {
+                global.confirm = vi.fn(() => true);
+                storage.deleteWordsById.mockImplementation(async (ids, { onProgress }) => {
+                    onProgress(1, ids.length);
+                    expect(document.getElementById('bulkProgress').textContent).toBe('Deleting 1/2...');
+                    return { done: ids.length, failed: 0 };
+                });
+
+                boxes()[1].click();
+                boxes()[3].click();
+                document.getElementById('bulkDeleteBtn').click();
+                await new Promise(resolve => setTimeout(resolve, 0));
+
+                expect(global.confirm).toHaveBeenCalledWith('Move 2 selected words to the trash?');
+                expect(storage.deleteWordsById).toHaveBeenCalledWith(['id-1', 'id-3'], expect.any(Object));
+                expect(document.getElementById('bulkProgress').textContent).toBe('');
+                expect(document.getElementById('bulkActions').style.display).toBe('none');
+                expect(storage.getSavedWordsPaginated).toHaveBeenCalledTimes(2);
+                expect(document.querySelector('.toast-message').textContent).toBe('Deleted 2 words');
+            });
+
+            it('should not delete when the confirmation is cancelled', async () => {
+                global.confirm = vi.fn(() => false);
+
+                boxes()[0].click();
+                document.getElementById('bulkDeleteBtn').click();
+                await new Promise(resolve => setTimeout(resolve, 0));
+
+                expect(storage.deleteWordsById).not.toHaveBeenCalled();
+                document.getElementById('clearSelectionBtn').click();
+            });
+
+            it('should add the typed tags to every selected word', async () => {
+                global.prompt = vi.fn(() => 'Trip, b1');
+                storage.normalizeTags.mockImplementation(tags => tags.map(tag => tag.trim().toLowerCase()).filter(Boolean));
+                storage.addTagsToWords.mockResolvedValue({ done: 2, failed: 0 });
+
+                boxes()[0].click();
+                boxes()[1].click();
+                document.getElementById('bulkTagBtn').click();
+                await new Promise(resolve => setTimeout(resolve, 0));
+
+                expect(storage.addTagsToWords).toHaveBeenCalledWith(['alpha', 'bravo'], ['trip', 'b1'], expect.any(Object));
+            });
+        });
+
         it('should display pagination controls when multiple pages exist', async () => {
             const mockWords = Array.from({ length: 50 }, (_, i) => ({
                 word: `word${i}`,
@@ -294,6 +573,130 @@ describe('UI Functions', () => {
         });
     });
 
+    describe('Word Detail', () => {
+        const DAY = 86400000;
+        const now = new Date('2024-06-15T12:00:00Z');
+        const history = [
+            { rating: 3, prevStability: 0, newStability: 3, elapsedDays: 0, reviewedAt: new Date(now - 20 * DAY).toISOString() },
+            { rating: 1, prevStability: 3, newStability: 1, elapsedDays: 3, reviewedAt: new Date(now - 17 * DAY).toISOString() },
+            { rating: 4, prevStability: 1, newStability: 12, elapsedDays: 2, reviewedAt: new Date(now - 15 * DAY).toISOString() }
+        ];
+        const word = {
+            id: 'id-1',
+            word: 'calm',
+            definition: 'Peaceful',
+            stability: 12,
+            last_review: new Date(now - 15 * DAY).toISOString(),
+            nextReview: new Date(now - 4 * DAY).toISOString()
+        };
+
+        it('should build one curve segment per review with the stability it produced', () => {
+            const curve = buildForgettingCurve(word, history, now);
+
+            expect(curve.segments.map(segment => segment.stability)).toEqual([3, 1, 12]);
+            expect(curve.segments[1].to).toEqual(new Date(word.last_review));
+            expect(curve.reviews.map(review => review.rating)).toEqual([3, 1, 4]);
+            expect(curve.reviews[0].recallBefore).toBeNull();
+            expect(curve.reviews[1].recallBefore).toBeCloseTo(0.9, 2);
+            expect(curve.nextReview).toEqual(new Date(word.nextReview));
+            expect(curve.currentRecall).toBeCloseTo(Math.pow(1 + (19 / 81) * 15 / 12, -0.5), 5);
+        });
+
+        it('should draw the current segment for words reviewed before the history was kept', () => {
+            const curve = buildForgettingCurve(word, [], now);
+
+            expect(curve.segments).toHaveLength(1);
+            expect(curve.segments[0].from).toEqual(new Date(word.last_review));
+            expect(buildForgettingCurve({ word: 'new', stability: 0 }, [], now).segments).toHaveLength(0);
+        });
+
+        it('should open the forgetting curve from the saved words list', async () => {
+            storage.getSavedWordsPaginated.mockResolvedValue({ words: [word], totalCount: 1, totalPages: 1, currentPage: 1 });
+            storage.getTagsAndDecks.mockResolvedValue({ tags: [], decks: [] });
+            storage.getWordReviewHistory.mockResolvedValue(history);
+
+            await displaySavedWords(1);
+            document.querySelector('.details-btn').click();
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(storage.getWordReviewHistory).toHaveBeenCalledWith('id-1');
+            expect(document.querySelector('.word-detail-modal h3').textContent).toBe('calm');
+            expect(document.querySelectorAll('.forgetting-curve .curve-line')).toHaveLength(3);
+            expect(document.querySelectorAll('.forgetting-curve .curve-review')).toHaveLength(3);
+            expect(document.querySelector('.word-detail-next').textContent).toContain('overdue');
+            expect(document.querySelectorAll('.word-detail-reviews li')[0].textContent).toContain('Easy');
+        });
+    });
+
+    describe('Trash', () => {
+        const deletedWords = [
+            { id: 'id-1', word: 'calm', definition: 'Peaceful', senseIndex: 0, partOfSpeech: 'adjective', deletedAt: new Date().toISOString(), purgeAt: new Date(Date.now() + 29.5 * 86400000).toISOString() },
+            { id: 'id-2', word: 'brave', definition: 'Courageous', senseIndex: 1, partOfSpeech: '', deletedAt: new Date().toISOString(), purgeAt: new Date(Date.now() + 0.5 * 86400000).toISOString() }
+        ];
+
+        beforeEach(() => {
+            storage.getSavedWordsPaginated.mockResolvedValue({ words: [], totalCount: 0, totalPages: 0, currentPage: 1 });
+        });
+
+        it('should list deleted words with the days left before purge', async () => {
+            storage.getDeletedWords.mockResolvedValue(deletedWords);
+
+            await showTrashModal();
+
+            const items = document.querySelectorAll('.trash-item');
+            expect(items).toHaveLength(2);
+            expect(items[0].textContent).toContain('30 days left');
+            expect(items[1].textContent).toContain('sense 2');
+            expect(items[1].textContent).toContain('1 day left');
+            expect(document.querySelector('.trash-empty-btn').disabled).toBe(false);
+        });
+
+        it('should restore a word and refresh the list', async () => {
+            storage.getDeletedWords.mockResolvedValueOnce(deletedWords).mockResolvedValueOnce(deletedWords.slice(1));
+            storage.restoreWords.mockResolvedValue({ restored: 1, skipped: 0, failed: 0 });
+
+            await showTrashModal();
+            document.querySelector('.trash-restore-btn').click();
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(storage.restoreWords).toHaveBeenCalledWith(['id-1']);
+            expect(document.querySelectorAll('.trash-item')).toHaveLength(1);
+            expect(storage.getSavedWordsPaginated).toHaveBeenCalled();
+        });
+
+        it('should say when a word was saved again and cannot be restored', async () => {
+            global.alert = vi.fn();
+            storage.getDeletedWords.mockResolvedValue(deletedWords);
+            storage.restoreWords.mockResolvedValue({ restored: 0, skipped: 1, failed: 0 });
+
+            await showTrashModal();
+            document.querySelector('.trash-restore-btn').click();
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(global.alert).toHaveBeenCalledWith(expect.stringContaining('saved again'));
+        });
+
+        it('should only empty the trash after confirmation', async () => {
+            global.confirm = vi.fn(() => false);
+            storage.getDeletedWords.mockResolvedValue(deletedWords);
+
+            await showTrashModal();
+            document.querySelector('.trash-empty-btn').click();
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(storage.emptyTrash).not.toHaveBeenCalled();
+
+            global.confirm = vi.fn(() => true);
+            storage.emptyTrash.mockResolvedValue(true);
+            storage.getDeletedWords.mockResolvedValue([]);
+            document.querySelector('.trash-empty-btn').click();
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(storage.emptyTrash).toHaveBeenCalled();
+            expect(document.querySelector('.trash-list').textContent).toContain('The trash is empty');
+        });
+    });
+
     describe('initTabs', () => {
         it('should add click listeners to tab buttons', () => {
             initTabs();
@@ -0,0 +1,288 @@
+/**
+ * UI Bulk Actions Module
+ * Handles selecting saved words and acting on the whole selection
+ *
+ * The selection is kept while paging through the list; each entry is one
+ * word row (sense). Actions ask for confirmation and show their progress.
+ */
+
+import {
+    deleteWordsById,
+    resetWordsScheduling,
+    addTagsToWords,
+    setWordExample,
+    getAllMatchingWords,
+    normalizeTags
+} from '../storage/index.js';
+import { regenerateWordExample } from '../api.js';
+import { showExportMenu, pickSenseExample } from './modals.js';
+import { offerUndoDelete } from './trash.js';
+import { containsWord } from './validation.js';
+
+// Selected rows by id ({ id, word, senseIndex, partOfSpeech, example, examples })
+const selected = new Map();
+
+// Words shown on the current page, and the index of the last checkbox clicked there
+let pageWords = [];
+let lastClickedIndex = null;
+
+// True while an action runs; the bar is locked until it finishes
+let running = false;
+
+/**
+ * Check whether a word row is selected
+ * @param {string} id - Word row ID
+ * @returns {boolean} True if selected
+ */
+export function isWordSelected(id) {
+    return selected.has(id);
+}
+
+/**
+ * Clear the selection
+ */
+export function clearSelection() {
+    selected.clear();
+    lastClickedIndex = null;
+    syncCheckboxes();
+    updateBulkBar();
+}
+
+/**
+ * Wire the checkboxes of a freshly rendered page
+ * Shift-click selects (or clears) every row between the last clicked one and this one.
+ * @param {HTMLElement} list - Saved words list element
+ * @param {Array} words - Words shown on the page, in order
+ */
+export function initSelection(list, words) {
+    pageWords = words;
+    lastClickedIndex = null;
+
+    list.querySelectorAll('.select-word').forEach(box => {
+        box.addEventListener('click', (e) => {
+            const index = parseInt(box.getAttribute('data-index'), 10);
+            const from = e.shiftKey && lastClickedIndex !== null ? Math.min(lastClickedIndex, index) : index;
+            const to = e.shiftKey && lastClickedIndex !== null ? Math.max(lastClickedIndex, index) : index;
+
+            for (let i = from; i <= to; i++) {
+                setSelected(pageWords[i], box.checked);
+            }
+
+            lastClickedIndex = index;
+            syncCheckboxes();
+            updateBulkBar();
+        });
+    });
+
+    syncCheckboxes();
+    updateBulkBar();
+}
+
+/**
+ * Wire the bulk action bar
+ * @param {Object} view - Access to the saved words list
+ * @param {Function} view.getQuery - Returns { filter, options } of the words currently listed
+ * @param {Function} view.refresh - Re-renders the list after an action
+ */
+export function initBulkActions({ getQuery, refresh }) {
+    const actions = {
+        selectAllMatchingBtn: async () => {
+            const { filter, options } = getQuery();
+            const words = await getAllMatchingWords(filter, options);
+            words.forEach(word => setSelected(word, true));
+            syncCheckboxes();
+            updateBulkBar();
+        },
+        clearSelectionBtn: clearSelection,
+        bulkDeleteBtn: () => runBulkAction({
+            confirmMessage: count => `Move ${describeCount(count)} to the trash?`,
+            progressLabel: 'Deleting',
+            failureMessage: 'could not be deleted',
+            action: (items, onProgress) => deleteWordsById(items.map(item => item.id), { onProgress }),
+            onFinished: ({ done }) => {
+                if (done > 0) {
+                    offerUndoDelete(`Deleted ${done} word${done === 1 ? '' : 's'}`);
+                }
+            }
+        }, refresh),
+        bulkTagBtn: () => {
+            const tags = normalizeTags((prompt(`Tags to add to ${describeCount(selected.size)} (comma separated):`) || '').split(','));
+            if (tags.length === 0) return;
+
+            return runBulkAction({
+                progressLabel: 'Tagging',
+                failureMessage: 'could not be tagged',
+                action: (items, onProgress) => addTagsToWords(items.map(item => item.word), tags, { onProgress })
+            }, refresh);
+        },
+        bulkResetBtn: () => runBulkAction({
+            confirmMessage: count => `Reset the review schedule of ${describeCount(count)}? They will be studied again as new words.`,
+            progressLabel: 'Resetting',
+            failureMessage: 'could not be reset',
+            action: (items, onProgress) => resetWordsScheduling(items.map(item => item.id), { onProgress })
+        }, refresh),
+        bulkRegenerateBtn: () => runBulkAction({
+            confirmMessage: count => `Generate new examples for ${describeCount(count)} with AI? This sends one request per word.`,
+            progressLabel: 'Generating examples',
+            failureMessage: 'did not get a new example',
+            action: regenerateExamples
+        }, refresh),
+        bulkExportBtn: () => {
+            if (selected.size > 0) {
+                showExportMenu({ ids: [...selected.keys()] });
+            }
+        }
+    };
+
+    Object.entries(actions).forEach(([id, handler]) => {
+        const btn = document.getElementById(id);
+        if (btn) {
+            btn.addEventListener('click', handler);
+        }
+    });
+
+    updateBulkBar();
+}
+
+/**
+ * Add or remove a word row from the selection
+ * @param {Object} word - Word object from the list
+ * @param {boolean} isSelected - New state
+ */
+function setSelected(word, isSelected) {
+    if (!word || !word.id) return;
+
+    if (isSelected) {
+        selected.set(word.id, {
+            id: word.id,
+            word: word.word,
+            senseIndex: word.senseIndex || 0,
+            partOfSpeech: word.partOfSpeech || '',
+            example: word.example || '',
+            examples: word.examples || []
+        });
+    } else {
+        selected.delete(word.id);
+    }
+}
+
+/**
+ * Describe a number of selected words
+ * @param {number} count - Number of words
+ * @returns {string} e.g. "3 selected words"
+ */
+function describeCount(count) {
+    return `${count} selected word${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Tick the checkboxes of the selected rows on the current page
+ */
+function syncCheckboxes() {
+    document.querySelectorAll('.select-word').forEach(box => {
+        const word = pageWords[parseInt(box.getAttribute('data-index'), 10)];
+        box.checked = Boolean(word && selected.has(word.id));
+        box.closest('.saved-word-item')?.classList.toggle('selected', box.checked);
+    });
+}
+
+/**
+ * Show the bar while words are selected (or an action runs) and update its count
+ */
+function updateBulkBar() {
+    const bar = document.getElementById('bulkActions');
+    if (!bar) return;
+
+    bar.style.display = selected.size > 0 || running ? 'flex' : 'none';
+
+    const count = document.getElementById('selectionCount');
+    if (count) {
+        count.textContent = `${selected.size} selected`;
+    }
+
+    bar.querySelectorAll('button').forEach(btn => {
+        btn.disabled = running;
+    });
+}
+
+/**
+ * Show the progress of the running action
+ * @param {string} text - Progress text ('' hides it)
+ */
+function showProgress(text) {
+    const progress = document.getElementById('bulkProgress');
+    if (progress) {
+        progress.textContent = text;
+    }
+}
+
+/**
+ * Confirm and run an action on every selected row, then clear the selection
+ * @param {Object} bulkAction - Action description
+ * @param {Function} bulkAction.confirmMessage - Returns the confirmation text for a count (no confirmation when omitted)
+ * @param {string} bulkAction.progressLabel - Shown with the progress, e.g. "Deleting"
+ * @param {string} bulkAction.failureMessage - Shown for rows that failed, e.g. "could not be deleted"
+ * @param {Function} bulkAction.action - Async (items, onProgress) => { done, failed }
+ * @param {Function} bulkAction.onFinished - Called with the result once the list is refreshed (optional)
+ * @param {Function} refresh - Re-renders the list
+ */
+async function runBulkAction({ confirmMessage = null, progressLabel, failureMessage, action, onFinished = null }, refresh) {
+    if (running || selected.size === 0) return;
+
+    if (confirmMessage && !confirm(confirmMessage(selected.size))) {
+        return;
+    }
+
+    const items = [...selected.values()];
+
+    running = true;
+    updateBulkBar();
+    showProgress(`${progressLabel} 0/${items.length}...`);
+
+    const result = await action(items, (done, total) => showProgress(`${progressLabel} ${done}/${total}...`));
+    const { failed } = result;
+
+    running = false;
+    showProgress('');
+    clearSelection();
+
+    if (failed > 0) {
+        alert(`${failed} word${failed === 1 ? '' : 's'} ${failureMessage}. Please try again.`);
+    }
+
+    await refresh();
+
+    if (onFinished) {
+        onFinished(result);
+    }
+}
+
+/**
+ * Ask the AI for a new example for each row and save the ones that contain the word
+ * @param {Array} items - Selected rows
+ * @param {Function} onProgress - Called with (done, total) after each row
+ * @returns {Object} { done, failed }
+ */
+async function regenerateExamples(items, onProgress) {
+    const result = { done: 0, failed: 0 };
+
+    for (const item of items) {
+        let success = false;
+
+        try {
+            const entry = await regenerateWordExample(item.word);
+            const example = entry && pickSenseExample(entry, item.word, item.partOfSpeech);
+
+            if (example && containsWord(example, item.word)) {
+                success = await setWordExample(item.id, example, [item.example, ...item.examples].filter(Boolean));
+            }
+        } catch (error) {
+            console.error(`Error regenerating the example of "${item.word}":`, error);
+        }
+
+        result[success ? 'done' : 'failed']++;
+        onProgress(result.done + result.failed, items.length);
+    }
+
+    return result;
+}
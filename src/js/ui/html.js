@@ -0,0 +1,18 @@
+/**
+ * UI HTML Module
+ * Handles escaping text before it is put into markup
+ */
+
+/**
+ * Escape HTML special characters, so text can go into element content and
+ * double-quoted attributes
+ * @param {*} str - Text to escape (null and undefined give an empty string)
+ * @returns {string} Escaped string
+ */
+export function escapeHtml(str) {
+    return String(str ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
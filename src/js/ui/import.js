@@ -0,0 +1,292 @@
+/**
+ * UI Import Module
+ * Handles the import dialog: file choice, column mapping, preview, dry run and import
+ */
+
+import {
+    DUPLICATE_MODES,
+    IMPORT_FIELDS,
+    parseImportFile,
+    guessColumnMapping,
+    applyColumnMapping,
+    importWords
+} from '../storage/index.js';
+import { displaySavedWords, getCurrentPage } from './savedWords.js';
+import { escapeHtml } from './html.js';
+
+// Rows shown in the preview table
+const PREVIEW_ROWS = 5;
+
+// Labels of the supported formats
+const FORMAT_NAMES = {
+    json: 'LingoDash JSON export',
+    csv: 'CSV',
+    tsv: 'TSV',
+    anki: 'Anki notes (plain text)'
+};
+
+/**
+ * Show the import dialog
+ */
+export function showImportModal() {
+    const importOverlay = document.createElement('div');
+    importOverlay.className = 'export-overlay';
+    importOverlay.innerHTML = `
+        <div class="export-modal import-modal">
+            <h3>Import Vocabulary</h3>
+            <p>CSV or TSV files, a LingoDash JSON export, or Anki notes exported as plain text.</p>
+            <input type="file" class="import-file-input" accept=".csv,.tsv,.txt,.json" />
+            <div class="import-details" style="display: none;">
+                <p class="import-format"></p>
+                <div class="import-mapping"></div>
+                <div class="import-preview"></div>
+                <div class="import-duplicates">
+                    <span class="import-label">Words you already have:</span>
+                    <label><input type="radio" name="importDuplicates" value="${DUPLICATE_MODES.SKIP}" checked /> Skip</label>
+                    <label><input type="radio" name="importDuplicates" value="${DUPLICATE_MODES.OVERWRITE}" /> Overwrite</label>
+                    <label><input type="radio" name="importDuplicates" value="${DUPLICATE_MODES.MERGE}" /> Merge</label>
+                </div>
+                <label class="import-batch-name">
+                    <span class="import-label">Batch name:</span>
+                    <input type="text" class="import-batch-input" placeholder="Optional, added as a tag to every word" />
+                </label>
+            </div>
+            <div class="import-error" style="display: none;"></div>
+            <div class="import-summary"></div>
+            <div class="import-actions">
+                <button class="import-check-btn" disabled>Check Import</button>
+                <button class="import-run-btn" disabled>Import</button>
+            </div>
+            <button class="export-cancel-btn">Close</button>
+        </div>
+    `;
+
+    document.body.appendChild(importOverlay);
+
+    const fileInput = importOverlay.querySelector('.import-file-input');
+    const details = importOverlay.querySelector('.import-details');
+    const mappingDiv = importOverlay.querySelector('.import-mapping');
+    const previewDiv = importOverlay.querySelector('.import-preview');
+    const errorDiv = importOverlay.querySelector('.import-error');
+    const summaryDiv = importOverlay.querySelector('.import-summary');
+    const checkBtn = importOverlay.querySelector('.import-check-btn');
+    const runBtn = importOverlay.querySelector('.import-run-btn');
+    const batchInput = importOverlay.querySelector('.import-batch-input');
+
+    let parsed = null;
+    let mapping = [];
+
+    const getRecords = () => (parsed.format === 'json' ? parsed.records : applyColumnMapping(parsed.rows, mapping));
+    const getDuplicateMode = () => importOverlay.querySelector('input[name="importDuplicates"]:checked').value;
+    const getBatchTags = () => (batchInput.value.trim() ? [batchInput.value.trim()] : []);
+
+    const showError = (message) => {
+        errorDiv.textContent = message;
+        errorDiv.style.display = message ? 'block' : 'none';
+    };
+
+    // Any change invalidates the last dry run
+    const refresh = () => {
+        previewDiv.innerHTML = renderPreviewTable(getRecords(), parsed.format === 'json');
+        summaryDiv.innerHTML = '';
+        checkBtn.disabled = false;
+        runBtn.disabled = true;
+        runBtn.textContent = 'Import';
+    };
+
+    const close = () => {
+        if (importOverlay.parentNode) {
+            document.body.removeChild(importOverlay);
+        }
+    };
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+
+        showError('');
+        details.style.display = 'none';
+        checkBtn.disabled = true;
+        runBtn.disabled = true;
+
+        try {
+            parsed = parseImportFile(await file.text(), file.name);
+        } catch (error) {
+            parsed = null;
+            summaryDiv.innerHTML = '';
+            showError(error.message);
+            return;
+        }
+
+        importOverlay.querySelector('.import-format').textContent = `Format: ${FORMAT_NAMES[parsed.format]}`;
+
+        if (parsed.format === 'json') {
+            mappingDiv.innerHTML = '';
+        } else {
+            mapping = guessColumnMapping(parsed.columns);
+            mappingDiv.innerHTML = renderColumnMapping(parsed.columns, mapping, parsed.rows[0] || []);
+            mappingDiv.querySelectorAll('.import-column-select').forEach(select => {
+                select.addEventListener('change', () => {
+                    mapping[parseInt(select.dataset.column, 10)] = select.value;
+                    refresh();
+                });
+            });
+        }
+
+        details.style.display = 'block';
+        refresh();
+    });
+
+    importOverlay.querySelectorAll('input[name="importDuplicates"]').forEach(input => {
+        input.addEventListener('change', refresh);
+    });
+
+    batchInput.addEventListener('input', refresh);
+
+    checkBtn.addEventListener('click', async () => {
+        const records = getRecords();
+
+        if (parsed.format !== 'json' && (!mapping.includes('word') || !mapping.includes('definition'))) {
+            showError('Choose which columns hold the word and its definition.');
+            return;
+        }
+
+        showError('');
+        checkBtn.disabled = true;
+        summaryDiv.innerHTML = '<p class="loading">Checking...</p>';
+
+        const summary = await importWords(records, { duplicateMode: getDuplicateMode(), dryRun: true, tags: getBatchTags() });
+        checkBtn.disabled = false;
+
+        if (summary.error) {
+            summaryDiv.innerHTML = '';
+            showError(`Could not check the import: ${summary.error}`);
+            return;
+        }
+
+        summaryDiv.innerHTML = renderSummary(summary, 'Dry run — nothing saved yet');
+
+        const changes = summary.added + summary.updated;
+        runBtn.disabled = changes === 0;
+        runBtn.textContent = `Import ${changes} word${changes === 1 ? '' : 's'}`;
+    });
+
+    runBtn.addEventListener('click', async () => {
+        checkBtn.disabled = true;
+        runBtn.disabled = true;
+        fileInput.disabled = true;
+
+        const summary = await importWords(getRecords(), {
+            duplicateMode: getDuplicateMode(),
+            tags: getBatchTags(),
+            onProgress: (written, total) => {
+                summaryDiv.innerHTML = `<p class="loading">Importing ${written}/${total}...</p>`;
+            }
+        });
+
+        fileInput.disabled = false;
+        summaryDiv.innerHTML = renderSummary(summary, 'Import finished');
+        runBtn.textContent = 'Import';
+
+        if (summary.error) {
+            showError(`Import stopped: ${summary.error}`);
+        }
+
+        await displaySavedWords(getCurrentPage());
+    });
+
+    importOverlay.querySelector('.export-cancel-btn').addEventListener('click', close);
+
+    importOverlay.addEventListener('click', (e) => {
+        if (e.target === importOverlay) {
+            close();
+        }
+    });
+}
+
+/**
+ * Render one field selector per file column
+ * @param {Array<string>} columns - Column names
+ * @param {Array<string>} mapping - Selected field per column
+ * @param {Array<string>} sampleRow - First data row, shown as a hint
+ * @returns {string} HTML
+ */
+function renderColumnMapping(columns, mapping, sampleRow) {
+    return `
+        <span class="import-label">Columns</span>
+        ${columns.map((column, index) => `
+            <label class="import-column">
+                <span class="import-column-name" title="${escapeHtml(sampleRow[index] || '')}">${escapeHtml(column)}</span>
+                <select class="import-column-select" data-column="${index}">
+                    <option value="">Ignore</option>
+                    ${Object.entries(IMPORT_FIELDS).map(([field, label]) => `
+                        <option value="${field}" ${mapping[index] === field ? 'selected' : ''}>${label}</option>
+                    `).join('')}
+                </select>
+            </label>
+        `).join('')}
+    `;
+}
+
+/**
+ * Render the first records as they will be imported
+ * @param {Array} records - Import records
+ * @param {boolean} withReviews - Show the review count column (JSON exports)
+ * @returns {string} HTML
+ */
+function renderPreviewTable(records, withReviews) {
+    if (records.length === 0) {
+        return '<p class="empty-state">No rows found in this file.</p>';
+    }
+
+    const rows = records.slice(0, PREVIEW_ROWS);
+
+    return `
+        <table class="import-preview-table">
+            <thead>
+                <tr>
+                    <th>Word</th>
+                    <th>Definition</th>
+                    <th>Example</th>
+                    ${withReviews ? '<th>Reviews</th>' : ''}
+                </tr>
+            </thead>
+            <tbody>
+                ${rows.map(record => `
+                    <tr>
+                        <td>${escapeHtml(record.word)}</td>
+                        <td>${escapeHtml(record.definition)}</td>
+                        <td>${escapeHtml(record.example)}</td>
+                        ${withReviews ? `<td>${record.reviewCount || 0}</td>` : ''}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <p class="import-count">${records.length} row${records.length === 1 ? '' : 's'} in file${records.length > PREVIEW_ROWS ? `, first ${PREVIEW_ROWS} shown` : ''}</p>
+    `;
+}
+
+/**
+ * Render an import summary
+ * @param {Object} summary - Summary from importWords
+ * @param {string} title - Summary heading
+ * @returns {string} HTML
+ */
+function renderSummary(summary, title) {
+    const lines = [
+        [summary.added, 'new'],
+        [summary.updated, 'updated'],
+        [summary.skipped, 'skipped (already saved or repeated)'],
+        [summary.invalid, 'invalid (missing word or definition)'],
+        [summary.failed, 'failed to save']
+    ].filter(([count]) => count > 0);
+
+    return `
+        <p class="import-summary-title">${title}</p>
+        <ul class="import-summary-list">
+            ${lines.length > 0
+                ? lines.map(([count, label]) => `<li><strong>${count}</strong> ${label}</li>`).join('')
+                : '<li>Nothing to import</li>'}
+        </ul>
+    `;
+}
@@ -16,6 +16,18 @@ export {
 // Modal dialogs
 export { showEditModal, showExportMenu } from './modals.js';
 
+// Import dialog
+export { showImportModal } from './import.js';
+
+// Trash dialog and undo
+export { showTrashModal, offerUndoDelete } from './trash.js';
+
+// Word detail dialog
+export { showWordDetail } from './wordDetail.js';
+
+// Settings tab
+export { initSettings } from './settings.js';
+
 // Validation utilities
 export {
     validateWordExample,
@@ -23,3 +35,6 @@ export {
     validateEmail,
     validatePassword
 } from './validation.js';
+
+// HTML escaping
+export { escapeHtml } from './html.js';
@@ -3,30 +3,31 @@
  * Handles modal dialogs for editing and exporting
  */
 
-import { updateWord, exportWords } from '../storage/index.js';
+import {
+    getWordIfExists,
+    updateWordSenses,
+    exportWords,
+    getTagsAndDecks,
+    normalizeTags
+} from '../storage/index.js';
 import { regenerateWordExample } from '../api.js';
 import { displaySavedWords, getCurrentPage } from './savedWords.js';
 import { validateWordExample, containsWord } from './validation.js';
-
-/**
- * Escape HTML attributes
- * @param {string} str - String to escape
- * @returns {string} Escaped string
- */
-function escapeAttr(str) {
-    return str.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
-}
+import { escapeHtml } from './html.js';
 
 /**
  * Show export format selection menu
+ * @param {Object} options - Export options
+ * @param {Array<string>} options.ids - Only export these word rows (every word when omitted)
  */
-export function showExportMenu() {
+export function showExportMenu({ ids = null } = {}) {
     const exportOverlay = document.createElement('div');
     exportOverlay.className = 'export-overlay';
+    const subject = ids ? `the ${ids.length} selected word${ids.length === 1 ? '' : 's'}` : 'your vocabulary';
     exportOverlay.innerHTML = `
         <div class="export-modal">
             <h3>Choose Export Format</h3>
-            <p>Select the format you'd like to export your vocabulary:</p>
+            <p>Select the format you'd like to export ${subject}:</p>
             <div class="export-buttons">
                 <button class="export-format-btn" data-format="json">
                     📄 JSON
@@ -36,6 +37,10 @@ export function showExportMenu() {
                     📊 CSV
                     <span class="format-desc">Spreadsheet format</span>
                 </button>
+                <button class="export-format-btn" data-format="apkg">
+                    🃏 Anki
+                    <span class="format-desc">Deck package with your review schedule</span>
+                </button>
             </div>
             <button class="export-cancel-btn">Cancel</button>
         </div>
@@ -46,7 +51,7 @@ export function showExportMenu() {
     exportOverlay.querySelectorAll('.export-format-btn').forEach(btn => {
         btn.addEventListener('click', () => {
             const format = btn.getAttribute('data-format');
-            exportWords(format);
+            exportWords(format, { ids });
             document.body.removeChild(exportOverlay);
         });
     });
@@ -64,6 +69,8 @@ export function showExportMenu() {
 
 /**
  * Show edit word modal
+ * The modal opens with the given definition and example, then loads all senses
+ * of the word so each one can be edited, removed or added.
  * @param {string} word - Word to edit
  * @param {string} definition - Current definition
  * @param {string} example - Current example
@@ -77,18 +84,21 @@ export function showEditModal(word, definition, example) {
             <div class="edit-form">
                 <div class="edit-field">
                     <label for="edit-word">Word</label>
-                    <input type="text" id="edit-word" value="${escapeAttr(word)}" />
+                    <input type="text" id="edit-word" value="${escapeHtml(word)}" />
                 </div>
+                <div class="edit-senses"></div>
+                <button class="edit-add-sense-btn" type="button">+ Add Meaning</button>
                 <div class="edit-field">
-                    <label for="edit-definition">Definition</label>
-                    <textarea id="edit-definition" rows="3">${definition}</textarea>
+                    <label for="edit-tags">Tags</label>
+                    <div class="tag-editor">
+                        <span class="tag-editor-chips"></span>
+                        <input type="text" id="edit-tags" placeholder="Add a tag and press Enter" />
+                    </div>
                 </div>
                 <div class="edit-field">
-                    <label for="edit-example">Example</label>
-                    <div class="example-field-group">
-                        <textarea id="edit-example" rows="2">${example}</textarea>
-                        <button class="edit-regenerate-btn" type="button">🔄 Regenerate Example</button>
-                    </div>
+                    <label for="edit-deck">Deck</label>
+                    <input type="text" id="edit-deck" list="edit-deck-options" placeholder="No deck" />
+                    <datalist id="edit-deck-options"></datalist>
                 </div>
             </div>
             <div class="edit-error" style="display: none;"></div>
@@ -103,37 +113,119 @@ export function showEditModal(word, definition, example) {
 
     const originalWord = word;
     const wordInput = editOverlay.querySelector('#edit-word');
-    const definitionInput = editOverlay.querySelector('#edit-definition');
-    const exampleInput = editOverlay.querySelector('#edit-example');
+    const sensesContainer = editOverlay.querySelector('.edit-senses');
     const errorDiv = editOverlay.querySelector('.edit-error');
     const saveBtn = editOverlay.querySelector('.edit-save-btn');
+    const tagsContainer = editOverlay.querySelector('.tag-editor-chips');
+    const tagInput = editOverlay.querySelector('#edit-tags');
+    const deckInput = editOverlay.querySelector('#edit-deck');
+
+    // Tags and deck are only saved once the word's own ones are loaded
+    let tags = [];
+    let groupsLoaded = false;
+
+    const showTags = () => {
+        renderTagChips(tagsContainer, tags, (tag) => {
+            tags = tags.filter(existing => existing !== tag);
+            showTags();
+        });
+    };
+
+    const addTypedTags = () => {
+        tags = normalizeTags([...tags, ...tagInput.value.split(',')]);
+        tagInput.value = '';
+        showTags();
+    };
+
+    renderEditSenses(sensesContainer, wordInput, [{ senseIndex: 0, partOfSpeech: '', definition, example }]);
 
     wordInput.focus();
     wordInput.select();
 
+    // Load every sense of the word; saving waits until they are shown
+    saveBtn.disabled = true;
+    getWordIfExists(originalWord)
+        .then(saved => {
+            if (saved && saved.senses && saved.senses.length > 0) {
+                renderEditSenses(sensesContainer, wordInput, saved.senses);
+            }
+            if (saved) {
+                tags = normalizeTags([...(saved.tags || []), ...tags]);
+                deckInput.value = deckInput.value || saved.deck || '';
+                groupsLoaded = true;
+                showTags();
+            }
+        })
+        .catch(error => console.error('Error loading word senses:', error))
+        .finally(() => {
+            saveBtn.disabled = false;
+        });
+
+    // Offer the existing decks while typing
+    getTagsAndDecks()
+        .then(({ decks }) => {
+            editOverlay.querySelector('#edit-deck-options').innerHTML = decks
+                .map(deck => `<option value="${escapeHtml(deck.name)}"></option>`)
+                .join('');
+        })
+        .catch(error => console.error('Error loading decks:', error));
+
+    tagInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ',') {
+            e.preventDefault();
+            addTypedTags();
+        } else if (e.key === 'Backspace' && !tagInput.value && tags.length > 0) {
+            tags = tags.slice(0, -1);
+            showTags();
+        }
+    });
+
+    editOverlay.querySelector('.edit-add-sense-btn').addEventListener('click', () => {
+        const senses = readEditSenses(sensesContainer);
+        senses.push({ senseIndex: null, partOfSpeech: '', definition: '', example: '' });
+        renderEditSenses(sensesContainer, wordInput, senses);
+        const definitionInputs = sensesContainer.querySelectorAll('.edit-sense-definition');
+        definitionInputs[definitionInputs.length - 1].focus();
+    });
+
     const handleSave = async () => {
         const newWord = wordInput.value.trim();
-        const newDefinition = definitionInput.value.trim();
-        const newExample = exampleInput.value.trim();
+        const senses = readEditSenses(sensesContainer);
 
-        if (!newWord || !newDefinition) {
+        if (!newWord) {
             errorDiv.textContent = 'Word and definition are required.';
             errorDiv.style.display = 'block';
             return;
         }
 
-        const validation = validateWordExample(newWord, newExample);
-        if (!validation.valid) {
-            errorDiv.textContent = validation.error;
-            errorDiv.style.display = 'block';
-            exampleInput.focus();
-            return;
+        for (let i = 0; i < senses.length; i++) {
+            const prefix = senses.length > 1 ? `Meaning ${i + 1}: ` : '';
+
+            if (!senses[i].definition) {
+                errorDiv.textContent = `${prefix}Word and definition are required.`;
+                errorDiv.style.display = 'block';
+                return;
+            }
+
+            const validation = validateWordExample(newWord, senses[i].example);
+            if (!validation.valid) {
+                errorDiv.textContent = `${prefix}${validation.error}`;
+                errorDiv.style.display = 'block';
+                sensesContainer.querySelectorAll('.edit-sense-example')[i].focus();
+                return;
+            }
         }
 
         saveBtn.textContent = 'Saving...';
         saveBtn.disabled = true;
 
-        const result = await updateWord(originalWord, newWord, newDefinition, newExample);
+        // A tag still in the input counts as added
+        if (tagInput.value.trim()) {
+            addTypedTags();
+        }
+
+        const result = await updateWordSenses(originalWord, newWord, senses,
+            groupsLoaded ? { tags, deck: deckInput.value } : {});
 
         if (result === true) {
             document.body.removeChild(editOverlay);
@@ -159,12 +251,6 @@ export function showEditModal(word, definition, example) {
         }
     });
 
-    // Regenerate example button handler
-    const regenerateBtn = editOverlay.querySelector('.edit-regenerate-btn');
-    if (regenerateBtn) {
-        regenerateBtn.addEventListener('click', () => regenerateExample(wordInput, exampleInput, regenerateBtn));
-    }
-
     const closeModal = () => {
         document.body.removeChild(editOverlay);
     };
@@ -186,13 +272,95 @@ export function showEditModal(word, definition, example) {
     document.addEventListener('keydown', handleEscape);
 }
 
+/**
+ * Render the tag chips of the edit modal
+ * @param {HTMLElement} container - Chips container
+ * @param {Array<string>} tags - Tags of the word
+ * @param {Function} onRemove - Called with a tag when its chip is removed
+ */
+function renderTagChips(container, tags, onRemove) {
+    container.innerHTML = tags.map(tag => `
+        <span class="tag-chip">#${escapeHtml(tag)}<button class="tag-chip-remove" type="button" data-tag="${escapeHtml(tag)}" title="Remove tag">×</button></span>
+    `).join('');
+
+    container.querySelectorAll('.tag-chip-remove').forEach(btn => {
+        btn.addEventListener('click', () => onRemove(btn.getAttribute('data-tag')));
+    });
+}
+
+/**
+ * Render the sense editors of the edit modal
+ * @param {HTMLElement} container - Senses container
+ * @param {HTMLElement} wordInput - Word input element (used to regenerate examples)
+ * @param {Array} senses - Senses ({ senseIndex, partOfSpeech, definition, example }); senseIndex is null for new ones
+ */
+function renderEditSenses(container, wordInput, senses) {
+    const canRemove = senses.length > 1;
+
+    container.innerHTML = senses.map((sense, i) => `
+        <div class="edit-sense" data-sense-index="${sense.senseIndex ?? ''}">
+            <div class="edit-sense-header">
+                <span class="edit-sense-title">Meaning ${i + 1}</span>
+                <input type="text" class="edit-sense-pos" placeholder="Part of speech" value="${escapeHtml(sense.partOfSpeech || '')}" />
+                ${canRemove ? '<button class="edit-remove-sense-btn" type="button" title="Remove this meaning">×</button>' : ''}
+            </div>
+            <div class="edit-field">
+                <label for="edit-definition-${i}">Definition</label>
+                <textarea id="edit-definition-${i}" class="edit-sense-definition" rows="3">${escapeHtml(sense.definition || '')}</textarea>
+            </div>
+            <div class="edit-field">
+                <label for="edit-example-${i}">Example</label>
+                <div class="example-field-group">
+                    <textarea id="edit-example-${i}" class="edit-sense-example" rows="2">${escapeHtml(sense.example || '')}</textarea>
+                    <button class="edit-regenerate-btn" type="button">🔄 Regenerate Example</button>
+                </div>
+            </div>
+        </div>
+    `).join('');
+
+    container.querySelectorAll('.edit-sense').forEach((senseElement, i) => {
+        const exampleInput = senseElement.querySelector('.edit-sense-example');
+        const posInput = senseElement.querySelector('.edit-sense-pos');
+        const regenerateBtn = senseElement.querySelector('.edit-regenerate-btn');
+
+        regenerateBtn.addEventListener('click', () =>
+            regenerateExample(wordInput, exampleInput, regenerateBtn, posInput.value.trim()));
+
+        const removeBtn = senseElement.querySelector('.edit-remove-sense-btn');
+        if (removeBtn) {
+            removeBtn.addEventListener('click', () => {
+                const remaining = readEditSenses(container).filter((_, index) => index !== i);
+                renderEditSenses(container, wordInput, remaining);
+            });
+        }
+    });
+}
+
+/**
+ * Read the senses currently entered in the edit modal
+ * @param {HTMLElement} container - Senses container
+ * @returns {Array} Senses ({ senseIndex, partOfSpeech, definition, example })
+ */
+function readEditSenses(container) {
+    return [...container.querySelectorAll('.edit-sense')].map(senseElement => {
+        const senseIndex = senseElement.getAttribute('data-sense-index');
+        return {
+            senseIndex: senseIndex === '' ? null : parseInt(senseIndex, 10),
+            partOfSpeech: senseElement.querySelector('.edit-sense-pos').value.trim(),
+            definition: senseElement.querySelector('.edit-sense-definition').value.trim(),
+            example: senseElement.querySelector('.edit-sense-example').value.trim()
+        };
+    });
+}
+
 /**
  * Regenerate example sentence
  * @param {HTMLElement} wordInput - Word input element
  * @param {HTMLElement} exampleInput - Example input element
  * @param {HTMLElement} regenerateBtn - Regenerate button element
+ * @param {string} partOfSpeech - Part of speech of the sense, to pick an example of the same sense
  */
-async function regenerateExample(wordInput, exampleInput, regenerateBtn) {
+async function regenerateExample(wordInput, exampleInput, regenerateBtn, partOfSpeech = '') {
     if (!exampleInput || !regenerateBtn || !wordInput) {
         console.log('❌ Regenerate Example: Required elements not found');
         return;
@@ -222,8 +390,9 @@ async function regenerateExample(wordInput, exampleInput, regenerateBtn) {
             console.log('🔄 Regenerate Example: API response:', result);
 
             console.log('🔄 Regenerate Example: Checking if word appears in example...');
-            if (result.example && containsWord(result.example, currentWord)) {
-                newExample = result.example;
+            const candidate = pickSenseExample(result, currentWord, partOfSpeech);
+            if (candidate && containsWord(candidate, currentWord)) {
+                newExample = candidate;
                 console.log('✅ Regenerate Example: Valid example found:', newExample);
             } else if (attempts === maxAttempts) {
                 console.error('❌ Regenerate Example: Failed after max attempts - could not generate valid example');
@@ -255,3 +424,19 @@ async function regenerateExample(wordInput, exampleInput, regenerateBtn) {
         }, 2000);
     }
 }
+
+/**
+ * Pick a regenerated example for a sense: one from the sense with the same
+ * part of speech when the lookup returned it, otherwise the main example
+ * @param {Object} result - Result of regenerateWordExample
+ * @param {string} word - Word the example must contain
+ * @param {string} partOfSpeech - Part of speech of the edited sense
+ * @returns {string} Example sentence
+ */
+export function pickSenseExample(result, word, partOfSpeech) {
+    const sense = partOfSpeech && (result.senses || [])
+        .find(s => s.partOfSpeech.toLowerCase() === partOfSpeech.toLowerCase());
+    const senseExample = sense && sense.examples.find(example => containsWord(example, word));
+
+    return senseExample || result.example;
+}
@@ -3,14 +3,36 @@
  * Handles saved words display, filtering, and pagination
  */
 
-import { getSavedWordsPaginated, deleteWord } from '../storage/index.js';
+import {
+    getSavedWordsPaginated,
+    deleteWord,
+    getTagsAndDecks,
+    renameTag,
+    deleteTag,
+    renameDeck,
+    deleteDeck,
+    normalizeTag,
+    normalizeDeck
+} from '../storage/index.js';
 import { showEditModal } from './modals.js';
+import { initSelection, isWordSelected, clearSelection, initBulkActions } from './bulkActions.js';
+import { offerUndoDelete } from './trash.js';
+import { showWordDetail } from './wordDetail.js';
+import { escapeHtml } from './html.js';
 
 // Pagination and filter state
 let currentPage = 1;
 let currentFilter = 'all';
+// Deck or tag the list is limited to ({ type: 'deck' | 'tag', name }), or null
+let currentGroup = null;
+let currentSearch = '';
+let currentSort = 'added';
 const PAGE_SIZE = 50;
 
+// Wait for a pause in typing before searching
+const SEARCH_DELAY_MS = 300;
+let searchTimer = null;
+
 // Empty state messages for each filter
 const EMPTY_MESSAGES = {
     all: 'No saved words yet',
@@ -21,12 +43,31 @@ const EMPTY_MESSAGES = {
 };
 
 /**
- * Escape HTML attributes
- * @param {string} str - String to escape
- * @returns {string} Escaped string
+ * Escape text and mark every case-insensitive occurrence of the search text
+ * @param {string} text - Text to show
+ * @param {string} search - Search text ('' marks nothing)
+ * @returns {string} HTML
  */
-function escapeAttr(str) {
-    return str.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+function highlightMatches(text, search) {
+    const value = String(text ?? '');
+    if (!search) {
+        return escapeHtml(value);
+    }
+
+    const lower = value.toLowerCase();
+    const needle = search.toLowerCase();
+    let html = '';
+    let from = 0;
+    let index = lower.indexOf(needle);
+
+    while (index !== -1) {
+        html += escapeHtml(value.slice(from, index));
+        html += `<mark class="search-match">${escapeHtml(value.slice(index, index + needle.length))}</mark>`;
+        from = index + needle.length;
+        index = lower.indexOf(needle, from);
+    }
+
+    return html + escapeHtml(value.slice(from));
 }
 
 /**
@@ -57,6 +98,174 @@ function getWordStatusBadge(word) {
     return '';
 }
 
+/**
+ * Get the part of speech and sense number shown next to a word
+ * @param {Object} word - Word object
+ * @returns {string} HTML for the sense label
+ */
+function renderSenseLabel(word) {
+    const parts = [];
+
+    if (word.partOfSpeech) {
+        parts.push(escapeHtml(word.partOfSpeech));
+    }
+    if (word.senseIndex > 0) {
+        parts.push(`sense ${word.senseIndex + 1}`);
+    }
+
+    return parts.length > 0 ? `<span class="saved-word-sense">${parts.join(' · ')}</span>` : '';
+}
+
+/**
+ * Get the deck label and tag chips shown under a word
+ * @param {Object} word - Word object
+ * @returns {string} HTML for the deck and tags
+ */
+function renderWordGroups(word) {
+    const tags = word.tags || [];
+
+    if (!word.deck && tags.length === 0) {
+        return '';
+    }
+
+    return `
+        <div class="saved-word-tags">
+            ${word.deck ? `<button class="deck-chip" data-deck="${escapeHtml(word.deck)}" title="Show this deck">${escapeHtml(word.deck)}</button>` : ''}
+            ${tags.map(tag => `<button class="tag-chip" data-tag="${escapeHtml(tag)}" title="Show this tag">#${escapeHtml(tag)}</button>`).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Convert a group to the value of its option in the deck/tag selector
+ * @param {Object|null} group - { type, name } or null
+ * @returns {string} Option value ('' for no group)
+ */
+function toGroupValue(group) {
+    return group ? `${group.type}:${group.name}` : '';
+}
+
+/**
+ * Read a group from an option value of the deck/tag selector
+ * @param {string} value - Option value
+ * @returns {Object|null} { type, name } or null
+ */
+function fromGroupValue(value) {
+    const separator = value.indexOf(':');
+    return separator > 0 ? { type: value.slice(0, separator), name: value.slice(separator + 1) } : null;
+}
+
+/**
+ * Fill the deck/tag selector with the decks and tags in use
+ * (does nothing when the page has no selector)
+ */
+async function refreshGroupFilter() {
+    const groupFilter = document.getElementById('groupFilter');
+    if (!groupFilter) return;
+
+    const { tags, decks } = await getTagsAndDecks();
+    const renderOptions = (type, groups) => groups.map(group => {
+        const value = toGroupValue({ type, name: group.name });
+        const label = type === 'tag' ? `#${group.name}` : group.name;
+        return `<option value="${escapeHtml(value)}">${escapeHtml(label)} (${group.count})</option>`;
+    }).join('');
+
+    groupFilter.innerHTML = `
+        <option value="">All decks and tags</option>
+        ${decks.length > 0 ? `<optgroup label="Decks">${renderOptions('deck', decks)}</optgroup>` : ''}
+        ${tags.length > 0 ? `<optgroup label="Tags">${renderOptions('tag', tags)}</optgroup>` : ''}
+    `;
+
+    // A group that no word uses any more can still be selected until the filter is cleared
+    const selected = toGroupValue(currentGroup);
+    if (selected && ![...groupFilter.options].some(option => option.value === selected)) {
+        groupFilter.insertAdjacentHTML('beforeend', `<option value="${escapeHtml(selected)}">${escapeHtml(currentGroup.name)} (0)</option>`);
+    }
+    groupFilter.value = selected;
+    updateGroupActions();
+}
+
+/**
+ * Show the rename and delete buttons only while a deck or tag is selected
+ */
+function updateGroupActions() {
+    ['renameGroupBtn', 'deleteGroupBtn'].forEach(id => {
+        const btn = document.getElementById(id);
+        if (btn) {
+            btn.style.display = currentGroup ? 'inline-block' : 'none';
+        }
+    });
+}
+
+/**
+ * Limit the list to a deck or tag
+ * @param {Object|null} group - { type, name }, or null to show every word
+ */
+async function showGroup(group) {
+    currentGroup = group;
+    clearSelection();
+
+    const groupFilter = document.getElementById('groupFilter');
+    if (groupFilter) {
+        groupFilter.value = toGroupValue(group);
+    }
+
+    updateGroupActions();
+    await displaySavedWords(1, currentFilter);
+}
+
+/**
+ * Rename the selected deck or tag
+ */
+async function renameCurrentGroup() {
+    if (!currentGroup) return;
+
+    const { type, name } = currentGroup;
+    const newName = prompt(`Rename the ${type} "${name}" to:`, name);
+
+    if (!newName || !newName.trim() || newName.trim() === name) {
+        return;
+    }
+
+    const success = type === 'tag' ? await renameTag(name, newName) : await renameDeck(name, newName);
+
+    if (!success) {
+        alert(`Failed to rename the ${type}. Please try again.`);
+        return;
+    }
+
+    currentGroup = { type, name: type === 'tag' ? normalizeTag(newName) : normalizeDeck(newName) };
+    await refreshGroupFilter();
+    await displaySavedWords(1, currentFilter);
+}
+
+/**
+ * Delete the selected deck or tag (its words stay saved)
+ */
+async function deleteCurrentGroup() {
+    if (!currentGroup) return;
+
+    const { type, name } = currentGroup;
+    const message = type === 'tag'
+        ? `Remove the tag "${name}" from all words?`
+        : `Delete the deck "${name}"? Its words stay saved without a deck.`;
+
+    if (!confirm(message)) {
+        return;
+    }
+
+    const success = type === 'tag' ? await deleteTag(name) : await deleteDeck(name);
+
+    if (!success) {
+        alert(`Failed to delete the ${type}. Please try again.`);
+        return;
+    }
+
+    currentGroup = null;
+    await refreshGroupFilter();
+    await displaySavedWords(1, currentFilter);
+}
+
 /**
  * Update filter button active states
  * @param {string} activeFilter - Currently active filter
@@ -111,6 +320,18 @@ function renderPaginationControls(currentPage, totalPages) {
     return pages.join('');
 }
 
+/**
+ * Get the deck/tag, search and sort options of the current view
+ * @returns {Object} Options for getSavedWordsPaginated
+ */
+function getQueryOptions() {
+    return {
+        ...(currentGroup ? { [currentGroup.type]: currentGroup.name } : {}),
+        search: currentSearch,
+        sort: currentSort
+    };
+}
+
 /**
  * Display saved words with pagination and filtering
  * @param {number} page - Page number to display
@@ -126,11 +347,26 @@ export async function displaySavedWords(page = 1, filter = currentFilter) {
     savedWordsList.innerHTML = '<p class="loading">Loading words...</p>';
     paginationControls.innerHTML = '';
 
-    const { words, totalCount, totalPages, currentPage: fetchedPage } = await getSavedWordsPaginated(page, PAGE_SIZE, filter);
+    const [{ words, totalPages, currentPage: fetchedPage }] = await Promise.all([
+        getSavedWordsPaginated(page, PAGE_SIZE, filter, getQueryOptions()),
+        refreshGroupFilter()
+    ]);
     currentPage = fetchedPage;
 
+    // Words were removed from the end of the list: show its new last page
+    if (words.length === 0 && totalPages > 0 && page > totalPages) {
+        return displaySavedWords(totalPages, filter);
+    }
+
     if (words.length === 0) {
-        savedWordsList.innerHTML = `<p class="empty-state">${EMPTY_MESSAGES[filter] || EMPTY_MESSAGES.all}</p>`;
+        initSelection(savedWordsList, []);
+        let emptyMessage = EMPTY_MESSAGES[filter] || EMPTY_MESSAGES.all;
+        if (currentSearch) {
+            emptyMessage = `No words match "${escapeHtml(currentSearch)}"`;
+        } else if (currentGroup) {
+            emptyMessage = `No matching words in this ${currentGroup.type}`;
+        }
+        savedWordsList.innerHTML = `<p class="empty-state">${emptyMessage}</p>`;
         paginationControls.innerHTML = '';
         return;
     }
@@ -138,19 +374,24 @@ export async function displaySavedWords(page = 1, filter = currentFilter) {
     savedWordsList.innerHTML = words.map((item, index) => `
         <div class="saved-word-item">
             <div class="saved-word-header">
-                <span class="saved-word-title">${item.word}</span>
+                <input type="checkbox" class="select-word" data-index="${index}" ${isWordSelected(item.id) ? 'checked' : ''} title="Select (shift-click to select a range)" />
+                <span class="saved-word-title">${highlightMatches(item.word, currentSearch)}</span>
+                ${renderSenseLabel(item)}
                 ${getWordStatusBadge(item)}
                 <div class="saved-word-actions">
-                    <button class="edit-btn" data-word="${item.word}" data-definition="${escapeAttr(item.definition)}" data-example="${escapeAttr(item.example || '')}" data-index="${index}">✎</button>
-                    <button class="delete-btn" data-word="${item.word}" data-index="${index}">×</button>
+                    <button class="details-btn" data-index="${index}" title="Forgetting curve">📈</button>
+                    <button class="edit-btn" data-word="${escapeHtml(item.word)}" data-definition="${escapeHtml(item.definition)}" data-example="${escapeHtml(item.example || '')}" data-index="${index}">✎</button>
+                    <button class="delete-btn" data-word="${escapeHtml(item.word)}" data-sense="${item.senseIndex || 0}" data-index="${index}">×</button>
                 </div>
             </div>
-            <p class="saved-definition">${item.definition}</p>
-            ${item.example ? `<p class="saved-example">${item.example}</p>` : ''}
+            <p class="saved-definition">${highlightMatches(item.definition, currentSearch)}</p>
+            ${item.example ? `<p class="saved-example">${highlightMatches(item.example, currentSearch)}</p>` : ''}
+            ${renderWordGroups(item)}
         </div>
     `).join('');
 
     paginationControls.innerHTML = renderPaginationControls(currentPage, totalPages);
+    initSelection(savedWordsList, words);
 
     // Add event listeners for pagination buttons
     paginationControls.querySelectorAll('.pagination-btn').forEach(btn => {
@@ -167,16 +408,35 @@ export async function displaySavedWords(page = 1, filter = currentFilter) {
     document.querySelectorAll('.delete-btn').forEach(btn => {
         btn.addEventListener('click', async (e) => {
             const word = e.target.getAttribute('data-word');
-            const success = await deleteWord(word);
+            const senseIndex = parseInt(e.target.getAttribute('data-sense'), 10) || 0;
+            // Each row is one sense; deleting it keeps the word's other senses
+            const success = await deleteWord(word, { senseIndex });
             if (success) {
                 const pageToShow = words.length === 1 && currentPage > 1 ? currentPage - 1 : currentPage;
                 await displaySavedWords(pageToShow);
+                offerUndoDelete(`Deleted "${word}"`);
             } else {
                 alert('Failed to delete word. Please try again.');
             }
         });
     });
 
+    // Tag and deck chips show the words of that tag or deck
+    savedWordsList.querySelectorAll('.tag-chip').forEach(chip => {
+        chip.addEventListener('click', () => showGroup({ type: 'tag', name: chip.getAttribute('data-tag') }));
+    });
+
+    savedWordsList.querySelectorAll('.deck-chip').forEach(chip => {
+        chip.addEventListener('click', () => showGroup({ type: 'deck', name: chip.getAttribute('data-deck') }));
+    });
+
+    // Detail buttons show the word's forgetting curve
+    savedWordsList.querySelectorAll('.details-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            showWordDetail(words[parseInt(btn.getAttribute('data-index'), 10)]);
+        });
+    });
+
     // Add event listeners for edit buttons
     document.querySelectorAll('.edit-btn').forEach(btn => {
         btn.addEventListener('click', (e) => {
@@ -196,10 +456,55 @@ export function initFilterControls() {
         btn.addEventListener('click', () => {
             const filter = btn.dataset.filter;
             if (filter !== currentFilter) {
+                clearSelection();
                 displaySavedWords(1, filter);
             }
         });
     });
+
+    const groupFilter = document.getElementById('groupFilter');
+    if (groupFilter) {
+        groupFilter.addEventListener('change', () => showGroup(fromGroupValue(groupFilter.value)));
+    }
+
+    const searchInput = document.getElementById('savedSearch');
+    if (searchInput) {
+        searchInput.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => {
+                const search = searchInput.value.trim();
+                if (search !== currentSearch) {
+                    currentSearch = search;
+                    clearSelection();
+                    displaySavedWords(1, currentFilter);
+                }
+            }, SEARCH_DELAY_MS);
+        });
+    }
+
+    const sortSelect = document.getElementById('savedSort');
+    if (sortSelect) {
+        sortSelect.value = currentSort;
+        sortSelect.addEventListener('change', () => {
+            currentSort = sortSelect.value;
+            displaySavedWords(1, currentFilter);
+        });
+    }
+
+    const renameGroupBtn = document.getElementById('renameGroupBtn');
+    if (renameGroupBtn) {
+        renameGroupBtn.addEventListener('click', renameCurrentGroup);
+    }
+
+    const deleteGroupBtn = document.getElementById('deleteGroupBtn');
+    if (deleteGroupBtn) {
+        deleteGroupBtn.addEventListener('click', deleteCurrentGroup);
+    }
+
+    initBulkActions({
+        getQuery: () => ({ filter: currentFilter, options: getQueryOptions() }),
+        refresh: () => displaySavedWords(currentPage, currentFilter)
+    });
 }
 
 /**
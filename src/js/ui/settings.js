@@ -0,0 +1,183 @@
+/**
+ * UI Settings Module
+ * Handles the settings tab
+ */
+
+import { getSetting, setSetting } from '../settings.js';
+import {
+    AI_PROVIDERS,
+    PROVIDER_DEFAULTS,
+    getProviderConfig,
+    saveProviderConfig,
+    getAIProvider
+} from '../aiProviders.js';
+
+/**
+ * Initialize the settings controls from the saved preferences
+ */
+export function initSettings() {
+    const gradingInputs = document.querySelectorAll('input[name="gradingMode"]');
+    const gradingMode = getSetting('gradingMode');
+
+    gradingInputs.forEach(input => {
+        input.checked = input.value === gradingMode;
+
+        input.addEventListener('change', () => {
+            if (input.checked) {
+                setSetting('gradingMode', input.value);
+            }
+        });
+    });
+
+    initStudySettings();
+    initMiningSettings();
+    initAIProviderSettings();
+}
+
+/**
+ * Initialize the daily limit and queue order controls
+ */
+function initStudySettings() {
+    const newLimitInput = document.getElementById('dailyNewLimit');
+    const reviewLimitInput = document.getElementById('dailyReviewLimit');
+    const orderSelect = document.getElementById('reviewOrder');
+    const positionSelect = document.getElementById('newWordPosition');
+    if (!newLimitInput || !reviewLimitInput || !orderSelect || !positionSelect) return;
+
+    newLimitInput.value = String(getSetting('dailyNewLimit'));
+    reviewLimitInput.value = String(getSetting('dailyReviewLimit'));
+    orderSelect.value = getSetting('reviewOrder');
+    positionSelect.value = getSetting('newWordPosition');
+
+    [[newLimitInput, 'dailyNewLimit'], [reviewLimitInput, 'dailyReviewLimit']].forEach(([input, key]) => {
+        input.addEventListener('change', () => {
+            const value = parseInt(input.value, 10);
+            if (Number.isInteger(value) && value >= 0) {
+                setSetting(key, value);
+            } else {
+                input.value = String(getSetting(key));
+            }
+        });
+    });
+    orderSelect.addEventListener('change', () => {
+        setSetting('reviewOrder', orderSelect.value);
+    });
+    positionSelect.addEventListener('change', () => {
+        setSetting('newWordPosition', positionSelect.value);
+    });
+}
+
+/**
+ * Initialize the text mining frequency list controls
+ */
+function initMiningSettings() {
+    const limitSelect = document.getElementById('miningCommonWordsLimit');
+    const listInput = document.getElementById('miningFrequencyList');
+    if (!limitSelect || !listInput) return;
+
+    limitSelect.value = String(getSetting('miningCommonWordsLimit'));
+    listInput.value = getSetting('miningFrequencyList');
+
+    limitSelect.addEventListener('change', () => {
+        setSetting('miningCommonWordsLimit', parseInt(limitSelect.value, 10));
+    });
+    listInput.addEventListener('change', () => {
+        setSetting('miningFrequencyList', listInput.value.trim());
+    });
+}
+
+/**
+ * Initialize the AI provider selector and its configuration fields
+ */
+function initAIProviderSettings() {
+    const providerSelect = document.getElementById('aiProvider');
+    if (!providerSelect) return;
+
+    const urlInput = document.getElementById('aiProviderUrl');
+    const modelInput = document.getElementById('aiProviderModel');
+    const apiKeyInput = document.getElementById('aiProviderApiKey');
+    const testButton = document.getElementById('testAIProvider');
+
+    providerSelect.value = getSetting('aiProvider');
+    showProviderConfig(providerSelect.value);
+
+    providerSelect.addEventListener('change', () => {
+        setSetting('aiProvider', providerSelect.value);
+        showProviderConfig(providerSelect.value);
+    });
+
+    [urlInput, modelInput, apiKeyInput].forEach(input => {
+        input.addEventListener('change', () => {
+            saveProviderConfig(providerSelect.value, {
+                url: urlInput.value,
+                model: modelInput.value,
+                apiKey: apiKeyInput.value
+            });
+            setProviderStatus('');
+        });
+    });
+
+    testButton.addEventListener('click', testAIProvider);
+}
+
+/**
+ * Fill the configuration fields for a provider
+ * @param {string} providerId - Provider ID (one of AI_PROVIDERS)
+ */
+function showProviderConfig(providerId) {
+    const defaults = PROVIDER_DEFAULTS[providerId];
+    const config = getProviderConfig(providerId);
+    const urlInput = document.getElementById('aiProviderUrl');
+    const modelInput = document.getElementById('aiProviderModel');
+    const apiKeyInput = document.getElementById('aiProviderApiKey');
+
+    urlInput.value = config.url;
+    urlInput.placeholder = defaults.url;
+    modelInput.value = config.model;
+    modelInput.placeholder = defaults.model;
+
+    // Only show keys the user entered; the built-in Mistral key stays hidden
+    apiKeyInput.value = config.apiKey === defaults.apiKey ? '' : config.apiKey;
+    apiKeyInput.placeholder = defaults.apiKey ? 'Built-in key' : 'Optional';
+
+    // A local Ollama server does not use API keys
+    document.getElementById('aiProviderApiKeyField').style.display =
+        providerId === AI_PROVIDERS.OLLAMA ? 'none' : '';
+
+    setProviderStatus('');
+}
+
+/**
+ * Send a tiny request to the selected provider and report the result
+ */
+async function testAIProvider() {
+    const testButton = document.getElementById('testAIProvider');
+    testButton.disabled = true;
+    setProviderStatus('Testing...');
+
+    try {
+        const reply = await getAIProvider().complete({
+            prompt: 'Reply with the single word OK.',
+            temperature: 0,
+            maxTokens: 5
+        });
+        setProviderStatus(`Connected — model replied "${reply.trim().slice(0, 40)}"`, 'success');
+    } catch (error) {
+        setProviderStatus(`Connection failed: ${error.message}`, 'error');
+    } finally {
+        testButton.disabled = false;
+    }
+}
+
+/**
+ * Show a status message next to the test button
+ * @param {string} message - Message text
+ * @param {string} type - 'success', 'error' or '' for neutral
+ */
+function setProviderStatus(message, type = '') {
+    const status = document.getElementById('aiProviderStatus');
+    if (!status) return;
+
+    status.textContent = message;
+    status.className = type ? `settings-status ${type}` : 'settings-status';
+}
@@ -0,0 +1,50 @@
+/**
+ * UI Toast Module
+ * Handles short notices shown at the bottom of the screen, with an optional undo
+ */
+
+// How long a toast stays visible
+const TOAST_DURATION_MS = 8000;
+
+let activeToast = null;
+let hideTimer = null;
+
+/**
+ * Show a notice with an Undo button (replaces the toast currently shown)
+ * @param {string} message - Notice text
+ * @param {Function} onUndo - Called once when Undo is clicked
+ */
+export function showUndoToast(message, onUndo) {
+    hideToast();
+
+    const toast = document.createElement('div');
+    toast.className = 'toast';
+    toast.setAttribute('role', 'status');
+    toast.innerHTML = `
+        <span class="toast-message"></span>
+        <button class="toast-undo-btn">Undo</button>
+    `;
+    toast.querySelector('.toast-message').textContent = message;
+
+    toast.querySelector('.toast-undo-btn').addEventListener('click', async () => {
+        hideToast();
+        await onUndo();
+    });
+
+    document.body.appendChild(toast);
+    activeToast = toast;
+    hideTimer = setTimeout(hideToast, TOAST_DURATION_MS);
+}
+
+/**
+ * Remove the toast currently shown
+ */
+export function hideToast() {
+    clearTimeout(hideTimer);
+    hideTimer = null;
+
+    if (activeToast && activeToast.parentNode) {
+        activeToast.parentNode.removeChild(activeToast);
+    }
+    activeToast = null;
+}
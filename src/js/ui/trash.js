@@ -0,0 +1,164 @@
+/**
+ * UI Trash Module
+ * Handles the trash dialog and undoing deletions
+ */
+
+import {
+    TRASH_RETENTION_DAYS,
+    getDeletedWords,
+    restoreWords,
+    purgeWords,
+    emptyTrash,
+    undoLastDeletion
+} from '../storage/index.js';
+import { displaySavedWords, getCurrentPage } from './savedWords.js';
+import { showUndoToast } from './toast.js';
+import { escapeHtml } from './html.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Show an undo toast for the deletion that just happened
+ * @param {string} message - Notice text, e.g. 'Deleted "calm"'
+ * @param {Function} onRestored - Called after the words are back (refreshes the saved words list when omitted)
+ */
+export function offerUndoDelete(message, onRestored = null) {
+    showUndoToast(message, async () => {
+        reportRestore(await undoLastDeletion());
+
+        if (onRestored) {
+            await onRestored();
+        } else {
+            await displaySavedWords(getCurrentPage());
+        }
+    });
+}
+
+/**
+ * Tell the user about words that could not be restored
+ * @param {Object} result - { restored, skipped, failed } from restoreWords
+ */
+function reportRestore({ skipped, failed }) {
+    if (skipped > 0) {
+        alert(`${skipped} word${skipped === 1 ? ' was' : 's were'} not restored because ${skipped === 1 ? 'it has' : 'they have'} been saved again since.`);
+    } else if (failed > 0) {
+        alert('Failed to restore some words. Please try again.');
+    }
+}
+
+/**
+ * Show the trash dialog: deleted words with restore and permanent delete
+ */
+export function showTrashModal() {
+    const trashOverlay = document.createElement('div');
+    trashOverlay.className = 'export-overlay';
+    trashOverlay.innerHTML = `
+        <div class="export-modal trash-modal">
+            <h3>Trash</h3>
+            <p>Deleted words are kept for ${TRASH_RETENTION_DAYS} days with their review history, then deleted for good.</p>
+            <div class="trash-list"><p class="loading">Loading...</p></div>
+            <div class="trash-actions">
+                <button class="trash-empty-btn" disabled>Empty Trash</button>
+            </div>
+            <button class="export-cancel-btn">Close</button>
+        </div>
+    `;
+
+    document.body.appendChild(trashOverlay);
+
+    const trashList = trashOverlay.querySelector('.trash-list');
+    const emptyBtn = trashOverlay.querySelector('.trash-empty-btn');
+    let deletedWords = [];
+
+    const render = async () => {
+        deletedWords = await getDeletedWords();
+        trashList.innerHTML = renderTrashList(deletedWords);
+        emptyBtn.disabled = deletedWords.length === 0;
+
+        trashList.querySelectorAll('.trash-restore-btn').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                btn.disabled = true;
+                reportRestore(await restoreWords([btn.getAttribute('data-id')]));
+                await render();
+                await displaySavedWords(getCurrentPage());
+            });
+        });
+
+        trashList.querySelectorAll('.trash-purge-btn').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                const word = deletedWords.find(item => item.id === btn.getAttribute('data-id'));
+                if (!word || !confirm(`Delete "${word.word}" for good? Its review history is deleted too.`)) {
+                    return;
+                }
+
+                if (!(await purgeWords([word.id]))) {
+                    alert('Failed to delete the word. Please try again.');
+                }
+                await render();
+            });
+        });
+    };
+
+    emptyBtn.addEventListener('click', async () => {
+        const count = deletedWords.length;
+        if (!confirm(`Delete ${count} word${count === 1 ? '' : 's'} in the trash for good? This cannot be undone.`)) {
+            return;
+        }
+
+        if (!(await emptyTrash())) {
+            alert('Failed to empty the trash. Please try again.');
+        }
+        await render();
+    });
+
+    const close = () => {
+        if (trashOverlay.parentNode) {
+            document.body.removeChild(trashOverlay);
+        }
+    };
+
+    trashOverlay.querySelector('.export-cancel-btn').addEventListener('click', close);
+
+    trashOverlay.addEventListener('click', (e) => {
+        if (e.target === trashOverlay) {
+            close();
+        }
+    });
+
+    return render();
+}
+
+/**
+ * Render the deleted words
+ * @param {Array} words - Words from getDeletedWords
+ * @returns {string} HTML
+ */
+function renderTrashList(words) {
+    if (words.length === 0) {
+        return '<p class="empty-state">The trash is empty</p>';
+    }
+
+    const now = Date.now();
+
+    return words.map(item => {
+        const daysLeft = Math.max(0, Math.ceil((new Date(item.purgeAt).getTime() - now) / DAY_MS));
+        const sense = [item.partOfSpeech, item.senseIndex > 0 ? `sense ${item.senseIndex + 1}` : '']
+            .filter(Boolean)
+            .join(' · ');
+
+        return `
+            <div class="trash-item">
+                <div class="trash-item-text">
+                    <span class="saved-word-title">${escapeHtml(item.word)}</span>
+                    ${sense ? `<span class="saved-word-sense">${escapeHtml(sense)}</span>` : ''}
+                    <p class="saved-definition">${escapeHtml(item.definition)}</p>
+                    <p class="trash-item-meta">Deleted ${new Date(item.deletedAt).toLocaleDateString()} · ${daysLeft} day${daysLeft === 1 ? '' : 's'} left</p>
+                </div>
+                <div class="trash-item-actions">
+                    <button class="trash-restore-btn" data-id="${escapeHtml(item.id)}">Restore</button>
+                    <button class="trash-purge-btn" data-id="${escapeHtml(item.id)}">Delete forever</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
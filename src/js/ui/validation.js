@@ -59,7 +59,7 @@ export function containsWord(text, targetWord) {
  * @param {string} str - String to escape
  * @returns {string} Escaped string safe for regex
  */
-function escapeRegex(str) {
+export function escapeRegex(str) {
     return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
@@ -0,0 +1,242 @@
+/**
+ * UI Word Detail Module
+ * Handles the word detail dialog: the word's forgetting curve, its past
+ * reviews and when it is planned next
+ *
+ * The curve is drawn from the review history: after each review recall
+ * starts at 100% and decays with the stability that review produced.
+ */
+
+import { getWordReviewHistory } from '../storage/index.js';
+import { fsrsInstance, FSRS_RATING } from '../fsrs.js';
+import { escapeHtml } from './html.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Chart size (SVG user units) and points drawn per curve segment
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 220;
+const CHART_PADDING = { top: 12, right: 12, bottom: 28, left: 40 };
+const SEGMENT_POINTS = 40;
+
+// Log entries this close to the word's last review are that review
+const SAME_REVIEW_MS = 60 * 1000;
+
+const RATING_LABELS = {
+    [FSRS_RATING.AGAIN]: 'Again',
+    [FSRS_RATING.HARD]: 'Hard',
+    [FSRS_RATING.GOOD]: 'Good',
+    [FSRS_RATING.EASY]: 'Easy'
+};
+
+/**
+ * Work out a word's forgetting curve from its review history
+ * The word's own stability and last review win over the history for the
+ * current segment, so words reviewed before the history was kept still get one.
+ * @param {Object} word - Word with stability, last_review and nextReview (or next_review)
+ * @param {Array} history - Review log entries of the word, oldest first
+ * @param {Date} now - Current date (defaults to now)
+ * @returns {Object} { segments: [{ from, to, stability }], reviews: [{ at, rating, recallBefore }], nextReview, currentRecall }
+ */
+export function buildForgettingCurve(word, history, now = new Date()) {
+    const reviews = (history || [])
+        .map(log => ({
+            at: new Date(log.reviewedAt),
+            rating: log.rating,
+            stability: log.newStability,
+            recallBefore: log.prevStability > 0
+                ? fsrsInstance.calculateRetentionProbability(log.prevStability, log.elapsedDays || 0)
+                : null
+        }))
+        .filter(review => !isNaN(review.at.getTime()) && review.stability > 0);
+
+    // The word's current memory state
+    const lastLogged = reviews[reviews.length - 1];
+    const lastReview = word.last_review ? new Date(word.last_review) : lastLogged?.at;
+    const stability = word.stability > 0 ? word.stability : lastLogged?.stability;
+    const nextReviewValue = word.next_review || word.nextReview;
+    const nextReview = nextReviewValue ? new Date(nextReviewValue) : null;
+
+    if (!lastReview || isNaN(lastReview.getTime()) || !(stability > 0)) {
+        return { segments: [], reviews: [], nextReview, currentRecall: null };
+    }
+
+    // Draw the current segment until after the next review (or now, if later)
+    const end = new Date(Math.max(now.getTime(), nextReview ? nextReview.getTime() : 0));
+    const span = Math.max(DAY_MS, end - (reviews[0]?.at || lastReview));
+    const chartEnd = new Date(end.getTime() + span * 0.1);
+
+    // The last logged review and the word's last_review are the same review,
+    // stamped a few milliseconds apart
+    const segments = reviews
+        .filter(review => lastReview - review.at > SAME_REVIEW_MS)
+        .map((review, index, earlier) => ({
+            from: review.at,
+            to: earlier[index + 1]?.at || lastReview,
+            stability: review.stability
+        }));
+    segments.push({ from: lastReview, to: chartEnd, stability });
+
+    const elapsedDays = Math.max(0, (now - lastReview) / DAY_MS);
+
+    return {
+        segments,
+        reviews: reviews.map(({ at, rating, recallBefore }) => ({ at, rating, recallBefore })),
+        nextReview,
+        currentRecall: fsrsInstance.calculateRetentionProbability(stability, elapsedDays)
+    };
+}
+
+/**
+ * Show the detail dialog of a word
+ * @param {Object} word - Word from the saved words list or an exercise
+ * @returns {Promise} Resolves once the chart is drawn
+ */
+export function showWordDetail(word) {
+    const detailOverlay = document.createElement('div');
+    detailOverlay.className = 'export-overlay';
+    detailOverlay.innerHTML = `
+        <div class="export-modal word-detail-modal">
+            <h3>${escapeHtml(word.word)}</h3>
+            <p class="saved-definition">${escapeHtml(word.definition)}</p>
+            <div class="word-detail-body"><p class="loading">Loading review history...</p></div>
+            <button class="export-cancel-btn">Close</button>
+        </div>
+    `;
+
+    document.body.appendChild(detailOverlay);
+
+    const close = () => {
+        if (detailOverlay.parentNode) {
+            document.body.removeChild(detailOverlay);
+        }
+    };
+
+    detailOverlay.querySelector('.export-cancel-btn').addEventListener('click', close);
+
+    detailOverlay.addEventListener('click', (e) => {
+        if (e.target === detailOverlay) {
+            close();
+        }
+    });
+
+    return getWordReviewHistory(word.id).then(history => {
+        const curve = buildForgettingCurve(word, history);
+        detailOverlay.querySelector('.word-detail-body').innerHTML = renderWordDetail(curve);
+    });
+}
+
+/**
+ * Render the summary, chart and review list of a word
+ * @param {Object} curve - Curve from buildForgettingCurve
+ * @returns {string} HTML
+ */
+function renderWordDetail(curve) {
+    if (curve.segments.length === 0) {
+        return '<p class="empty-state">This word has not been reviewed yet. Its forgetting curve appears after the first review.</p>';
+    }
+
+    const now = new Date();
+    const daysUntilNext = curve.nextReview ? Math.round((curve.nextReview - now) / DAY_MS) : null;
+    const nextText = curve.nextReview
+        ? `${curve.nextReview.toLocaleDateString()} (${daysUntilNext === 0 ? 'today' : daysUntilNext > 0 ? `in ${daysUntilNext} day${daysUntilNext === 1 ? '' : 's'}` : `${-daysUntilNext} day${daysUntilNext === -1 ? '' : 's'} overdue`})`
+        : '--';
+    const stability = curve.segments[curve.segments.length - 1].stability;
+
+    return `
+        <div class="word-detail-summary">
+            <div class="metric-item">
+                <span class="metric-label">Recall now:</span>
+                <span class="metric-value word-detail-recall">${Math.round(curve.currentRecall * 100)}%</span>
+            </div>
+            <div class="metric-item">
+                <span class="metric-label">Next review:</span>
+                <span class="metric-value word-detail-next">${nextText}</span>
+            </div>
+            <div class="metric-item">
+                <span class="metric-label">Stability:</span>
+                <span class="metric-value">${Math.round(stability * 10) / 10} days</span>
+            </div>
+        </div>
+        ${renderCurveChart(curve, now)}
+        <p class="word-detail-note">The next review is planned for when recall is expected to drop to ${Math.round(fsrsInstance.requestRetention * 100)}%.</p>
+        ${curve.reviews.length > 0 ? `
+            <ul class="word-detail-reviews">
+                ${curve.reviews.slice().reverse().map(review => `
+                    <li>
+                        <span class="rating-dot rating-${review.rating}"></span>
+                        ${review.at.toLocaleDateString()} · ${RATING_LABELS[review.rating] || 'Unknown'}
+                        ${review.recallBefore !== null ? `<span class="word-detail-predicted">(predicted recall ${Math.round(review.recallBefore * 100)}%)</span>` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        ` : '<p class="word-detail-note">Reviews from before the review history was kept are not listed.</p>'}
+    `;
+}
+
+/**
+ * Render the forgetting curve as an SVG chart
+ * @param {Object} curve - Curve from buildForgettingCurve
+ * @param {Date} now - Current date
+ * @returns {string} SVG markup
+ */
+function renderCurveChart(curve, now) {
+    const start = curve.segments[0].from.getTime();
+    const end = curve.segments[curve.segments.length - 1].to.getTime();
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+
+    const x = time => CHART_PADDING.left + ((time - start) / (end - start)) * plotWidth;
+    const y = recall => CHART_PADDING.top + (1 - recall) * plotHeight;
+    const point = (time, recall) => `${x(time).toFixed(1)},${y(recall).toFixed(1)}`;
+
+    const paths = curve.segments.map(segment => {
+        const from = segment.from.getTime();
+        const to = segment.to.getTime();
+        const points = Array.from({ length: SEGMENT_POINTS + 1 }, (_, i) => {
+            const time = from + ((to - from) * i) / SEGMENT_POINTS;
+            return point(time, fsrsInstance.calculateRetentionProbability(segment.stability, (time - from) / DAY_MS));
+        });
+        return `<polyline class="curve-line" points="${points.join(' ')}" />`;
+    }).join('');
+
+    const gridLines = [0, 0.5, 1].map(recall => `
+        <line class="curve-grid" x1="${CHART_PADDING.left}" x2="${CHART_WIDTH - CHART_PADDING.right}" y1="${y(recall)}" y2="${y(recall)}" />
+        <text class="curve-axis" x="${CHART_PADDING.left - 6}" y="${y(recall) + 4}" text-anchor="end">${recall * 100}%</text>
+    `).join('');
+
+    const target = fsrsInstance.requestRetention;
+    const reviewMarks = curve.reviews
+        .filter(review => review.at.getTime() >= start)
+        .map(review => `
+            <circle class="curve-review rating-${review.rating}" cx="${x(review.at.getTime()).toFixed(1)}" cy="${y(1)}" r="5">
+                <title>${review.at.toLocaleDateString()}: ${RATING_LABELS[review.rating] || 'Unknown'}</title>
+            </circle>
+        `).join('');
+
+    const nextMark = curve.nextReview && curve.nextReview.getTime() >= start && curve.nextReview.getTime() <= end ? `
+        <line class="curve-next" x1="${x(curve.nextReview.getTime())}" x2="${x(curve.nextReview.getTime())}" y1="${CHART_PADDING.top}" y2="${y(0)}" />
+        <text class="curve-axis" x="${x(curve.nextReview.getTime())}" y="${CHART_HEIGHT - 14}" text-anchor="middle">next</text>
+    ` : '';
+
+    const nowX = x(Math.min(now.getTime(), end));
+
+    return `
+        <svg class="forgetting-curve" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="Forgetting curve">
+            ${gridLines}
+            <line class="curve-target" x1="${CHART_PADDING.left}" x2="${CHART_WIDTH - CHART_PADDING.right}" y1="${y(target)}" y2="${y(target)}" />
+            ${paths}
+            ${nextMark}
+            <circle class="curve-now" cx="${nowX.toFixed(1)}" cy="${y(curve.currentRecall).toFixed(1)}" r="4">
+                <title>Now: ${Math.round(curve.currentRecall * 100)}% recall</title>
+            </circle>
+            ${reviewMarks}
+            <text class="curve-axis" x="${CHART_PADDING.left}" y="${CHART_HEIGHT - 4}">${new Date(start).toLocaleDateString()}</text>
+            <text class="curve-axis" x="${CHART_WIDTH - CHART_PADDING.right}" y="${CHART_HEIGHT - 4}" text-anchor="end">${new Date(end).toLocaleDateString()}</text>
+        </svg>
+        <div class="forecast-legend">
+            ${Object.entries(RATING_LABELS).map(([rating, label]) => `<span class="curve-legend-item"><span class="rating-dot rating-${rating}"></span>${label}</span>`).join('')}
+            <span class="curve-legend-item"><span class="curve-legend-target"></span>${Math.round(target * 100)}% target</span>
+        </div>
+    `;
+}
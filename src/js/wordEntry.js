@@ -0,0 +1,245 @@
+/**
+ * Word Entry Module
+ * Handles the structured JSON format of AI word lookups: schema, parsing,
+ * local repair, validation and the typed errors shown by the lookup UI
+ */
+
+export const LOOKUP_ERROR_CODES = {
+    INVALID_JSON: 'invalid_json',      // Reply could not be read as JSON, even after repair
+    INVALID_SCHEMA: 'invalid_schema',  // JSON was readable but missing or mistyped fields
+    NOT_A_WORD: 'not_a_word',          // The model says the input is not a word
+    PROVIDER: 'provider'               // The AI provider request itself failed
+};
+
+/**
+ * Error raised by word lookups; `code` is one of LOOKUP_ERROR_CODES
+ */
+export class LookupError extends Error {
+    /**
+     * @param {string} code - Error code (one of LOOKUP_ERROR_CODES)
+     * @param {string} message - Human-readable message
+     * @param {Object} details - Extra context (e.g. validation problems, raw reply)
+     */
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'LookupError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+export const REGISTERS = ['formal', 'neutral', 'informal', 'slang', 'technical', 'literary', 'archaic'];
+
+// JSON schema of a lookup reply (sent to providers that accept one, and used for validation)
+export const WORD_ENTRY_SCHEMA = {
+    type: 'object',
+    required: ['word', 'valid'],
+    properties: {
+        word: { type: 'string', minLength: 1 },
+        valid: { type: 'boolean' },
+        reason: { type: 'string' },
+        ipa: { type: 'string' },
+        partOfSpeech: { type: 'string' },
+        register: { type: 'string', enum: REGISTERS },
+        senses: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['definition', 'examples'],
+                properties: {
+                    partOfSpeech: { type: 'string' },
+                    definition: { type: 'string', minLength: 1 },
+                    register: { type: 'string', enum: REGISTERS },
+                    examples: {
+                        type: 'array',
+                        minItems: 1,
+                        items: { type: 'string', minLength: 1 }
+                    }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Read a model reply as JSON, repairing common formatting problems
+ * (code fences, text around the object, smart quotes, trailing commas)
+ * @param {string} text - Model reply
+ * @returns {Object} Parsed value
+ * @throws {LookupError} INVALID_JSON if the reply cannot be read
+ */
+export function parseJsonReply(text) {
+    const raw = String(text ?? '');
+
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        // Fall through to the repair attempt
+    }
+
+    const repaired = repairJson(raw);
+
+    try {
+        return JSON.parse(repaired);
+    } catch (error) {
+        throw new LookupError(LOOKUP_ERROR_CODES.INVALID_JSON, 'The AI reply was not valid JSON', { raw });
+    }
+}
+
+/**
+ * Apply cheap textual fixes to almost-JSON
+ * @param {string} text - Model reply
+ * @returns {string} Text that is more likely to parse
+ */
+function repairJson(text) {
+    let json = text
+        .replace(/```(?:json)?/gi, '')
+        .replace(/[“”]/g, '"')
+        .replace(/[‘’]/g, "'")
+        .trim();
+
+    // Keep only the outermost object
+    const start = json.indexOf('{');
+    const end = json.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+        json = json.slice(start, end + 1);
+    }
+
+    // Remove trailing commas before a closing bracket
+    return json.replace(/,\s*([}\]])/g, '$1');
+}
+
+/**
+ * Validate a value against a (subset of) JSON schema
+ * Supports type, required, properties, items, enum, minItems and minLength.
+ * String enum values are compared trimmed and lowercased, as models vary
+ * their case (e.g. "Formal").
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON schema
+ * @param {string} path - Path of the value, for messages
+ * @returns {Array} List of problems (empty when valid)
+ */
+export function validateAgainstSchema(value, schema = WORD_ENTRY_SCHEMA, path = 'reply') {
+    const problems = [];
+    const actualType = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+    if (schema.type && actualType !== schema.type) {
+        problems.push(`${path} should be ${schema.type}, got ${actualType}`);
+        return problems;
+    }
+
+    if (schema.enum && !schema.enum.includes(normalizeEnumValue(value))) {
+        problems.push(`${path} should be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (schema.minLength && String(value).trim().length < schema.minLength) {
+        problems.push(`${path} should not be empty`);
+    }
+
+    if (schema.type === 'array') {
+        if (schema.minItems && value.length < schema.minItems) {
+            problems.push(`${path} should have at least ${schema.minItems} item(s)`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                problems.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+            });
+        }
+    }
+
+    if (schema.type === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                problems.push(`${path}.${key} is missing`);
+            }
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (value[key] !== undefined) {
+                problems.push(...validateAgainstSchema(value[key], propertySchema, `${path}.${key}`));
+            }
+        });
+    }
+
+    return problems;
+}
+
+/**
+ * Normalize a value before comparing it with an enum
+ * @param {*} value - Value to normalize
+ * @returns {*} Trimmed lowercase string, or the value itself when not a string
+ */
+function normalizeEnumValue(value) {
+    return typeof value === 'string' ? value.trim().toLowerCase() : value;
+}
+
+/**
+ * Validate a parsed lookup reply
+ * @param {Object} entry - Parsed reply
+ * @returns {Array} List of problems (empty when valid)
+ */
+export function validateWordEntry(entry) {
+    const problems = validateAgainstSchema(entry);
+
+    // Senses are only optional when the model rejects the word
+    if (problems.length === 0 && entry.valid && !entry.senses) {
+        problems.push('reply.senses is missing');
+    }
+
+    return problems;
+}
+
+/**
+ * Convert a validated lookup reply into the app's word format
+ * The first sense provides `definition` and `example`; the `example` of each
+ * sense is its first example that contains the word (or its first example
+ * when none does).
+ * @param {Object} entry - Validated reply
+ * @param {string} word - The word that was looked up
+ * @param {Function} containsWord - (example, word) => boolean
+ * @returns {Object} Word data with definition, example and the full senses
+ */
+export function toWordData(entry, word, containsWord) {
+    const senses = entry.senses.map(sense => {
+        const examples = sense.examples.map(example => example.trim());
+
+        return {
+            partOfSpeech: (sense.partOfSpeech || entry.partOfSpeech || '').toLowerCase(),
+            definition: sense.definition.trim(),
+            register: normalizeEnumValue(sense.register || entry.register || 'neutral'),
+            example: examples.find(example => containsWord(example, word)) || examples[0],
+            examples
+        };
+    });
+
+    const mainSense = senses[0];
+
+    return {
+        word,
+        definition: mainSense.definition,
+        example: mainSense.example,
+        examples: mainSense.examples,
+        partOfSpeech: mainSense.partOfSpeech,
+        ipa: entry.ipa || '',
+        register: entry.register ? normalizeEnumValue(entry.register) : mainSense.register,
+        senses
+    };
+}
+
+/**
+ * Explain a lookup error in words the learner can act on
+ * @param {Object} error - Error thrown by a lookup, or any { code, message }
+ * @returns {string} Explanation
+ */
+export function describeLookupError(error) {
+    switch (error.code) {
+        case LOOKUP_ERROR_CODES.NOT_A_WORD:
+            return error.message;
+        case LOOKUP_ERROR_CODES.INVALID_JSON:
+            return 'The AI answered in an unexpected format. Try again, or pick a model that supports JSON output in Settings.';
+        case LOOKUP_ERROR_CODES.INVALID_SCHEMA:
+            return 'The AI answer was incomplete (missing definition or examples). Try again, or pick a larger model in Settings.';
+        default:
+            return error.message;
+    }
+}
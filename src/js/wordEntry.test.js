@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest';
+import {
+    LOOKUP_ERROR_CODES,
+    LookupError,
+    parseJsonReply,
+    validateWordEntry,
+    toWordData,
+    describeLookupError
+} from './wordEntry.js';
+
+const containsWord = (example, word) => new RegExp(`\\b${word}\\b`, 'i').test(example);
+
+describe('Word Entry', () => {
+    describe('parseJsonReply', () => {
+        it('should parse plain JSON', () => {
+            expect(parseJsonReply('{"word": "calm", "valid": true}')).toEqual({ word: 'calm', valid: true });
+        });
+
+        it('should repair fences, surrounding text, smart quotes and trailing commas', () => {
+            const reply = 'Sure!\n```json\n{“word”: “calm”, "valid": true, "senses": [],}\n```\nHope this helps.';
+
+            expect(parseJsonReply(reply)).toEqual({ word: 'calm', valid: true, senses: [] });
+        });
+
+        it('should throw an invalid_json LookupError for text replies', () => {
+            try {
+                parseJsonReply('Definition: Peaceful');
+                throw new Error('Expected parseJsonReply to throw');
+            } catch (error) {
+                expect(error).toBeInstanceOf(LookupError);
+                expect(error.code).toBe(LOOKUP_ERROR_CODES.INVALID_JSON);
+                expect(error.details.raw).toBe('Definition: Peaceful');
+            }
+        });
+    });
+
+    describe('validateWordEntry', () => {
+        it('should accept a complete entry', () => {
+            const entry = {
+                word: 'calm',
+                valid: true,
+                register: 'neutral',
+                senses: [{ definition: 'Peaceful', examples: ['Stay calm.'] }]
+            };
+
+            expect(validateWordEntry(entry)).toEqual([]);
+        });
+
+        it('should report missing and mistyped fields with their path', () => {
+            const entry = {
+                word: 'calm',
+                valid: 'yes',
+                register: 'chill',
+                senses: [{ definition: '', examples: [] }]
+            };
+
+            expect(validateWordEntry(entry)).toEqual([
+                'reply.valid should be boolean, got string',
+                'reply.register should be one of formal, neutral, informal, slang, technical, literary, archaic',
+                'reply.senses[0].definition should not be empty',
+                'reply.senses[0].examples should have at least 1 item(s)'
+            ]);
+        });
+
+        it('should accept a register in any case', () => {
+            const entry = {
+                word: 'calm',
+                valid: true,
+                register: ' Formal',
+                senses: [{ definition: 'Peaceful', register: 'INFORMAL', examples: ['Stay calm.'] }]
+            };
+
+            expect(validateWordEntry(entry)).toEqual([]);
+            expect(toWordData(entry, 'calm', containsWord)).toEqual(expect.objectContaining({
+                register: 'formal',
+                senses: [expect.objectContaining({ register: 'informal' })]
+            }));
+        });
+
+        it('should only allow missing senses for rejected words', () => {
+            expect(validateWordEntry({ word: 'xqzt', valid: false })).toEqual([]);
+            expect(validateWordEntry({ word: 'calm', valid: true })).toEqual(['reply.senses is missing']);
+        });
+    });
+
+    describe('toWordData', () => {
+        it('should use the first example that contains the word', () => {
+            const entry = {
+                word: 'calm',
+                valid: true,
+                ipa: '/kɑːm/',
+                partOfSpeech: 'Adjective',
+                senses: [{ definition: ' Peaceful ', examples: ['Peace at last.', 'Stay calm.'] }]
+            };
+
+            expect(toWordData(entry, 'calm', containsWord)).toEqual({
+                word: 'calm',
+                definition: 'Peaceful',
+                example: 'Stay calm.',
+                examples: ['Peace at last.', 'Stay calm.'],
+                partOfSpeech: 'adjective',
+                ipa: '/kɑːm/',
+                register: 'neutral',
+                senses: [{
+                    partOfSpeech: 'adjective',
+                    definition: 'Peaceful',
+                    register: 'neutral',
+                    example: 'Stay calm.',
+                    examples: ['Peace at last.', 'Stay calm.']
+                }]
+            });
+        });
+    });
+
+    describe('describeLookupError', () => {
+        it('should explain format errors and pass other messages through', () => {
+            const formatError = new LookupError(LOOKUP_ERROR_CODES.INVALID_JSON, 'bad');
+
+            expect(describeLookupError(formatError)).toContain('unexpected format');
+            expect(describeLookupError(new Error('Network error'))).toBe('Network error');
+        });
+    });
+});
@@ -5,9 +5,9 @@
 
 import './css/style.css';
 import { initLookup } from './js/lookup.js';
-import { initTabs, displaySavedWords, showExportMenu, initFilterControls } from './js/ui/index.js';
+import { initTabs, displaySavedWords, showExportMenu, showImportModal, showTrashModal, offerUndoDelete, initFilterControls, initSettings } from './js/ui/index.js';
 import { initExercise, prefetchExerciseData } from './js/exercise/index.js';
-import { clearAllWords } from './js/storage/index.js';
+import { clearAllWords, loadFSRSParameters, startBackgroundSync, onRemoteChanges, purgeExpiredTrash } from './js/storage/index.js';
 import { onAuthStateChange, getCurrentUser } from './js/auth.js';
 import { initAuthUI, updateAuthUI } from './js/authUI.js';
 
@@ -35,6 +35,16 @@ export async function initApp() {
  * Initialize app features (only called when authenticated)
  */
 function initAppFeatures() {
+    // Load the user's optimized FSRS parameters (defaults are used until then)
+    loadFSRSParameters();
+
+    // Sync the local word store with Supabase in the background
+    onRemoteChanges(() => displaySavedWords());
+    startBackgroundSync();
+
+    // Delete words that have been in the trash for too long
+    purgeExpiredTrash();
+
     // Initialize tabs
     initTabs();
 
@@ -50,6 +60,9 @@ function initAppFeatures() {
     // Initialize exercise
     initExercise();
 
+    // Initialize settings tab
+    initSettings();
+
     // Pre-fetch exercise data in background for instant loading
     prefetchExerciseData();
 
@@ -60,6 +73,7 @@ function initAppFeatures() {
             const success = await clearAllWords();
             if (success) {
                 await displaySavedWords();
+                offerUndoDelete('Moved all words to the trash');
             }
         });
     }
@@ -71,6 +85,22 @@ function initAppFeatures() {
             showExportMenu();
         });
     }
+
+    // Trash button
+    const openTrashBtn = document.getElementById('openTrash');
+    if (openTrashBtn) {
+        openTrashBtn.addEventListener('click', () => {
+            showTrashModal();
+        });
+    }
+
+    // Import words button
+    const importWordsBtn = document.getElementById('importWords');
+    if (importWordsBtn) {
+        importWordsBtn.addEventListener('click', () => {
+            showImportModal();
+        });
+    }
 }
 
 /**